@@ -0,0 +1,6 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Entry of the headless image editor on Node.js, require('tui-image-editor/headless').
+ * It needs "canvas" and "jsdom" installed with "fabric".
+ */
+module.exports = require('./dist/tui-image-editor.headless');
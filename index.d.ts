@@ -3,6 +3,9 @@
 
 declare namespace tuiImageEditor {
     type AngleType = number;
+    type BlendMode = 'source-over' | 'multiply' | 'screen' | 'overlay' | 'darken' | 'lighten' | 'color-dodge'
+        | 'color-burn' | 'hard-light' | 'soft-light' | 'difference' | 'exclusion' | 'hue' | 'saturation' | 'color'
+        | 'luminosity';
 
     interface IThemeConfig {
         'common.bi.image'?: string;
@@ -131,6 +134,7 @@ declare namespace tuiImageEditor {
         top?: number;
         width?: number;
         height?: number;
+        includeHidden?: boolean;
     }
 
     interface IGraphicObjectProps {
@@ -151,6 +155,7 @@ declare namespace tuiImageEditor {
         textAlign?: string;
         textDecoration?: string;
         opacity?: number;
+        globalCompositeOperation?: BlendMode;
         [propName: string]: number | string | boolean;
     }
 
@@ -182,6 +187,7 @@ declare namespace tuiImageEditor {
 
     interface IObjectProps { // icon, shape
         fill: string;
+        globalCompositeOperation: BlendMode;
         height: number;
         id: number;
         left: number;
@@ -214,30 +220,208 @@ declare namespace tuiImageEditor {
         newHeight: number;
     }
 
+    interface IPastedImage {
+        type: 'background' | 'object';
+        sizeChange?: ICropResolveObject;
+        objectProps?: IObjectProps;
+    }
+
+    interface IEditorState {
+        version: number;
+        imageName: string;
+        image: string | null;
+        transform: {
+            angle: AngleType;
+            flipX: boolean;
+            flipY: boolean;
+        } | null;
+        filters: Array<{
+            type: string;
+            options: any;
+        }>;
+        objects: Array<{
+            id: number;
+            object: any;
+        }>;
+    }
+
+    interface ICommand {
+        name: string;
+        label?: string;
+        execute(graphics: any, ...args: any[]): any;
+        undo(graphics: any, ...args: any[]): any;
+    }
+
+    interface IPluginUI {
+        name: string;
+        Submenu: any;
+        actions?(imageEditor: ImageEditor): {[key: string]: any};
+    }
+
+    interface IPlugin {
+        name: string;
+        components?: any[];
+        drawingModes?: any[];
+        commands?: ICommand[];
+        ui?: IPluginUI;
+    }
+
+    interface IObjectSource {
+        clientId: string;
+        id: number;
+    }
+
+    interface ICommandDescriptor {
+        action: 'execute' | 'undo';
+        clientId?: string;
+        id: number;
+        name: string;
+        args: any[];
+        objectIds: number[];
+        objectSources?: {[id: number]: IObjectSource};
+    }
+
+    interface IAutosaveOptions {
+        projectId: string;
+        interval?: number;
+    }
+
+    interface IAutosaveSession {
+        projectId: string;
+        savedAt: number;
+    }
+
+    interface ISnappingOptions {
+        threshold?: number;
+        grid?: number;
+        toObjects?: boolean;
+    }
+
+    interface IGridOptions {
+        spacing?: number;
+        color?: string;
+        subdivisions?: number;
+    }
+
+    interface IShadowOptions {
+        color?: string;
+        blur?: number;
+        offsetX?: number;
+        offsetY?: number;
+    }
+
+    interface IOutlineOptions {
+        color?: string;
+        width?: number;
+    }
+
+    interface IObjectEffects {
+        shadow?: IShadowOptions | null;
+        outline?: IOutlineOptions | null;
+    }
+
+    interface IMacroStep {
+        name: string;
+        args: any[];
+        objectIds: number[];
+    }
+
+    interface IMacro {
+        version: number;
+        steps: IMacroStep[];
+    }
+
+    interface IBatchMethodStep {
+        method: string;
+        args?: any[];
+    }
+
+    type BatchStep = ((editor: ImageEditor, index: number) => any) | IMacro | IBatchMethodStep;
+
+    interface IBatchResult {
+        index: number;
+        total: number;
+        name: string;
+        dataURL: string | null;
+        error: string | null;
+    }
+
+    interface IBatchOptions {
+        format?: string;
+        quality?: number;
+        maxWidth?: number;
+        maxHeight?: number;
+        onProgress?: (result: IBatchResult) => void;
+    }
+
+    interface IHistoryEntry {
+        name: string;
+        label: string;
+        timestamp: number;
+        objectIds: number[];
+        undone: boolean;
+    }
+
     interface IFlipXYResolveObject {
         flipX: boolean;
         flipY: boolean;
         angle: AngleType;
     }
 
+    interface IShortcutBindings {
+        [actionName: string]: string | string[] | null;
+    }
+
     interface IOptions {
         includeUI?: IIncludeUIOptions;
         cssMaxWidth?: number;
         cssMaxHeight?: number;
         usageStatistics?: boolean;
         selectionStyle?: ISelectionStyleConfig;
+        maxUndoSteps?: number;
+        maxUndoMemory?: number;
+        clientId?: string;
+        autosave?: IAutosaveOptions;
+        imagePastePolicy?: 'auto' | 'background' | 'object' | 'none';
+        snapping?: ISnappingOptions;
+        shortcuts?: IShortcutBindings;
     }
 
     class ImageEditor {
+        public static Component: any;
+        public static DrawingMode: any;
+        public static Submenu: any;
+
+        public static registerCommand(command: ICommand): void;
+        public static isBuiltInCommand(name: string): boolean;
+        public static use(plugin: IPlugin): typeof ImageEditor;
+
         constructor(wrapper: string | Element, options: IOptions);
 
         public addIcon(type: string, options?: IIconOptions): Promise<IObjectProps>;
         public addImageObject(imgUrl: string): Promise<void>;
         public addShape(type: string, options?: IShapeOptions): Promise<IObjectProps>;
+        public addShortcut(
+            actionName: string,
+            keys: string | string[],
+            handler: (event: KeyboardEvent) => void
+        ): boolean;
         public addText(text: string, options?: IGenerateTextOptions): Promise<ITextObjectProps>;
+        public alignObjects(
+            ids: number[],
+            mode: 'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom',
+            reference?: 'selection' | 'image' | 'canvas'
+        ): Promise<void>;
         public applyFilter(type: string, options?: {
             maskObjId: number
         }): Promise<IFilterResolveObject>;
+        public applyRemoteCommand(descriptor: ICommandDescriptor): Promise<void>;
+        public batch(fn: () => any): Promise<any>;
+        public beginBatch(): void;
+        public beginInteraction(): void;
+        public bringForward(id: number): Promise<void>;
+        public bringToFront(id: number): Promise<void>;
+        public cancelBatch(): Promise<any>;
         public changeCursor(cursorType: string): void;
         public changeIconColor(id: number, color: string): Promise<void>;
         public changeSelectableAll(selectable: boolean): void;
@@ -247,23 +431,51 @@ declare namespace tuiImageEditor {
         public clearObjects(): Promise<void>;
         public clearRedoStack(): void;
         public clearUndoStack(): void;
+        public copyObject(): Promise<void>;
         public crop(rect: IRectConfig): Promise<ICropResolveObject>;
+        public cutObject(): Promise<void>;
         public deactivateAll(): void;
+        public discardAutosave(): Promise<void>;
         public destroy(): void;
         public discardSelection(): void;
+        public distributeObjects(ids: number[], axis: 'horizontal' | 'vertical'): Promise<void>;
+        public duplicateObject(): Promise<IObjectProps[]>;
+        public endBatch(): void;
+        public endInteraction(): void;
+        public execute(commandName: string, ...args: any[]): Promise<any>;
         public flipX(): Promise<IFlipXYResolveObject>;
         public flipY(): Promise<IFlipXYResolveObject>;
         public getCanvasSize(): ICanvasSize;
         public getCropzoneRect(): IRectConfig;
         public getDrawingMode(): string;
+        public getHistory(): IHistoryEntry[];
         public getImageName(): string;
+        public getObjectEffects(id: number): IObjectEffects | null;
+        public getObjectOrder(): number[];
         public getObjectPosition(id: number, originX: string, originY: string): ICanvasSize;
         public getObjectProperties(id: number, keys: string | string[] | IGraphicObjectProps): IGraphicObjectProps;
+        public getShortcuts(): IShortcutBindings;
+        public goToHistory(index: number): Promise<number>;
+        public groupObjects(ids: number[]): Promise<IObjectProps>;
         public hasFilter(type: string): boolean;
+        public hideGrid(): void;
+        public hideRulers(): void;
         public isEmptyRedoStack(): boolean;
         public isEmptyUndoStack(): boolean;
+        public isGridVisible(): boolean;
+        public isRecording(): boolean;
+        public isRulersVisible(): boolean;
+        public loadFromJSON(state: IEditorState | string): Promise<ICropResolveObject>;
         public loadImageFromFile(imgFile: File, imageName?: string): Promise<ICropResolveObject>;
         public loadImageFromURL(url: string, imageName?: string): Promise<ICropResolveObject>;
+        public pasteImage(dataTransfer: DataTransfer): Promise<IPastedImage>;
+        public pasteObject(): Promise<IObjectProps[]>;
+        public playMacro(macro: IMacro): Promise<any>;
+        public processBatch(
+            images: Array<string | {url: string, name?: string}>,
+            pipeline: BatchStep[],
+            options?: IBatchOptions
+        ): Promise<IBatchResult[]>;
         public redo(): Promise<any>;
         public registerIcons(infos: IIconInfo): void;
         public removeActiveObject(): void;
@@ -271,22 +483,67 @@ declare namespace tuiImageEditor {
         public removeObject(id: number): Promise<void>;
         public resetFlip(): Promise<IFlipXYResolveObject>;
         public resizeCanvasDimension(dimension: ICanvasSize): Promise<void>;
+        public restoreAutosave(): Promise<ICropResolveObject>;
         public rotate(angle: AngleType): Promise<AngleType>;
+        public sendBackwards(id: number): Promise<void>;
+        public sendToBack(id: number): Promise<void>;
         public setAngle(angle: AngleType): Promise<AngleType>;
         public setBrush(option: IBrushOptions): void;
         public setCropzoneRect(mode?: number): void;
         public setDrawingShape(type: string, options?: IShapeOptions): void;
+        public setObjectEffects(id: number, effects: IObjectEffects): Promise<IObjectEffects>;
+        public setObjectIndex(id: number, index: number): Promise<void>;
+        public setObjectLocked(id: number, locked: boolean): Promise<void>;
         public setObjectPosition(id: number, posInfo?: IPositionConfig): Promise<void>;
         public setObjectProperties(id: number, keyValue?: IGraphicObjectProps): Promise<void>;
         public setObjectPropertiesQuietly(id: number, keyValue?: IGraphicObjectProps): Promise<void>;
+        public setObjectVisibility(id: number, visible: boolean): Promise<void>;
+        public setShortcut(actionName: string, keys: string | string[] | null): boolean;
+        public showGrid(options?: IGridOptions): void;
+        public showRulers(): void;
         public startDrawingMode(mode: string, option?: {width?: number, color?: string}): boolean;
+        public startRecording(): void;
         public stopDrawingMode(): void;
+        public stopRecording(): IMacro | null;
         public toDataURL(options?: IToDataURLOptions): string;
+        public toJSON(): IEditorState;
         public undo(): Promise<any>;
+        public ungroupObjects(groupId: number): Promise<number[]>;
         public on(eventName: string, handler: (...args: any[]) => void): void;
     }
+
+    interface IHeadlessOptions {
+        cssMaxWidth?: number;
+        cssMaxHeight?: number;
+        maxUndoSteps?: number;
+        maxUndoMemory?: number;
+    }
+
+    class HeadlessImageEditor {
+        constructor(options?: IHeadlessOptions);
+        public execute(commandName: string, ...args: any[]): Promise<any>;
+        public undo(): Promise<any>;
+        public redo(): Promise<any>;
+        public loadImageFromURL(url: string | Uint8Array, imageName: string): Promise<ICropResolveObject>;
+        public applyFilter(type: string, options?: {
+            maskObjId: number
+        }): Promise<IFilterResolveObject>;
+        public removeFilter(type: string): Promise<IFilterResolveObject>;
+        public playMacro(macro: IMacro): Promise<any>;
+        public toJSON(): IEditorState;
+        public loadFromJSON(state: IEditorState | string): Promise<ICropResolveObject>;
+        public getCanvasSize(): ICanvasSize;
+        public getImageName(): string;
+        public toDataURL(options?: IToDataURLOptions): string;
+        public toBuffer(options?: IToDataURLOptions): Uint8Array;
+        public destroy(): void;
+    }
 }
 
 declare module 'tui-image-editor' {
     export = tuiImageEditor.ImageEditor;
 }
+
+declare module 'tui-image-editor/headless' {
+    export = tuiImageEditor.HeadlessImageEditor;
+}
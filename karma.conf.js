@@ -149,6 +149,10 @@ module.exports = function(config) {
                         loader: 'css-loader!stylus-loader?paths=src/css/'
                     }
                 ]
+            },
+            node: {
+                // "fs" of the headless editor is not used in the browser
+                fs: 'empty'
             }
         },
         port: 9876,
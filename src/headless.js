@@ -0,0 +1,7 @@
+import './js/headlessEnvironment';
+import HeadlessImageEditor from './js/headlessImageEditor';
+
+// commands
+import './js/command';
+
+module.exports = HeadlessImageEditor;
@@ -1,6 +1,7 @@
-import {extend} from 'tui-code-snippet';
+import {extend, forEach} from 'tui-code-snippet';
 import util from './util';
 import Imagetracer from './helper/imagetracer';
+import pluginFactory from './factory/plugin';
 
 export default {
 
@@ -10,7 +11,7 @@ export default {
      * @private
      */
     getActions() {
-        return {
+        const actions = {
             main: this._mainAction(),
             shape: this._shapeAction(),
             crop: this._cropAction(),
@@ -20,8 +21,15 @@ export default {
             mask: this._maskAction(),
             draw: this._drawAction(),
             icon: this._iconAction(),
-            filter: this._filterAction()
+            filter: this._filterAction(),
+            layers: this._layersAction()
         };
+
+        forEach(pluginFactory.getMenuNames(), menuName => {
+            actions[menuName] = this._pluginAction(menuName);
+        });
+
+        return actions;
     },
 
     /**
@@ -36,6 +44,11 @@ export default {
                 this.ui.changeMenu('crop');
             }
         };
+        const getActiveGroupIds = () => {
+            const activeGroup = this._graphics.getActiveGroupObject();
+
+            return activeGroup ? activeGroup.getObjects().map(obj => util.stampObject(obj)) : [];
+        };
 
         return extend({
             initLoadImage: (imagePath, imageName) => (
@@ -78,6 +91,28 @@ export default {
                 this.ui.changeDeleteButtonEnabled(false);
                 this.ui.changeDeleteAllButtonEnabled(false);
             },
+            align: mode => {
+                this.alignObjects(getActiveGroupIds(), mode)['catch'](() => {});
+            },
+            distribute: axis => {
+                this.distributeObjects(getActiveGroupIds(), axis)['catch'](() => {});
+            },
+            grid: () => {
+                if (this.isGridVisible()) {
+                    this.hideGrid();
+                } else {
+                    this.showGrid();
+                }
+                this.ui.changeToggleButtonActive('grid', this.isGridVisible());
+            },
+            rulers: () => {
+                if (this.isRulersVisible()) {
+                    this.hideRulers();
+                } else {
+                    this.showRulers();
+                }
+                this.ui.changeToggleButtonActive('rulers', this.isRulersVisible());
+            },
             load: file => {
                 if (!util.isSupportFileApi()) {
                     alert('This browser does not support file-api');
@@ -361,6 +396,18 @@ export default {
         }, this._commonAction());
     },
 
+    /**
+     * Plugin Action
+     * @param {string} menuName - menu name of the plugin
+     * @returns {Object} actions for ui of the plugin
+     * @private
+     */
+    _pluginAction(menuName) {
+        const {actions} = pluginFactory.getSubmenu(menuName);
+
+        return extend({}, actions ? actions(this) : {}, this._commonAction());
+    },
+
     /**
      * Filter Action
      * @returns {Object} actions for ui filter
@@ -378,6 +425,63 @@ export default {
         }, this._commonAction());
     },
 
+    /**
+     * Layers Action
+     * @returns {Object} actions for ui layers
+     * @private
+     */
+    _layersAction() {
+        const getLayers = () => this.getObjectOrder().reverse().map(id => {
+            const props = this.getObjectProperties(id, ['type', 'visible', 'locked', 'text']);
+
+            return {
+                id,
+                type: props.type,
+                text: props.text,
+                visible: props.visible,
+                locked: !!props.locked
+            };
+        });
+        const refresh = () => {
+            if (this.ui.submenu === 'layers') {
+                this.ui.layers.render(getLayers());
+            }
+        };
+
+        this.on({
+            addObjectAfter: refresh,
+            objectRemoved: refresh,
+            undoStackChanged: refresh,
+            redoStackChanged: refresh,
+            selectionCleared: () => {
+                if (this.ui.submenu === 'layers') {
+                    this.ui.layers.setActiveLayer(null);
+                }
+            }
+        });
+
+        return extend({
+            getLayers,
+            select: id => {
+                const obj = this._graphics.getObject(id);
+
+                if (obj && !obj.locked && obj.visible) {
+                    this._graphics.setActiveObject(obj);
+                    this._graphics.renderAll();
+                }
+            },
+            toggleVisible: (id, visible) => {
+                this.setObjectVisibility(id, visible);
+            },
+            toggleLock: (id, locked) => {
+                this.setObjectLocked(id, locked);
+            },
+            reorder: (id, index) => {
+                this.setObjectIndex(id, index)['catch'](() => {});
+            }
+        }, this._commonAction());
+    },
+
     /**
      * Image Editor Event Observer
      */
@@ -404,11 +508,14 @@ export default {
             /* eslint-disable complexity */
             objectActivated: obj => {
                 this.activeObjectId = obj.id;
+                this.ui.changeAlignButtonsVisible(false);
 
                 this.ui.changeDeleteButtonEnabled(true);
                 this.ui.changeDeleteAllButtonEnabled(true);
 
-                if (obj.type === 'cropzone') {
+                if (this.ui.submenu === 'layers') {
+                    this.ui.layers.setActiveLayer(obj.id);
+                } else if (obj.type === 'cropzone') {
                     this.ui.crop.changeApplyButtonStatus(true);
                 } else if (['rect', 'circle', 'triangle'].indexOf(obj.type) > -1) {
                     this.stopDrawingMode();
@@ -438,6 +545,12 @@ export default {
                     }
                     this.ui.icon.setIconPickerColor(obj.fill);
                 }
+
+                const submenu = this.ui[this.ui.submenu];
+                if (submenu && submenu.setAppearance) {
+                    submenu.setAppearance(obj);
+                    submenu.setEffects(obj);
+                }
             },
             /* eslint-enable complexity */
             addText: pos => {
@@ -473,13 +586,23 @@ export default {
                     }
                 }
             },
+            selectionCreated: eventTarget => {
+                this.ui.changeAlignButtonsVisible(eventTarget.type === 'group');
+            },
             selectionCleared: () => {
                 this.activeObjectId = null;
+                this.ui.changeAlignButtonsVisible(false);
                 if (this.ui.submenu === 'text') {
                     this.changeCursor('text');
                 } else if (this.ui.submenu !== 'draw' && this.ui.submenu !== 'crop') {
                     this.stopDrawingMode();
                 }
+            },
+            imagePasted: ({type, sizeChange}) => {
+                if (type === 'background') {
+                    this.ui.activeMenuEvent();
+                    this.ui.resizeEditor({imageSize: sizeChange});
+                }
             }
         });
     },
@@ -510,7 +633,19 @@ export default {
             deactivateAll: this.deactivateAll.bind(this),
             changeSelectableAll: this.changeSelectableAll.bind(this),
             discardSelection: this.discardSelection.bind(this),
-            stopDrawingMode: this.stopDrawingMode.bind(this)
+            stopDrawingMode: this.stopDrawingMode.bind(this),
+            beginInteraction: this.beginInteraction.bind(this),
+            endInteraction: this.endInteraction.bind(this),
+            changeAppearance: props => {
+                if (this.activeObjectId) {
+                    this.setObjectProperties(this.activeObjectId, props)['catch'](() => {});
+                }
+            },
+            changeEffects: effects => {
+                if (this.activeObjectId) {
+                    this.setObjectEffects(this.activeObjectId, effects)['catch'](() => {});
+                }
+            }
         };
     },
 
@@ -0,0 +1,339 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Autosave - persist the editor state to IndexedDB
+ */
+import snippet from 'tui-code-snippet';
+import Promise from 'core-js/library/es6/promise';
+import consts from './consts';
+import {base64ToBlob} from './util';
+
+const {eventNames, rejectMessages} = consts;
+const {extend, isString, CustomEvents} = snippet;
+
+const DB_NAME = 'tui-image-editor';
+const DB_VERSION = 1;
+const STORE_NAME = 'autosave';
+
+/**
+ * Default interval of saving in milliseconds
+ * @type {number}
+ */
+const DEFAULT_INTERVAL = 5000;
+
+/**
+ * Max rate of the interval to the given one after failing to save, the interval is doubled at each failure
+ * @type {number}
+ */
+const MAX_BACKOFF_RATE = 16;
+
+/**
+ * Make a promise of an IndexedDB request
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise} resolved with the result of the request
+ * @private
+ */
+function toPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open the database of the autosave
+ * @returns {Promise} resolved with the IDBDatabase
+ * @private
+ */
+function openDatabase() {
+    if (!window.indexedDB) {
+        return Promise.reject(rejectMessages.unsupportedOperation);
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, {keyPath: 'projectId'});
+    };
+
+    return toPromise(request);
+}
+
+/**
+ * Read a blob as a data url
+ * @param {Blob} blob - Blob
+ * @returns {Promise} resolved with the data url
+ * @private
+ */
+function readAsDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Autosave
+ * @class
+ * @param {Object} options - Options
+ *  @param {string} options.projectId - Key of the saved state
+ *  @param {number} [options.interval=5000] - Interval of saving in milliseconds
+ * @param {function} getState - Function returning the editor state made by "toJSON"
+ * @ignore
+ */
+class Autosave {
+    constructor({projectId, interval = DEFAULT_INTERVAL}, getState) {
+        if (!isString(projectId) || !projectId) {
+            throw new Error(rejectMessages.invalidParameters);
+        }
+
+        /**
+         * Key of the saved state
+         * @type {string}
+         */
+        this.projectId = projectId;
+
+        /**
+         * Interval of saving in milliseconds
+         * @type {number}
+         * @private
+         */
+        this._interval = interval;
+
+        /**
+         * Function returning the editor state
+         * @type {function}
+         * @private
+         */
+        this._getState = getState;
+
+        /**
+         * Promise of the opened database
+         * @type {?Promise}
+         * @private
+         */
+        this._database = null;
+
+        /**
+         * Timer id of saving
+         * @type {?number}
+         * @private
+         */
+        this._timerId = null;
+
+        /**
+         * Current interval of saving, longer than the given one after failing to save
+         * @type {number}
+         * @private
+         */
+        this._delay = interval;
+
+        /**
+         * Whether the periodic saving is in progress
+         * @type {boolean}
+         * @private
+         */
+        this._isSaving = false;
+
+        /**
+         * Whether the state is changed after the last saving
+         * @type {boolean}
+         * @private
+         */
+        this._isDirty = false;
+    }
+
+    /**
+     * Start saving the changed state periodically
+     */
+    start() {
+        if (this.isStarted()) {
+            return;
+        }
+
+        this._startTimer(this._interval);
+    }
+
+    /**
+     * Stop saving
+     */
+    stop() {
+        clearInterval(this._timerId);
+        this._timerId = null;
+    }
+
+    /**
+     * Whether saving is started
+     * @returns {boolean}
+     */
+    isStarted() {
+        return !!this._timerId;
+    }
+
+    /**
+     * Mark the state changed to save it at the next interval
+     */
+    markDirty() {
+        this._isDirty = true;
+    }
+
+    /**
+     * Save the current state. The background image is stored as a blob.
+     * @returns {Promise} resolved with the saved time, rejected also when the state cannot be made
+     */
+    save() {
+        let state;
+
+        try {
+            state = this._getState();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const savedAt = Date.now();
+
+        this._isDirty = false;
+
+        return this._request('readwrite', store => store.put({
+            projectId: this.projectId,
+            savedAt,
+            state: extend({}, state, {
+                image: state.image ? base64ToBlob(state.image) : null
+            })
+        })).then(() => {
+            this.fire(eventNames.AUTOSAVED, savedAt);
+
+            return savedAt;
+        }, message => {
+            this._isDirty = true;
+
+            return Promise.reject(message);
+        });
+    }
+
+    /**
+     * Find the saved session
+     * @returns {Promise} resolved with {projectId: string, savedAt: number} or null if not saved
+     */
+    find() {
+        return this._get().then(record => (record ? {
+            projectId: record.projectId,
+            savedAt: record.savedAt
+        } : null));
+    }
+
+    /**
+     * Load the saved state. The background image is read as a data url.
+     * @returns {Promise} resolved with the editor state or null if not saved
+     */
+    loadState() {
+        return this._get().then(record => {
+            if (!record) {
+                return null;
+            }
+
+            const {state} = record;
+            const image = state.image ? readAsDataURL(state.image) : Promise.resolve(null);
+
+            return image.then(dataURL => extend({}, state, {image: dataURL}));
+        });
+    }
+
+    /**
+     * Remove the saved state
+     * @returns {Promise}
+     */
+    remove() {
+        return this._request('readwrite', store => store['delete'](this.projectId)).then(() => {
+            this._isDirty = false;
+        });
+    }
+
+    /**
+     * Stop saving and close the database
+     */
+    destroy() {
+        this.stop();
+        if (this._database) {
+            this._database.then(database => database.close(), () => {});
+            this._database = null;
+        }
+    }
+
+    /**
+     * Start the timer of saving
+     * @param {number} delay - Interval in milliseconds
+     * @private
+     */
+    _startTimer(delay) {
+        this._delay = delay;
+        this._timerId = setInterval(() => this._saveChanged(), delay);
+    }
+
+    /**
+     * Save the changed state by the timer.
+     * A failure fires "autosaveError" and doubles the interval until saving succeeds.
+     * @returns {Promise}
+     * @private
+     */
+    _saveChanged() {
+        if (!this._isDirty || this._isSaving) {
+            return Promise.resolve();
+        }
+
+        const timerId = this._timerId;
+
+        this._isSaving = true;
+
+        return this.save().then(() => this._interval, error => {
+            this.fire(eventNames.AUTOSAVE_ERROR, error);
+
+            return Math.min(this._delay * 2, this._interval * MAX_BACKOFF_RATE);
+        }).then(delay => {
+            this._isSaving = false;
+            if (this._timerId === timerId && delay !== this._delay) {
+                this.stop();
+                this._startTimer(delay);
+            }
+        });
+    }
+
+    /**
+     * Get the saved record
+     * @returns {Promise} resolved with the record or undefined
+     * @private
+     */
+    _get() {
+        return this._request('readonly', store => store.get(this.projectId));
+    }
+
+    /**
+     * Run a request on the object store.
+     * The database failed to open is opened again by the next request.
+     * @param {string} mode - Transaction mode
+     * @param {function} createRequest - Function making a request with the object store
+     * @returns {Promise} resolved with the result of the request
+     * @private
+     */
+    _request(mode, createRequest) {
+        if (!this._database) {
+            const database = openDatabase();
+
+            database['catch'](() => {
+                if (this._database === database) {
+                    this._database = null;
+                }
+            });
+            this._database = database;
+        }
+
+        return this._database.then(database => {
+            const store = database.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+
+            return toPromise(createRequest(store));
+        });
+    }
+}
+
+CustomEvents.mixin(Autosave);
+module.exports = Autosave;
@@ -11,6 +11,7 @@ const {ICON} = componentNames;
 
 const command = {
     name: commandNames.ADD_ICON,
+    label: 'Add icon',
 
     /**
      * Add an icon
@@ -10,6 +10,7 @@ const {commandNames} = consts;
 
 const command = {
     name: commandNames.ADD_IMAGE_OBJECT,
+    label: 'Add image',
 
     /**
      * Add an image object
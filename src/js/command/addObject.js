@@ -5,11 +5,13 @@
 import commandFactory from '../factory/command';
 import Promise from 'core-js/library/es6/promise';
 import consts from '../consts';
+import {stampObject} from '../util';
 
 const {commandNames, rejectMessages} = consts;
 
 const command = {
     name: commandNames.ADD_OBJECT,
+    label: 'Add object',
 
     /**
      * Add an object
@@ -41,6 +43,15 @@ const command = {
                 reject(rejectMessages.noObject);
             }
         });
+    },
+
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @param {Object} object - Fabric object
+     * @returns {Array.<number>} affected object ids
+     */
+    getObjectIds(graphics, object) {
+        return [stampObject(object)];
     }
 };
 
@@ -11,6 +11,7 @@ const {SHAPE} = componentNames;
 
 const command = {
     name: commandNames.ADD_SHAPE,
+    label: 'Add shape',
 
     /**
      * Add a shape
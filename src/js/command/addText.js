@@ -11,6 +11,7 @@ const {TEXT} = componentNames;
 
 const command = {
     name: commandNames.ADD_TEXT,
+    label: 'Add text',
 
     /**
      * Add a text object
@@ -0,0 +1,205 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Align objects
+ */
+import {isArray, forEachArray} from 'tui-code-snippet';
+import commandFactory from '../factory/command';
+import Promise from 'core-js/library/es6/promise';
+import consts from '../consts';
+import {stampObject} from '../util';
+
+const {commandNames, rejectMessages} = consts;
+
+/**
+ * Axis of the alignment modes and the ratio of the aligned point on the axis
+ * @type {Object.<string, {axis: string, ratio: number}>}
+ */
+const ALIGN_MODES = {
+    left: {
+        axis: 'x',
+        ratio: 0
+    },
+    center: {
+        axis: 'x',
+        ratio: 0.5
+    },
+    right: {
+        axis: 'x',
+        ratio: 1
+    },
+    top: {
+        axis: 'y',
+        ratio: 0
+    },
+    middle: {
+        axis: 'y',
+        ratio: 0.5
+    },
+    bottom: {
+        axis: 'y',
+        ratio: 1
+    }
+};
+
+/**
+ * References of the alignment
+ * @type {Array.<string>}
+ */
+const REFERENCES = ['selection', 'image', 'canvas'];
+
+/**
+ * Get the rectangle bounding the rectangles
+ * @param {Array.<{left: number, top: number, width: number, height: number}>} rects - rectangles
+ * @returns {{left: number, top: number, width: number, height: number}} bounding rect
+ */
+function getUnionRect(rects) {
+    const left = Math.min(...rects.map(rect => rect.left));
+    const top = Math.min(...rects.map(rect => rect.top));
+
+    return {
+        left,
+        top,
+        width: Math.max(...rects.map(rect => rect.left + rect.width)) - left,
+        height: Math.max(...rects.map(rect => rect.top + rect.height)) - top
+    };
+}
+
+/**
+ * Make the rectangle of a size at the origin of the canvas
+ * @param {{width: number, height: number}} size - size
+ * @returns {{left: number, top: number, width: number, height: number}} rect
+ */
+function toRect({width, height}) {
+    return {
+        left: 0,
+        top: 0,
+        width,
+        height
+    };
+}
+
+/**
+ * Get the rectangle of the reference of the alignment
+ * @param {Graphics} graphics - Graphics instance
+ * @param {string} reference - 'selection', 'image' or 'canvas'
+ * @param {Array.<Object>} rects - bounding rects of the objects
+ * @returns {{left: number, top: number, width: number, height: number}} reference rect
+ */
+function getReferenceRect(graphics, reference, rects) {
+    const canvas = graphics.getCanvas();
+
+    if (reference === 'image') {
+        return toRect(graphics.getCanvasSize());
+    }
+    if (reference === 'canvas') {
+        return toRect({
+            width: canvas.getWidth(),
+            height: canvas.getHeight()
+        });
+    }
+
+    return getUnionRect(rects);
+}
+
+/**
+ * Whether the types of the arguments are valid
+ * @param {Array.<number>} ids - object ids
+ * @param {string} mode - alignment mode
+ * @param {string} reference - reference of the alignment
+ * @returns {boolean}
+ */
+function isValidArguments(ids, mode, reference) {
+    return isArray(ids) && ids.length > 0 && !!ALIGN_MODES[mode] && REFERENCES.indexOf(reference) > -1;
+}
+
+/**
+ * Get the error of the arguments
+ * @param {Graphics} graphics - Graphics instance
+ * @param {Array.<number>} ids - object ids
+ * @param {string} mode - alignment mode
+ * @param {string} reference - reference of the alignment
+ * @returns {?ErrorMsg} error message, null if the arguments are valid
+ */
+function getArgumentError(graphics, ids, mode, reference) {
+    const order = graphics.getObjectOrder();
+
+    if (!isValidArguments(ids, mode, reference)) {
+        return rejectMessages.invalidParameters;
+    }
+    if (ids.some(id => order.indexOf(id) < 0)) {
+        return rejectMessages.noObject;
+    }
+    if (reference === 'image' && !graphics.getCanvasImage()) {
+        return rejectMessages.loadImage;
+    }
+
+    return null;
+}
+
+const command = {
+    name: commandNames.ALIGN_OBJECTS,
+    label: 'Align objects',
+
+    /**
+     * Align objects to the selection of them, the image or the canvas
+     * @param {Graphics} graphics - Graphics instance
+     * @param {Array.<number>} ids - object ids
+     * @param {string} mode - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+     * @param {string} [reference='selection'] - 'selection', 'image' or 'canvas'
+     * @returns {Promise}
+     */
+    execute(graphics, ids, mode, reference = 'selection') {
+        const error = getArgumentError(graphics, ids, mode, reference);
+
+        if (error) {
+            return Promise.reject(error);
+        }
+
+        // the objects in the active group have the positions relative to the group
+        graphics.discardSelection();
+
+        const {axis, ratio} = ALIGN_MODES[mode];
+        const [start, size] = axis === 'x' ? ['left', 'width'] : ['top', 'height'];
+        const rects = ids.map(id => graphics.getObjectBoundingRect(id));
+        const referenceRect = getReferenceRect(graphics, reference, rects);
+        const alignedPoint = referenceRect[start] + (referenceRect[size] * ratio);
+
+        this.undoData.objects = ids.map(id => graphics.getObject(id));
+        this.undoData.props = ids.map(id => graphics.getObjectProperties(id, ['left', 'top']));
+
+        forEachArray(ids, (id, index) => {
+            const center = graphics.getObjectPosition(id, 'center', 'center');
+            const rect = rects[index];
+
+            center[axis] += alignedPoint - (rect[start] + (rect[size] * ratio));
+            graphics.setObjectPosition(id, {
+                x: center.x,
+                y: center.y,
+                originX: 'center',
+                originY: 'center'
+            });
+        });
+        graphics.renderAll();
+
+        return Promise.resolve();
+    },
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @returns {Promise}
+     */
+    undo(graphics) {
+        const {objects, props} = this.undoData;
+
+        graphics.discardSelection();
+        forEachArray(objects, (obj, index) => {
+            graphics.setObjectProperties(stampObject(obj), props[index]);
+        });
+        graphics.renderAll();
+
+        return Promise.resolve();
+    }
+};
+
+commandFactory.register(command);
+
+module.exports = command;
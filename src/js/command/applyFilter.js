@@ -10,6 +10,7 @@ const {FILTER} = componentNames;
 
 const command = {
     name: commandNames.APPLY_FILTER,
+    label: 'Apply filter',
 
     /**
      * Apply a filter into an image
@@ -66,6 +67,16 @@ const command = {
 
         // filter added case
         return filterComp.remove(type);
+    },
+
+    /**
+     * The option changes of the same filter can be merged except the mask
+     * @param {Graphics} graphics - Graphics instance
+     * @param {string} type - Filter type
+     * @returns {?string} merge key
+     */
+    getMergeKey(graphics, type) {
+        return type === 'mask' ? null : type;
     }
 };
 
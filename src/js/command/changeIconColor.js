@@ -11,6 +11,7 @@ const {ICON} = componentNames;
 
 const command = {
     name: commandNames.CHANGE_ICON_COLOR,
+    label: 'Change icon color',
 
     /**
      * Change icon color
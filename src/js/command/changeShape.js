@@ -12,6 +12,7 @@ const {SHAPE} = componentNames;
 
 const command = {
     name: commandNames.CHANGE_SHAPE,
+    label: 'Change shape',
 
     /**
      * Change a shape
@@ -55,6 +56,17 @@ const command = {
         const {object: shape, options} = this.undoData;
 
         return shapeComp.change(shape, options);
+    },
+
+    /**
+     * The changes of the same options on the same shape can be merged
+     * @param {Graphics} graphics - Graphics instance
+     * @param {number} id - object id
+     * @param {Object} options - Shape options
+     * @returns {string} merge key
+     */
+    getMergeKey(graphics, id, options) {
+        return `${id}:${Object.keys(options).sort().join(',')}`;
     }
 };
 
@@ -11,6 +11,7 @@ const {TEXT} = componentNames;
 
 const command = {
     name: commandNames.CHANGE_TEXT,
+    label: 'Change text',
 
     /**
      * Change a text
@@ -12,6 +12,7 @@ const {TEXT} = componentNames;
 
 const command = {
     name: commandNames.CHANGE_TEXT_STYLE,
+    label: 'Change text style',
 
     /**
      * Change text styles
@@ -52,6 +53,17 @@ const command = {
         const {object: textObj, styles} = this.undoData;
 
         return textComp.setStyle(textObj, styles);
+    },
+
+    /**
+     * The changes of the same styles on the same text can be merged
+     * @param {Graphics} graphics - Graphics instance
+     * @param {number} id - object id
+     * @param {Object} styles - text styles
+     * @returns {string} merge key
+     */
+    getMergeKey(graphics, id, styles) {
+        return `${id}:${Object.keys(styles).sort().join(',')}`;
     }
 };
 
@@ -10,6 +10,7 @@ const {commandNames} = consts;
 
 const command = {
     name: commandNames.CLEAR_OBJECTS,
+    label: 'Clear objects',
 
     /**
      * Clear all objects without background (main) image
@@ -0,0 +1,54 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Crop the background image
+ */
+import Promise from 'core-js/library/es6/promise';
+import commandFactory from '../factory/command';
+import loadImageCommand from './loadImage';
+import consts from '../consts';
+
+const {commandNames, rejectMessages} = consts;
+
+const command = {
+    name: commandNames.CROP,
+    label: 'Crop',
+
+    /**
+     * Crop the background image and load it as the new one
+     * @param {Graphics} graphics - Graphics instance
+     * @param {Object} rect - Crop rect
+     *  @param {Number} rect.left left position
+     *  @param {Number} rect.top top position
+     *  @param {Number} rect.width width
+     *  @param {Number} rect.height height
+     * @returns {Promise}
+     */
+    execute(graphics, rect) {
+        const data = graphics.getCroppedImageData(rect);
+        if (!data) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+
+        return loadImageCommand.execute.call(this, graphics, data.imageName, data.url);
+    },
+
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @returns {Promise}
+     */
+    undo(graphics) {
+        return loadImageCommand.undo.call(this, graphics);
+    },
+
+    /**
+     * The objects removed with the previous image are affected
+     * @returns {Array.<number>} affected object ids
+     */
+    getObjectIds() {
+        return loadImageCommand.getObjectIds.call(this);
+    }
+};
+
+commandFactory.register(command);
+
+module.exports = command;
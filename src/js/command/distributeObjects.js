@@ -0,0 +1,109 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Distribute objects
+ */
+import {isArray, forEachArray} from 'tui-code-snippet';
+import commandFactory from '../factory/command';
+import Promise from 'core-js/library/es6/promise';
+import consts from '../consts';
+import {stampObject} from '../util';
+
+const {commandNames, rejectMessages} = consts;
+
+/**
+ * Keys of the start and the size of a rect on the distribution axes
+ * @type {Object.<string, {axis: string, start: string, size: string}>}
+ */
+const DISTRIBUTION_AXES = {
+    horizontal: {
+        axis: 'x',
+        start: 'left',
+        size: 'width'
+    },
+    vertical: {
+        axis: 'y',
+        start: 'top',
+        size: 'height'
+    }
+};
+
+/**
+ * Minimum number of the distributed objects, the first and the last ones are not moved
+ * @type {number}
+ */
+const MIN_OBJECT_COUNT = 3;
+
+const command = {
+    name: commandNames.DISTRIBUTE_OBJECTS,
+    label: 'Distribute objects',
+
+    /**
+     * Distribute objects with the even gaps between the first and the last ones on an axis
+     * @param {Graphics} graphics - Graphics instance
+     * @param {Array.<number>} ids - ids of three or more objects
+     * @param {string} axis - 'horizontal' or 'vertical'
+     * @returns {Promise}
+     */
+    execute(graphics, ids, axis) {
+        const order = graphics.getObjectOrder();
+        const distributionAxis = DISTRIBUTION_AXES[axis];
+
+        if (!isArray(ids) || ids.length < MIN_OBJECT_COUNT || !distributionAxis) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+        if (ids.some(id => order.indexOf(id) < 0)) {
+            return Promise.reject(rejectMessages.noObject);
+        }
+
+        // the objects in the active group have the positions relative to the group
+        graphics.discardSelection();
+        this.undoData.objects = ids.map(id => graphics.getObject(id));
+        this.undoData.props = ids.map(id => graphics.getObjectProperties(id, ['left', 'top']));
+
+        const {start, size} = distributionAxis;
+        const items = ids.map(id => ({
+            id,
+            rect: graphics.getObjectBoundingRect(id)
+        })).sort((a, b) => a.rect[start] - b.rect[start]);
+        const first = items[0].rect;
+        const last = items[items.length - 1].rect;
+        const sizeSum = items.reduce((sum, item) => sum + item.rect[size], 0);
+        const gap = (last[start] + last[size] - first[start] - sizeSum) / (items.length - 1);
+        let position = first[start];
+
+        forEachArray(items, ({id, rect}) => {
+            const center = graphics.getObjectPosition(id, 'center', 'center');
+
+            center[distributionAxis.axis] += position - rect[start];
+            graphics.setObjectPosition(id, {
+                x: center.x,
+                y: center.y,
+                originX: 'center',
+                originY: 'center'
+            });
+            position += rect[size] + gap;
+        });
+        graphics.renderAll();
+
+        return Promise.resolve();
+    },
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @returns {Promise}
+     */
+    undo(graphics) {
+        const {objects, props} = this.undoData;
+
+        graphics.discardSelection();
+        forEachArray(objects, (obj, index) => {
+            graphics.setObjectProperties(stampObject(obj), props[index]);
+        });
+        graphics.renderAll();
+
+        return Promise.resolve();
+    }
+};
+
+commandFactory.register(command);
+
+module.exports = command;
@@ -10,6 +10,7 @@ const {FLIP} = componentNames;
 
 const command = {
     name: commandNames.FLIP_IMAGE,
+    label: 'Flip image',
 
     /**
      * flip an image
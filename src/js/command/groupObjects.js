@@ -0,0 +1,67 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Group objects
+ */
+import {isArray, forEachArray} from 'tui-code-snippet';
+import commandFactory from '../factory/command';
+import Promise from 'core-js/library/es6/promise';
+import consts from '../consts';
+import {stampObject} from '../util';
+
+const {commandNames, rejectMessages} = consts;
+
+const command = {
+    name: commandNames.GROUP_OBJECTS,
+    label: 'Group objects',
+
+    /**
+     * Group objects into a persistent group
+     * @param {Graphics} graphics - Graphics instance
+     * @param {Array.<number>} ids - ids of two or more objects
+     * @returns {Promise}
+     */
+    execute(graphics, ids) {
+        const order = graphics.getObjectOrder();
+
+        if (!isArray(ids)) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+        if (ids.some(id => order.indexOf(id) < 0)) {
+            return Promise.reject(rejectMessages.noObject);
+        }
+        if (order.filter(id => ids.indexOf(id) > -1).length < 2) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+
+        const group = graphics.groupObjects(ids);
+
+        // the redone group keeps the id for the next commands in the redo stack
+        if (this.undoData.group) {
+            graphics.changeObjectIds([stampObject(group)], [stampObject(this.undoData.group)]);
+        }
+        this.undoData.group = group;
+        this.undoData.order = order;
+        graphics.renderAll();
+
+        return Promise.resolve(graphics.createObjectProperties(group));
+    },
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @returns {Promise}
+     */
+    undo(graphics) {
+        const {group, order} = this.undoData;
+
+        graphics.ungroupObjects(stampObject(group));
+        forEachArray(order, (id, index) => {
+            graphics.setObjectIndex(id, index);
+        });
+        graphics.renderAll();
+
+        return Promise.resolve();
+    }
+};
+
+commandFactory.register(command);
+
+module.exports = command;
@@ -0,0 +1,33 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Register the built-in commands
+ */
+import './addIcon';
+import './addImageObject';
+import './addObject';
+import './addShape';
+import './addText';
+import './alignObjects';
+import './applyFilter';
+import './changeIconColor';
+import './changeShape';
+import './changeText';
+import './changeTextStyle';
+import './clearObjects';
+import './crop';
+import './distributeObjects';
+import './flip';
+import './groupObjects';
+import './loadImage';
+import './moveObjects';
+import './removeFilter';
+import './removeObject';
+import './resizeCanvasDimension';
+import './rotate';
+import './setObjectEffects';
+import './setObjectLocked';
+import './setObjectProperties';
+import './setObjectPosition';
+import './setObjectIndex';
+import './setObjectVisibility';
+import './ungroupObjects';
@@ -4,12 +4,14 @@
  */
 import commandFactory from '../factory/command';
 import consts from '../consts';
+import {stampObject} from '../util';
 
 const {componentNames, commandNames} = consts;
 const {IMAGE_LOADER} = componentNames;
 
 const command = {
     name: commandNames.LOAD_IMAGE,
+    label: 'Load image',
 
     /**
      * Load a background (main) image
@@ -26,7 +28,7 @@ const command = {
         const objects = graphics.removeAll(true).filter(objectItem => objectItem.type !== 'cropzone');
 
         objects.forEach(objectItem => {
-            objectItem.evented = true;
+            objectItem.evented = !objectItem.locked;
         });
 
         this.undoData = {
@@ -55,6 +57,14 @@ const command = {
         graphics.add(objects);
 
         return loader.load(name, image);
+    },
+
+    /**
+     * The objects removed with the previous image are affected, not the background image itself
+     * @returns {Array.<number>} affected object ids
+     */
+    getObjectIds() {
+        return this.undoData.objects.map(obj => stampObject(obj));
     }
 };
 
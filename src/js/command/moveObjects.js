@@ -0,0 +1,108 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Move objects, e.g. by the arrow keys
+ */
+import {isArray, forEachArray} from 'tui-code-snippet';
+import commandFactory from '../factory/command';
+import Promise from 'core-js/library/es6/promise';
+import consts from '../consts';
+
+const {commandNames, rejectMessages} = consts;
+
+/**
+ * Get the error message of the arguments
+ * @param {Graphics} graphics - Graphics instance
+ * @param {Array.<number>} ids - object ids
+ * @param {Array.<{left: number, top: number}>} positions - positions of the objects
+ * @returns {?ErrorMsg} error message, null if the arguments are valid
+ */
+function getArgumentError(graphics, ids, positions) {
+    const order = graphics.getObjectOrder();
+
+    if (!isArray(ids) || !isArray(positions) || ids.length !== positions.length) {
+        return rejectMessages.invalidParameters;
+    }
+    if (ids.some(id => order.indexOf(id) < 0)) {
+        return rejectMessages.noObject;
+    }
+
+    return null;
+}
+
+const command = {
+    name: commandNames.MOVE_OBJECTS,
+    label: 'Move objects',
+
+    /**
+     * Move objects to the positions
+     * @param {Graphics} graphics - Graphics instance
+     * @param {Array.<number>} ids - object ids
+     * @param {Array.<{left: number, top: number}>} positions - positions of the objects on the canvas
+     * @returns {Promise}
+     */
+    execute(graphics, ids, positions) {
+        const error = getArgumentError(graphics, ids, positions);
+
+        if (error) {
+            return Promise.reject(error);
+        }
+
+        // the objects in the active group have the positions relative to the group
+        if (graphics.getActiveGroupObject()) {
+            graphics.discardSelection();
+        }
+
+        this.undoData.props = ids.map(id => graphics.getObjectProperties(id, ['left', 'top']));
+
+        forEachArray(ids, (id, index) => {
+            const {left, top} = positions[index];
+
+            graphics.setObjectProperties(id, {
+                left,
+                top
+            });
+        });
+
+        return Promise.resolve();
+    },
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @param {Array.<number>} ids - object ids
+     * @returns {Promise}
+     */
+    undo(graphics, ids) {
+        const {props} = this.undoData;
+
+        if (graphics.getActiveGroupObject()) {
+            graphics.discardSelection();
+        }
+        forEachArray(ids, (id, index) => {
+            graphics.setObjectProperties(id, props[index]);
+        });
+
+        return Promise.resolve();
+    },
+
+    /**
+     * The moves of the same objects can be merged
+     * @param {Graphics} graphics - Graphics instance
+     * @param {Array.<number>} ids - object ids
+     * @returns {string} merge key
+     */
+    getMergeKey(graphics, ids) {
+        return ids.join(',');
+    },
+
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @param {Array.<number>} ids - object ids
+     * @returns {Array.<number>} affected object ids
+     */
+    getObjectIds(graphics, ids) {
+        return ids;
+    }
+};
+
+commandFactory.register(command);
+
+module.exports = command;
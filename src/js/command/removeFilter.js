@@ -10,6 +10,7 @@ const {FILTER} = componentNames;
 
 const command = {
     name: commandNames.REMOVE_FILTER,
+    label: 'Remove filter',
 
     /**
      * Remove a filter from an image
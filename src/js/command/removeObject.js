@@ -10,6 +10,7 @@ const {commandNames, rejectMessages} = consts;
 
 const command = {
     name: commandNames.REMOVE_OBJECT,
+    label: 'Remove object',
 
     /**
      * Remove an object
@@ -10,6 +10,7 @@ const {commandNames} = consts;
 
 const command = {
     name: commandNames.RESIZE_CANVAS_DIMENSION,
+    label: 'Resize canvas',
 
     /**
      * resize the canvas with given dimension
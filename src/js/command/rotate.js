@@ -10,6 +10,7 @@ const {ROTATION} = componentNames;
 
 const command = {
     name: commandNames.ROTATE_IMAGE,
+    label: 'Rotate image',
 
     /**
      * Rotate an image
@@ -34,6 +35,16 @@ const command = {
         const {angle} = this.undoData;
 
         return rotationComp.setAngle(angle);
+    },
+
+    /**
+     * Only the absolute angles can be merged, the relative rotations accumulate
+     * @param {Graphics} graphics - Graphics instance
+     * @param {string} type - 'rotate' or 'setAngle'
+     * @returns {?string} merge key
+     */
+    getMergeKey(graphics, type) {
+        return type === 'setAngle' ? type : null;
     }
 };
 
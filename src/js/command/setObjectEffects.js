@@ -0,0 +1,94 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Set the shadow and the outline of an object
+ */
+import snippet from 'tui-code-snippet';
+import commandFactory from '../factory/command';
+import Promise from 'core-js/library/es6/promise';
+import consts from '../consts';
+
+const {commandNames, rejectMessages} = consts;
+const {isUndefined, isNumber} = snippet;
+
+/**
+ * Whether the effect is an object, null to remove it or not set to keep it
+ * @param {?Object} [effect] - shadow or outline
+ * @returns {boolean}
+ */
+function isValidEffect(effect) {
+    return isUndefined(effect) || effect === null || typeof effect === 'object';
+}
+
+/**
+ * Whether the width of the outline is not negative
+ * @param {?Object} [outline] - outline
+ * @returns {boolean}
+ */
+function isValidOutlineWidth(outline) {
+    return !outline || isUndefined(outline.width) || (isNumber(outline.width) && outline.width >= 0);
+}
+
+/**
+ * Whether the effects are valid
+ * @param {Object} effects - effects
+ * @returns {boolean}
+ */
+function isValidEffects(effects) {
+    return !!effects && isValidEffect(effects.shadow) && isValidEffect(effects.outline) &&
+        isValidOutlineWidth(effects.outline);
+}
+
+const command = {
+    name: commandNames.SET_OBJECT_EFFECTS,
+    label: 'Change object effects',
+
+    /**
+     * Set the shadow and the outline of an object
+     * @param {Graphics} graphics - Graphics instance
+     * @param {number} id - object id
+     * @param {Object} effects - effects, null removes an effect and the effect not set is kept
+     *     @param {?Object} [effects.shadow] - shadow, {color, blur, offsetX, offsetY}
+     *     @param {?Object} [effects.outline] - outline, {color, width}
+     * @returns {Promise}
+     */
+    execute(graphics, id, effects) {
+        const targetObj = graphics.getObject(id);
+
+        if (!targetObj) {
+            return Promise.reject(rejectMessages.noObject);
+        }
+        if (!isValidEffects(effects)) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+
+        this.undoData.objectId = id;
+        this.undoData.effects = graphics.getObjectEffects(id);
+        graphics.setObjectEffects(id, effects);
+
+        return Promise.resolve(graphics.getObjectEffects(id));
+    },
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @returns {Promise}
+     */
+    undo(graphics) {
+        const {objectId, effects} = this.undoData;
+
+        graphics.setObjectEffects(objectId, effects);
+
+        return Promise.resolve();
+    },
+
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @param {number} id - object id
+     * @returns {Array.<number>} affected object ids
+     */
+    getObjectIds(graphics, id) {
+        return [id];
+    }
+};
+
+commandFactory.register(command);
+
+module.exports = command;
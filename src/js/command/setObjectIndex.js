@@ -0,0 +1,61 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Change the stacking order of an object
+ */
+import commandFactory from '../factory/command';
+import Promise from 'core-js/library/es6/promise';
+import consts from '../consts';
+import {clamp} from '../util';
+
+const {commandNames, rejectMessages} = consts;
+
+const command = {
+    name: commandNames.SET_OBJECT_INDEX,
+    label: 'Change object order',
+
+    /**
+     * Move an object to the index in the stacking order
+     * @param {Graphics} graphics - Graphics instance
+     * @param {number} id - object id
+     * @param {number} index - index from the back, it is clamped to the range of the objects
+     * @returns {Promise}
+     */
+    execute(graphics, id, index) {
+        const targetObj = graphics.getObject(id);
+
+        if (!targetObj) {
+            return Promise.reject(rejectMessages.noObject);
+        }
+
+        const prevIndex = graphics.getObjectIndex(id);
+        const newIndex = clamp(index, 0, graphics.getObjectOrder().length - 1);
+
+        if (prevIndex === newIndex) {
+            return Promise.reject(rejectMessages.objectOrder);
+        }
+
+        this.undoData.objectId = id;
+        this.undoData.index = prevIndex;
+
+        graphics.setObjectIndex(id, newIndex);
+        graphics.renderAll();
+
+        return Promise.resolve();
+    },
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @returns {Promise}
+     */
+    undo(graphics) {
+        const {objectId, index} = this.undoData;
+
+        graphics.setObjectIndex(objectId, index);
+        graphics.renderAll();
+
+        return Promise.resolve();
+    }
+};
+
+commandFactory.register(command);
+
+module.exports = command;
@@ -0,0 +1,50 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Lock or unlock an object
+ */
+import commandFactory from '../factory/command';
+import Promise from 'core-js/library/es6/promise';
+import consts from '../consts';
+
+const {commandNames, rejectMessages} = consts;
+
+const command = {
+    name: commandNames.SET_OBJECT_LOCKED,
+    label: 'Change object lock',
+
+    /**
+     * Lock or unlock an object
+     * @param {Graphics} graphics - Graphics instance
+     * @param {number} id - object id
+     * @param {boolean} locked - whether the object is locked
+     * @returns {Promise}
+     */
+    execute(graphics, id, locked) {
+        const targetObj = graphics.getObject(id);
+
+        if (!targetObj) {
+            return Promise.reject(rejectMessages.noObject);
+        }
+
+        this.undoData.objectId = id;
+        this.undoData.locked = !!targetObj.locked;
+        graphics.setObjectLocked(id, locked);
+
+        return Promise.resolve();
+    },
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @returns {Promise}
+     */
+    undo(graphics) {
+        const {objectId, locked} = this.undoData;
+
+        graphics.setObjectLocked(objectId, locked);
+
+        return Promise.resolve();
+    }
+};
+
+commandFactory.register(command);
+
+module.exports = command;
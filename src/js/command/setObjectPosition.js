@@ -10,6 +10,7 @@ const {commandNames, rejectMessages} = consts;
 
 const command = {
     name: commandNames.SET_OBJECT_POSITION,
+    label: 'Move object',
 
     /**
      * Set object properties
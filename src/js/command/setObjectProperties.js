@@ -7,10 +7,30 @@ import commandFactory from '../factory/command';
 import Promise from 'core-js/library/es6/promise';
 import consts from '../consts';
 
-const {commandNames, rejectMessages} = consts;
+const {commandNames, rejectMessages, blendModes} = consts;
+const {isUndefined, isNumber} = snippet;
+
+/**
+ * Whether the opacity is a number from 0 to 1
+ * @param {number} [opacity] - opacity, it is valid if not set
+ * @returns {boolean}
+ */
+function isValidOpacity(opacity) {
+    return isUndefined(opacity) || (isNumber(opacity) && opacity >= 0 && opacity <= 1);
+}
+
+/**
+ * Whether the blend mode is supported
+ * @param {string} [blendMode] - value of "globalCompositeOperation", it is valid if not set
+ * @returns {boolean}
+ */
+function isValidBlendMode(blendMode) {
+    return isUndefined(blendMode) || blendModes.indexOf(blendMode) > -1;
+}
 
 const command = {
     name: commandNames.SET_OBJECT_PROPERTIES,
+    label: 'Change object properties',
 
     /**
      * Set object properties
@@ -24,6 +44,8 @@ const command = {
      *     @param {string} [props.fontWeight] Type of thicker or thinner looking (normal / bold)
      *     @param {string} [props.textAlign] Type of text align (left / center / right)
      *     @param {string} [props.textDecoraiton] Type of line (underline / line-throgh / overline)
+     *     @param {number} [props.opacity] Opacity from 0 to 1
+     *     @param {string} [props.globalCompositeOperation] Blend mode (multiply / screen / overlay / ...)
      * @returns {Promise}
      */
     execute(graphics, id, props) {
@@ -32,6 +54,9 @@ const command = {
         if (!targetObj) {
             return Promise.reject(rejectMessages.noObject);
         }
+        if (!isValidOpacity(props.opacity) || !isValidBlendMode(props.globalCompositeOperation)) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
 
         this.undoData.props = {};
         snippet.forEachOwnProperties(props, (value, key) => {
@@ -53,6 +78,15 @@ const command = {
         graphics.setObjectProperties(id, props);
 
         return Promise.resolve();
+    },
+
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @param {number} id - object id
+     * @returns {Array.<number>} affected object ids
+     */
+    getObjectIds(graphics, id) {
+        return [id];
     }
 };
 
@@ -0,0 +1,50 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Show or hide an object
+ */
+import commandFactory from '../factory/command';
+import Promise from 'core-js/library/es6/promise';
+import consts from '../consts';
+
+const {commandNames, rejectMessages} = consts;
+
+const command = {
+    name: commandNames.SET_OBJECT_VISIBILITY,
+    label: 'Change object visibility',
+
+    /**
+     * Show or hide an object
+     * @param {Graphics} graphics - Graphics instance
+     * @param {number} id - object id
+     * @param {boolean} visible - whether the object is visible
+     * @returns {Promise}
+     */
+    execute(graphics, id, visible) {
+        const targetObj = graphics.getObject(id);
+
+        if (!targetObj) {
+            return Promise.reject(rejectMessages.noObject);
+        }
+
+        this.undoData.objectId = id;
+        this.undoData.visible = targetObj.visible;
+        graphics.setObjectVisibility(id, visible);
+
+        return Promise.resolve();
+    },
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @returns {Promise}
+     */
+    undo(graphics) {
+        const {objectId, visible} = this.undoData;
+
+        graphics.setObjectVisibility(objectId, visible);
+
+        return Promise.resolve();
+    }
+};
+
+commandFactory.register(command);
+
+module.exports = command;
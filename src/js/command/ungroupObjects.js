@@ -0,0 +1,61 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Ungroup a group
+ */
+import commandFactory from '../factory/command';
+import Promise from 'core-js/library/es6/promise';
+import consts from '../consts';
+import {getProperties, stampObject} from '../util';
+
+const {commandNames, rejectMessages} = consts;
+
+/**
+ * Properties of an object changed to the transform on the canvas by ungrouping
+ * @type {Array.<string>}
+ */
+const TRANSFORM_KEYS = ['left', 'top', 'angle', 'scaleX', 'scaleY', 'skewX', 'skewY', 'flipX', 'flipY'];
+
+const command = {
+    name: commandNames.UNGROUP_OBJECTS,
+    label: 'Ungroup objects',
+
+    /**
+     * Ungroup a group made by "groupObjects"
+     * @param {Graphics} graphics - Graphics instance
+     * @param {number} id - group id
+     * @returns {Promise}
+     */
+    execute(graphics, id) {
+        const group = graphics.getObject(id);
+
+        if (!group) {
+            return Promise.reject(rejectMessages.noObject);
+        }
+        if (!group.isType('group')) {
+            return Promise.reject(rejectMessages.notGroup);
+        }
+
+        this.undoData.group = group;
+        this.undoData.transforms = group.getObjects().map(obj => getProperties(obj, TRANSFORM_KEYS));
+        this.undoData.objects = graphics.ungroupObjects(id);
+        graphics.renderAll();
+
+        return Promise.resolve(this.undoData.objects.map(obj => stampObject(obj)));
+    },
+    /**
+     * @param {Graphics} graphics - Graphics instance
+     * @returns {Promise}
+     */
+    undo(graphics) {
+        const {group, transforms} = this.undoData;
+
+        graphics.restoreGroup(group, transforms);
+        graphics.renderAll();
+
+        return Promise.resolve();
+    }
+};
+
+commandFactory.register(command);
+
+module.exports = command;
@@ -3,10 +3,9 @@
  * @fileoverview Image crop module (start cropping, end cropping)
  */
 import snippet from 'tui-code-snippet';
-import fabric from 'fabric/dist/fabric.require';
 import Component from '../interface/component';
 import Cropzone from '../extension/cropzone';
-import {keyCodes, componentNames} from '../consts';
+import {componentNames} from '../consts';
 import {clamp} from '../util';
 
 const MOUSE_MOVE_THRESHOLD = 10;
@@ -50,11 +49,11 @@ class Cropper extends Component {
         this._startY = null;
 
         /**
-         * State whether shortcut key is pressed or not
+         * Whether the key to keep the ratio is pressed
          * @type {boolean}
          * @private
          */
-        this._withShiftKey = false;
+        this._keepRatio = false;
 
         /**
          * Listeners
@@ -62,8 +61,6 @@ class Cropper extends Component {
          * @private
          */
         this._listeners = {
-            keydown: this._onKeyDown.bind(this),
-            keyup: this._onKeyUp.bind(this),
             mousedown: this._onFabricMouseDown.bind(this),
             mousemove: this._onFabricMouseMove.bind(this),
             mouseup: this._onFabricMouseUp.bind(this)
@@ -103,9 +100,6 @@ class Cropper extends Component {
         canvas.on('mouse:down', this._listeners.mousedown);
         canvas.selection = false;
         canvas.defaultCursor = 'crosshair';
-
-        fabric.util.addListener(document, 'keydown', this._listeners.keydown);
-        fabric.util.addListener(document, 'keyup', this._listeners.keyup);
     }
 
     /**
@@ -123,13 +117,18 @@ class Cropper extends Component {
         canvas.defaultCursor = 'default';
         canvas.off('mouse:down', this._listeners.mousedown);
         canvas.forEachObject(obj => {
-            obj.evented = true;
+            obj.evented = !obj.locked;
         });
 
         this._cropzone = null;
+    }
 
-        fabric.util.removeListener(document, 'keydown', this._listeners.keydown);
-        fabric.util.removeListener(document, 'keyup', this._listeners.keyup);
+    /**
+     * Make the cropzone square while the key to keep the ratio is pressed
+     * @param {boolean} keepRatio - whether the key is pressed
+     */
+    setKeepRatio(keepRatio) {
+        this._keepRatio = keepRatio;
     }
 
     /**
@@ -193,7 +192,7 @@ class Cropper extends Component {
         let width = clamp(x, startX, canvasWidth) - left; // (startX <= x(mouse) <= canvasWidth) - left
         let height = clamp(y, startY, canvasHeight) - top; // (startY <= y(mouse) <= canvasHeight) - top
 
-        if (this._withShiftKey) { // make fixed ratio cropzone
+        if (this._keepRatio) { // make fixed ratio cropzone
             if (width > height) {
                 height = width;
             } else if (height > width) {
@@ -336,28 +335,6 @@ class Cropper extends Component {
             height
         };
     }
-
-    /**
-     * Keydown event handler
-     * @param {KeyboardEvent} e - Event object
-     * @private
-     */
-    _onKeyDown(e) {
-        if (e.keyCode === keyCodes.SHIFT) {
-            this._withShiftKey = true;
-        }
-    }
-
-    /**
-     * Keyup event handler
-     * @param {KeyboardEvent} e - Event object
-     * @private
-     */
-    _onKeyUp(e) {
-        if (e.keyCode === keyCodes.SHIFT) {
-            this._withShiftKey = false;
-        }
-    }
 }
 
 module.exports = Cropper;
@@ -0,0 +1,151 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Effects module, set the shadow and the outline of the objects
+ */
+import snippet from 'tui-code-snippet';
+import Component from '../interface/component';
+import {componentNames} from '../consts';
+
+const {extend, isUndefined, forEachArray} = snippet;
+
+/**
+ * Default shadow, a glow is the shadow without the offsets
+ * @type {{color: string, blur: number, offsetX: number, offsetY: number}}
+ */
+const DEFAULT_SHADOW = {
+    color: 'rgba(0, 0, 0, 0.6)',
+    blur: 10,
+    offsetX: 5,
+    offsetY: 5
+};
+
+/**
+ * Default outline
+ * @type {{color: string, width: number}}
+ */
+const DEFAULT_OUTLINE = {
+    color: '#000000',
+    width: 4
+};
+
+/**
+ * Render an object with its outline, it is set as "_render" of the outlined object.
+ * The object is rendered with a wider stroke of the outline color first, and then rendered without the shadow over it.
+ * @param {CanvasRenderingContext2D} ctx - context to render the object
+ * @param {boolean} [noTransform] - fabric render option
+ * @this fabric.Object
+ * @ignore
+ */
+function renderWithOutline(ctx, noTransform) {
+    const {_render: render} = Object.getPrototypeOf(this);
+    const scale = (Math.abs(this.scaleX) + Math.abs(this.scaleY)) / 2;
+    const stroke = {
+        stroke: this.stroke,
+        strokeWidth: this.strokeWidth,
+        strokeDashArray: this.strokeDashArray,
+        strokeLineJoin: this.strokeLineJoin
+    };
+
+    extend(this, {
+        stroke: this.outline.color,
+        strokeWidth: (this.stroke ? this.strokeWidth : 0) + (this.outline.width * 2 / scale),
+        strokeDashArray: null,
+        strokeLineJoin: 'round'
+    });
+    this._setStrokeStyles(ctx);
+    render.call(this, ctx, noTransform);
+    extend(this, stroke);
+
+    this._removeShadow(ctx);
+    this._setStrokeStyles(ctx);
+    render.call(this, ctx, noTransform);
+}
+
+/**
+ * Effects
+ * @class Effects
+ * @param {Graphics} graphics - Graphics instance
+ * @extends {Component}
+ * @ignore
+ */
+class Effects extends Component {
+    constructor(graphics) {
+        super(componentNames.EFFECTS, graphics);
+    }
+
+    /**
+     * Set the effects of an object.
+     * An effect is merged with the current or the default one, null removes it and the effect not set is kept.
+     * @param {fabric.Object} obj - Fabric object
+     * @param {Object} effects - effects
+     *  @param {?Object} [effects.shadow] - shadow, {color, blur, offsetX, offsetY}
+     *  @param {?Object} [effects.outline] - outline, {color, width}
+     */
+    setEffects(obj, {shadow, outline}) {
+        const current = this.getEffects(obj);
+
+        if (!isUndefined(shadow)) {
+            obj.setShadow(shadow && extend({}, DEFAULT_SHADOW, current.shadow, shadow, {
+                affectStroke: true
+            }));
+        }
+        if (!isUndefined(outline)) {
+            this._setOutline(obj, outline && extend({}, DEFAULT_OUTLINE, current.outline, outline));
+        }
+    }
+
+    /**
+     * Get the effects of an object
+     * @param {fabric.Object} obj - Fabric object
+     * @returns {{shadow: ?Object, outline: ?Object}} effects, null if an effect is not set
+     */
+    getEffects(obj) {
+        const {shadow, outline} = obj;
+
+        return {
+            shadow: shadow ? {
+                color: shadow.color,
+                blur: shadow.blur,
+                offsetX: shadow.offsetX,
+                offsetY: shadow.offsetY
+            } : null,
+            outline: outline ? extend({}, outline) : null
+        };
+    }
+
+    /**
+     * Render the outlines of a restored object and its children again
+     * @param {fabric.Object} obj - Restored fabric object
+     */
+    restore(obj) {
+        if (obj.outline) {
+            this._setOutline(obj, obj.outline);
+        }
+        if (obj.isType('group')) {
+            forEachArray(obj.getObjects(), child => this.restore(child));
+        }
+    }
+
+    /**
+     * Set or remove the outline of an object
+     * @param {fabric.Object} obj - Fabric object
+     * @param {?{color: string, width: number}} outline - outline, null to remove it
+     * @private
+     */
+    _setOutline(obj, outline) {
+        if (outline) {
+            // the outline is drawn outside of the cache canvas which is fit to the object
+            obj.set({
+                outline,
+                objectCaching: false
+            });
+            obj._render = renderWithOutline;
+        } else {
+            delete obj.outline;
+            delete obj.objectCaching;
+            delete obj._render;
+        }
+    }
+}
+
+module.exports = Effects;
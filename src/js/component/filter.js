@@ -2,7 +2,7 @@
  * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
  * @fileoverview Add filter module
  */
-import {isUndefined, extend, forEach, filter} from 'tui-code-snippet';
+import {isUndefined, extend, forEach, filter, map} from 'tui-code-snippet';
 import Promise from 'core-js/library/es6/promise';
 import fabric from 'fabric/dist/fabric.require';
 import Component from '../interface/component';
@@ -114,6 +114,22 @@ class Filter extends Component {
         return extend({}, imgFilter.options);
     }
 
+    /**
+     * Get all applied filters in order
+     * @returns {Array.<{type: string, options: Object}>} applied filters
+     */
+    getAppliedFilters() {
+        const sourceImg = this._getSourceImage();
+        if (!sourceImg) {
+            return [];
+        }
+
+        return map(sourceImg.filters, imgFilter => ({
+            type: imgFilter.type,
+            options: extend({}, imgFilter.options)
+        }));
+    }
+
     /**
      * Change filter values
      * @param {Object} imgFilter object of filter
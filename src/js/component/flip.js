@@ -94,6 +94,9 @@ class Flip extends Component {
                     flipX: !obj.flipX,
                     left: canvas.width - obj.left
                 }).setCoords();
+                if (obj.shadow) {
+                    obj.shadow.offsetX *= -1;
+                }
             });
         }
         if (isChangingFlipY) {
@@ -103,6 +106,9 @@ class Flip extends Component {
                     flipY: !obj.flipY,
                     top: canvas.height - obj.top
                 }).setCoords();
+                if (obj.shadow) {
+                    obj.shadow.offsetY *= -1;
+                }
             });
         }
         canvas.renderAll();
@@ -0,0 +1,194 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Grid module, draw the grid over the canvas on an element excluded from the exports
+ */
+import snippet from 'tui-code-snippet';
+import Component from '../interface/component';
+import {componentNames} from '../consts';
+
+const {extend} = snippet;
+
+/**
+ * Default grid options
+ * @type {{spacing: number, color: string, subdivisions: number}}
+ */
+const DEFAULT_OPTIONS = {
+    spacing: 50,
+    color: 'rgba(0, 0, 0, 0.4)',
+    subdivisions: 1
+};
+
+/**
+ * Opacity of the lines of the subdivisions relative to the grid lines
+ * @type {number}
+ */
+const SUBDIVISION_ALPHA = 0.4;
+
+/**
+ * Grid
+ * @class Grid
+ * @param {Graphics} graphics - Graphics instance
+ * @extends {Component}
+ * @ignore
+ */
+class Grid extends Component {
+    constructor(graphics) {
+        super(componentNames.GRID, graphics);
+
+        /**
+         * Grid options
+         * @type {{spacing: number, color: string, subdivisions: number}}
+         * @private
+         */
+        this._options = extend({}, DEFAULT_OPTIONS);
+
+        /**
+         * Canvas element of the grid between the lower and the upper canvases, null if the grid is hidden
+         * @type {?HTMLCanvasElement}
+         * @private
+         */
+        this._element = null;
+
+        /**
+         * Key of the size drawn the grid to redraw it only after the size is changed
+         * @type {string}
+         * @private
+         */
+        this._drawnKey = '';
+
+        /**
+         * Listeners
+         * @type {object.<string, function>}
+         * @private
+         */
+        this._listeners = {
+            afterRender: this._onAfterRender.bind(this)
+        };
+    }
+
+    /**
+     * Show the grid
+     * @param {Object} [options] - Grid options, the last ones are kept
+     *  @param {number} [options.spacing=50] - Spacing of the grid lines in pixels of the image
+     *  @param {string} [options.color='rgba(0, 0, 0, 0.4)'] - Color of the grid lines
+     *  @param {number} [options.subdivisions=1] - Number of the divided cells of a grid cell
+     */
+    show(options = {}) {
+        const canvas = this.getCanvas();
+        const {lowerCanvasEl} = canvas;
+
+        this._options = extend(this._options, options);
+        if (!canvas.wrapperEl) {
+            return;
+        }
+
+        if (!this._element) {
+            this._element = document.createElement('canvas');
+            lowerCanvasEl.parentNode.insertBefore(this._element, lowerCanvasEl.nextSibling);
+            canvas.on('after:render', this._listeners.afterRender);
+        }
+        this._draw();
+    }
+
+    /**
+     * Hide the grid
+     */
+    hide() {
+        if (!this._element) {
+            return;
+        }
+
+        this._element.parentNode.removeChild(this._element);
+        this._element = null;
+        this._drawnKey = '';
+        this.getCanvas().off('after:render', this._listeners.afterRender);
+    }
+
+    /**
+     * Whether the grid is shown
+     * @returns {boolean}
+     */
+    isVisible() {
+        return !!this._element;
+    }
+
+    /**
+     * Get the grid options
+     * @returns {{spacing: number, color: string, subdivisions: number}}
+     */
+    getOptions() {
+        return extend({}, this._options);
+    }
+
+    /**
+     * Draw the grid in pixels of the image with the css size of the canvas
+     * @private
+     */
+    _draw() {
+        const canvas = this.getCanvas();
+        const {lowerCanvasEl} = canvas;
+        const width = canvas.getWidth();
+        const height = canvas.getHeight();
+        const {spacing, color, subdivisions} = this._options;
+        const divisions = Math.max(1, Math.floor(subdivisions));
+        const step = spacing / divisions;
+        const ctx = this._element.getContext('2d');
+
+        this._element.width = width;
+        this._element.height = height;
+        this._element.style.cssText = `${lowerCanvasEl.style.cssText} pointer-events: none;`;
+        this._drawnKey = this._getSizeKey();
+
+        if (!(spacing > 0)) {
+            return;
+        }
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width / (lowerCanvasEl.clientWidth || width);
+        for (let x = step, index = 1; x < width; x += step, index += 1) {
+            this._drawLine(ctx, [x, 0, x, height], index % divisions === 0);
+        }
+        for (let y = step, index = 1; y < height; y += step, index += 1) {
+            this._drawLine(ctx, [0, y, width, y], index % divisions === 0);
+        }
+    }
+
+    /**
+     * Draw a line of the grid or the subdivisions
+     * @param {CanvasRenderingContext2D} ctx - context of the grid canvas
+     * @param {Array.<number>} points - x1, y1, x2, y2
+     * @param {boolean} isGridLine - whether the line is the grid line or the subdivision one
+     * @private
+     */
+    _drawLine(ctx, [x1, y1, x2, y2], isGridLine) {
+        ctx.globalAlpha = isGridLine ? 1 : SUBDIVISION_ALPHA;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+    }
+
+    /**
+     * Get the key of the backstore and the css sizes of the canvas
+     * @returns {string}
+     * @private
+     */
+    _getSizeKey() {
+        const canvas = this.getCanvas();
+        const {lowerCanvasEl} = canvas;
+
+        return [canvas.getWidth(), canvas.getHeight(), lowerCanvasEl.clientWidth, lowerCanvasEl.style.cssText].join();
+    }
+
+    /**
+     * Redraw the grid after the size of the canvas is changed
+     * @private
+     */
+    _onAfterRender() {
+        if (this._drawnKey !== this._getSizeKey()) {
+            this._draw();
+        }
+    }
+}
+
+module.exports = Grid;
@@ -79,10 +79,26 @@ class Rotation extends Component {
                 angle: (obj.angle + angleDiff) % 360
             });
             obj.setCoords();
+            if (obj.shadow) {
+                this._rotateShadow(obj.shadow, radian);
+            }
         });
         canvas.renderAll();
     }
 
+    /**
+     * Rotate the offsets of a shadow, they are not rotated with the object
+     * @param {fabric.Shadow} shadow - Shadow of an object
+     * @param {number} radian - Image angle difference after rotation in radians
+     * @private
+     */
+    _rotateShadow(shadow, radian) {
+        const offset = fabric.util.rotateVector(new fabric.Point(shadow.offsetX, shadow.offsetY), radian);
+
+        shadow.offsetX = offset.x;
+        shadow.offsetY = offset.y;
+    }
+
     /**
      * Rotate the image
      * @param {number} additionalAngle - Additional angle
@@ -0,0 +1,258 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Ruler module, draw the rulers of the image pixels along the top and the left of the canvas
+ */
+import Component from '../interface/component';
+import {componentNames} from '../consts';
+
+/**
+ * Thickness of the rulers in css pixels
+ * @type {number}
+ */
+const RULER_SIZE = 20;
+
+/**
+ * Min distance between the labeled ticks in css pixels
+ * @type {number}
+ */
+const MIN_LABEL_DISTANCE = 50;
+
+/**
+ * Number of the ticks between the labeled ones
+ * @type {number}
+ */
+const TICK_DIVISIONS = 5;
+
+/**
+ * Colors of the rulers
+ * @type {{background: string, tick: string}}
+ */
+const RULER_COLORS = {
+    background: '#f3f3f3',
+    tick: '#555'
+};
+
+/**
+ * Get the step of the labeled ticks in pixels of the image, one of 1, 2, 5, 10, 20, 50...
+ * @param {number} scale - css pixels per a pixel of the image
+ * @returns {number} step
+ */
+function getLabelStep(scale) {
+    let step = 1;
+
+    for (let index = 0; step * scale < MIN_LABEL_DISTANCE; index += 1) {
+        step = [1, 2, 5][index % 3] * Math.pow(10, Math.floor(index / 3));
+    }
+
+    return step;
+}
+
+/**
+ * Ruler
+ * @class Ruler
+ * @param {Graphics} graphics - Graphics instance
+ * @extends {Component}
+ * @ignore
+ */
+class Ruler extends Component {
+    constructor(graphics) {
+        super(componentNames.RULER, graphics);
+
+        /**
+         * Canvas elements of the top and the left rulers, null if the rulers are hidden
+         * @type {?{top: HTMLCanvasElement, left: HTMLCanvasElement}}
+         * @private
+         */
+        this._elements = null;
+
+        /**
+         * Key of the size drawn the rulers to redraw them only after the size is changed
+         * @type {string}
+         * @private
+         */
+        this._drawnKey = '';
+
+        /**
+         * Listeners
+         * @type {object.<string, function>}
+         * @private
+         */
+        this._listeners = {
+            afterRender: this._redrawIfResized.bind(this),
+            resize: this._redrawIfResized.bind(this)
+        };
+    }
+
+    /**
+     * Show the rulers outside of the top and the left of the canvas
+     */
+    show() {
+        const canvas = this.getCanvas();
+        const {wrapperEl} = canvas;
+
+        if (this._elements || !wrapperEl) {
+            return;
+        }
+
+        this._elements = {
+            top: document.createElement('canvas'),
+            left: document.createElement('canvas')
+        };
+        this._elements.top.style.cssText = `position: absolute; left: 0; top: -${RULER_SIZE}px; pointer-events: none;`;
+        this._elements.left.style.cssText = `position: absolute; left: -${RULER_SIZE}px; top: 0; pointer-events: none;`;
+        wrapperEl.appendChild(this._elements.top);
+        wrapperEl.appendChild(this._elements.left);
+
+        // make the space of the rulers
+        wrapperEl.style.marginTop = `${RULER_SIZE}px`;
+        wrapperEl.style.marginLeft = `${RULER_SIZE}px`;
+        canvas.calcOffset();
+
+        canvas.on('after:render', this._listeners.afterRender);
+        window.addEventListener('resize', this._listeners.resize);
+        this._draw();
+    }
+
+    /**
+     * Hide the rulers
+     */
+    hide() {
+        const canvas = this.getCanvas();
+        const {wrapperEl} = canvas;
+
+        if (!this._elements) {
+            return;
+        }
+
+        wrapperEl.removeChild(this._elements.top);
+        wrapperEl.removeChild(this._elements.left);
+        wrapperEl.style.marginTop = '';
+        wrapperEl.style.marginLeft = '';
+        canvas.calcOffset();
+        this._elements = null;
+        this._drawnKey = '';
+
+        canvas.off('after:render', this._listeners.afterRender);
+        window.removeEventListener('resize', this._listeners.resize);
+    }
+
+    /**
+     * Whether the rulers are shown
+     * @returns {boolean}
+     */
+    isVisible() {
+        return !!this._elements;
+    }
+
+    /**
+     * Draw the rulers with the coordinates of the image on the css size of the canvas
+     * @private
+     */
+    _draw() {
+        const canvas = this.getCanvas();
+        const {clientWidth, clientHeight} = canvas.lowerCanvasEl;
+        const scale = clientWidth / canvas.getWidth();
+
+        this._drawnKey = this._getSizeKey();
+        this._drawRuler(this._elements.top, clientWidth, scale, false);
+        this._drawRuler(this._elements.left, clientHeight, scale, true);
+    }
+
+    /**
+     * Draw a ruler
+     * @param {HTMLCanvasElement} element - canvas element of the ruler
+     * @param {number} length - css length of the ruler
+     * @param {number} scale - css pixels per a pixel of the image
+     * @param {boolean} isVertical - whether the ruler is the left one
+     * @private
+     */
+    _drawRuler(element, length, scale, isVertical) {
+        const ctx = element.getContext('2d');
+
+        element.width = isVertical ? RULER_SIZE : length;
+        element.height = isVertical ? length : RULER_SIZE;
+        ctx.fillStyle = RULER_COLORS.background;
+        ctx.fillRect(0, 0, element.width, element.height);
+
+        // draw the ruler horizontally, the left ruler is transposed to the vertical direction
+        if (isVertical) {
+            ctx.transform(0, 1, 1, 0, 0, 0);
+        }
+        if (scale) {
+            this._drawTicks(ctx, length, scale, isVertical);
+        }
+    }
+
+    /**
+     * Draw the ticks and the labels of a ruler
+     * @param {CanvasRenderingContext2D} ctx - context of the ruler
+     * @param {number} length - css length of the ruler
+     * @param {number} scale - css pixels per a pixel of the image
+     * @param {boolean} isVertical - whether the ruler is the left one
+     * @private
+     */
+    _drawTicks(ctx, length, scale, isVertical) {
+        const labelStep = getLabelStep(scale);
+        const tickStep = labelStep / TICK_DIVISIONS;
+
+        ctx.strokeStyle = ctx.fillStyle = RULER_COLORS.tick;
+        ctx.font = '9px sans-serif';
+        ctx.beginPath();
+        for (let index = 0; index * tickStep * scale <= length; index += 1) {
+            const position = Math.round(index * tickStep * scale) + 0.5;
+            const isLabeled = index % TICK_DIVISIONS === 0;
+
+            ctx.moveTo(position, RULER_SIZE);
+            ctx.lineTo(position, isLabeled ? 0 : RULER_SIZE * 0.7);
+            if (isLabeled) {
+                this._drawLabel(ctx, String(index / TICK_DIVISIONS * labelStep), position, isVertical);
+            }
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Draw the label of a tick
+     * @param {CanvasRenderingContext2D} ctx - context of the ruler
+     * @param {string} label - coordinate of the tick in pixels of the image
+     * @param {number} position - position of the tick on the ruler
+     * @param {boolean} isVertical - whether the ruler is the left one, its labels are rotated
+     * @private
+     */
+    _drawLabel(ctx, label, position, isVertical) {
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        if (isVertical) {
+            ctx.translate(2, position + 2);
+            ctx.rotate(Math.PI / 2);
+        } else {
+            ctx.translate(position + 2, 9);
+        }
+        ctx.fillText(label, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Get the key of the backstore and the css sizes of the canvas
+     * @returns {string}
+     * @private
+     */
+    _getSizeKey() {
+        const canvas = this.getCanvas();
+        const {clientWidth, clientHeight} = canvas.lowerCanvasEl;
+
+        return [canvas.getWidth(), canvas.getHeight(), clientWidth, clientHeight].join();
+    }
+
+    /**
+     * Redraw the rulers after the size of the canvas is changed by rendering it or resizing the window
+     * @private
+     */
+    _redrawIfResized() {
+        if (this._drawnKey !== this._getSizeKey()) {
+            this._draw();
+        }
+    }
+}
+
+module.exports = Ruler;
@@ -10,7 +10,6 @@ import resizeHelper from '../helper/shapeResizeHelper';
 import {extend, inArray} from 'tui-code-snippet';
 
 const {rejectMessages, eventNames} = consts;
-const KEY_CODES = consts.keyCodes;
 
 const DEFAULT_TYPE = 'rect';
 const DEFAULT_WIDTH = 20;
@@ -80,11 +79,11 @@ class Shape extends Component {
         this._startPoint = {};
 
         /**
-         * Using shortcut on drawing shape
+         * Whether the key to keep the ratio is pressed on drawing shape
          * @type {boolean}
          * @private
          */
-        this._withShiftKey = false;
+        this._keepRatio = false;
 
         /**
          * Event handler list
@@ -94,9 +93,7 @@ class Shape extends Component {
         this._handlers = {
             mousedown: this._onFabricMouseDown.bind(this),
             mousemove: this._onFabricMouseMove.bind(this),
-            mouseup: this._onFabricMouseUp.bind(this),
-            keydown: this._onKeyDown.bind(this),
-            keyup: this._onKeyUp.bind(this)
+            mouseup: this._onFabricMouseUp.bind(this)
         };
     }
 
@@ -115,9 +112,6 @@ class Shape extends Component {
         canvas.on({
             'mouse:down': this._handlers.mousedown
         });
-
-        fabric.util.addListener(document, 'keydown', this._handlers.keydown);
-        fabric.util.addListener(document, 'keyup', this._handlers.keyup);
     }
 
     /**
@@ -136,9 +130,18 @@ class Shape extends Component {
         canvas.off({
             'mouse:down': this._handlers.mousedown
         });
+    }
+
+    /**
+     * Draw the regular shape while the key to keep the ratio is pressed
+     * @param {boolean} keepRatio - whether the key is pressed
+     */
+    setKeepRatio(keepRatio) {
+        this._keepRatio = keepRatio;
 
-        fabric.util.removeListener(document, 'keydown', this._handlers.keydown);
-        fabric.util.removeListener(document, 'keyup', this._handlers.keyup);
+        if (this._shapeObj) {
+            this._shapeObj.isRegular = keepRatio;
+        }
     }
 
     /**
@@ -357,7 +360,7 @@ class Shape extends Component {
             });
         } else {
             this._shapeObj.set({
-                isRegular: this._withShiftKey
+                isRegular: this._keepRatio
             });
             resizeHelper.resize(shape, pointer);
             canvas.renderAll();
@@ -393,36 +396,6 @@ class Shape extends Component {
             'mouse:up': this._handlers.mouseup
         });
     }
-
-    /**
-     * Keydown event handler on document
-     * @param {KeyboardEvent} e - Event object
-     * @private
-     */
-    _onKeyDown(e) {
-        if (e.keyCode === KEY_CODES.SHIFT) {
-            this._withShiftKey = true;
-
-            if (this._shapeObj) {
-                this._shapeObj.isRegular = true;
-            }
-        }
-    }
-
-    /**
-     * Keyup event handler on document
-     * @param {KeyboardEvent} e - Event object
-     * @private
-     */
-    _onKeyUp(e) {
-        if (e.keyCode === KEY_CODES.SHIFT) {
-            this._withShiftKey = false;
-
-            if (this._shapeObj) {
-                this._shapeObj.isRegular = false;
-            }
-        }
-    }
 }
 
 module.exports = Shape;
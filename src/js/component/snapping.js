@@ -0,0 +1,455 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Snapping module, snap the moved and scaled objects with the guide lines
+ */
+import snippet from 'tui-code-snippet';
+import Component from '../interface/component';
+import consts from '../consts';
+
+const {extend, forEachArray} = snippet;
+
+/**
+ * Default snapping options
+ * @type {{threshold: number, grid: number, toObjects: boolean}}
+ */
+const DEFAULT_OPTIONS = {
+    threshold: 5,
+    grid: 0,
+    toObjects: true
+};
+
+/**
+ * Ratios of the start, the center and the end of a rect snapped on an axis
+ * @type {Array.<number>}
+ */
+const SNAP_RATIOS = [0, 0.5, 1];
+
+/**
+ * Origins of the scaling at the start of a rect
+ * @type {Array.<string>}
+ */
+const START_ORIGINS = ['left', 'top'];
+
+/**
+ * Color of the guide lines
+ * @type {string}
+ */
+const GUIDE_COLOR = '#ff3c9d';
+
+/**
+ * Keys of a rect on the axes
+ * @type {Object.<string, {start: string, size: string}>}
+ */
+const RECT_KEYS = {
+    x: {
+        start: 'left',
+        size: 'width'
+    },
+    y: {
+        start: 'top',
+        size: 'height'
+    }
+};
+
+/**
+ * Find the nearest line to the points within the threshold
+ * @param {Array.<number>} points - positions on an axis
+ * @param {Array.<number>} lines - positions of the lines on the axis
+ * @param {number} threshold - max distance
+ * @returns {?{offset: number, line: number}} offset from the point to the line
+ */
+function findSnap(points, lines, threshold) {
+    let snap = null;
+
+    forEachArray(points, point => {
+        forEachArray(lines, line => {
+            const offset = line - point;
+
+            if (Math.abs(offset) <= threshold && (!snap || Math.abs(offset) < Math.abs(snap.offset))) {
+                snap = {
+                    offset,
+                    line
+                };
+            }
+        });
+    });
+
+    return snap;
+}
+
+/**
+ * Get the scale factor of a snapped edge
+ * @param {?{size: number}} snap - snap with the new size
+ * @param {number} size - current size
+ * @returns {number} scale factor
+ */
+function getScaleFactor(snap, size) {
+    return snap ? snap.size / size : 1;
+}
+
+/**
+ * Get the scale factors of the snapped edges.
+ * The corner keeps the aspect ratio by the nearer snap, the other one is dropped.
+ * @param {{width: number, height: number}} rect - bounding rect
+ * @param {{x: ?Object, y: ?Object}} snaps - snaps with the new size
+ * @param {boolean} keepRatio - whether the corner keeps the aspect ratio
+ * @returns {{x: number, y: number}} scale factors
+ */
+function getScaleFactors(rect, snaps, keepRatio) {
+    const factors = {
+        x: getScaleFactor(snaps.x, rect.width),
+        y: getScaleFactor(snaps.y, rect.height)
+    };
+
+    if (!(keepRatio && snaps.x && snaps.y)) {
+        return factors;
+    }
+
+    const axis = Math.abs(snaps.x.offset) <= Math.abs(snaps.y.offset) ? 'x' : 'y';
+
+    snaps[axis === 'x' ? 'y' : 'x'] = null;
+
+    return {
+        x: factors[axis],
+        y: factors[axis]
+    };
+}
+
+/**
+ * Snapping
+ * @class Snapping
+ * @param {Graphics} graphics - Graphics instance
+ * @extends {Component}
+ * @ignore
+ */
+class Snapping extends Component {
+    constructor(graphics) {
+        super(consts.componentNames.SNAPPING, graphics);
+
+        /**
+         * Snapping options, null if the snapping is disabled
+         * @type {?{threshold: number, grid: number, toObjects: boolean}}
+         * @private
+         */
+        this._options = null;
+
+        /**
+         * Positions of the guide lines to draw
+         * @type {{x: Array.<number>, y: Array.<number>}}
+         * @private
+         */
+        this._guides = {
+            x: [],
+            y: []
+        };
+
+        /**
+         * Listeners
+         * @type {object.<string, function>}
+         * @private
+         */
+        this._listeners = {
+            afterRender: this._onAfterRender.bind(this),
+            mouseup: this._onMouseUp.bind(this)
+        };
+    }
+
+    /**
+     * Enable or disable the snapping
+     * @param {?Object} options - Snapping options, the snapping is disabled without it
+     *  @param {number} [options.threshold=5] - Max distance in pixels on the screen to snap
+     *  @param {number} [options.grid=0] - Spacing of the grid in pixels of the image, no grid by 0
+     *  @param {boolean} [options.toObjects=true] - Snap to the other objects
+     */
+    setOptions(options) {
+        const canvas = this.getCanvas();
+        const {afterRender, mouseup} = this._listeners;
+
+        canvas.off('after:render', afterRender);
+        canvas.off('mouse:up', mouseup);
+        this._options = options ? extend({}, DEFAULT_OPTIONS, options) : null;
+
+        if (this._options) {
+            canvas.on('after:render', afterRender);
+            canvas.on('mouse:up', mouseup);
+        }
+    }
+
+    /**
+     * Whether the snapping is enabled
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return !!this._options;
+    }
+
+    /**
+     * Snap a moving object by its bounding box
+     * @param {fabric.Object} target - moving object
+     * @param {MouseEvent} [e] - mouse event, holding Ctrl (Command on Mac) disables the snapping
+     */
+    snapMoving(target, e) {
+        this._clearGuides();
+        if (!this._isSnappable(e)) {
+            return;
+        }
+
+        target.setCoords();
+
+        const rect = target.getBoundingRect();
+        const lines = this._getLines(target);
+        const offsets = {};
+
+        forEachArray(['x', 'y'], axis => {
+            const {start, size} = RECT_KEYS[axis];
+            const points = SNAP_RATIOS.map(ratio => rect[start] + (rect[size] * ratio));
+            const snap = findSnap(points, lines[axis], this._getThreshold()) || this._snapToGrid(rect[start]);
+
+            offsets[axis] = snap ? snap.offset : 0;
+            this._addGuide(axis, snap);
+        });
+
+        target.set({
+            left: target.left + offsets.x,
+            top: target.top + offsets.y
+        });
+        target.setCoords();
+    }
+
+    /**
+     * Snap the scaled edges of an object without the rotation
+     * @param {fabric.Object} target - scaling object
+     * @param {MouseEvent} [e] - mouse event, holding Ctrl (Command on Mac) disables the snapping
+     */
+    snapScaling(target, e) {
+        const transform = this.getCanvas()._currentTransform;
+
+        this._clearGuides();
+        if (!this._isSnappable(e) || !this._isScalable(target, transform)) {
+            return;
+        }
+
+        target.setCoords();
+
+        const rect = target.getBoundingRect();
+        const lines = this._getLines(target);
+        const snaps = {
+            x: this._getScalingSnap(rect, 'x', transform.originX, lines.x),
+            y: this._getScalingSnap(rect, 'y', transform.originY, lines.y)
+        };
+        const factors = getScaleFactors(rect, snaps, !(e && e.shiftKey));
+        const fixedPoint = target.translateToOriginPoint(target.getCenterPoint(), transform.originX, transform.originY);
+
+        target.set({
+            scaleX: target.scaleX * factors.x,
+            scaleY: target.scaleY * factors.y
+        });
+        target.setPositionByOrigin(fixedPoint, transform.originX, transform.originY);
+        target.setCoords();
+        this._addGuide('x', snaps.x);
+        this._addGuide('y', snaps.y);
+    }
+
+    /**
+     * Whether the snapping works on scaling an object, the rotated ones are not snapped
+     * @param {fabric.Object} target - scaling object
+     * @param {?Object} transform - current transform of the fabric canvas
+     * @returns {boolean}
+     * @private
+     */
+    _isScalable(target, transform) {
+        return !!transform && target.angle % 360 === 0;
+    }
+
+    /**
+     * Get the snap of the scaled edge on an axis
+     * @param {{left: number, top: number, width: number, height: number}} rect - bounding rect
+     * @param {string} axis - 'x' or 'y'
+     * @param {string} origin - origin of the scaling on the axis, the edge at the origin is fixed
+     * @param {Array.<number>} lines - positions of the snap lines on the axis
+     * @returns {?{offset: number, line: ?number, size: number}} snap with the new size
+     * @private
+     */
+    _getScalingSnap(rect, axis, origin, lines) {
+        const {start, size} = RECT_KEYS[axis];
+        const end = rect[start] + rect[size];
+
+        // the edges of both sides move from the center origin
+        if (origin === 'center') {
+            return null;
+        }
+
+        const [fixed, moving] = START_ORIGINS.indexOf(origin) > -1 ? [rect[start], end] : [end, rect[start]];
+        const snap = findSnap([moving], lines, this._getThreshold()) || this._snapToGrid(moving);
+
+        if (!snap || snap.offset === 0) {
+            return null;
+        }
+
+        return extend(snap, {
+            size: Math.abs(moving + snap.offset - fixed)
+        });
+    }
+
+    /**
+     * Whether the snapping works on the mouse event
+     * @param {MouseEvent} [e] - mouse event
+     * @returns {boolean}
+     * @private
+     */
+    _isSnappable(e) {
+        return this.isEnabled() && !(e && (e.ctrlKey || e.metaKey));
+    }
+
+    /**
+     * Get the positions of the edges and the centers of the image and the other objects
+     * @param {fabric.Object} target - snapped object
+     * @returns {{x: Array.<number>, y: Array.<number>}} positions of the lines
+     * @private
+     */
+    _getLines(target) {
+        const {width, height} = this.graphics.getCanvasSize();
+        const lines = {
+            x: SNAP_RATIOS.map(ratio => width * ratio),
+            y: SNAP_RATIOS.map(ratio => height * ratio)
+        };
+
+        if (!this._options.toObjects) {
+            return lines;
+        }
+
+        this.getCanvas().forEachObject(obj => {
+            if (this._isSnapTarget(obj, target)) {
+                const rect = obj.getBoundingRect();
+
+                forEachArray(SNAP_RATIOS, ratio => {
+                    lines.x.push(rect.left + (rect.width * ratio));
+                    lines.y.push(rect.top + (rect.height * ratio));
+                });
+            }
+        });
+
+        return lines;
+    }
+
+    /**
+     * Whether an object is a target to snap
+     * @param {fabric.Object} obj - object
+     * @param {fabric.Object} target - snapped object
+     * @returns {boolean}
+     * @private
+     */
+    _isSnapTarget(obj, target) {
+        const inTarget = target.isType('group') && target.contains(obj);
+
+        return obj !== target && obj.visible && !inTarget && !obj.isType('cropzone');
+    }
+
+    /**
+     * Snap a position to the grid
+     * @param {number} position - position on an axis
+     * @returns {?{offset: number, line: null}} offset to the grid
+     * @private
+     */
+    _snapToGrid(position) {
+        const {grid} = this._options;
+
+        if (!grid) {
+            return null;
+        }
+
+        return {
+            offset: (Math.round(position / grid) * grid) - position,
+            line: null
+        };
+    }
+
+    /**
+     * Get the threshold in pixels of the canvas from the one on the screen
+     * @returns {number}
+     * @private
+     */
+    _getThreshold() {
+        return this._options.threshold * this._getCssRatio();
+    }
+
+    /**
+     * Get the ratio of the canvas size to the css size scaled to fit the editor
+     * @returns {number}
+     * @private
+     */
+    _getCssRatio() {
+        const canvas = this.getCanvas();
+        const cssWidth = canvas.upperCanvasEl ? canvas.upperCanvasEl.clientWidth : 0;
+
+        return cssWidth ? canvas.getWidth() / cssWidth : 1;
+    }
+
+    /**
+     * Add a guide line of a snap to an object or the image
+     * @param {string} axis - 'x' or 'y'
+     * @param {?{line: ?number}} snap - snap
+     * @private
+     */
+    _addGuide(axis, snap) {
+        if (snap && snap.line !== null) {
+            this._guides[axis].push(snap.line);
+        }
+    }
+
+    /**
+     * Remove the guide lines
+     * @private
+     */
+    _clearGuides() {
+        this._guides = {
+            x: [],
+            y: []
+        };
+    }
+
+    /**
+     * Draw the guide lines on the upper canvas after rendering the canvas
+     * @private
+     */
+    _onAfterRender() {
+        const {x, y} = this._guides;
+        const canvas = this.getCanvas();
+        const ctx = canvas.contextTop;
+
+        if (!ctx || (!x.length && !y.length)) {
+            return;
+        }
+
+        ctx.save();
+        ctx.strokeStyle = GUIDE_COLOR;
+        ctx.lineWidth = this._getCssRatio();
+        ctx.beginPath();
+        forEachArray(x, position => {
+            ctx.moveTo(position, 0);
+            ctx.lineTo(position, canvas.getHeight());
+        });
+        forEachArray(y, position => {
+            ctx.moveTo(0, position);
+            ctx.lineTo(canvas.getWidth(), position);
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Remove the guide lines after moving or scaling
+     * @private
+     */
+    _onMouseUp() {
+        const canvas = this.getCanvas();
+        const {x, y} = this._guides;
+
+        if (x.length || y.length) {
+            this._clearGuides();
+            canvas.clearContext(canvas.contextTop);
+        }
+    }
+}
+
+module.exports = Snapping;
@@ -237,9 +237,7 @@ class Text extends Component {
             }
 
             newText.set(selectionStyle);
-            newText.on({
-                mouseup: this._onFabricMouseUp.bind(this)
-            });
+            this.bindEvents(newText);
 
             canvas.add(newText);
 
@@ -252,6 +250,16 @@ class Text extends Component {
         });
     }
 
+    /**
+     * Bind the editing events to a text object
+     * @param {fabric.Text} textObj - Text object
+     */
+    bindEvents(textObj) {
+        textObj.on({
+            mouseup: this._onFabricMouseUp.bind(this)
+        });
+    }
+
     /**
      * Change text of activate object on canvas image
      * @param {Object} activeObj - Current selected text object
@@ -473,7 +481,7 @@ class Text extends Component {
             this.getCanvas().add(editingObj);
 
             const params = {
-                id: snippet.stamp(editingObj),
+                id: util.stampObject(editingObj),
                 type: editingObj.type,
                 text: textContent
             };
@@ -19,7 +19,11 @@ module.exports = {
         'TEXT',
         'ICON',
         'FILTER',
-        'SHAPE'
+        'SHAPE',
+        'SNAPPING',
+        'GRID',
+        'RULER',
+        'EFFECTS'
     ),
 
     /**
@@ -45,7 +49,18 @@ module.exports = {
         'ADD_IMAGE_OBJECT': 'addImageObject',
         'RESIZE_CANVAS_DIMENSION': 'resizeCanvasDimension',
         'SET_OBJECT_PROPERTIES': 'setObjectProperties',
-        'SET_OBJECT_POSITION': 'setObjectPosition'
+        'SET_OBJECT_POSITION': 'setObjectPosition',
+        'SET_OBJECT_INDEX': 'setObjectIndex',
+        'SET_OBJECT_VISIBILITY': 'setObjectVisibility',
+        'SET_OBJECT_LOCKED': 'setObjectLocked',
+        'SET_OBJECT_EFFECTS': 'setObjectEffects',
+        'GROUP_OBJECTS': 'groupObjects',
+        'UNGROUP_OBJECTS': 'ungroupObjects',
+        'ALIGN_OBJECTS': 'alignObjects',
+        'DISTRIBUTE_OBJECTS': 'distributeObjects',
+        'MOVE_OBJECTS': 'moveObjects',
+        'CROP': 'crop',
+        'BATCH': 'batch'
     },
 
     /**
@@ -57,6 +72,8 @@ module.exports = {
         OBJECT_MOVED: 'objectMoved',
         OBJECT_SCALED: 'objectScaled',
         OBJECT_CREATED: 'objectCreated',
+        OBJECT_REMOVED: 'objectRemoved',
+        IMAGE_PASTED: 'imagePasted',
         TEXT_EDITING: 'textEditing',
         TEXT_CHANGED: 'textChanged',
         ICON_CREATE_RESIZE: 'iconCreateResize',
@@ -70,6 +87,13 @@ module.exports = {
         // UNDO/REDO Events
         REDO_STACK_CHANGED: 'redoStackChanged',
         UNDO_STACK_CHANGED: 'undoStackChanged',
+        UNDO_STACK_TRIMMED: 'undoStackTrimmed',
+        HISTORY_CHANGED: 'historyChanged',
+        COMMAND_EXECUTED: 'commandExecuted',
+        COMMAND_UNDONE: 'commandUndone',
+        AUTOSAVED: 'autosaved',
+        AUTOSAVE_FOUND: 'autosaveFound',
+        AUTOSAVE_ERROR: 'autosaveError',
         SELECTION_CLEARED: 'selectionCleared',
         SELECTION_CREATED: 'selectionCreated'
     },
@@ -92,11 +116,22 @@ module.exports = {
      * @type {Object.<string, number>}
      */
     keyCodes: {
+        C: 67,
+        D: 68,
+        S: 83,
+        T: 84,
+        V: 86,
+        X: 88,
         Z: 90,
         Y: 89,
         SHIFT: 16,
         BACKSPACE: 8,
-        DEL: 46
+        DEL: 46,
+        ESC: 27,
+        LEFT: 37,
+        UP: 38,
+        RIGHT: 39,
+        DOWN: 40
     },
 
     /**
@@ -114,25 +149,71 @@ module.exports = {
         }
     },
 
+    /**
+     * Blend modes of the objects, the values of "globalCompositeOperation" of the canvas context.
+     * 'source-over' is the normal mode.
+     * @type {Array.<string>}
+     */
+    blendModes: [
+        'source-over',
+        'multiply',
+        'screen',
+        'overlay',
+        'darken',
+        'lighten',
+        'color-dodge',
+        'color-burn',
+        'hard-light',
+        'soft-light',
+        'difference',
+        'exclusion',
+        'hue',
+        'saturation',
+        'color',
+        'luminosity'
+    ],
+
+    /**
+     * Version of the document made by "toJSON"
+     * @type {number}
+     */
+    stateVersion: 1,
+
+    /**
+     * Version of the macro made by "stopRecording"
+     * @type {number}
+     */
+    macroVersion: 1,
+
     /**
      * Promise reject messages
      * @type {Object.<string, string>}
      */
     rejectMessages: {
         addedObject: 'The object is already added.',
+        builtInCommand: 'The name is used by a built-in command:',
+        emptyClipboard: 'The clipboard is empty.',
         flip: 'The flipX and flipY setting values are not changed.',
         invalidDrawingMode: 'This operation is not supported in the drawing mode.',
         invalidParameters: 'Invalid parameters.',
         isLock: 'The executing command state is locked.',
+        noAutosave: 'There is no autosaved session.',
+        noBatch: 'There is no batch in progress.',
+        noImage: 'There is no image to paste.',
         loadImage: 'The background image is empty.',
         loadingImageFailed: 'Invalid image loaded.',
         noActiveObject: 'There is no active object.',
         noObject: 'The object is not in canvas.',
+        notGroup: 'The object is not a group.',
+        noRemoteCommand: 'The remote command is not applied.',
+        objectOrder: 'The object order is not changed.',
         redo: 'The promise of redo command is reject.',
         rotation: 'The current angle is same the old angle.',
         undo: 'The promise of undo command is reject.',
         unsupportedOperation: 'Unsupported operation.',
-        unsupportedType: 'Unsupported object type.'
+        unsupportedType: 'Unsupported object type.',
+        unsupportedVersion: 'Unsupported version of the editor state.',
+        unsupportedMacroVersion: 'Unsupported version of the macro.'
     },
 
     /**
@@ -178,6 +259,20 @@ module.exports = {
         value: 50
     },
 
+    defaultOpacityRangeValus: {
+        realTimeEvent: true,
+        min: 0,
+        max: 100,
+        value: 100
+    },
+
+    defaultOutlineRangeValus: {
+        realTimeEvent: true,
+        min: 0,
+        max: 20,
+        value: 0
+    },
+
     defaultFilterRangeValus: {
         tintOpacityRange: {
             min: 0,
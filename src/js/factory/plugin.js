@@ -0,0 +1,89 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Plugin factory
+ */
+import {forEach} from 'tui-code-snippet';
+
+const plugins = {};
+const components = [];
+const drawingModes = [];
+const submenus = {};
+
+/**
+ * Register a plugin with name as a key
+ * @param {Object} plugin - Plugin
+ *  @param {string} plugin.name - plugin name
+ *  @param {Array.<function>} [plugin.components] - Component classes
+ *  @param {Array.<function>} [plugin.drawingModes] - DrawingMode classes
+ *  @param {Object} [plugin.ui] - {name: {string}, Submenu: {function}, actions: {function}}
+ * @ignore
+ */
+function register(plugin) {
+    plugins[plugin.name] = plugin;
+
+    forEach(plugin.components, Component => {
+        components.push(Component);
+    });
+    forEach(plugin.drawingModes, DrawingMode => {
+        drawingModes.push(DrawingMode);
+    });
+    if (plugin.ui) {
+        submenus[plugin.ui.name] = plugin.ui;
+    }
+}
+
+/**
+ * Whether the plugin is registered
+ * @param {string} name - Plugin name
+ * @returns {boolean}
+ * @ignore
+ */
+function has(name) {
+    return !!plugins[name];
+}
+
+/**
+ * Get the component classes of the registered plugins
+ * @returns {Array.<function>} component classes
+ * @ignore
+ */
+function getComponents() {
+    return components.slice();
+}
+
+/**
+ * Get the drawing mode classes of the registered plugins
+ * @returns {Array.<function>} drawing mode classes
+ * @ignore
+ */
+function getDrawingModes() {
+    return drawingModes.slice();
+}
+
+/**
+ * Get the submenu of a registered plugin
+ * @param {string} menuName - Menu name
+ * @returns {Object} {name: {string}, Submenu: {function}, actions: {function}} or null
+ * @ignore
+ */
+function getSubmenu(menuName) {
+    return submenus[menuName] || null;
+}
+
+/**
+ * Get the menu names of the registered plugins
+ * @returns {Array.<string>} menu names
+ * @ignore
+ */
+function getMenuNames() {
+    return Object.keys(submenus);
+}
+
+module.exports = {
+    register,
+    has,
+    getComponents,
+    getDrawingModes,
+    getSubmenu,
+    getMenuNames
+};
@@ -15,23 +15,72 @@ import Text from './component/text';
 import Icon from './component/icon';
 import Filter from './component/filter';
 import Shape from './component/shape';
+import Snapping from './component/snapping';
+import Grid from './component/grid';
+import Ruler from './component/ruler';
+import Effects from './component/effects';
 import CropperDrawingMode from './drawingMode/cropper';
 import FreeDrawingMode from './drawingMode/freeDrawing';
 import LineDrawingMode from './drawingMode/lineDrawing';
 import ShapeDrawingMode from './drawingMode/shape';
 import TextDrawingMode from './drawingMode/text';
+import pluginFactory from './factory/plugin';
 import consts from './consts';
 import util from './util';
 
 const components = consts.componentNames;
 const events = consts.eventNames;
 
-const {drawingModes, fObjectOptions} = consts;
-const {extend, stamp, isArray, isString, forEachArray, forEachOwnProperties, CustomEvents} = snippet;
+const {drawingModes, fObjectOptions, rejectMessages} = consts;
+const {stampObject, setObjectId} = util;
+const {
+    extend, isArray, isString, isFunction, isExisty, forEachArray, forEachOwnProperties, CustomEvents
+} = snippet;
 
 const DEFAULT_CSS_MAX_WIDTH = 1000;
 const DEFAULT_CSS_MAX_HEIGHT = 800;
 
+/**
+ * Fabric classes to revive the objects whose type is customized by the components
+ * @type {Object.<string, string>}
+ */
+const ENLIVEN_TYPES = {
+    icon: 'path',
+    circle: 'ellipse'
+};
+
+/**
+ * Make the serialized data of an object revivable by fabric
+ * @param {Object} data - Serialized object
+ * @returns {Object} data with the fabric types
+ * @ignore
+ */
+function toFabricData(data) {
+    const fabricData = ENLIVEN_TYPES[data.type] ? extend({}, data, {type: ENLIVEN_TYPES[data.type]}) : data;
+
+    if (data.type === 'group') {
+        return extend({}, fabricData, {objects: data.objects.map(toFabricData)});
+    }
+
+    return fabricData;
+}
+
+/**
+ * Restore the customized types of a revived object and the objects of a group
+ * @param {fabric.Object} obj - Revived object
+ * @param {Object} data - Serialized object
+ * @ignore
+ */
+function restoreType(obj, data) {
+    obj.type = data.type;
+
+    if (data.type === 'group') {
+        forEachArray(obj.getObjects(), (child, index) => {
+            restoreType(child, data.objects[index]);
+        });
+    }
+}
+
 const cssOnly = {
     cssOnly: true
 };
@@ -42,12 +91,13 @@ const backstoreOnly = {
 /**
  * Graphics class
  * @class
- * @param {string|HTMLElement} wrapper - Wrapper's element or selector
+ * @param {?(string|HTMLElement)} wrapper - Wrapper's element or selector, a detached canvas is made without it
  * @param {Object} [option] - Canvas max width & height of css
  *  @param {number} option.cssMaxWidth - Canvas css-max-width
  *  @param {number} option.cssMaxHeight - Canvas css-max-height
  *  @param {boolean} option.useItext - Use IText in text mode
  *  @param {boolean} option.useDragAddIcon - Use dragable add in icon mode
+ *  @param {Object} [option.snapping] - Snapping options, the objects are not snapped without it
  * @ignore
  */
 class Graphics {
@@ -55,7 +105,8 @@ class Graphics {
         cssMaxWidth,
         cssMaxHeight,
         useItext = false,
-        useDragAddIcon = false
+        useDragAddIcon = false,
+        snapping = null
     } = {}) {
         /**
          * Fabric image instance
@@ -155,6 +206,7 @@ class Graphics {
         this._createDrawingModeInstances();
         this._createComponents();
         this._attachCanvasEvents();
+        this.getComponent(components.SNAPPING).setOptions(snapping);
     }
 
     /**
@@ -163,9 +215,13 @@ class Graphics {
     destroy() {
         const {wrapperEl} = this._canvas;
 
+        this.hideGrid();
+        this.hideRulers();
         this._canvas.clear();
 
-        wrapperEl.parentNode.removeChild(wrapperEl);
+        if (wrapperEl.parentNode) {
+            wrapperEl.parentNode.removeChild(wrapperEl);
+        }
     }
 
     /**
@@ -263,7 +319,7 @@ class Graphics {
         const objects = [];
         const canvas = this._canvas;
         const target = this.getObject(id);
-        const isValidGroup = target && target.isType('group') && !target.isEmpty();
+        const isValidGroup = target && target.isType('group') && !target.isEmpty() && !canvas.contains(target);
 
         if (isValidGroup) {
             canvas.discardActiveGroup(); // restore states for each objects
@@ -297,6 +353,103 @@ class Graphics {
         return null;
     }
 
+    /**
+     * Get the ids of the objects in the stacking order from the back to the front.
+     * The background image is drawn behind all of them, so it is not in the order.
+     * @returns {Array.<number>} object ids
+     */
+    getObjectOrder() {
+        return this._canvas.getObjects()
+            .filter(obj => !obj.isType('cropzone') && obj !== this.canvasImage)
+            .map(obj => stampObject(obj));
+    }
+
+    /**
+     * Get the index of an object in the stacking order
+     * @param {number} id - object id
+     * @returns {number} index from the back, -1 if the object is not in canvas
+     */
+    getObjectIndex(id) {
+        const obj = this.getObject(id);
+
+        return obj ? this.getObjectOrder().indexOf(stampObject(obj)) : -1;
+    }
+
+    /**
+     * Move an object to the index in the stacking order.
+     * The other objects keep their order, and the object is never moved behind the background image.
+     * @param {number} id - object id
+     * @param {number} index - index from the back in "getObjectOrder"
+     */
+    setObjectIndex(id, index) {
+        const order = this.getObjectOrder();
+        const obj = this.getObject(id);
+        const targetObj = this.getObject(order[util.clamp(index, 0, order.length - 1)]);
+
+        this._canvas.moveTo(obj, this._canvas.getObjects().indexOf(targetObj));
+    }
+
+    /**
+     * Group objects into a persistent group at the position of the front one in the stacking order
+     * @param {Array.<number>} ids - object ids
+     * @returns {fabric.Group} group
+     */
+    groupObjects(ids) {
+        const canvas = this._canvas;
+        const objects = this.getObjectOrder()
+            .filter(id => ids.indexOf(id) > -1)
+            .map(id => this.getObject(id));
+        const index = canvas.getObjects().indexOf(objects[objects.length - 1]) - objects.length + 1;
+
+        this.discardSelection();
+        forEachArray(objects, obj => canvas.remove(obj));
+
+        const group = new fabric.Group(objects, extend({}, fObjectOptions.SELECTION_STYLE));
+        canvas.insertAt(group, index);
+
+        return group;
+    }
+
+    /**
+     * Ungroup a group. The objects get back the transform on the canvas and keep their ids.
+     * @param {number} id - group id
+     * @returns {Array.<fabric.Object>} objects of the group
+     */
+    ungroupObjects(id) {
+        const canvas = this._canvas;
+        const group = this.getObject(id);
+        const index = canvas.getObjects().indexOf(group);
+        const objects = group.getObjects();
+
+        this.discardSelection();
+        group._restoreObjectsState();
+        canvas.remove(group);
+        forEachArray(objects, (obj, order) => {
+            canvas.insertAt(obj, index + order);
+        });
+
+        return objects;
+    }
+
+    /**
+     * Put the objects back into the group ungrouped by "ungroupObjects"
+     * @param {fabric.Group} group - group
+     * @param {Array.<Object>} transforms - transforms of the objects in the group before ungrouping
+     */
+    restoreGroup(group, transforms) {
+        const canvas = this._canvas;
+        const objects = group.getObjects();
+        const index = canvas.getObjects().indexOf(objects[0]);
+
+        this.discardSelection();
+        forEachArray(objects, (obj, order) => {
+            canvas.remove(obj);
+            obj.set(transforms[order]);
+            obj.group = group;
+        });
+        canvas.insertAt(group, index);
+    }
+
     /**
      * Gets an active object or group
      * @returns {Object} active object or group instance
@@ -321,6 +474,40 @@ class Graphics {
         this._canvas.setActiveObject(target);
     }
 
+    /**
+     * Keep the ratio of the drawing shape and the cropzone while the key is pressed
+     * @param {boolean} keepRatio - whether the key to keep the ratio is pressed
+     */
+    setKeepRatio(keepRatio) {
+        this.getComponent(components.CROPPER).setKeepRatio(keepRatio);
+        this.getComponent(components.SHAPE).setKeepRatio(keepRatio);
+    }
+
+    /**
+     * Select the objects, two or more objects are selected as the active group
+     * @param {Array.<number>} ids - object ids
+     */
+    selectObjects(ids) {
+        const canvas = this._canvas;
+        const objects = this.getObjectOrder()
+            .filter(id => ids.indexOf(id) > -1)
+            .map(id => this.getObject(id))
+            .filter(obj => obj.selectable && obj.visible);
+
+        this.discardSelection();
+        if (objects.length === 1) {
+            canvas.setActiveObject(objects[0]);
+        } else if (objects.length > 1) {
+            const group = new fabric.Group(objects, {canvas});
+
+            group.addWithUpdate();
+            canvas.setActiveGroup(group);
+            group.saveCoords();
+            canvas.fire('selection:created', {target: group});
+        }
+        canvas.renderAll();
+    }
+
     /**
      * Set Crop selection style
      * @param {Object} style - Selection styles
@@ -397,10 +584,27 @@ class Graphics {
      *   @param {Number} [options.top] Cropping top offset. Introduced in fabric v1.2.14
      *   @param {Number} [options.width] Cropping width. Introduced in fabric v1.2.14
      *   @param {Number} [options.height] Cropping height. Introduced in fabric v1.2.14
+     *   @param {Boolean} [options.includeHidden=false] Whether the hidden objects are drawn
      * @returns {string} A DOMString containing the requested data URI.
      */
-    toDataURL(options) {
-        return this._canvas && this._canvas.toDataURL(options);
+    toDataURL(options = {}) {
+        if (!this._canvas) {
+            return null;
+        }
+
+        const hiddenObjects = options.includeHidden ? this._canvas.getObjects().filter(obj => !obj.visible) : [];
+
+        forEachArray(hiddenObjects, obj => {
+            obj.visible = true;
+        });
+
+        try {
+            return this._canvas.toDataURL(options);
+        } finally {
+            forEachArray(hiddenObjects, obj => {
+                obj.visible = false;
+            });
+        }
     }
 
     /**
@@ -410,7 +614,7 @@ class Graphics {
      */
     setCanvasImage(name, canvasImage) {
         if (canvasImage) {
-            stamp(canvasImage);
+            stampObject(canvasImage);
         }
         this.imageName = name;
         this.canvasImage = canvasImage;
@@ -627,6 +831,54 @@ class Graphics {
         canvas.renderAll();
     }
 
+    /**
+     * Show the grid over the canvas, it is not included in the exported images
+     * @param {Object} [options] - Grid options, the last ones are kept
+     *  @param {number} [options.spacing] - Spacing of the grid lines in pixels of the image
+     *  @param {string} [options.color] - Color of the grid lines
+     *  @param {number} [options.subdivisions] - Number of the divided cells of a grid cell
+     */
+    showGrid(options) {
+        this.getComponent(components.GRID).show(options);
+    }
+
+    /**
+     * Hide the grid
+     */
+    hideGrid() {
+        this.getComponent(components.GRID).hide();
+    }
+
+    /**
+     * Whether the grid is shown
+     * @returns {boolean}
+     */
+    isGridVisible() {
+        return this.getComponent(components.GRID).isVisible();
+    }
+
+    /**
+     * Show the rulers of the image pixels along the top and the left of the canvas
+     */
+    showRulers() {
+        this.getComponent(components.RULER).show();
+    }
+
+    /**
+     * Hide the rulers
+     */
+    hideRulers() {
+        this.getComponent(components.RULER).hide();
+    }
+
+    /**
+     * Whether the rulers are shown
+     * @returns {boolean}
+     */
+    isRulersVisible() {
+        return this.getComponent(components.RULER).isVisible();
+    }
+
     /**
      * Whether it has the filter or not
      * @param {string} type - Filter type
@@ -670,6 +922,61 @@ class Graphics {
         return clone;
     }
 
+    /**
+     * Show or hide an object. The hidden object is deselected and it is not exported by "toDataURL".
+     * @param {number} id - object id
+     * @param {boolean} visible - whether the object is visible
+     */
+    setObjectVisibility(id, visible) {
+        const obj = this.getObject(id);
+
+        if (!visible) {
+            this._discardSelectionOf(obj);
+        }
+        obj.visible = visible;
+        this.renderAll();
+    }
+
+    /**
+     * Lock or unlock an object. The locked object is neither selected nor removed as the active object.
+     * @param {number} id - object id
+     * @param {boolean} locked - whether the object is locked
+     */
+    setObjectLocked(id, locked) {
+        const obj = this.getObject(id);
+
+        if (locked) {
+            this._discardSelectionOf(obj);
+        }
+        obj.set({
+            locked,
+            selectable: !locked,
+            evented: !locked
+        });
+        this.renderAll();
+    }
+
+    /**
+     * Set the shadow and the outline of an object
+     * @param {number} id - object id
+     * @param {Object} effects - effects, null removes an effect and the effect not set is kept
+     *  @param {?Object} [effects.shadow] - shadow, {color, blur, offsetX, offsetY}
+     *  @param {?Object} [effects.outline] - outline, {color, width}
+     */
+    setObjectEffects(id, effects) {
+        this.getComponent(components.EFFECTS).setEffects(this.getObject(id), effects);
+        this.renderAll();
+    }
+
+    /**
+     * Get the shadow and the outline of an object
+     * @param {number} id - object id
+     * @returns {{shadow: ?Object, outline: ?Object}} effects, null if an effect is not set
+     */
+    getObjectEffects(id) {
+        return this.getComponent(components.EFFECTS).getEffects(this.getObject(id));
+    }
+
     /**
      * Get object properties corresponding key
      * @param {number} id - object id
@@ -743,6 +1050,35 @@ class Graphics {
         return true;
     }
 
+    /**
+     * Get the rectangle bounding the corners of an object on the canvas
+     * @param {number} id - object id
+     * @returns {?{left: number, top: number, width: number, height: number}} bounding rect if id is valid, or null
+     */
+    getObjectBoundingRect(id) {
+        if (!this.getObject(id)) {
+            return null;
+        }
+
+        const corners = [
+            this.getObjectPosition(id, 'left', 'top'),
+            this.getObjectPosition(id, 'right', 'top'),
+            this.getObjectPosition(id, 'right', 'bottom'),
+            this.getObjectPosition(id, 'left', 'bottom')
+        ];
+        const xs = corners.map(point => point.x);
+        const ys = corners.map(point => point.y);
+        const left = Math.min(...xs);
+        const top = Math.min(...ys);
+
+        return {
+            left,
+            top,
+            width: Math.max(...xs) - left,
+            height: Math.max(...ys) - top
+        };
+    }
+
     /**
      * Get the canvas size
      * @returns {Object} {{width: number, height: number}} image size
@@ -756,6 +1092,148 @@ class Graphics {
         };
     }
 
+    /**
+     * Get the serializable state of the editor
+     * @returns {Object} state - background image, transform, filters and objects
+     */
+    toJSON() {
+        const {canvasImage} = this;
+        const filters = this.getComponent(components.FILTER).getAppliedFilters();
+        const objects = [];
+
+        forEachArray(filters, imgFilter => {
+            if (imgFilter.options.mask) {
+                imgFilter.options.mask = this._serializeObject(imgFilter.options.mask);
+            }
+        });
+
+        this._canvas.forEachObject(obj => {
+            if (!obj.isType('cropzone')) {
+                objects.push({
+                    id: stampObject(obj),
+                    object: this._serializeObject(obj)
+                });
+            }
+        });
+
+        return {
+            version: consts.stateVersion,
+            imageName: this.imageName,
+            image: canvasImage ? this._getImageSource(canvasImage) : null,
+            transform: canvasImage ? {
+                angle: canvasImage.angle,
+                flipX: canvasImage.flipX,
+                flipY: canvasImage.flipY
+            } : null,
+            filters,
+            objects
+        };
+    }
+
+    /**
+     * Restore the state made by "toJSON"
+     * @param {Object} state - Editor state
+     * @returns {Promise}
+     */
+    loadFromJSON(state) {
+        if (!state || state.version !== consts.stateVersion) {
+            return Promise.reject(rejectMessages.unsupportedVersion);
+        }
+
+        const {imageName, image, transform, filters = [], objects = []} = state;
+        const loader = this.getComponent(components.IMAGE_LOADER);
+
+        this.discardSelection();
+        this.removeAll(true);
+
+        const promise = image ? loader.load(imageName, image) : loader.load();
+
+        return promise
+            .then(() => this._restoreTransform(transform))
+            .then(() => this._restoreFilters(filters))
+            .then(() => this._restoreObjects(objects))
+            .then(() => {
+                this.renderAll();
+
+                return this.getCanvasSize();
+            });
+    }
+
+    /**
+     * Make the arguments of a command JSON-safe. The fabric objects are serialized.
+     * @param {Array} args - Arguments of a command
+     * @returns {Array} JSON-safe arguments
+     */
+    serializeArgs(args) {
+        return args.map(arg => this._serializeArg(arg));
+    }
+
+    /**
+     * Restore the arguments made by "serializeArgs". The serialized fabric objects are created again.
+     * @param {Array} args - JSON-safe arguments
+     * @returns {Promise} restored arguments
+     */
+    deserializeArgs(args) {
+        return Promise.all(args.map(arg => this._deserializeArg(arg)));
+    }
+
+    /**
+     * Serialize objects to paste their copies later.
+     * The objects in the active group get the transform on the canvas, and the objects of a group get new ids.
+     * @param {Array.<fabric.Object>} objects - Fabric objects
+     * @returns {Array.<Object>} serialized objects
+     */
+    copyObjects(objects) {
+        return objects.map(obj => {
+            const data = this._serializeObject(obj);
+
+            if (obj.group) {
+                const {translateX, translateY, angle, scaleX, scaleY, skewX, skewY} =
+                    fabric.util.qrDecompose(obj.calcTransformMatrix());
+
+                extend(data, {
+                    left: translateX,
+                    top: translateY,
+                    originX: 'center',
+                    originY: 'center',
+                    angle,
+                    scaleX,
+                    scaleY,
+                    skewX,
+                    skewY,
+                    flipX: false,
+                    flipY: false
+                });
+            }
+            delete data.objectIds;
+
+            return data;
+        });
+    }
+
+    /**
+     * Change the ids of the objects in the canvas, e.g. to use the same ids as the other editors.
+     * An id is not changed to the id of another object.
+     * @param {Array.<number>} ids - Current object ids
+     * @param {Array.<number>} newIds - New object ids in the same order
+     * @returns {Array.<number>} new ids not used because another object has them
+     */
+    changeObjectIds(ids, newIds) {
+        const usedIds = [];
+
+        forEachArray(ids, (id, index) => {
+            const newId = newIds[index];
+
+            if (id !== newId && this._objects[newId]) {
+                usedIds.push(newId);
+            } else {
+                this._changeObjectId(id, newId);
+            }
+        });
+
+        return usedIds;
+    }
+
     /**
      * Get a DrawingMode instance
      * @param {string} modeName - DrawingMode Class Name
@@ -768,13 +1246,21 @@ class Graphics {
 
     /**
      * Set canvas element to fabric.Canvas
-     * @param {Element|string} element - Wrapper or canvas element or selector
+     * @param {?(Element|string)} element - Wrapper or canvas element or selector
      * @private
      */
     _setCanvasElement(element) {
         let selectedElement;
         let canvasElement;
 
+        if (!element) {
+            this._canvas = new fabric.Canvas(document.createElement('canvas'), {
+                enableRetinaScaling: false
+            });
+
+            return;
+        }
+
         if (element.nodeType) {
             selectedElement = element;
         } else {
@@ -793,7 +1279,7 @@ class Graphics {
     }
 
     /**
-     * Creates DrawingMode instances
+     * Creates DrawingMode instances including the ones of the plugins
      * @private
      */
     _createDrawingModeInstances() {
@@ -802,10 +1288,14 @@ class Graphics {
         this._register(this._drawingModeMap, new LineDrawingMode());
         this._register(this._drawingModeMap, new ShapeDrawingMode());
         this._register(this._drawingModeMap, new TextDrawingMode());
+
+        forEachArray(pluginFactory.getDrawingModes(), DrawingMode => {
+            this._register(this._drawingModeMap, new DrawingMode());
+        });
     }
 
     /**
-     * Create components
+     * Create components including the ones of the plugins
      * @private
      */
     _createComponents() {
@@ -819,6 +1309,14 @@ class Graphics {
         this._register(this._componentMap, new Icon(this));
         this._register(this._componentMap, new Filter(this));
         this._register(this._componentMap, new Shape(this));
+        this._register(this._componentMap, new Snapping(this));
+        this._register(this._componentMap, new Grid(this));
+        this._register(this._componentMap, new Ruler(this));
+        this._register(this._componentMap, new Effects(this));
+
+        forEachArray(pluginFactory.getComponents(), Component => {
+            this._register(this._componentMap, new Component(this));
+        });
     }
 
     /**
@@ -887,6 +1385,228 @@ class Graphics {
         this.getCanvas().add(obj).setActiveObject(obj);
     }
 
+    /**
+     * Serialize a fabric object with its image source embedded
+     * @param {fabric.Object} obj - Fabric object
+     * @returns {Object} serialized object
+     * @private
+     */
+    _serializeObject(obj) {
+        const data = obj.toObject();
+
+        if (obj.locked) {
+            data.locked = true;
+        }
+        if (obj.outline) {
+            data.outline = extend({}, obj.outline);
+        }
+
+        if (obj.isType('image')) {
+            data.src = this._getImageSource(obj);
+        } else if (obj.isType('group')) {
+            data.objects = obj.getObjects().map(child => this._serializeObject(child));
+            data.objectIds = obj.getObjects().map(child => stampObject(child));
+        }
+
+        return data;
+    }
+
+    /**
+     * Get the data url of the original (not filtered) element of an image
+     * @param {fabric.Image} image - Fabric image object
+     * @returns {string} data url
+     * @private
+     */
+    _getImageSource(image) {
+        const element = image._originalElement || image.getElement();
+        const canvasEl = fabric.util.createCanvasElement();
+
+        canvasEl.width = element.naturalWidth || element.width;
+        canvasEl.height = element.naturalHeight || element.height;
+        canvasEl.getContext('2d').drawImage(element, 0, 0);
+
+        return canvasEl.toDataURL();
+    }
+
+    /**
+     * Revive serialized fabric objects
+     * @param {Array.<Object>} serializedObjects - Serialized objects
+     * @returns {Promise} fabric objects in the same order
+     * @private
+     */
+    _enlivenObjects(serializedObjects) {
+        const fabricData = serializedObjects.map(toFabricData);
+
+        return new Promise(resolve => {
+            fabric.util.enlivenObjects(fabricData, objects => {
+                forEachArray(objects, (obj, index) => {
+                    restoreType(obj, serializedObjects[index]);
+                });
+                resolve(objects);
+            });
+        });
+    }
+
+    /**
+     * Restore the flip and rotation of the background image
+     * @param {?{angle: number, flipX: boolean, flipY: boolean}} transform - Image transform
+     * @returns {Promise}
+     * @private
+     */
+    _restoreTransform(transform) {
+        if (!transform || !this.canvasImage) {
+            return Promise.resolve();
+        }
+
+        this.setImageProperties({
+            flipX: transform.flipX,
+            flipY: transform.flipY
+        });
+
+        return this.getComponent(components.ROTATION).setAngle(transform.angle);
+    }
+
+    /**
+     * Apply the filters in order
+     * @param {Array.<{type: string, options: Object}>} filters - Serialized filters
+     * @returns {Promise}
+     * @private
+     */
+    _restoreFilters(filters) {
+        const filterComp = this.getComponent(components.FILTER);
+
+        return filters.reduce((promise, {type, options}) => promise.then(() => {
+            if (!options.mask) {
+                return filterComp.add(type, options);
+            }
+
+            return this._enlivenObjects([options.mask]).then(([mask]) => (
+                filterComp.add(type, extend({}, options, {mask}))
+            ));
+        }), Promise.resolve());
+    }
+
+    /**
+     * Add serialized objects with their ids
+     * @param {Array.<{id: number, object: Object}>} objects - Serialized objects
+     * @returns {Promise}
+     * @private
+     */
+    _restoreObjects(objects) {
+        return this._enlivenObjects(objects.map(item => item.object)).then(fabricObjects => {
+            forEachArray(fabricObjects, (obj, index) => {
+                this._prepareRestoredObject(obj);
+                setObjectId(obj, objects[index].id);
+            });
+
+            if (fabricObjects.length) {
+                this.add(fabricObjects);
+            }
+        });
+    }
+
+    /**
+     * Set the selection style and the events of a restored object
+     * @param {fabric.Object} obj - Restored fabric object
+     * @private
+     */
+    _prepareRestoredObject(obj) {
+        obj.set(extend({}, fObjectOptions.SELECTION_STYLE, {
+            originX: obj.originX,
+            originY: obj.originY
+        }));
+        if (obj.locked) {
+            obj.set({
+                selectable: false,
+                evented: false
+            });
+        }
+        this.getComponent(components.EFFECTS).restore(obj);
+
+        if (obj.isType('text') || obj.isType('i-text')) {
+            this.getComponent(components.TEXT).bindEvents(obj);
+        } else if (obj.isType('group') && obj.objectIds) {
+            forEachArray(obj.getObjects(), (child, index) => {
+                setObjectId(child, obj.objectIds[index]);
+            });
+            delete obj.objectIds;
+        }
+    }
+
+    /**
+     * Make a command argument JSON-safe
+     * @param {*} value - Argument
+     * @returns {*} JSON-safe value
+     * @private
+     */
+    _serializeArg(value) {
+        let result = value;
+
+        if (isArray(value)) {
+            result = value.map(item => this._serializeArg(item));
+        } else if (value && isFunction(value.isType)) {
+            result = {fabricObject: this._serializeObject(value)};
+        } else if (value && value.constructor === Object) {
+            result = {};
+            forEachOwnProperties(value, (prop, key) => {
+                result[key] = this._serializeArg(prop);
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Restore a command argument made by "_serializeArg"
+     * @param {*} value - JSON-safe value
+     * @returns {Promise} restored argument
+     * @private
+     */
+    _deserializeArg(value) {
+        if (isArray(value)) {
+            return Promise.all(value.map(item => this._deserializeArg(item)));
+        }
+        if (!value || value.constructor !== Object) {
+            return Promise.resolve(value);
+        }
+        if (value.fabricObject) {
+            return this._enlivenObjects([value.fabricObject]).then(([obj]) => {
+                this._prepareRestoredObject(obj);
+
+                return obj;
+            });
+        }
+
+        const keys = Object.keys(value);
+
+        return Promise.all(keys.map(key => this._deserializeArg(value[key]))).then(props => {
+            const result = {};
+            forEachArray(keys, (key, index) => {
+                result[key] = props[index];
+            });
+
+            return result;
+        });
+    }
+
+    /**
+     * Change the id of an object in the canvas
+     * @param {number} id - Current object id
+     * @param {number} newId - New object id
+     * @private
+     */
+    _changeObjectId(id, newId) {
+        const obj = this._objects[id];
+
+        if (!obj || !isExisty(newId) || id === newId) {
+            return;
+        }
+
+        delete this._objects[id];
+        setObjectId(obj, newId);
+        this._objects[newId] = obj;
+    }
+
     /**
      * Attach canvas's events
      */
@@ -937,8 +1657,15 @@ class Graphics {
      */
     _onObjectRemoved(fEvent) {
         const obj = fEvent.target;
+        const id = stampObject(obj);
 
-        this._removeFabricObject(stamp(obj));
+        this._removeFabricObject(id);
+        if (!obj.isType('cropzone')) {
+            this.fire(events.OBJECT_REMOVED, {
+                id,
+                type: obj.type
+            });
+        }
     }
 
     /**
@@ -948,6 +1675,9 @@ class Graphics {
      */
     _onObjectMoved(fEvent) {
         const {target} = fEvent;
+
+        this.getComponent(components.SNAPPING).snapMoving(target, fEvent.e);
+
         const params = this.createObjectProperties(target);
 
         this.fire(events.OBJECT_MOVED, params);
@@ -960,6 +1690,9 @@ class Graphics {
      */
     _onObjectScaled(fEvent) {
         const {target} = fEvent;
+
+        this.getComponent(components.SNAPPING).snapScaling(target, fEvent.e);
+
         const params = this.createObjectProperties(target);
 
         this.fire(events.OBJECT_SCALED, params);
@@ -1017,16 +1750,29 @@ class Graphics {
     }
 
     /**
-     * Canvas Selectable status change
+     * Canvas Selectable status change. The locked objects stay unselectable.
      * @param {boolean} selectable - expect status
      */
     changeSelectableAll(selectable) {
         this._canvas.forEachObject(obj => {
-            obj.selectable = selectable;
+            obj.selectable = selectable && !obj.locked;
             obj.hoverCursor = selectable ? 'move' : 'crosshair';
         });
     }
 
+    /**
+     * Discard the selection if it has the object
+     * @param {fabric.Object} obj - fabric object
+     * @private
+     */
+    _discardSelectionOf(obj) {
+        const activeGroup = this.getActiveGroupObject();
+
+        if (this.getActiveObject() === obj || (activeGroup && activeGroup.contains(obj))) {
+            this.discardSelection();
+        }
+    }
+
     /**
      * Return object's properties
      * @param {fabric.Object} obj - fabric object
@@ -1041,10 +1787,11 @@ class Graphics {
             'fill',
             'stroke',
             'strokeWidth',
-            'opacity'
+            'opacity',
+            'globalCompositeOperation'
         ];
         const props = {
-            id: stamp(obj),
+            id: stampObject(obj),
             type: obj.type
         };
 
@@ -1084,7 +1831,7 @@ class Graphics {
      * @returns {number} object id
      */
     _addFabricObject(obj) {
-        const id = stamp(obj);
+        const id = stampObject(obj);
         this._objects[id] = obj;
 
         return id;
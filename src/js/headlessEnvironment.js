@@ -0,0 +1,19 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Define the global window and document of jsdom on Node.js.
+ * fabric and "tui-code-snippet" read them when they are loaded, so this is imported before the other modules.
+ * The canvas elements of jsdom are drawn by the "canvas" package.
+ */
+import {JSDOM} from 'jsdom';
+
+if (typeof window === 'undefined') {
+    const {window: jsdomWindow} = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+        // load the images of the img elements
+        resources: 'usable'
+    });
+
+    global.window = jsdomWindow;
+    global.document = jsdomWindow.document;
+    // fabric checks the elements by "instanceof Element"
+    global.Element = jsdomWindow.Element;
+}
@@ -0,0 +1,291 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Image editor running on Node.js without the DOM
+ */
+import fs from 'fs';
+import snippet from 'tui-code-snippet';
+import Promise from 'core-js/library/es6/promise';
+import Invoker from './invoker';
+import Graphics from './graphics';
+import consts from './consts';
+import {playMacro} from './helper/macroHelper';
+
+const {commandNames, rejectMessages} = consts;
+const {isString, forEach} = snippet;
+
+/**
+ * Leading bytes of the image formats by mime type
+ * @type {Object.<string, Array.<number>>}
+ */
+const IMAGE_SIGNATURES = {
+    'image/png': [0x89, 0x50, 0x4e, 0x47],
+    'image/jpeg': [0xff, 0xd8, 0xff],
+    'image/gif': [0x47, 0x49, 0x46]
+};
+
+/**
+ * Get the mime type of an image by its leading bytes, png by default
+ * @param {Buffer} buffer - Buffer of an image
+ * @returns {string} mime type
+ * @ignore
+ */
+function getMimeType(buffer) {
+    let mimeType = 'image/png';
+
+    forEach(IMAGE_SIGNATURES, (bytes, type) => {
+        const isMatched = bytes.every((byte, index) => buffer[index] === byte);
+        if (isMatched) {
+            mimeType = type;
+        }
+
+        return !isMatched;
+    });
+
+    return mimeType;
+}
+
+/**
+ * Make the data url of an image buffer
+ * @param {Buffer} buffer - Buffer of an image
+ * @returns {string} data url
+ * @ignore
+ */
+function toDataURL(buffer) {
+    return `data:${getMimeType(buffer)};base64,${buffer.toString('base64')}`;
+}
+
+/**
+ * Get the url of an image to load. A file is read to a data url.
+ * @param {string|Buffer} source - File path, url or buffer of an image
+ * @returns {Promise} resolved with the url
+ * @ignore
+ */
+function toImageURL(source) {
+    if (Buffer.isBuffer(source)) {
+        return Promise.resolve(toDataURL(source));
+    }
+    if (/^(data:|https?:\/\/)/.test(source)) {
+        return Promise.resolve(source);
+    }
+
+    return new Promise((resolve, reject) => {
+        fs.readFile(source, (error, buffer) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(toDataURL(buffer));
+            }
+        });
+    });
+}
+
+/**
+ * Image editor for Node.js. The canvas is drawn by jsdom and the "canvas" package and there is no UI.
+ * All commands run with "execute", and the result is exported by "toDataURL" or "toBuffer".
+ * @class
+ * @param {Object} [options] - Options
+ *  @param {number} [options.cssMaxWidth] - Max width of the canvas
+ *  @param {number} [options.cssMaxHeight] - Max height of the canvas
+ *  @param {number} [options.maxUndoSteps] - Max number of undo steps. The oldest steps are removed over it.
+ *  @param {number} [options.maxUndoMemory] - Max estimated memory size of undo steps in bytes.
+ * @example
+ * var HeadlessImageEditor = require('tui-image-editor/headless');
+ * var fs = require('fs');
+ * var instance = new HeadlessImageEditor();
+ *
+ * instance.loadImageFromURL('./sample.png', 'sample').then(function() {
+ *     return instance.applyFilter('Grayscale');
+ * }).then(function() {
+ *     fs.writeFileSync('./sample-grayscale.png', instance.toBuffer());
+ * });
+ */
+class HeadlessImageEditor {
+    constructor(options = {}) {
+        /**
+         * Invoker
+         * @type {Invoker}
+         * @private
+         */
+        this._invoker = new Invoker({
+            maxUndoSteps: options.maxUndoSteps,
+            maxUndoMemory: options.maxUndoMemory
+        });
+
+        /**
+         * Graphics instance
+         * @type {Graphics}
+         * @private
+         */
+        this._graphics = new Graphics(null, {
+            cssMaxWidth: options.cssMaxWidth,
+            cssMaxHeight: options.cssMaxHeight
+        });
+    }
+
+    /**
+     * Execute a command by its name like "ImageEditor.execute"
+     * @param {string} commandName - Command name
+     * @param {...*} args - Arguments of the command
+     * @returns {Promise}
+     * @example
+     * imageEditor.execute('rotate', 90);
+     */
+    execute(commandName, ...args) {
+        return this._invoker.execute(commandName, this._graphics, ...args);
+    }
+
+    /**
+     * Undo
+     * @returns {Promise}
+     */
+    undo() {
+        return this._invoker.undo();
+    }
+
+    /**
+     * Redo
+     * @returns {Promise}
+     */
+    redo() {
+        return this._invoker.redo();
+    }
+
+    /**
+     * Load an image from a file path, an url or a buffer. A file or a buffer is loaded as a data url.
+     * @param {string|Buffer} source - File path, url or buffer of an image
+     * @param {string} imageName - Image name
+     * @returns {Promise<SizeChange, ErrorMsg>}
+     * @example
+     * imageEditor.loadImageFromURL(fs.readFileSync('./sample.png'), 'sample').then(result => {
+     *      console.log('new : ' + result.newWidth + ', ' + result.newHeight);
+     * });
+     */
+    loadImageFromURL(source, imageName) {
+        if (!imageName || !source) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+
+        return toImageURL(source).then(url => this.execute(commandNames.LOAD_IMAGE, imageName, url));
+    }
+
+    /**
+     * Apply a filter to the image like "ImageEditor.applyFilter"
+     * @param {string} type - Filter type
+     * @param {Object} [options] - Options of the filter
+     * @returns {Promise<FilterResult, ErrorMsg>}
+     */
+    applyFilter(type, options) {
+        return this.execute(commandNames.APPLY_FILTER, type, options);
+    }
+
+    /**
+     * Remove a filter from the image
+     * @param {string} type - Filter type
+     * @returns {Promise<FilterResult, ErrorMsg>}
+     */
+    removeFilter(type) {
+        return this.execute(commandNames.REMOVE_FILTER, type);
+    }
+
+    /**
+     * Play a macro made by "ImageEditor.stopRecording" on the loaded image as one undo step
+     * @param {Macro} macro - Macro
+     * @returns {Promise}
+     */
+    playMacro(macro) {
+        return playMacro(macro, this._graphics, this._invoker);
+    }
+
+    /**
+     * Get the serializable state of the editor like "ImageEditor.toJSON"
+     * @returns {Object} editor state
+     */
+    toJSON() {
+        return this._graphics.toJSON();
+    }
+
+    /**
+     * Restore the state made by "ImageEditor.toJSON". The undo and redo stacks are cleared.
+     * @param {Object|string} state - Editor state or its JSON string
+     * @returns {Promise<SizeChange, ErrorMsg>}
+     */
+    loadFromJSON(state) {
+        if (!state) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+
+        if (isString(state)) {
+            try {
+                state = JSON.parse(state);
+            } catch (e) {
+                return Promise.reject(rejectMessages.invalidParameters);
+            }
+        }
+
+        const {width: oldWidth, height: oldHeight} = this._graphics.getCanvasSize();
+
+        return this._graphics.loadFromJSON(state).then(({width, height}) => {
+            this._invoker.clearUndoStack();
+            this._invoker.clearRedoStack();
+
+            return {
+                oldWidth,
+                oldHeight,
+                newWidth: width,
+                newHeight: height
+            };
+        });
+    }
+
+    /**
+     * Get the canvas size
+     * @returns {{width: number, height: number}} canvas size
+     */
+    getCanvasSize() {
+        return this._graphics.getCanvasSize();
+    }
+
+    /**
+     * Get the image name
+     * @returns {string} image name
+     */
+    getImageName() {
+        return this._graphics.getImageName();
+    }
+
+    /**
+     * Get the data url of the image
+     * @param {Object} [options] - options of "ImageEditor.toDataURL"
+     * @returns {string} data url
+     */
+    toDataURL(options) {
+        return this._graphics.toDataURL(options);
+    }
+
+    /**
+     * Get the image as a buffer
+     * @param {Object} [options] - options for toDataURL
+     *   @param {String} [options.format=png] The format of the output image. Either "jpeg" or "png"
+     *   @param {Number} [options.quality=1] Quality level (0..1). Only used for jpeg.
+     *   @param {Number} [options.multiplier=1] Multiplier to scale by
+     * @returns {Buffer} Buffer of the encoded image
+     * @example
+     * fs.writeFileSync('./result.jpg', imageEditor.toBuffer({format: 'jpeg'}));
+     */
+    toBuffer(options) {
+        const [, data] = this.toDataURL(options).split(',');
+
+        return Buffer.from(data, 'base64');
+    }
+
+    /**
+     * Destroy the canvas
+     */
+    destroy() {
+        this._graphics.destroy();
+        this._graphics = null;
+        this._invoker = null;
+    }
+}
+
+module.exports = HeadlessImageEditor;
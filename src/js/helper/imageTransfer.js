@@ -0,0 +1,128 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Image transfer helper - images in the data of the paste and drop events
+ */
+import Promise from 'core-js/library/es6/promise';
+import consts from '../consts';
+
+const {rejectMessages} = consts;
+
+/**
+ * Name of a transferred image without the file name
+ * @type {string}
+ */
+const DEFAULT_IMAGE_NAME = 'image';
+
+/**
+ * The source of the first image tag in a html
+ * @type {RegExp}
+ */
+const IMG_SRC_REGEXP = /<img\s[^>]*?src\s*=\s*(["'])(.*?)\1/i;
+
+/**
+ * A svg markup with the optional xml declaration
+ * @type {RegExp}
+ */
+const SVG_REGEXP = /^\s*(<\?xml[\s\S]*?\?>\s*)?<svg[\s>]/i;
+
+/**
+ * Convert an array-like list to an array
+ * @param {?(FileList|DataTransferItemList)} list - List
+ * @returns {Array}
+ */
+function toArray(list) {
+    return Array.prototype.slice.call(list || []);
+}
+
+/**
+ * Get the first image file in the files or the items of a DataTransfer
+ * @param {DataTransfer} dataTransfer - DataTransfer
+ * @returns {?File} image file
+ */
+function getImageFile(dataTransfer) {
+    const itemFiles = toArray(dataTransfer.items)
+        .filter(item => item.kind === 'file')
+        .map(item => item.getAsFile());
+    const files = toArray(dataTransfer.files).concat(itemFiles)
+        .filter(file => file && file.type.indexOf('image/') === 0);
+
+    return files[0] || null;
+}
+
+/**
+ * Get the source of the first image in a html
+ * @param {string} html - Html
+ * @returns {?string} image url
+ */
+function getHtmlImageURL(html) {
+    const matched = IMG_SRC_REGEXP.exec(html);
+
+    return matched ? matched[2].replace(/&amp;/g, '&') : null;
+}
+
+/**
+ * Get the data url of a svg markup
+ * @param {string} text - Text
+ * @returns {?string} image url
+ */
+function getSvgImageURL(text) {
+    return SVG_REGEXP.test(text) ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(text)}` : null;
+}
+
+module.exports = {
+    /**
+     * Whether a DataTransfer has the data of a type
+     * @param {DataTransfer} dataTransfer - DataTransfer
+     * @param {string} type - Data type
+     * @returns {boolean}
+     */
+    hasType(dataTransfer, type) {
+        return toArray(dataTransfer.types).indexOf(type) > -1;
+    },
+
+    /**
+     * Get the image in a DataTransfer: an image file, the first image of a html or a svg markup.
+     * The data of the paste and drop events is readable only while the event is dispatched.
+     * @param {DataTransfer} dataTransfer - DataTransfer
+     * @returns {?{file: ?File, url: ?string, name: string}} image source
+     */
+    getImageSource(dataTransfer) {
+        const file = getImageFile(dataTransfer);
+
+        if (file) {
+            return {
+                file,
+                url: null,
+                name: file.name || DEFAULT_IMAGE_NAME
+            };
+        }
+
+        const url = getHtmlImageURL(dataTransfer.getData('text/html')) ||
+            getSvgImageURL(dataTransfer.getData('text/plain'));
+
+        return url ? {
+            file: null,
+            url,
+            name: DEFAULT_IMAGE_NAME
+        } : null;
+    },
+
+    /**
+     * Get the url of an image source. A file is read as a data url to keep it in the undo stack and the state.
+     * @param {{file: ?File, url: ?string}} source - Image source
+     * @returns {Promise<string, ErrorMsg>}
+     */
+    readImageSource(source) {
+        if (!source.file) {
+            return Promise.resolve(source.url);
+        }
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(rejectMessages.loadingImageFailed);
+            reader.readAsDataURL(source.file);
+        });
+    }
+};
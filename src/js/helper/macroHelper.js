@@ -0,0 +1,280 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Macro helper - geometry of the command arguments relative to the image size
+ */
+import {extend, forEach, forEachOwnProperties, isArray, isExisty, isNumber} from 'tui-code-snippet';
+import Promise from 'core-js/library/es6/promise';
+import commandFactory from '../factory/command';
+import consts from '../consts';
+
+const {commandNames, rejectMessages} = consts;
+
+/**
+ * Dimension of the geometric option keys
+ * 'base' is the shorter side of the image to keep the aspect ratio
+ * @type {Object.<string, string>}
+ */
+const OPTION_DIMENSIONS = {
+    left: 'width',
+    x: 'width',
+    width: 'width',
+    rx: 'width',
+    top: 'height',
+    y: 'height',
+    height: 'height',
+    ry: 'height',
+    fontSize: 'base',
+    strokeWidth: 'base'
+};
+
+/**
+ * Dimension of the keys of a serialized fabric object
+ * The size of a fabric object is changed by the scale not to change its path
+ * @type {Object.<string, string>}
+ */
+const FABRIC_OBJECT_DIMENSIONS = {
+    left: 'width',
+    top: 'height',
+    scaleX: 'base',
+    scaleY: 'base'
+};
+
+/**
+ * Commands taking an object id as the first argument
+ * @type {Array.<string>}
+ */
+const OBJECT_ID_COMMANDS = [
+    commandNames.CHANGE_ICON_COLOR,
+    commandNames.CHANGE_SHAPE,
+    commandNames.CHANGE_TEXT,
+    commandNames.CHANGE_TEXT_STYLE,
+    commandNames.REMOVE_OBJECT,
+    commandNames.SET_OBJECT_PROPERTIES,
+    commandNames.SET_OBJECT_POSITION,
+    commandNames.SET_OBJECT_INDEX,
+    commandNames.SET_OBJECT_VISIBILITY,
+    commandNames.SET_OBJECT_LOCKED,
+    commandNames.SET_OBJECT_EFFECTS,
+    commandNames.UNGROUP_OBJECTS
+];
+
+/**
+ * Commands taking an array of object ids as the first argument
+ * @type {Array.<string>}
+ */
+const OBJECT_IDS_COMMANDS = [
+    commandNames.ALIGN_OBJECTS,
+    commandNames.DISTRIBUTE_OBJECTS,
+    commandNames.GROUP_OBJECTS,
+    commandNames.MOVE_OBJECTS
+];
+
+/**
+ * Option keys of the object ids by the commands taking the options as the second argument
+ * @type {Object.<string, string>}
+ */
+const OBJECT_ID_OPTIONS = {
+    [commandNames.APPLY_FILTER]: 'maskObjId'
+};
+
+/**
+ * Get the object id in the options of a command
+ * @param {string} name - Command name
+ * @param {Array} args - Arguments
+ * @returns {?number} object id, null if there is no id in the options
+ * @ignore
+ */
+function getOptionObjectId(name, args) {
+    const key = OBJECT_ID_OPTIONS[name];
+    const [, options] = args;
+
+    return key && options && isExisty(options[key]) ? options[key] : null;
+}
+
+/**
+ * Get the dimensions of the image size
+ * @param {{width: number, height: number}} size - Image size
+ * @returns {{width: number, height: number, base: number}} dimensions
+ * @ignore
+ */
+function getDimensions({width, height}) {
+    return {
+        width: width || 1,
+        height: height || 1,
+        base: Math.min(width, height) || 1
+    };
+}
+
+/**
+ * Convert the geometric values of a serialized fabric object
+ * @param {Object} data - Serialized fabric object
+ * @param {Object} dimensions - Dimensions of the image size
+ * @param {function} convertValue - Function converting a value with a dimension
+ * @returns {Object} converted data
+ * @ignore
+ */
+function convertFabricObject(data, dimensions, convertValue) {
+    const result = {};
+
+    forEachOwnProperties(data, (value, key) => {
+        const dimension = FABRIC_OBJECT_DIMENSIONS[key];
+        result[key] = (dimension && isNumber(value)) ? convertValue(value, dimensions[dimension]) : value;
+    });
+
+    return result;
+}
+
+/**
+ * Convert the geometric values of an argument walking into arrays and plain objects
+ * @param {*} value - JSON-safe argument
+ * @param {Object} dimensions - Dimensions of the image size
+ * @param {function} convertValue - Function converting a value with a dimension
+ * @returns {*} converted argument
+ * @ignore
+ */
+function convert(value, dimensions, convertValue) {
+    if (isArray(value)) {
+        return value.map(item => convert(item, dimensions, convertValue));
+    }
+    if (!value || value.constructor !== Object) {
+        return value;
+    }
+
+    const result = {};
+    forEachOwnProperties(value, (prop, key) => {
+        const dimension = OPTION_DIMENSIONS[key];
+
+        if (key === 'fabricObject') {
+            result[key] = convertFabricObject(prop, dimensions, convertValue);
+        } else if (dimension && isNumber(prop)) {
+            result[key] = convertValue(prop, dimensions[dimension]);
+        } else {
+            result[key] = convert(prop, dimensions, convertValue);
+        }
+    });
+
+    return result;
+}
+
+const macroHelper = {
+    /**
+     * Make the geometry of the arguments relative to the image size
+     * @param {Array} args - JSON-safe arguments made by "Graphics.serializeArgs"
+     * @param {{width: number, height: number}} size - Image size
+     * @returns {Array} arguments with the relative geometry
+     */
+    toRelativeArgs(args, size) {
+        return convert(args, getDimensions(size), (value, dimension) => value / dimension);
+    },
+
+    /**
+     * Make the relative geometry of the arguments absolute with the image size
+     * @param {Array} args - Arguments made by "toRelativeArgs"
+     * @param {{width: number, height: number}} size - Image size
+     * @returns {Array} arguments with the absolute geometry
+     */
+    toAbsoluteArgs(args, size) {
+        return convert(args, getDimensions(size), (value, dimension) => value * dimension);
+    },
+
+    /**
+     * Get the object ids in the arguments of a command
+     * @param {string} name - Command name
+     * @param {Array} args - Arguments
+     * @returns {Array.<number>} object ids
+     */
+    getArgObjectIds(name, args) {
+        const [id] = args;
+        const optionObjectId = getOptionObjectId(name, args);
+
+        if (OBJECT_IDS_COMMANDS.indexOf(name) > -1 && isArray(id)) {
+            return id;
+        }
+        if (isExisty(optionObjectId)) {
+            return [optionObjectId];
+        }
+
+        return OBJECT_ID_COMMANDS.indexOf(name) > -1 && isExisty(id) ? [id] : [];
+    },
+
+    /**
+     * Replace the object id of the arguments with the id of the object made while playing a macro
+     * @param {string} name - Command name
+     * @param {Array} args - Arguments
+     * @param {Object.<number, number>} objectIdMap - Map of the recorded ids to the ids while playing
+     * @returns {Array} arguments
+     */
+    replaceObjectId(name, args, objectIdMap) {
+        const [id, options] = args;
+        const optionObjectId = getOptionObjectId(name, args);
+        const replace = value => (objectIdMap.hasOwnProperty(value) ? objectIdMap[value] : value);
+
+        if (OBJECT_IDS_COMMANDS.indexOf(name) > -1 && isArray(id)) {
+            return [id.map(replace)].concat(args.slice(1));
+        }
+        if (isExisty(optionObjectId)) {
+            return [id, extend({}, options, {
+                [OBJECT_ID_OPTIONS[name]]: replace(optionObjectId)
+            })].concat(args.slice(2));
+        }
+        if (OBJECT_ID_COMMANDS.indexOf(name) < 0) {
+            return args;
+        }
+
+        return [replace(id)].concat(args.slice(1));
+    }
+};
+
+/**
+ * Play a step of a macro
+ * @param {{name: string, args: Array, objectIds: Array.<number>}} step - Step of a macro
+ * @param {Object.<number, number>} objectIdMap - Map of the recorded object ids to the ids while playing
+ * @param {Graphics} graphics - Graphics instance
+ * @param {Invoker} invoker - Invoker executing the commands
+ * @returns {Promise}
+ * @ignore
+ */
+function playMacroStep(step, objectIdMap, graphics, invoker) {
+    const args = macroHelper.toAbsoluteArgs(step.args, graphics.getCanvasSize());
+
+    return graphics.deserializeArgs(args).then(restoredArgs => {
+        const commandArgs = macroHelper.replaceObjectId(step.name, restoredArgs, objectIdMap);
+        const command = commandFactory.create(step.name, graphics, ...commandArgs);
+        if (!command) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+
+        return invoker.execute(command).then(() => {
+            const objectIds = invoker.getObjectIds(command);
+            forEach(step.objectIds, (id, index) => {
+                objectIdMap[id] = objectIds[index];
+            });
+        });
+    });
+}
+
+/**
+ * Play a macro on the loaded image as one undo step of an invoker.
+ * The geometry is adapted to the image size, and if a step fails, the executed steps are rolled back.
+ * @param {Macro} macro - Macro made by "stopRecording"
+ * @param {Graphics} graphics - Graphics instance
+ * @param {Invoker} invoker - Invoker executing the commands
+ * @returns {Promise}
+ */
+macroHelper.playMacro = (macro, graphics, invoker) => {
+    if (!macro || !isArray(macro.steps)) {
+        return Promise.reject(rejectMessages.invalidParameters);
+    }
+    if (macro.version !== consts.macroVersion) {
+        return Promise.reject(rejectMessages.unsupportedMacroVersion);
+    }
+
+    const objectIdMap = {};
+
+    return invoker.batch(() => macro.steps.reduce(
+        (promise, step) => promise.then(() => playMacroStep(step, objectIdMap, graphics, invoker)),
+        Promise.resolve()
+    ));
+};
+
+module.exports = macroHelper;
@@ -8,14 +8,217 @@ import Invoker from './invoker';
 import UI from './ui';
 import action from './action';
 import commandFactory from './factory/command';
+import pluginFactory from './factory/plugin';
+import Component from './interface/component';
+import DrawingMode from './interface/drawingMode';
+import Submenu from './ui/submenuBase';
+import Autosave from './autosave';
+import Shortcut from './shortcut';
 import Graphics from './graphics';
+import ObjectIdMap from './objectIdMap';
 import consts from './consts';
-import {sendHostName} from './util';
+import {sendHostName, isFormField, stampObject, clamp} from './util';
+import {toRelativeArgs, replaceObjectId, getArgObjectIds, playMacro} from './helper/macroHelper';
+import {hasType, getImageSource, readImageSource} from './helper/imageTransfer';
 
 const events = consts.eventNames;
 const commands = consts.commandNames;
-const {keyCodes, rejectMessages} = consts;
-const {isUndefined, forEach, CustomEvents} = snippet;
+const {rejectMessages} = consts;
+
+/**
+ * Commands not recorded in a macro, the macro is played on the loaded image
+ * @type {Array.<string>}
+ * @ignore
+ */
+const NON_MACRO_COMMANDS = [commands.LOAD_IMAGE, commands.RESIZE_CANVAS_DIMENSION];
+
+/**
+ * Distance between a pasted copy and the copied object
+ * @type {number}
+ * @ignore
+ */
+const PASTE_OFFSET = 10;
+
+/**
+ * Handlers of the built-in shortcut actions, there is no error message on shortcut.
+ * The objects are pasted by the paste event to compare them with the system clipboard.
+ * @type {Object.<string, function>}
+ * @ignore
+ */
+const SHORTCUT_HANDLERS = {
+    undo: editor => editor.undo()['catch'](() => {}),
+    redo: editor => editor.redo()['catch'](() => {}),
+    removeObject: (editor, e) => editor._removeObjectByShortcut(e),
+    copyObject: (editor, e) => editor._onClipboardShortcut(e, 'copyObject'),
+    cutObject: (editor, e) => editor._onClipboardShortcut(e, 'cutObject'),
+    duplicateObject: (editor, e) => editor._onClipboardShortcut(e, 'duplicateObject'),
+    nudgeLeft: (editor, e) => editor._nudgeByShortcut(e, -1, 0),
+    nudgeUp: (editor, e) => editor._nudgeByShortcut(e, 0, -1),
+    nudgeRight: (editor, e) => editor._nudgeByShortcut(e, 1, 0),
+    nudgeDown: (editor, e) => editor._nudgeByShortcut(e, 0, 1),
+    nudgeLeftBy10: (editor, e) => editor._nudgeByShortcut(e, -10, 0),
+    nudgeUpBy10: (editor, e) => editor._nudgeByShortcut(e, 0, -10),
+    nudgeRightBy10: (editor, e) => editor._nudgeByShortcut(e, 10, 0),
+    nudgeDownBy10: (editor, e) => editor._nudgeByShortcut(e, 0, 10),
+    exitDrawingMode: editor => editor._exitDrawingModeByShortcut(),
+    crop: editor => editor._startToolByShortcut('crop'),
+    text: editor => editor._startToolByShortcut('text'),
+    draw: editor => editor._startToolByShortcut('draw'),
+    shape: editor => editor._startToolByShortcut('shape')
+};
+
+/**
+ * Drawing modes of the tools started by the shortcuts without the ui
+ * @type {Object.<string, string>}
+ * @ignore
+ */
+const TOOL_DRAWING_MODES = {
+    crop: 'CROPPER',
+    text: 'TEXT',
+    draw: 'FREE_DRAWING',
+    shape: 'SHAPE'
+};
+
+/**
+ * Data type written to the system clipboard on copying the objects by the shortcut
+ * @type {string}
+ * @ignore
+ */
+const CLIPBOARD_DATA_TYPE = 'application/x-tui-image-editor';
+
+/**
+ * Policies of adding a pasted or dropped image
+ * @type {Array.<string>}
+ * @ignore
+ */
+const IMAGE_PASTE_POLICIES = ['auto', 'background', 'object', 'none'];
+const {
+    isUndefined, isString, isNumber, isBoolean, isFunction, isExisty, isArray, forEach, extend, CustomEvents
+} = snippet;
+
+/**
+ * Get a valid policy of adding a pasted or dropped image, 'auto' by default
+ * @param {string} [policy] - Policy
+ * @returns {string}
+ * @ignore
+ */
+function getImagePastePolicy(policy) {
+    return IMAGE_PASTE_POLICIES.indexOf(policy) > -1 ? policy : 'auto';
+}
+
+/**
+ * Call the progress callback of "processBatch", its error does not stop the batch
+ * @param {function} [onProgress] - Progress callback
+ * @param {BatchResult} batchResult - Result of an image
+ * @ignore
+ */
+function notifyBatchProgress(onProgress, batchResult) {
+    if (!isFunction(onProgress)) {
+        return;
+    }
+
+    try {
+        onProgress(batchResult);
+    } catch (e) {
+        // the results are resolved even if the callback fails
+    }
+}
+
+/**
+ * Get the client id telling the commands of an editor from the ones of the other editors, a unique one by default
+ * @param {string} [clientId] - Client id
+ * @returns {string}
+ * @ignore
+ */
+function getClientId(clientId) {
+    return clientId || Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+/**
+ * Whether the custom command has a name and the execute, undo functions
+ * @param {Object} command - Command
+ * @returns {boolean}
+ * @ignore
+ */
+function isValidCommand(command) {
+    return !!command && isString(command.name) && !!command.name &&
+        isFunction(command.execute) && isFunction(command.undo);
+}
+
+/**
+ * Whether the descriptor has an id, a command name and an action
+ * @param {Object} descriptor - Command descriptor
+ * @returns {boolean}
+ * @ignore
+ */
+function isValidCommandDescriptor(descriptor) {
+    return !!descriptor && isExisty(descriptor.id) && isString(descriptor.name) &&
+        (descriptor.action === 'execute' || descriptor.action === 'undo');
+}
+
+/**
+ * Whether the submenu of a plugin has a name and a Submenu class
+ * @param {Object} ui - Submenu of a plugin
+ * @returns {boolean}
+ * @ignore
+ */
+function isValidPluginUI(ui) {
+    return isString(ui.name) && !!ui.name && isFunction(ui.Submenu);
+}
+
+/**
+ * Whether the plugin has a name and a valid submenu if it has
+ * @param {Object} plugin - Plugin
+ * @returns {boolean}
+ * @ignore
+ */
+function isValidPlugin(plugin) {
+    return !!plugin && isString(plugin.name) && !!plugin.name &&
+        (!plugin.ui || isValidPluginUI(plugin.ui));
+}
+
+/**
+ * Whether the step of "processBatch" is a macro
+ * @param {*} step - Step of the pipeline
+ * @returns {boolean}
+ * @ignore
+ */
+function isMacroStep(step) {
+    return !!step && isArray(step.steps);
+}
+
+/**
+ * Whether the step of "processBatch" calls a method of the editor
+ * @param {*} step - Step of the pipeline
+ * @returns {boolean}
+ * @ignore
+ */
+function isMethodStep(step) {
+    return !!step && isString(step.method);
+}
+
+/**
+ * Get the url and the name of an image of "processBatch"
+ * @param {string|{url: string, name: string}} image - Url of the image or the url with the name
+ * @param {number} index - Index of the image
+ * @returns {{url: string, name: string}}
+ * @ignore
+ */
+function toBatchImage(image, index) {
+    const defaultName = `image-${index + 1}`;
+
+    if (image && image.url) {
+        return {
+            url: image.url,
+            name: image.name || defaultName
+        };
+    }
+
+    return {
+        url: image,
+        name: defaultName
+    };
+}
 
 /**
  * Image editor
@@ -45,6 +248,23 @@ const {isUndefined, forEach, CustomEvents} = snippet;
  *  @param {string} [options.selectionStyle.borderColor] - selection border color
  *  @param {number} [options.selectionStyle.rotatingPointOffset] - selection rotating point length
  *  @param {Boolean} [options.usageStatistics=true] - Let us know the hostname. If you don't want to send the hostname, please set to false.
+ *  @param {number} [options.maxUndoSteps] - Max number of undo steps. The oldest steps are removed over it.
+ *  @param {number} [options.maxUndoMemory] - Max estimated memory size of undo steps in bytes.
+ *    The oldest steps are removed over it.
+ *  @param {string} [options.clientId] - Id of this editor in the command descriptors, unique one by default
+ *  @param {Object} [options.autosave] - Save the editor state to IndexedDB periodically to recover it after a crash
+ *    @param {string} options.autosave.projectId - Key of the saved state
+ *    @param {number} [options.autosave.interval=5000] - Interval of saving the changed state in milliseconds
+ *  @param {string} [options.imagePastePolicy='auto'] - How an image pasted or dropped on the editor is added
+ *    [auto | background | object | none]. 'auto' loads it as the background image on the empty editor
+ *    and adds it as an image object otherwise.
+ *  @param {Object.<string, ?(string|Array.<string>)>} [options.shortcuts] - Key bindings replacing the default ones
+ *    by action, null disables the action. See "getShortcuts" for the actions and the keys.
+ *  @param {Object} [options.snapping] - Snap the moved and scaled objects to the image, the other objects and a grid.
+ *    Holding Ctrl (Command on Mac) disables it while dragging.
+ *    @param {number} [options.snapping.threshold=5] - Max distance in pixels on the screen to snap
+ *    @param {number} [options.snapping.grid=0] - Spacing of the grid in pixels of the image, no grid by 0
+ *    @param {boolean} [options.snapping.toObjects=true] - Snap to the edges and the centers of the other objects
  * @example
  * var ImageEditor = require('tui-image-editor');
  * var blackTheme = require('./js/theme/black-theme.js');
@@ -96,7 +316,73 @@ class ImageEditor {
          * @type {Invoker}
          * @private
          */
-        this._invoker = new Invoker();
+        this._invoker = new Invoker({
+            maxUndoSteps: options.maxUndoSteps,
+            maxUndoMemory: options.maxUndoMemory
+        });
+
+        /**
+         * Client id of this editor in the command descriptors
+         * @type {string}
+         * @private
+         */
+        this._clientId = getClientId(options.clientId);
+
+        /**
+         * Map of the object ids made by the commands of the other editors
+         * @type {ObjectIdMap}
+         * @private
+         */
+        this._objectIdMap = new ObjectIdMap(this._clientId);
+
+        /**
+         * Macro in recording with the canvas size after the last command
+         * @type {?{steps: Array.<Object>, canvasSize: {width: number, height: number}}}
+         * @private
+         */
+        this._recording = null;
+
+        /**
+         * Autosave, saving starts after the recoverable session is restored or discarded
+         * @type {?Autosave}
+         * @private
+         */
+        this._autosave = null;
+
+        /**
+         * Objects copied by "copyObject" or "cutObject" and the number of the next paste
+         * @type {?{objects: Array.<Object>, pasteCount: number}}
+         * @private
+         */
+        this._clipboard = null;
+
+        /**
+         * Whether the objects are copied by the shortcut and the system clipboard is not marked yet
+         * @type {boolean}
+         * @private
+         */
+        this._copiedByShortcut = false;
+
+        /**
+         * Registry of the keyboard shortcuts
+         * @type {Shortcut}
+         * @private
+         */
+        this._shortcut = new Shortcut(options.shortcuts);
+
+        /**
+         * Handlers of the shortcut actions added by "addShortcut"
+         * @type {Object.<string, function>}
+         * @private
+         */
+        this._shortcutHandlers = {};
+
+        /**
+         * Policy of adding a pasted or dropped image
+         * @type {string}
+         * @private
+         */
+        this._imagePastePolicy = getImagePastePolicy(options.imagePastePolicy);
 
         /**
          * Graphics instance
@@ -108,7 +394,8 @@ class ImageEditor {
                 cssMaxWidth: options.cssMaxWidth,
                 cssMaxHeight: options.cssMaxHeight,
                 useItext: !!this.ui,
-                useDragAddIcon: !!this.ui
+                useDragAddIcon: !!this.ui,
+                snapping: options.snapping
             }
         );
 
@@ -119,6 +406,12 @@ class ImageEditor {
          */
         this._handlers = {
             keydown: this._onKeyDown.bind(this),
+            keyup: this._onKeyUp.bind(this),
+            focus: this._onFocusMouseDown.bind(this),
+            copy: this._onCopy.bind(this),
+            paste: this._onPaste.bind(this),
+            dragover: this._onDragOver.bind(this),
+            drop: this._onDrop.bind(this),
             mousedown: this._onMouseDown.bind(this),
             objectActivated: this._onObjectActivated.bind(this),
             objectMoved: this._onObjectMoved.bind(this),
@@ -127,6 +420,7 @@ class ImageEditor {
             addText: this._onAddText.bind(this),
             addObject: this._onAddObject.bind(this),
             addObjectAfter: this._onAddObjectAfter.bind(this),
+            objectRemoved: this._onObjectRemoved.bind(this),
             textEditing: this._onTextEditing.bind(this),
             textChanged: this._onTextChanged.bind(this),
             iconCreateResize: this._onIconCreateResize.bind(this),
@@ -143,6 +437,10 @@ class ImageEditor {
             applyGroupSelectionStyle: options.applyGroupSelectionStyle
         });
 
+        if (options.autosave) {
+            this._initAutosave(options.autosave);
+        }
+
         if (options.usageStatistics) {
             sendHostName();
         }
@@ -153,6 +451,132 @@ class ImageEditor {
         }
     }
 
+    /**
+     * Register a custom command running through the same undo/redo stacks as the built-in commands.
+     * "execute" and "undo" are called with the Graphics instance and the arguments of "execute()",
+     * and "this.undoData" can keep the data for undo.
+     * @param {Object} command - Command
+     *  @param {string} command.name - Command name, it should not be a name of the built-in commands
+     *  @param {function} command.execute - Function executing the command, it can return a promise
+     *  @param {function} command.undo - Function undoing the command, it can return a promise
+     *  @param {string} [command.label] - Human-readable name used in the history
+     * @static
+     * @example
+     * ImageEditor.registerCommand({
+     *     name: 'addWatermark',
+     *     label: 'Add watermark',
+     *     execute(graphics, text) {
+     *         const watermark = new fabric.Text(text, {opacity: 0.5});
+     *         this.undoData.object = watermark;
+     *         graphics.add(watermark);
+     *     },
+     *     undo(graphics) {
+     *         graphics.remove(this.undoData.object);
+     *     }
+     * });
+     * imageEditor.execute('addWatermark', 'Sample');
+     */
+    static registerCommand(command) {
+        if (!isValidCommand(command)) {
+            throw new Error(rejectMessages.invalidParameters);
+        }
+
+        if (ImageEditor.isBuiltInCommand(command.name)) {
+            throw new Error(`${rejectMessages.builtInCommand} ${command.name}`);
+        }
+
+        const {execute, undo} = command;
+
+        commandFactory.register(extend({}, command, {
+            execute(...args) {
+                return Promise.resolve(execute.apply(this, args));
+            },
+            undo(...args) {
+                return Promise.resolve(undo.apply(this, args));
+            }
+        }));
+    }
+
+    /**
+     * Register a plugin adding components, drawing modes, commands and a submenu of the UI.
+     * It should be called before creating the ImageEditor instances using the plugin.
+     * The classes extend ImageEditor.Component, ImageEditor.DrawingMode and ImageEditor.Submenu,
+     * and the menu icon is found in the svg files of the theme by the name of the submenu.
+     * A plugin having the same name as a registered one is ignored.
+     * @param {Object} plugin - Plugin
+     *  @param {string} plugin.name - Plugin name
+     *  @param {Array.<function>} [plugin.components] - Component classes created with the Graphics instance
+     *  @param {Array.<function>} [plugin.drawingModes] - DrawingMode classes
+     *  @param {Array.<Object>} [plugin.commands] - Commands registered by "ImageEditor.registerCommand"
+     *  @param {Object} [plugin.ui] - Submenu of the UI
+     *    @param {string} plugin.ui.name - Menu name added to the "includeUI.menu" option by default
+     *    @param {function} plugin.ui.Submenu - Submenu class rendering its template
+     *    @param {function} [plugin.ui.actions] - Function returning the actions of the submenu
+     *                                            with the ImageEditor instance
+     * @returns {function} ImageEditor
+     * @static
+     * @example
+     * class WatermarkSubmenu extends ImageEditor.Submenu {
+     *     constructor(subMenuElement, {locale, iconStyle, menuBarPosition}) {
+     *         super(subMenuElement, {
+     *             locale,
+     *             name: 'watermark',
+     *             iconStyle,
+     *             menuBarPosition,
+     *             templateHtml: () => '<button id="tie-watermark-button">Add</button>'
+     *         });
+     *     }
+     *
+     *     addEvent(actions) {
+     *         this.selector('#tie-watermark-button').addEventListener('click', () => actions.add('Sample'));
+     *     }
+     *
+     *     changeStartMode() {}
+     *
+     *     changeStandbyMode() {}
+     * }
+     *
+     * ImageEditor.use({
+     *     name: 'watermark',
+     *     commands: [{
+     *         name: 'addWatermark',
+     *         execute(graphics, text) {...},
+     *         undo(graphics) {...}
+     *     }],
+     *     ui: {
+     *         name: 'watermark',
+     *         Submenu: WatermarkSubmenu,
+     *         actions: imageEditor => ({
+     *             add: text => imageEditor.execute('addWatermark', text)
+     *         })
+     *     }
+     * });
+     */
+    static use(plugin) {
+        if (!isValidPlugin(plugin)) {
+            throw new Error(rejectMessages.invalidParameters);
+        }
+
+        if (!pluginFactory.has(plugin.name)) {
+            forEach(plugin.commands, command => {
+                ImageEditor.registerCommand(command);
+            });
+            pluginFactory.register(plugin);
+        }
+
+        return ImageEditor;
+    }
+
+    /**
+     * Whether the name is used by a built-in command
+     * @param {string} name - Command name
+     * @returns {boolean}
+     * @static
+     */
+    static isBuiltInCommand(name) {
+        return Object.keys(commands).some(key => commands[key] === name);
+    }
+
     /**
      * Image filter result
      * @typedef {Object} FilterResult
@@ -186,6 +610,16 @@ class ImageEditor {
      * @typedef {string} ErrorMsg - {string} error message
      */
 
+    /**
+     * History entry
+     * @typedef {Object} HistoryEntry
+     * @property {string} name - command name
+     * @property {string} label - human-readable name of the command
+     * @property {number} timestamp - time when the command is executed
+     * @property {Array.<number>} objectIds - ids of the affected objects
+     * @property {boolean} undone - whether the command is undone and can be redone
+     */
+
     /**
      * @typedef {Object} ObjectProps - graphics object properties
      * @property {number} id - object id
@@ -198,6 +632,8 @@ class ImageEditor {
      * @property {string} fill - Color
      * @property {string} stroke - Stroke
      * @property {(string | number)} strokeWidth - StrokeWidth
+     * @property {number} opacity - Opacity from 0 to 1
+     * @property {string} globalCompositeOperation - Blend mode, 'source-over' is the normal mode
      * @property {string} fontFamily - Font type for text
      * @property {number} fontSize - Font Size
      * @property {string} fontStyle - Type of inclination (normal / italic)
@@ -206,6 +642,12 @@ class ImageEditor {
      * @property {string} textDecoraiton - Type of line (underline / line-throgh / overline)
      */
 
+    /**
+     * @typedef {Object} ObjectEffects - shadow and outline of an object
+     * @property {?{color: string, blur: number, offsetX: number, offsetY: number}} shadow - null if not set
+     * @property {?{color: string, width: number}} outline - null if not set
+     */
+
     /**
      * Set selection style by init option
      * @param {Object} selectionStyle - Selection styles
@@ -239,7 +681,11 @@ class ImageEditor {
     _attachInvokerEvents() {
         const {
             UNDO_STACK_CHANGED,
-            REDO_STACK_CHANGED
+            UNDO_STACK_TRIMMED,
+            REDO_STACK_CHANGED,
+            HISTORY_CHANGED,
+            COMMAND_EXECUTED,
+            COMMAND_UNDONE
         } = events;
 
         /**
@@ -262,129 +708,955 @@ class ImageEditor {
          * });
          */
         this._invoker.on(REDO_STACK_CHANGED, this.fire.bind(this, REDO_STACK_CHANGED));
+        /**
+         * Undo stack trimmed event, fired when the oldest undo steps are removed by "maxUndoSteps" or "maxUndoMemory"
+         * @event ImageEditor#undoStackTrimmed
+         * @param {Number} count - number of removed undo steps
+         * @example
+         * imageEditor.on('undoStackTrimmed', function(count) {
+         *     console.log(count);
+         * });
+         */
+        this._invoker.on(UNDO_STACK_TRIMMED, this.fire.bind(this, UNDO_STACK_TRIMMED));
+        /**
+         * History changed event, fired once when "goToHistory" finishes
+         * @event ImageEditor#historyChanged
+         * @param {Number} index - index of the last executed history entry
+         * @example
+         * imageEditor.on('historyChanged', function(index) {
+         *     console.log(imageEditor.getHistory()[index]);
+         * });
+         */
+        this._invoker.on(HISTORY_CHANGED, this.fire.bind(this, HISTORY_CHANGED));
+        /**
+         * Command executed event, fired when a command is executed or redone.
+         * The descriptor can be sent to the other editors and applied by "applyRemoteCommand".
+         * @event ImageEditor#commandExecuted
+         * @param {CommandDescriptor} descriptor - serializable description of the command
+         * @example
+         * imageEditor.on('commandExecuted', function(descriptor) {
+         *     socket.send(JSON.stringify(descriptor));
+         * });
+         */
+        this._invoker.on(COMMAND_EXECUTED, this._fireCommandDescriptor.bind(this, COMMAND_EXECUTED, 'execute'));
+        /**
+         * Command undone event
+         * @event ImageEditor#commandUndone
+         * @param {CommandDescriptor} descriptor - serializable description of the command
+         * @example
+         * imageEditor.on('commandUndone', function(descriptor) {
+         *     socket.send(JSON.stringify(descriptor));
+         * });
+         */
+        this._invoker.on(COMMAND_UNDONE, this._fireCommandDescriptor.bind(this, COMMAND_UNDONE, 'undo'));
+        this._invoker.on(COMMAND_EXECUTED, this._recordMacroStep.bind(this));
+        this._invoker.on(COMMAND_UNDONE, this._removeMacroStep.bind(this));
+        this._invoker.on(COMMAND_EXECUTED, this._markAutosaveDirty.bind(this));
+        this._invoker.on(COMMAND_UNDONE, this._markAutosaveDirty.bind(this));
     }
 
     /**
-     * Attach canvas events
+     * Create the autosave and fire "autosaveFound" if there is a recoverable session,
+     * otherwise start saving. If IndexedDB is not available, nothing is saved.
+     * @param {Object} options - Autosave options
      * @private
      */
-    _attachGraphicsEvents() {
-        this._graphics.on({
-            'mousedown': this._handlers.mousedown,
-            'objectMoved': this._handlers.objectMoved,
-            'objectScaled': this._handlers.objectScaled,
-            'objectActivated': this._handlers.objectActivated,
-            'addText': this._handlers.addText,
-            'addObject': this._handlers.addObject,
-            'textEditing': this._handlers.textEditing,
-            'textChanged': this._handlers.textChanged,
-            'iconCreateResize': this._handlers.iconCreateResize,
-            'iconCreateEnd': this._handlers.iconCreateEnd,
-            'selectionCleared': this._handlers.selectionCleared,
-            'selectionCreated': this._handlers.selectionCreated,
-            'addObjectAfter': this._handlers.addObjectAfter
+    _initAutosave(options) {
+        const autosave = new Autosave(options, () => this.toJSON());
+
+        this._autosave = autosave;
+        /**
+         * Autosaved event, fired when the changed state is saved
+         * @event ImageEditor#autosaved
+         * @param {number} savedAt - saved time
+         * @example
+         * imageEditor.on('autosaved', function(savedAt) {
+         *     console.log('saved at ' + new Date(savedAt));
+         * });
+         */
+        autosave.on(events.AUTOSAVED, this.fire.bind(this, events.AUTOSAVED));
+        /**
+         * Autosave error event, fired when the changed state fails to be saved.
+         * Saving is tried again less often until it succeeds.
+         * @event ImageEditor#autosaveError
+         * @param {*} error - error of saving, e.g. a quota error or a SecurityError of the tainted canvas
+         * @example
+         * imageEditor.on('autosaveError', function(error) {
+         *     console.warn('The work is not saved', error);
+         * });
+         */
+        autosave.on(events.AUTOSAVE_ERROR, this.fire.bind(this, events.AUTOSAVE_ERROR));
+
+        autosave.find().then(session => {
+            if (this._autosave !== autosave) {
+                // destroyed before finding the session
+                return;
+            }
+            if (!session) {
+                autosave.start();
+
+                return;
+            }
+            /**
+             * Autosave found event, fired after creating the editor if there is a recoverable session.
+             * Nothing is saved until "restoreAutosave" or "discardAutosave" is called.
+             * @event ImageEditor#autosaveFound
+             * @param {Object} session - recoverable session
+             *  @param {string} session.projectId - project id
+             *  @param {number} session.savedAt - saved time
+             * @example
+             * imageEditor.on('autosaveFound', function(session) {
+             *     if (confirm('Restore the work saved at ' + new Date(session.savedAt) + '?')) {
+             *         imageEditor.restoreAutosave();
+             *     } else {
+             *         imageEditor.discardAutosave();
+             *     }
+             * });
+             */
+            this.fire(events.AUTOSAVE_FOUND, session);
+        })['catch'](() => {
+            autosave.destroy();
+            this._autosave = null;
         });
     }
 
     /**
-     * Attach dom events
+     * Mark the state changed for the autosave
      * @private
      */
-    _attachDomEvents() {
-        // ImageEditor supports IE 9 higher
-        document.addEventListener('keydown', this._handlers.keydown);
+    _markAutosaveDirty() {
+        if (this._autosave) {
+            this._autosave.markDirty();
+        }
     }
 
     /**
-     * Detach dom events
+     * Get the JSON-safe arguments of a command without the Graphics instance injected by "execute"
+     * @param {Array} args - Arguments of a command
+     * @returns {Array} JSON-safe arguments
      * @private
      */
-    _detachDomEvents() {
-        // ImageEditor supports IE 9 higher
-        document.removeEventListener('keydown', this._handlers.keydown);
+    _getPortableArgs(args) {
+        return this._graphics.serializeArgs(args[0] === this._graphics ? args.slice(1) : args);
     }
 
     /**
-     * Keydown event handler
-     * @param {KeyboardEvent} e - Event object
+     * Record the executed command as a step of the macro in recording.
+     * The step of a merged command replaces the one of the same undo entry.
+     * @param {{id: number, name: string, args: Array, objectIds: Array.<number>}} record - Command record
      * @private
      */
-    /* eslint-disable complexity */
-    _onKeyDown(e) {
-        const activeObject = this._graphics.getActiveObject();
-        const activeObjectGroup = this._graphics.getActiveGroupObject();
-        const existRemoveObject = activeObject || activeObjectGroup;
+    _recordMacroStep(record) {
+        const recording = this._recording;
+        if (!recording) {
+            return;
+        }
 
-        if ((e.ctrlKey || e.metaKey) && e.keyCode === keyCodes.Z) {
-            // There is no error message on shortcut when it's empty
-            this.undo()['catch'](() => {});
+        if (NON_MACRO_COMMANDS.indexOf(record.name) < 0) {
+            const step = {
+                id: record.id,
+                name: record.name,
+                args: toRelativeArgs(this._getPortableArgs(record.args), recording.canvasSize),
+                objectIds: record.objectIds
+            };
+            const index = this._findMacroStepIndex(record.id);
+
+            if (index < 0) {
+                recording.steps.push(step);
+            } else {
+                recording.steps[index] = step;
+            }
         }
+        recording.canvasSize = this._graphics.getCanvasSize();
+    }
 
-        if ((e.ctrlKey || e.metaKey) && e.keyCode === keyCodes.Y) {
-            // There is no error message on shortcut when it's empty
-            this.redo()['catch'](() => {});
+    /**
+     * Remove the step of the undone command from the macro in recording
+     * @param {{id: number}} record - Command record
+     * @private
+     */
+    _removeMacroStep(record) {
+        const recording = this._recording;
+        if (!recording) {
+            return;
         }
 
-        if (((e.keyCode === keyCodes.BACKSPACE || e.keyCode === keyCodes.DEL) && existRemoveObject)) {
-            e.preventDefault();
-            this.removeActiveObject();
+        const index = this._findMacroStepIndex(record.id);
+        if (index > -1) {
+            recording.steps.splice(index, 1);
         }
+        recording.canvasSize = this._graphics.getCanvasSize();
     }
-    /* eslint-enable complexity */
 
     /**
-     * Remove Active Object
+     * Find the index of the step of an undo entry in the macro in recording
+     * @param {number} id - Id of the undo entry
+     * @returns {number} index of the step, -1 if not found
+     * @private
      */
-    removeActiveObject() {
-        const activeObject = this._graphics.getActiveObject();
-        const activeObjectGroup = this._graphics.getActiveGroupObject();
+    _findMacroStepIndex(id) {
+        const {steps} = this._recording;
+        let i;
 
-        if (activeObjectGroup) {
-            const objects = activeObjectGroup.getObjects();
-            this.discardSelection();
-            this._removeObjectStream(objects);
-        } else if (activeObject) {
-            const activeObjectId = this._graphics.getObjectId(activeObject);
-            this.removeObject(activeObjectId);
+        for (i = steps.length - 1; i >= 0; i -= 1) {
+            if (steps[i].id === id) {
+                return i;
+            }
         }
+
+        return -1;
     }
 
     /**
-     * RemoveObject Sequential processing for prevent invoke lock
-     * @param {Array.<Object>} targetObjects - target Objects for remove
-     * @returns {object} targetObjects
+     * Load an image, run the pipeline of "processBatch" on it and export the result
+     * @param {{url: string, name: string}} image - Url and name of the image
+     * @param {Array.<function|Macro|{method: string, args: Array}>} pipeline - Steps run on the image
+     * @param {Object} options - Options of exporting
+     * @param {number} index - Index of the image
+     * @returns {Promise} resolved with {name, dataURL, error}, never rejected
      * @private
      */
-    _removeObjectStream(targetObjects) {
-        if (!targetObjects.length) {
-            return true;
+    _processBatchImage({url, name}, pipeline, options, index) {
+        return this.loadImageFromURL(url, name).then(() => pipeline.reduce(
+            (promise, step) => promise.then(() => this._runBatchStep(step, index)),
+            Promise.resolve()
+        )).then(() => this._exportBatchImage(options)).then(dataURL => ({
+            name,
+            dataURL,
+            error: null
+        }), error => ({
+            name,
+            dataURL: null,
+            error
+        }));
+    }
+
+    /**
+     * Run a step of the pipeline of "processBatch"
+     * @param {function|Macro|{method: string, args: Array}} step - Step
+     * @param {number} index - Index of the image
+     * @returns {Promise}
+     * @private
+     */
+    _runBatchStep(step, index) {
+        if (isFunction(step)) {
+            return Promise.resolve(step(this, index));
+        }
+        if (isMacroStep(step)) {
+            return this.playMacro(step);
+        }
+        if (isMethodStep(step) && isFunction(this[step.method])) {
+            return Promise.resolve(this[step.method](...(step.args || [])));
         }
 
-        const targetObject = targetObjects.pop();
+        return Promise.reject(rejectMessages.invalidParameters);
+    }
 
-        return this.removeObject(this._graphics.getObjectId(targetObject)).then(() => (
-            this._removeObjectStream(targetObjects)
-        ));
+    /**
+     * Export the image of "processBatch" scaled down to fit the max size
+     * @param {Object} options - Options of exporting
+     * @returns {string} data url
+     * @private
+     */
+    _exportBatchImage({format, quality, maxWidth, maxHeight}) {
+        const {width, height} = this._graphics.getCanvasSize();
+        const multiplier = Math.min(1, (maxWidth || width) / width, (maxHeight || height) / height);
+
+        return this.toDataURL({
+            format,
+            quality,
+            multiplier
+        });
     }
 
     /**
-     * mouse down event handler
-     * @param {Event} event mouse down event
-     * @param {Object} originPointer origin pointer
-     *  @param {Number} originPointer.x x position
-     *  @param {Number} originPointer.y y position
+     * Fire the event with the descriptor of a command record of the invoker
+     * @param {string} eventName - Event name
+     * @param {string} actionType - 'execute' or 'undo'
+     * @param {{id: number, name: string, args: Array, objectIds: Array.<number>}} record - Command record
      * @private
      */
-    _onMouseDown(event, originPointer) {
-        /**
-         * The mouse down event with position x, y on canvas
-         * @event ImageEditor#mousedown
-         * @param {Object} event - browser mouse event object
-         * @param {Object} originPointer origin pointer
-         *  @param {Number} originPointer.x x position
-         *  @param {Number} originPointer.y y position
-         * @example
-         * imageEditor.on('mousedown', function(event, originPointer) {
+    _fireCommandDescriptor(eventName, actionType, record) {
+        if (!this.hasListener(eventName)) {
+            return;
+        }
+
+        const {id, name, objectIds} = record;
+        const args = this._getPortableArgs(record.args);
+
+        this.fire(eventName, {
+            action: actionType,
+            clientId: this._clientId,
+            id,
+            name,
+            args,
+            objectIds,
+            objectSources: this._objectIdMap.getSources(getArgObjectIds(name, args).concat(objectIds))
+        });
+    }
+
+    /**
+     * Attach canvas events
+     * @private
+     */
+    _attachGraphicsEvents() {
+        this._graphics.on({
+            'mousedown': this._handlers.mousedown,
+            'objectMoved': this._handlers.objectMoved,
+            'objectScaled': this._handlers.objectScaled,
+            'objectActivated': this._handlers.objectActivated,
+            'addText': this._handlers.addText,
+            'addObject': this._handlers.addObject,
+            'textEditing': this._handlers.textEditing,
+            'textChanged': this._handlers.textChanged,
+            'iconCreateResize': this._handlers.iconCreateResize,
+            'iconCreateEnd': this._handlers.iconCreateEnd,
+            'selectionCleared': this._handlers.selectionCleared,
+            'selectionCreated': this._handlers.selectionCreated,
+            'addObjectAfter': this._handlers.addObjectAfter,
+            'objectRemoved': this._handlers.objectRemoved
+        });
+    }
+
+    /**
+     * Attach dom events.
+     * The keyboard is listened on the root element, the container of the ui or the canvas,
+     * so that only the editor having the focus runs the shortcuts.
+     * @private
+     */
+    _attachDomEvents() {
+        const {wrapperEl} = this._graphics.getCanvas();
+        const rootEl = this._getRootElement();
+
+        /**
+         * Whether the tabindex of the root element is set by the editor
+         * @type {boolean}
+         * @private
+         */
+        this._tabIndexAdded = !rootEl.hasAttribute('tabindex');
+        if (this._tabIndexAdded) {
+            rootEl.setAttribute('tabindex', '0');
+        }
+
+        // ImageEditor supports IE 9 higher
+        rootEl.addEventListener('keydown', this._handlers.keydown);
+        rootEl.addEventListener('keyup', this._handlers.keyup);
+        rootEl.addEventListener('mousedown', this._handlers.focus);
+        document.addEventListener('copy', this._handlers.copy);
+        document.addEventListener('cut', this._handlers.copy);
+        document.addEventListener('paste', this._handlers.paste);
+        wrapperEl.addEventListener('dragover', this._handlers.dragover);
+        wrapperEl.addEventListener('drop', this._handlers.drop);
+    }
+
+    /**
+     * Detach dom events
+     * @private
+     */
+    _detachDomEvents() {
+        const {wrapperEl} = this._graphics.getCanvas();
+        const rootEl = this._getRootElement();
+
+        if (this._tabIndexAdded) {
+            rootEl.removeAttribute('tabindex');
+        }
+
+        // ImageEditor supports IE 9 higher
+        rootEl.removeEventListener('keydown', this._handlers.keydown);
+        rootEl.removeEventListener('keyup', this._handlers.keyup);
+        rootEl.removeEventListener('mousedown', this._handlers.focus);
+        document.removeEventListener('copy', this._handlers.copy);
+        document.removeEventListener('cut', this._handlers.copy);
+        document.removeEventListener('paste', this._handlers.paste);
+        wrapperEl.removeEventListener('dragover', this._handlers.dragover);
+        wrapperEl.removeEventListener('drop', this._handlers.drop);
+    }
+
+    /**
+     * Get the root element taking the keyboard focus, the container of the ui or the canvas
+     * @returns {HTMLElement}
+     * @private
+     */
+    _getRootElement() {
+        return this.ui ? this.ui.getRootElement() : this._graphics.getCanvas().wrapperEl;
+    }
+
+    /**
+     * Whether the focus is in the root element
+     * @returns {boolean}
+     * @private
+     */
+    _hasFocus() {
+        const {activeElement} = document;
+
+        return !!activeElement && this._getRootElement().contains(activeElement);
+    }
+
+    /**
+     * Mousedown event handler of the root element.
+     * It focuses the root element since the canvas can not take the focus,
+     * the form fields in the editor keep their own focus.
+     * The page is not scrolled to the root element in the browsers supporting "preventScroll".
+     * @param {MouseEvent} e - Event object
+     * @private
+     */
+    _onFocusMouseDown(e) {
+        if (!isFormField(e.target) && !this._hasFocus()) {
+            this._getRootElement().focus({preventScroll: true});
+        }
+    }
+
+    /**
+     * Keydown event handler, it runs the action of the shortcut.
+     * The keys typed in the form fields and the text in editing are not shortcuts.
+     * @param {KeyboardEvent} e - Event object
+     * @private
+     */
+    _onKeyDown(e) {
+        this._copiedByShortcut = false;
+
+        if (isFormField(e.target)) {
+            return;
+        }
+        if (this._shortcut.isHeldKey('keepRatio', e)) {
+            this._graphics.setKeepRatio(true);
+        }
+
+        const actionName = this._shortcut.getAction(e);
+
+        if (SHORTCUT_HANDLERS[actionName]) {
+            SHORTCUT_HANDLERS[actionName](this, e);
+        } else if (this._shortcutHandlers[actionName]) {
+            this._shortcutHandlers[actionName](e);
+        }
+    }
+
+    /**
+     * Keyup event handler
+     * @param {KeyboardEvent} e - Event object
+     * @private
+     */
+    _onKeyUp(e) {
+        if (this._shortcut.isHeldKey('keepRatio', e)) {
+            this._graphics.setKeepRatio(false);
+        }
+    }
+
+    /**
+     * Get the key bindings of the shortcut actions.
+     * A key is the name of "keyCodes" (Backspace, Del, Esc, Left, Up, Right, Down, Shift...) or a letter or a digit,
+     * joined with the modifiers (Ctrl, Alt, Shift) by '+'. Ctrl matches the Command key on Mac too.
+     * The built-in actions are undo, redo, removeObject, copyObject, cutObject, duplicateObject,
+     * nudgeLeft, nudgeUp, nudgeRight, nudgeDown and the ones by 10 pixels (nudgeLeftBy10...), exitDrawingMode,
+     * the tools (crop, text, draw, shape) and keepRatio held while drawing a shape or a cropzone.
+     * @returns {Object.<string, Array.<string>>} keys by action, a disabled action has no key
+     * @example
+     * var shortcuts = imageEditor.getShortcuts();
+     * console.log(shortcuts.redo); // ['Ctrl+Y', 'Ctrl+Shift+Z']
+     */
+    getShortcuts() {
+        return this._shortcut.getBindings();
+    }
+
+    /**
+     * Remap or disable the keys of a shortcut action
+     * @param {string} actionName - action name
+     * @param {?(string|Array.<string>)} keys - key bindings, null or an empty array disables the action
+     * @returns {boolean} false if the action is not registered or a key is invalid
+     * @example
+     * imageEditor.setShortcut('crop', 'Alt+C');
+     * imageEditor.setShortcut('removeObject', ['Del']);
+     * imageEditor.setShortcut('draw', null);
+     */
+    setShortcut(actionName, keys) {
+        return this._shortcut.has(actionName) && this._shortcut.setBinding(actionName, keys);
+    }
+
+    /**
+     * Add a new shortcut action
+     * @param {string} actionName - action name
+     * @param {string|Array.<string>} keys - key bindings
+     * @param {function} handler - function called with the keyboard event
+     * @returns {boolean} false if the action is already registered or a key is invalid
+     * @example
+     * imageEditor.addShortcut('rotateClockwise', 'R', function(event) {
+     *     event.preventDefault();
+     *     imageEditor.rotate(90);
+     * });
+     */
+    addShortcut(actionName, keys, handler) {
+        if (this._shortcut.has(actionName) || !isFunction(handler) || !this._shortcut.setBinding(actionName, keys)) {
+            return false;
+        }
+        this._shortcutHandlers[actionName] = handler;
+
+        return true;
+    }
+
+    /**
+     * Remove the active object or the objects of the active group by the shortcut
+     * @param {KeyboardEvent} e - Event object
+     * @private
+     */
+    _removeObjectByShortcut(e) {
+        if (this._graphics.getActiveObject() || this._graphics.getActiveGroupObject()) {
+            e.preventDefault();
+            this.removeActiveObject();
+        }
+    }
+
+    /**
+     * Move the active object or the objects of the active group by the shortcut, the page is scrolled without it.
+     * The consecutive moves of the same objects are merged into one undo step.
+     * @param {KeyboardEvent} e - Event object
+     * @param {number} dx - horizontal offset in pixels of the image
+     * @param {number} dy - vertical offset in pixels of the image
+     * @private
+     */
+    _nudgeByShortcut(e, dx, dy) {
+        const ids = this._getCopyTargets().filter(obj => !obj.locked).map(obj => stampObject(obj));
+
+        if (!ids.length) {
+            return;
+        }
+        e.preventDefault();
+
+        this._keepActiveGroup(() => {
+            // the objects in the active group have the positions relative to the group
+            if (this._graphics.getActiveGroupObject()) {
+                this._graphics.discardSelection();
+            }
+
+            const positions = ids.map(id => {
+                const {left, top} = this._graphics.getObjectProperties(id, ['left', 'top']);
+
+                return {
+                    left: left + dx,
+                    top: top + dy
+                };
+            });
+
+            return this._invoker.executeMergeable(commands.MOVE_OBJECTS, this._graphics, ids, positions);
+        })['catch'](() => {});
+    }
+
+    /**
+     * Leave the current drawing mode by the shortcut, the submenu is closed with the ui
+     * @private
+     */
+    _exitDrawingModeByShortcut() {
+        if (this.ui && this.ui.submenu) {
+            this.ui.changeMenu(this.ui.submenu);
+        } else if (!this.ui) {
+            this.stopDrawingMode();
+        }
+    }
+
+    /**
+     * Start a tool by the shortcut, the menu of the tool is opened with the ui
+     * @param {string} menuName - 'crop', 'text', 'draw' or 'shape'
+     * @private
+     */
+    _startToolByShortcut(menuName) {
+        if (!this.ui) {
+            this.startDrawingMode(TOOL_DRAWING_MODES[menuName]);
+        } else if (this.ui.isMenuEnabled(menuName) && this.ui.submenu !== menuName) {
+            this.ui.changeMenu(menuName);
+        }
+    }
+
+    /**
+     * Run the copy, cut or duplicate shortcut.
+     * The browser keeps the shortcut while a text is edited or there is nothing to copy.
+     * The copy and cut shortcuts go on to the copy event to mark the system clipboard.
+     * @param {KeyboardEvent} e - Event object
+     * @param {string} methodName - Method name of the shortcut
+     * @private
+     */
+    _onClipboardShortcut(e, methodName) {
+        if (this._isEditingText() || !this._getCopyTargets().length) {
+            return;
+        }
+
+        if (methodName === 'duplicateObject') {
+            e.preventDefault();
+        } else {
+            this._copiedByShortcut = true;
+        }
+        // There is no error message on shortcut
+        this[methodName]()['catch'](() => {});
+    }
+
+    /**
+     * Copy and cut event handler.
+     * It replaces the system clipboard with a mark of the copied objects to paste them by the next paste event.
+     * @param {ClipboardEvent} e - Event object
+     * @private
+     */
+    _onCopy(e) {
+        if (!this._copiedByShortcut || !e.clipboardData) {
+            return;
+        }
+
+        this._copiedByShortcut = false;
+        e.preventDefault();
+        e.clipboardData.setData(CLIPBOARD_DATA_TYPE, String(this._clipboard.objects.length));
+    }
+
+    /**
+     * Paste event handler.
+     * It pastes the copied objects if the system clipboard has the mark of them or no image,
+     * otherwise the image of the system clipboard.
+     * @param {ClipboardEvent} e - Event object
+     * @private
+     */
+    _onPaste(e) {
+        const data = e.clipboardData;
+
+        if (!data || !this._isPasteTarget(e) || this._isEditingText()) {
+            return;
+        }
+
+        const imageSource = this._getPastableImageSource(data);
+
+        if (imageSource) {
+            e.preventDefault();
+            // There is no error message on paste
+            this._addImageSource(imageSource)['catch'](() => {});
+        } else if (this._clipboard) {
+            e.preventDefault();
+            this.pasteObject()['catch'](() => {});
+        }
+    }
+
+    /**
+     * Whether the paste event is for the editor, the editor has the focus and a form field does not take it
+     * @param {ClipboardEvent} e - Event object
+     * @returns {boolean}
+     * @private
+     */
+    _isPasteTarget(e) {
+        return this._hasFocus() && !isFormField(e.target);
+    }
+
+    /**
+     * Dragover event handler to allow dropping the files and the images of html
+     * @param {DragEvent} e - Event object
+     * @private
+     */
+    _onDragOver(e) {
+        const data = e.dataTransfer;
+
+        if (this._imagePastePolicy !== 'none' && (hasType(data, 'Files') || hasType(data, 'text/html'))) {
+            e.preventDefault();
+            data.dropEffect = 'copy';
+        }
+    }
+
+    /**
+     * Drop event handler
+     * @param {DragEvent} e - Event object
+     * @private
+     */
+    _onDrop(e) {
+        const imageSource = this._getPastableImageSource(e.dataTransfer);
+
+        if (imageSource) {
+            e.preventDefault();
+            // There is no error message on drop
+            this._addImageSource(imageSource)['catch'](() => {});
+        }
+    }
+
+    /**
+     * Whether a text object is being edited
+     * @returns {boolean}
+     * @private
+     */
+    _isEditingText() {
+        const activeObject = this._graphics.getActiveObject();
+
+        return !!(activeObject && activeObject.isEditing);
+    }
+
+    /**
+     * Get the image source of a DataTransfer
+     * unless the image paste policy is 'none' or it has the mark of the copied objects
+     * @param {DataTransfer} dataTransfer - DataTransfer
+     * @returns {?{file: ?File, url: ?string, name: string}} image source
+     * @private
+     */
+    _getPastableImageSource(dataTransfer) {
+        if (this._imagePastePolicy === 'none' || hasType(dataTransfer, CLIPBOARD_DATA_TYPE)) {
+            return null;
+        }
+
+        return getImageSource(dataTransfer);
+    }
+
+    /**
+     * Image added by "pasteImage", pasting or dropping
+     * @typedef {Object} PastedImage
+     * @property {string} type - 'background' or 'object'
+     * @property {SizeChange} [sizeChange] - size change of the loaded background image
+     * @property {ObjectProps} [objectProps] - properties of the added image object
+     */
+
+    /**
+     * Add the image of a DataTransfer of the paste or drop event as the background image or an image object.
+     * It follows the "imagePastePolicy" option, 'auto' is used for the policy 'none'.
+     * The data is read synchronously, so call it while the event is dispatched.
+     * @param {DataTransfer} dataTransfer - DataTransfer of the paste or drop event
+     * @returns {Promise<PastedImage, ErrorMsg>}
+     * @example
+     * document.addEventListener('paste', event => {
+     *     imageEditor.pasteImage(event.clipboardData).then(pastedImage => {
+     *         console.log(pastedImage.type);
+     *     });
+     * });
+     */
+    pasteImage(dataTransfer) {
+        const imageSource = dataTransfer ? getImageSource(dataTransfer) : null;
+
+        if (!imageSource) {
+            return Promise.reject(rejectMessages.noImage);
+        }
+
+        return this._addImageSource(imageSource);
+    }
+
+    /**
+     * Load an image source as the background image or add it as an image object by the image paste policy
+     * @param {{file: ?File, url: ?string, name: string}} imageSource - Image source
+     * @returns {Promise<PastedImage, ErrorMsg>}
+     * @private
+     */
+    _addImageSource(imageSource) {
+        const policy = this._imagePastePolicy;
+        const asBackground = policy === 'background' ||
+            (policy !== 'object' && !this._graphics.getCanvasImage());
+
+        return readImageSource(imageSource).then(url => {
+            if (asBackground) {
+                return this.loadImageFromURL(url, imageSource.name).then(sizeChange => ({
+                    type: 'background',
+                    sizeChange
+                }));
+            }
+
+            return this.addImageObject(url).then(objectProps => ({
+                type: 'object',
+                objectProps
+            }));
+        }).then(pastedImage => {
+            this.fire(events.IMAGE_PASTED, pastedImage);
+
+            return pastedImage;
+        });
+    }
+
+    /**
+     * Remove Active Object
+     */
+    removeActiveObject() {
+        const activeObject = this._graphics.getActiveObject();
+        const activeObjectGroup = this._graphics.getActiveGroupObject();
+
+        if (activeObjectGroup) {
+            const objects = activeObjectGroup.getObjects().filter(obj => !obj.locked);
+            this.discardSelection();
+            this._removeObjectStream(objects);
+        } else if (activeObject && !activeObject.locked) {
+            const activeObjectId = this._graphics.getObjectId(activeObject);
+            this.removeObject(activeObjectId);
+        }
+    }
+
+    /**
+     * Copy the active object or the objects of the active group
+     * @returns {Promise<void, ErrorMsg>}
+     * @example
+     * imageEditor.copyObject().then(() => imageEditor.pasteObject());
+     */
+    copyObject() {
+        const objects = this._getCopyTargets();
+
+        if (!objects.length) {
+            return Promise.reject(rejectMessages.noActiveObject);
+        }
+
+        this._clipboard = {
+            objects: this._graphics.copyObjects(objects),
+            pasteCount: 1
+        };
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Copy and remove the active object or the objects of the active group as one undo step.
+     * The locked objects are not cut.
+     * @returns {Promise<void, ErrorMsg>}
+     * @example
+     * imageEditor.cutObject().then(() => imageEditor.pasteObject());
+     */
+    cutObject() {
+        const objects = this._getCopyTargets().filter(obj => !obj.locked);
+
+        if (!objects.length) {
+            return Promise.reject(rejectMessages.noActiveObject);
+        }
+
+        this._clipboard = {
+            objects: this._graphics.copyObjects(objects),
+            pasteCount: 0
+        };
+        this.discardSelection();
+
+        return this.batch(() => objects.reduce(
+            (promise, obj) => promise.then(() => this.removeObject(stampObject(obj))),
+            Promise.resolve()
+        ));
+    }
+
+    /**
+     * Paste the objects copied by "copyObject" or "cutObject" as one undo step.
+     * The copies get new ids and each paste is moved a little more from the copied objects.
+     * @returns {Promise<Array.<ObjectProps>, ErrorMsg>}
+     * @example
+     * imageEditor.pasteObject().then(objectProps => {
+     *     console.log(objectProps[0].id);
+     * });
+     */
+    pasteObject() {
+        const clipboard = this._clipboard;
+
+        if (!clipboard) {
+            return Promise.reject(rejectMessages.emptyClipboard);
+        }
+
+        const offset = PASTE_OFFSET * clipboard.pasteCount;
+        clipboard.pasteCount += 1;
+
+        return this._addCopiedObjects(clipboard.objects, offset);
+    }
+
+    /**
+     * Duplicate the active object or the objects of the active group without changing the copied objects
+     * @returns {Promise<Array.<ObjectProps>, ErrorMsg>}
+     * @example
+     * imageEditor.duplicateObject().then(objectProps => {
+     *     console.log(objectProps[0].id);
+     * });
+     */
+    duplicateObject() {
+        const objects = this._getCopyTargets();
+
+        if (!objects.length) {
+            return Promise.reject(rejectMessages.noActiveObject);
+        }
+
+        return this._addCopiedObjects(this._graphics.copyObjects(objects), PASTE_OFFSET);
+    }
+
+    /**
+     * Get the active object or the objects of the active group
+     * @returns {Array.<fabric.Object>} objects to copy
+     * @private
+     */
+    _getCopyTargets() {
+        const activeObject = this._graphics.getActiveObject();
+        const activeObjectGroup = this._graphics.getActiveGroupObject();
+        let objects = [];
+
+        if (activeObjectGroup) {
+            objects = activeObjectGroup.getObjects();
+        } else if (activeObject) {
+            objects = [activeObject];
+        }
+
+        return objects.filter(obj => !obj.isType('cropzone'));
+    }
+
+    /**
+     * Add the copies of the serialized objects as one undo step
+     * @param {Array.<Object>} serializedObjects - Objects serialized by "Graphics.copyObjects"
+     * @param {number} offset - Distance from the copied objects
+     * @returns {Promise<Array.<ObjectProps>, ErrorMsg>}
+     * @private
+     */
+    _addCopiedObjects(serializedObjects, offset) {
+        const args = serializedObjects.map(data => ({
+            fabricObject: extend({}, data, {
+                left: data.left + offset,
+                top: data.top + offset
+            })
+        }));
+        let objects;
+
+        return this._graphics.deserializeArgs(args).then(copies => {
+            objects = copies;
+
+            return this.batch(() => this._addObjectStream(objects));
+        }).then(() => {
+            this.discardSelection();
+            if (objects.length === 1) {
+                this._graphics.setActiveObject(objects[0]);
+            }
+
+            return objects.map(obj => this._graphics.createObjectProperties(obj));
+        });
+    }
+
+    /**
+     * Add objects in order by the commands
+     * @param {Array.<fabric.Object>} objects - Fabric objects
+     * @returns {Promise}
+     * @private
+     */
+    _addObjectStream(objects) {
+        return objects.reduce(
+            (promise, obj) => promise.then(() => this.execute(commands.ADD_OBJECT, obj)),
+            Promise.resolve()
+        );
+    }
+
+    /**
+     * RemoveObject Sequential processing for prevent invoke lock
+     * @param {Array.<Object>} targetObjects - target Objects for remove
+     * @returns {object} targetObjects
+     * @private
+     */
+    _removeObjectStream(targetObjects) {
+        if (!targetObjects.length) {
+            return true;
+        }
+
+        const targetObject = targetObjects.pop();
+
+        return this.removeObject(this._graphics.getObjectId(targetObject)).then(() => (
+            this._removeObjectStream(targetObjects)
+        ));
+    }
+
+    /**
+     * mouse down event handler
+     * @param {Event} event mouse down event
+     * @param {Object} originPointer origin pointer
+     *  @param {Number} originPointer.x x position
+     *  @param {Number} originPointer.y y position
+     * @private
+     */
+    _onMouseDown(event, originPointer) {
+        /**
+         * The mouse down event with position x, y on canvas
+         * @event ImageEditor#mousedown
+         * @param {Object} event - browser mouse event object
+         * @param {Object} originPointer origin pointer
+         *  @param {Number} originPointer.x x position
+         *  @param {Number} originPointer.y y position
+         * @example
+         * imageEditor.on('mousedown', function(event, originPointer) {
          *     console.log(event);
          *     console.log(originPointer);
          *     if (imageEditor.hasFilter('colorFilter')) {
@@ -405,7 +1677,7 @@ class ImageEditor {
      */
     _pushAddObjectCommand(obj) {
         const command = commandFactory.create(commands.ADD_OBJECT, this._graphics, obj);
-        this._invoker.pushUndoStack(command);
+        this._invoker.pushExecutedCommand(command);
     }
 
     /**
@@ -434,6 +1706,8 @@ class ImageEditor {
      * @private
      */
     _onObjectMoved(props) {
+        this._markAutosaveDirty();
+
         /**
          * The event when object is moved
          * @event ImageEditor#objectMoved
@@ -453,6 +1727,8 @@ class ImageEditor {
      * @private
      */
     _onObjectScaled(props) {
+        this._markAutosaveDirty();
+
         /**
          * The event when scale factor is changed
          * @event ImageEditor#objectScaled
@@ -521,42 +1797,370 @@ class ImageEditor {
      * @example
      * imageEditor.changeSelectableAll(false); // or true
      */
-    changeSelectableAll(selectable) {
-        this._graphics.changeSelectableAll(selectable);
+    changeSelectableAll(selectable) {
+        this._graphics.changeSelectableAll(selectable);
+    }
+
+    /**
+     * Invoke command. The Graphics instance is passed to the command as the first argument.
+     * @param {String} commandName - Command name
+     * @param {...*} args - Arguments for creating command
+     * @returns {Promise}
+     * @example
+     * imageEditor.execute('addWatermark', 'Sample').then(() => {
+     *     imageEditor.undo();
+     * });
+     */
+    execute(commandName, ...args) {
+        // Inject an Graphics instance as first parameter
+        const theArgs = [this._graphics].concat(args);
+
+        return this._invoker.execute(commandName, ...theArgs);
+    }
+
+    /**
+     * Command descriptor
+     * @typedef {Object} CommandDescriptor
+     * @property {string} action - 'execute' or 'undo'
+     * @property {string} clientId - client id of the editor firing the descriptor
+     * @property {number} id - id of the undo entry, the merged commands have the same id
+     * @property {string} name - command name
+     * @property {Array} args - JSON-safe arguments of the command, the fabric objects are serialized
+     * @property {Array.<number>} objectIds - ids of the objects affected by the command
+     * @property {Object.<number, {clientId: string, id: number}>} objectSources - client ids and object ids
+     *  of the editors which made the objects in the command, only for the objects made by the other editors
+     */
+
+    /**
+     * Apply a command descriptor fired by "commandExecuted" or "commandUndone" of another editor.
+     * The command is not stored to the undo stack and fires no events, so it is not sent back.
+     * The objects made by the command take the same ids as the other editor,
+     * or keep their own ids if another object has them.
+     * @param {CommandDescriptor} descriptor - Command descriptor
+     * @returns {Promise}
+     * @example
+     * socket.onmessage = function(message) {
+     *     imageEditor.applyRemoteCommand(JSON.parse(message.data));
+     * };
+     */
+    applyRemoteCommand(descriptor) {
+        if (!isValidCommandDescriptor(descriptor)) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+
+        const {id, name, args = [], objectIds = [], clientId = '', objectSources = {}} = descriptor;
+
+        if (descriptor.action === 'undo') {
+            return this._invoker.undoRemote(clientId, id);
+        }
+
+        return this._graphics.deserializeArgs(args).then(restoredArgs => {
+            const localIds = {};
+
+            forEach(getArgObjectIds(name, restoredArgs), objectId => {
+                localIds[objectId] = this._objectIdMap.toLocalId(objectId, clientId, objectSources);
+            });
+
+            const commandArgs = replaceObjectId(name, restoredArgs, localIds);
+            const command = commandFactory.create(name, this._graphics, ...commandArgs);
+            if (!command) {
+                return Promise.reject(rejectMessages.invalidParameters);
+            }
+
+            return this._invoker.executeRemote(clientId, id, command);
+        }).then(localObjectIds => {
+            this._setRemoteObjectIds(localObjectIds, objectIds, clientId, objectSources);
+        });
+    }
+
+    /**
+     * Give the objects made by a remote command the ids in the other editor, or map the ids if they are used.
+     * The objects already known keep their ids not to break the commands in the undo stack.
+     * @param {Array.<number>} localIds - Ids of the objects affected by the command in this editor
+     * @param {Array.<number>} remoteIds - Ids of the objects in the command descriptor
+     * @param {string} clientId - Client id of the editor sending the command
+     * @param {Object.<number, {clientId: string, id: number}>} sources - Sources of the object ids in the command
+     * @private
+     */
+    _setRemoteObjectIds(localIds, remoteIds, clientId, sources) {
+        forEach(localIds, (localId, index) => {
+            const remoteId = remoteIds[index];
+            if (!isExisty(remoteId) || this._objectIdMap.toLocalId(remoteId, clientId, sources) === localId) {
+                return;
+            }
+
+            const source = this._objectIdMap.getSource(remoteId, clientId, sources);
+            const isUsed = this._graphics.changeObjectIds([localId], [source.id]).length > 0;
+
+            this._objectIdMap.set(isUsed ? localId : source.id, source);
+        });
+    }
+
+    /**
+     * Undo
+     * @returns {Promise}
+     * @example
+     * imageEditor.undo();
+     */
+    undo() {
+        return this._invoker.undo();
+    }
+
+    /**
+     * Redo
+     * @returns {Promise}
+     * @example
+     * imageEditor.redo();
+     */
+    redo() {
+        return this._invoker.redo();
+    }
+
+    /**
+     * Get the history entries from the oldest.
+     * The executed entries come first, then the undone entries which can be redone.
+     * @returns {Array.<HistoryEntry>} history entries
+     * @example
+     * imageEditor.getHistory().forEach((entry, index) => {
+     *     console.log(index, entry.label, new Date(entry.timestamp), entry.objectIds, entry.undone);
+     * });
+     */
+    getHistory() {
+        return this._invoker.getHistory();
+    }
+
+    /**
+     * Undo or redo as many steps as needed until the history entry of the index is the last executed one
+     * @param {number} index - Index of the history entry in "getHistory()", -1 means the state before all entries
+     * @returns {Promise<number, ErrorMsg>} index of the last executed history entry
+     * @example
+     * imageEditor.goToHistory(2).then(index => {
+     *     console.log(index); // 2
+     * });
+     */
+    goToHistory(index) {
+        return this._invoker.goToHistory(index);
+    }
+
+    /**
+     * Macro
+     * @typedef {Object} Macro
+     * @property {number} version - version of the macro
+     * @property {Array.<{name: string, args: Array, objectIds: Array.<number>}>} steps - commands to execute
+     *   with the JSON-safe arguments, the geometry like positions and sizes is relative to the image size
+     */
+
+    /**
+     * Start recording the executed commands as a macro.
+     * The undone commands are removed from the macro, and loading an image is not recorded.
+     * @example
+     * imageEditor.startRecording();
+     * imageEditor.crop({left: 10, top: 10, width: 100, height: 100})
+     *     .then(() => imageEditor.applyFilter('Grayscale'))
+     *     .then(() => {
+     *         const macro = imageEditor.stopRecording();
+     *         localStorage.setItem('preset', JSON.stringify(macro));
+     *     });
+     */
+    startRecording() {
+        this._recording = {
+            steps: [],
+            canvasSize: this._graphics.getCanvasSize()
+        };
+    }
+
+    /**
+     * Stop recording and get the macro
+     * @returns {?Macro} recorded macro, or null if not recording
+     */
+    stopRecording() {
+        const recording = this._recording;
+        if (!recording) {
+            return null;
+        }
+        this._recording = null;
+
+        return {
+            version: consts.macroVersion,
+            steps: recording.steps.map(({name, args, objectIds}) => ({
+                name,
+                args,
+                objectIds
+            }))
+        };
+    }
+
+    /**
+     * Whether a macro is being recorded
+     * @returns {boolean}
+     */
+    isRecording() {
+        return !!this._recording;
+    }
+
+    /**
+     * Play a macro on the loaded image as one undo step.
+     * The geometry is adapted to the image size, and if a step fails, the executed steps are rolled back.
+     * @param {Macro} macro - Macro made by "stopRecording"
+     * @returns {Promise}
+     * @example
+     * imageEditor.loadImageFromURL('product.jpg', 'product').then(() => (
+     *     imageEditor.playMacro(JSON.parse(localStorage.getItem('preset')))
+     * ));
+     */
+    playMacro(macro) {
+        return playMacro(macro, this._graphics, this._invoker);
+    }
+
+    /**
+     * Start an interaction like dragging a slider.
+     * Until "endInteraction", the consecutive commands changing the same property of the same target
+     * are merged into one undo step. Out of an interaction, every command is its own undo step.
+     * @example
+     * imageEditor.beginInteraction();
+     * imageEditor.setAngle(10);
+     * imageEditor.setAngle(20);
+     * imageEditor.endInteraction();
+     * imageEditor.undo(); // the angle goes back to the one before the interaction
+     */
+    beginInteraction() {
+        this._invoker.beginInteraction();
+    }
+
+    /**
+     * End the interaction started by "beginInteraction"
+     */
+    endInteraction() {
+        this._invoker.endInteraction();
+    }
+
+    /**
+     * Run several commands as one undo step.
+     * If the returned promise of the function is rejected, the commands already executed are rolled back.
+     * @param {function} fn - Function executing commands, it can return a promise
+     * @returns {Promise}
+     * @example
+     * imageEditor.batch(() => (
+     *     imageEditor.changeText(id, 'Hello')
+     *         .then(() => imageEditor.changeTextStyle(id, {fill: 'red'}))
+     *         .then(() => imageEditor.setObjectPosition(id, {x: 10, y: 10, originX: 'left', originY: 'top'}))
+     * )).then(() => {
+     *     imageEditor.undo(); // undoes all three changes
+     * });
+     */
+    batch(fn) {
+        return this._invoker.batch(fn);
+    }
+
+    /**
+     * Start a batch. The commands executed until "endBatch" are stored as one undo step.
+     * @example
+     * imageEditor.beginBatch();
+     * imageEditor.changeText(id, 'Hello')
+     *     .then(() => imageEditor.changeTextStyle(id, {fill: 'red'}))
+     *     .then(() => imageEditor.endBatch())
+     *     .catch(() => imageEditor.cancelBatch());
+     */
+    beginBatch() {
+        this._invoker.beginBatch();
+    }
+
+    /**
+     * End the batch started by "beginBatch"
+     */
+    endBatch() {
+        this._invoker.endBatch();
     }
 
     /**
-     * Invoke command
-     * @param {String} commandName - Command name
-     * @param {...*} args - Arguments for creating command
+     * Roll back the commands executed in the innermost batch and end it, the outer batches go on
      * @returns {Promise}
-     * @private
      */
-    execute(commandName, ...args) {
-        // Inject an Graphics instance as first parameter
-        const theArgs = [this._graphics].concat(args);
-
-        return this._invoker.execute(commandName, ...theArgs);
+    cancelBatch() {
+        return this._invoker.cancelBatch();
     }
 
     /**
-     * Undo
-     * @returns {Promise}
+     * Result of an image processed by "processBatch"
+     * @typedef {Object} BatchResult
+     * @property {number} index - index of the image
+     * @property {number} total - number of the images
+     * @property {string} name - image name
+     * @property {?string} dataURL - data url of the exported image, null if failed
+     * @property {?ErrorMsg} error - error of loading, processing or exporting the image
+     */
+
+    /**
+     * Process images one by one with the same pipeline and export each result.
+     * The images are processed by an offscreen editor, so the image and the history of this editor are kept.
+     * A failed image does not stop the others.
+     * @param {Array.<string|{url: string, name: string}>} images - Urls of the images or the urls with the names
+     * @param {Array.<function|Macro|{method: string, args: Array}>} pipeline - Steps run on each image in order.
+     *   A function is called with the offscreen editor and the index of the image and can return a promise,
+     *   a macro is played by "playMacro" and {method, args} calls the method of the editor with the arguments.
+     * @param {Object} [options] - Options of exporting
+     *  @param {string} [options.format=png] - The format of the exported images. Either "jpeg" or "png"
+     *  @param {number} [options.quality=1] - Quality level (0..1). Only used for jpeg.
+     *  @param {number} [options.maxWidth] - Max width of the exported images, larger ones are scaled down
+     *  @param {number} [options.maxHeight] - Max height of the exported images, larger ones are scaled down
+     *  @param {function} [options.onProgress] - Called with the BatchResult after each image, its error is ignored
+     * @returns {Promise<Array.<BatchResult>>} results in the order of the images
      * @example
-     * imageEditor.undo();
+     * imageEditor.processBatch(['gallery/1.jpg', 'gallery/2.jpg'], [
+     *     {method: 'applyFilter', args: ['Grayscale']},
+     *     editor => {
+     *         const {width, height} = editor.getCanvasSize();
+     *
+     *         return editor.addText('Sample', {position: {x: width - 100, y: height - 50}});
+     *     }
+     * ], {
+     *     format: 'jpeg',
+     *     quality: 0.8,
+     *     maxWidth: 200,
+     *     maxHeight: 200,
+     *     onProgress: result => console.log(`${result.index + 1} / ${result.total}`, result.error)
+     * }).then(results => {
+     *     results.forEach(result => upload(result.name, result.dataURL));
+     * });
      */
-    undo() {
-        return this._invoker.undo();
+    processBatch(images, pipeline, options = {}) {
+        if (!isArray(images) || !isArray(pipeline)) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+
+        const total = images.length;
+        const editor = this._createBatchEditor();
+
+        return images.reduce((promise, image, index) => promise.then(results => (
+            editor._processBatchImage(toBatchImage(image, index), pipeline, options, index).then(result => {
+                const batchResult = extend({
+                    index,
+                    total
+                }, result);
+
+                editor.clearUndoStack();
+                editor.clearRedoStack();
+                results.push(batchResult);
+                notifyBatchProgress(options.onProgress, batchResult);
+
+                return results;
+            })
+        )), Promise.resolve([])).then(results => {
+            editor.destroy();
+
+            return results;
+        });
     }
 
     /**
-     * Redo
-     * @returns {Promise}
-     * @example
-     * imageEditor.redo();
+     * Create the offscreen editor processing the images of "processBatch"
+     * @returns {ImageEditor}
+     * @private
      */
-    redo() {
-        return this._invoker.redo();
+    _createBatchEditor() {
+        return new ImageEditor(document.createElement('div'), {
+            usageStatistics: false
+        });
     }
 
     /**
@@ -659,12 +2263,11 @@ class ImageEditor {
      * imageEditor.crop(imageEditor.getCropzoneRect());
      */
     crop(rect) {
-        const data = this._graphics.getCroppedImageData(rect);
-        if (!data) {
+        if (!rect) {
             return Promise.reject(rejectMessages.invalidParameters);
         }
 
-        return this.loadImageFromURL(data.url, data.imageName);
+        return this.execute(commands.CROP, rect);
     }
 
     /**
@@ -1115,6 +2718,24 @@ class ImageEditor {
         this.fire(events.ADD_OBJECT_AFTER, objectProps);
     }
 
+    /**
+     * 'objectRemoved' event handler
+     * @param {{id: number, type: string}} objectProps - removed object id and type
+     * @private
+     */
+    _onObjectRemoved(objectProps) {
+        /**
+         * The event when an object is removed from the canvas
+         * @event ImageEditor#objectRemoved
+         * @param {{id: number, type: string}} objectProps - removed object id and type
+         * @example
+         * imageEditor.on('objectRemoved', function(props) {
+         *     console.log(props.id);
+         * });
+         */
+        this.fire(events.OBJECT_REMOVED, objectProps);
+    }
+
     /**
      * 'selectionCleared' event handler
      * @private
@@ -1155,6 +2776,68 @@ class ImageEditor {
         this._graphics.changeCursor(cursorType);
     }
 
+    /**
+     * Show the grid over the image. It is drawn on an element over the canvas and not included in the exports.
+     * @param {Object} [options] - Grid options, the last ones are kept
+     *  @param {number} [options.spacing=50] - Spacing of the grid lines in pixels of the image
+     *  @param {string} [options.color='rgba(0, 0, 0, 0.4)'] - Color of the grid lines
+     *  @param {number} [options.subdivisions=1] - Number of the divided cells of a grid cell,
+     *    the lines of the subdivisions are drawn lighter
+     * @example
+     * imageEditor.showGrid({
+     *     spacing: 100,
+     *     color: '#00a9ff',
+     *     subdivisions: 4
+     * });
+     */
+    showGrid(options) {
+        this._graphics.showGrid(options);
+    }
+
+    /**
+     * Hide the grid
+     * @example
+     * imageEditor.hideGrid();
+     */
+    hideGrid() {
+        this._graphics.hideGrid();
+    }
+
+    /**
+     * Whether the grid is shown
+     * @returns {boolean}
+     */
+    isGridVisible() {
+        return this._graphics.isGridVisible();
+    }
+
+    /**
+     * Show the rulers along the top and the left of the image. They show the coordinates in pixels of the image
+     * on the canvas scaled by css.
+     * @example
+     * imageEditor.showRulers();
+     */
+    showRulers() {
+        this._graphics.showRulers();
+    }
+
+    /**
+     * Hide the rulers
+     * @example
+     * imageEditor.hideRulers();
+     */
+    hideRulers() {
+        this._graphics.hideRulers();
+    }
+
+    /**
+     * Whether the rulers are shown
+     * @returns {boolean}
+     */
+    isRulersVisible() {
+        return this._graphics.isRulersVisible();
+    }
+
     /**
      * Add icon on canvas
      * @param {string} type - Icon type ('arrow', 'cancel', custom icon name)
@@ -1259,6 +2942,7 @@ class ImageEditor {
      *   @param {Number} [options.top] Cropping top offset. Introduced in fabric v1.2.14
      *   @param {Number} [options.width] Cropping width. Introduced in fabric v1.2.14
      *   @param {Number} [options.height] Cropping height. Introduced in fabric v1.2.14
+     *   @param {Boolean} [options.includeHidden=false] Whether the hidden objects are drawn
      * @returns {string} A DOMString containing the requested data URI
      * @example
      * imgEl.src = imageEditor.toDataURL();
@@ -1281,6 +2965,108 @@ class ImageEditor {
         return this._graphics.getImageName();
     }
 
+    /**
+     * Get the serializable state of the editor.
+     * It contains the background image, its flip and rotation, the applied filters and all objects with their ids.
+     * @returns {Object} editor state
+     * @example
+     * const state = imageEditor.toJSON();
+     * localStorage.setItem('editorState', JSON.stringify(state));
+     */
+    toJSON() {
+        return this._graphics.toJSON();
+    }
+
+    /**
+     * Restore the state made by "toJSON". The undo and redo stacks are cleared.
+     * @param {Object|string} state - Editor state or its JSON string
+     * @returns {Promise<SizeChange, ErrorMsg>}
+     * @example
+     * imageEditor.loadFromJSON(localStorage.getItem('editorState')).then(result => {
+     *      console.log('old : ' + result.oldWidth + ', ' + result.oldHeight);
+     *      console.log('new : ' + result.newWidth + ', ' + result.newHeight);
+     * });
+     */
+    loadFromJSON(state) {
+        if (!state) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+
+        if (isString(state)) {
+            try {
+                state = JSON.parse(state);
+            } catch (e) {
+                return Promise.reject(rejectMessages.invalidParameters);
+            }
+        }
+
+        const {width: oldWidth, height: oldHeight} = this._graphics.getCanvasSize();
+
+        this.stopDrawingMode();
+
+        return this._graphics.loadFromJSON(state).then(({width, height}) => {
+            this.clearUndoStack();
+            this.clearRedoStack();
+
+            return {
+                oldWidth,
+                oldHeight,
+                newWidth: width,
+                newHeight: height
+            };
+        });
+    }
+
+    /**
+     * Restore the session saved by the "autosave" option, then start saving.
+     * The undo and redo stacks are cleared.
+     * @returns {Promise<SizeChange, ErrorMsg>}
+     * @example
+     * imageEditor.on('autosaveFound', () => {
+     *     imageEditor.restoreAutosave().then(result => {
+     *         console.log('new : ' + result.newWidth + ', ' + result.newHeight);
+     *     });
+     * });
+     */
+    restoreAutosave() {
+        const autosave = this._autosave;
+        if (!autosave) {
+            return Promise.reject(rejectMessages.noAutosave);
+        }
+
+        return autosave.loadState().then(state => {
+            if (!state) {
+                return Promise.reject(rejectMessages.noAutosave);
+            }
+
+            return this.loadFromJSON(state);
+        }).then(sizeChange => {
+            autosave.start();
+
+            return sizeChange;
+        });
+    }
+
+    /**
+     * Remove the session saved by the "autosave" option, then start saving.
+     * Call it also when the work is completed not to recover it later.
+     * @returns {Promise}
+     * @example
+     * imageEditor.on('autosaveFound', () => {
+     *     imageEditor.discardAutosave();
+     * });
+     */
+    discardAutosave() {
+        const autosave = this._autosave;
+        if (!autosave) {
+            return Promise.reject(rejectMessages.noAutosave);
+        }
+
+        return autosave.remove().then(() => {
+            autosave.start();
+        });
+    }
+
     /**
      * Clear undoStack
      * @example
@@ -1334,6 +3120,9 @@ class ImageEditor {
      * Destroy
      */
     destroy() {
+        if (this._autosave) {
+            this._autosave.destroy();
+        }
         this.stopDrawingMode();
         this._detachDomEvents();
         this._graphics.destroy();
@@ -1500,8 +3289,279 @@ class ImageEditor {
     setObjectPosition(id, posInfo) {
         return this.execute(commands.SET_OBJECT_POSITION, id, posInfo);
     }
+
+    /**
+     * Show or hide an object. The hidden object is not exported by "toDataURL" unless "includeHidden" is set.
+     * @param {number} id - object id
+     * @param {boolean} visible - whether the object is visible
+     * @returns {Promise<void, ErrorMsg>}
+     * @example
+     * imageEditor.setObjectVisibility(id, false);
+     * imageEditor.toDataURL({includeHidden: true}); // with the hidden object
+     */
+    setObjectVisibility(id, visible) {
+        if (!isBoolean(visible)) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+
+        return this.execute(commands.SET_OBJECT_VISIBILITY, id, visible);
+    }
+
+    /**
+     * Lock or unlock an object. The locked object can not be selected and removed as the active object.
+     * @param {number} id - object id
+     * @param {boolean} locked - whether the object is locked
+     * @returns {Promise<void, ErrorMsg>}
+     * @example
+     * imageEditor.setObjectLocked(id, true);
+     */
+    setObjectLocked(id, locked) {
+        if (!isBoolean(locked)) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+
+        return this.execute(commands.SET_OBJECT_LOCKED, id, locked);
+    }
+
+    /**
+     * Set the drop shadow, the glow and the outline of an object.
+     * An effect is merged with the current one, null removes it and the effect not set is kept.
+     * A glow is the shadow without the offsets.
+     * @param {number} id - object id
+     * @param {Object} effects - effects
+     *  @param {?Object} [effects.shadow] - shadow
+     *   @param {string} [effects.shadow.color='rgba(0, 0, 0, 0.6)'] - color of the shadow
+     *   @param {number} [effects.shadow.blur=10] - blur of the shadow
+     *   @param {number} [effects.shadow.offsetX=5] - horizontal offset of the shadow
+     *   @param {number} [effects.shadow.offsetY=5] - vertical offset of the shadow
+     *  @param {?Object} [effects.outline] - outline
+     *   @param {string} [effects.outline.color='#000000'] - color of the outline
+     *   @param {number} [effects.outline.width=4] - width of the outline in pixels
+     * @returns {Promise<ObjectEffects, ErrorMsg>}
+     * @example
+     * imageEditor.setObjectEffects(id, {
+     *     shadow: {
+     *         color: '#000000',
+     *         blur: 8,
+     *         offsetX: 4,
+     *         offsetY: 4
+     *     },
+     *     outline: {
+     *         color: '#ffffff',
+     *         width: 2
+     *     }
+     * });
+     * @example
+     * imageEditor.setObjectEffects(id, {
+     *     shadow: null
+     * });
+     */
+    setObjectEffects(id, effects) {
+        return this.execute(commands.SET_OBJECT_EFFECTS, id, effects);
+    }
+
+    /**
+     * Get the shadow and the outline of an object
+     * @param {number} id - object id
+     * @returns {?ObjectEffects} effects if id is valid or null
+     * @example
+     * var effects = imageEditor.getObjectEffects(id);
+     * console.log(effects.shadow, effects.outline);
+     */
+    getObjectEffects(id) {
+        if (!this._graphics.getObject(id)) {
+            return null;
+        }
+
+        return this._graphics.getObjectEffects(id);
+    }
+
+    /**
+     * Get the stacking order of the objects. The background image is always behind them.
+     * @returns {Array.<number>} object ids from the back to the front
+     * @example
+     * const order = imageEditor.getObjectOrder();
+     * console.log(order[order.length - 1]); // id of the front object
+     */
+    getObjectOrder() {
+        return this._graphics.getObjectOrder();
+    }
+
+    /**
+     * Move an object to the index in the stacking order
+     * @param {number} id - object id
+     * @param {number} index - index from the back in "getObjectOrder", it is clamped to the range of the objects
+     * @returns {Promise<void, ErrorMsg>}
+     * @example
+     * imageEditor.setObjectIndex(id, 0); // same as sendToBack
+     */
+    setObjectIndex(id, index) {
+        if (!isNumber(index)) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+
+        return this.execute(commands.SET_OBJECT_INDEX, id, index);
+    }
+
+    /**
+     * Bring an object forward by one step in the stacking order. The front object stays without an undo step.
+     * @param {number} id - object id
+     * @returns {Promise<void, ErrorMsg>}
+     * @example
+     * imageEditor.bringForward(id);
+     */
+    bringForward(id) {
+        return this._moveObjectInOrder(id, this._graphics.getObjectIndex(id) + 1);
+    }
+
+    /**
+     * Send an object backwards by one step in the stacking order. The back object stays without an undo step.
+     * @param {number} id - object id
+     * @returns {Promise<void, ErrorMsg>}
+     * @example
+     * imageEditor.sendBackwards(id);
+     */
+    sendBackwards(id) {
+        return this._moveObjectInOrder(id, this._graphics.getObjectIndex(id) - 1);
+    }
+
+    /**
+     * Bring an object to the front of the other objects. The front object stays without an undo step.
+     * @param {number} id - object id
+     * @returns {Promise<void, ErrorMsg>}
+     * @example
+     * imageEditor.bringToFront(id);
+     */
+    bringToFront(id) {
+        return this._moveObjectInOrder(id, this._graphics.getObjectOrder().length - 1);
+    }
+
+    /**
+     * Send an object to the back of the other objects, just in front of the background image.
+     * The back object stays without an undo step.
+     * @param {number} id - object id
+     * @returns {Promise<void, ErrorMsg>}
+     * @example
+     * imageEditor.sendToBack(id);
+     */
+    sendToBack(id) {
+        return this._moveObjectInOrder(id, 0);
+    }
+
+    /**
+     * Move an object to the index in the stacking order,
+     * the command is not executed if the clamped index is the current one of the object
+     * @param {number} id - object id
+     * @param {number} index - index from the back in "getObjectOrder"
+     * @returns {Promise<void, ErrorMsg>}
+     * @private
+     */
+    _moveObjectInOrder(id, index) {
+        const currentIndex = this._graphics.getObjectIndex(id);
+
+        if (currentIndex > -1 && clamp(index, 0, this._graphics.getObjectOrder().length - 1) === currentIndex) {
+            return Promise.resolve();
+        }
+
+        return this.setObjectIndex(id, index);
+    }
+
+    /**
+     * Group objects into a persistent group which has its own id.
+     * The group is moved, transformed, removed and serialized as one object.
+     * @param {Array.<number>} ids - ids of two or more objects
+     * @returns {Promise<ObjectProps, ErrorMsg>}
+     * @example
+     * imageEditor.groupObjects([arrowId, textId]).then(objectProps => {
+     *     console.log(objectProps.id);
+     * });
+     */
+    groupObjects(ids) {
+        return this.execute(commands.GROUP_OBJECTS, ids);
+    }
+
+    /**
+     * Ungroup a group made by "groupObjects". The objects keep their ids and their transforms on the canvas.
+     * @param {number} groupId - group id
+     * @returns {Promise<Array.<number>, ErrorMsg>} ids of the objects in the group
+     * @example
+     * imageEditor.ungroupObjects(groupId).then(ids => {
+     *     console.log(ids);
+     * });
+     */
+    ungroupObjects(groupId) {
+        return this.execute(commands.UNGROUP_OBJECTS, groupId);
+    }
+
+    /**
+     * Align objects by their bounding boxes as one undo step. The active group stays selected.
+     * @param {Array.<number>} ids - object ids
+     * @param {string} mode - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+     * @param {string} [reference='selection'] - Align to the bounding box of the objects ('selection'),
+     *   the background image ('image') or the canvas ('canvas')
+     * @returns {Promise<void, ErrorMsg>}
+     * @example
+     * imageEditor.alignObjects([rectId, textId], 'center', 'image');
+     */
+    alignObjects(ids, mode, reference = 'selection') {
+        return this._keepActiveGroup(() => this.execute(commands.ALIGN_OBJECTS, ids, mode, reference));
+    }
+
+    /**
+     * Distribute objects with the even gaps between their bounding boxes as one undo step.
+     * The first and the last objects on the axis are not moved and the active group stays selected.
+     * @param {Array.<number>} ids - ids of three or more objects
+     * @param {string} axis - 'horizontal' or 'vertical'
+     * @returns {Promise<void, ErrorMsg>}
+     * @example
+     * imageEditor.distributeObjects([firstId, secondId, thirdId], 'horizontal');
+     */
+    distributeObjects(ids, axis) {
+        return this._keepActiveGroup(() => this.execute(commands.DISTRIBUTE_OBJECTS, ids, axis));
+    }
+
+    /**
+     * Run a command and select the objects of the active group again after the command discards the selection.
+     * The objects are not selected again when the command fails.
+     * @param {function} fn - Function executing the command
+     * @returns {Promise}
+     * @private
+     */
+    _keepActiveGroup(fn) {
+        const activeGroup = this._graphics.getActiveGroupObject();
+        const ids = activeGroup ? activeGroup.getObjects().map(obj => stampObject(obj)) : [];
+
+        return fn().then(value => {
+            if (ids.length) {
+                this._graphics.selectObjects(ids);
+            }
+
+            return value;
+        });
+    }
 }
 
+/**
+ * Base class of the components of the plugins
+ * @type {function}
+ * @static
+ */
+ImageEditor.Component = Component;
+
+/**
+ * Base class of the drawing modes of the plugins
+ * @type {function}
+ * @static
+ */
+ImageEditor.DrawingMode = DrawingMode;
+
+/**
+ * Base class of the submenus of the plugins
+ * @type {function}
+ * @static
+ */
+ImageEditor.Submenu = Submenu;
+
 action.mixin(ImageEditor);
 CustomEvents.mixin(ImageEditor);
 
@@ -10,8 +10,9 @@ const errorTypes = errorMessage.types;
 /**
  * Command class
  * @class
- * @param {{name:function, execute: function, undo: function,
- *          executeCallback: function, undoCallback: function}} actions - Command actions
+ * @param {{name:function, label: string, execute: function, undo: function,
+ *          executeCallback: function, undoCallback: function,
+ *          getMergeKey: function, getSize: function, getObjectIds: function}} actions - Command actions
  * @param {Array} args - passing arguments on execute, undo
  * @ignore
  */
@@ -23,6 +24,12 @@ class Command {
          */
         this.name = actions.name;
 
+        /**
+         * human-readable name
+         * @type {string}
+         */
+        this.label = actions.label || actions.name;
+
         /**
          * arguments
          * @type {Array}
@@ -53,6 +60,30 @@ class Command {
          */
         this.undoCallback = actions.undoCallback || null;
 
+        /**
+         * Function returning the key to merge the consecutive commands of the same name
+         * @type {?function}
+         */
+        this.getMergeKey = actions.getMergeKey;
+
+        /**
+         * Function returning the estimated memory size of the command in bytes
+         * @type {?function}
+         */
+        this.getSize = actions.getSize;
+
+        /**
+         * Function returning the ids of the objects affected by the command
+         * @type {?function}
+         */
+        this.getObjectIds = actions.getObjectIds;
+
+        /**
+         * Time when the command is executed last
+         * @type {number}
+         */
+        this.timestamp = null;
+
         /**
          * data for undo
          * @type {Object}
@@ -5,18 +5,216 @@
 import snippet from 'tui-code-snippet';
 import Promise from 'core-js/library/es6/promise';
 import commandFactory from './factory/command';
+import Command from './interface/command';
 import consts from './consts';
+import {measureSize, stampObject} from './util';
 
-const {eventNames, rejectMessages} = consts;
-const {isFunction, isString, CustomEvents} = snippet;
+const {eventNames, rejectMessages, commandNames} = consts;
+const {isFunction, isString, isExisty, isNumber, stamp, forEachArray, forEachOwnProperties, CustomEvents} = snippet;
+
+/**
+ * Time in milliseconds in which the consecutive commands of the same target are merged by "executeMergeable"
+ * @type {number}
+ */
+const MERGE_WINDOW = 500;
+
+/**
+ * Max number of the commands applied by another editor kept to undo them without "maxUndoSteps"
+ * @type {number}
+ */
+const MAX_REMOTE_COMMANDS = 1000;
+
+/**
+ * Run the functions returning a promise one after another
+ * @param {Array.<function>} tasks - Functions returning a promise
+ * @returns {Promise} resolved values of the tasks
+ * @private
+ */
+function runInSequence(tasks) {
+    const values = [];
+
+    return tasks.reduce((promise, task) => promise.then(() => task()).then(value => {
+        values.push(value);
+    }), Promise.resolve()).then(() => values);
+}
+
+/**
+ * Get the key to merge a command with the previous one
+ * @param {Command} command - Command
+ * @returns {?string} merge key, or null if the command cannot be merged
+ * @private
+ */
+function getMergeKey(command) {
+    return isFunction(command.getMergeKey) ? command.getMergeKey(...(command.args || [])) : null;
+}
+
+/**
+ * Get the estimated memory size of a command with the images apart, to count the images shared by commands once
+ * @param {Command} command - Command
+ * @returns {{size: number, images: Object.<number, number>}} size in bytes except the images
+ *     and the sizes of the images by image element id
+ * @private
+ */
+function measureCommand(command) {
+    if (command.name === commandNames.BATCH) {
+        const [commands] = command.args;
+
+        return commands.map(measureCommand).reduce((measure, {size, images}) => ({
+            size: measure.size + size,
+            images: snippet.extend(measure.images, images)
+        }), {
+            size: 0,
+            images: {}
+        });
+    }
+    if (isFunction(command.getSize)) {
+        return {
+            size: command.getSize(...(command.args || [])),
+            images: {}
+        };
+    }
+
+    return measureSize(command.undoData);
+}
+
+/**
+ * Get the ids of the objects affected by a command.
+ * Without "getObjectIds" of the command, they are collected from the fabric objects and "objectId" in the undoData.
+ * @param {Command} command - Command
+ * @returns {Array.<number>} object ids
+ * @private
+ */
+function getObjectIds(command) {
+    const ids = [];
+
+    if (isFunction(command.getObjectIds)) {
+        return command.getObjectIds(...(command.args || []));
+    }
+
+    forEachOwnProperties(command.undoData, (value, key) => {
+        if (key === 'objectId') {
+            ids.push(value);
+        } else {
+            forEachArray([].concat(value), item => {
+                if (item && isFunction(item.isType)) {
+                    ids.push(stampObject(item));
+                }
+            });
+        }
+    });
+
+    return ids;
+}
+
+/**
+ * Make the history entry of a command
+ * @param {Command} command - Command
+ * @param {boolean} undone - Whether the command is in the redo stack
+ * @returns {{name: string, label: string, timestamp: number, objectIds: Array.<number>, undone: boolean}}
+ * @private
+ */
+function createHistoryEntry(command, undone) {
+    return {
+        name: command.name,
+        label: command.label,
+        timestamp: command.timestamp,
+        objectIds: getObjectIds(command),
+        undone
+    };
+}
+
+/**
+ * Make the record of a command for the other editors
+ * @param {Command} command - Command
+ * @param {number} id - Id of the undo entry which the command is stored as
+ * @returns {{id: number, name: string, args: Array, objectIds: Array.<number>}}
+ * @private
+ */
+function createCommandRecord(command, id) {
+    return {
+        id,
+        name: command.name,
+        args: command.args || [],
+        objectIds: getObjectIds(command)
+    };
+}
+
+/**
+ * Call the execute or undo callback of a command
+ * @param {?function} callback - Callback
+ * @param {*} value - Resolved value of the command
+ * @returns {*} the resolved value
+ * @private
+ */
+function runCallback(callback, value) {
+    if (isFunction(callback)) {
+        callback(value);
+    }
+
+    return value;
+}
+
+/**
+ * Actions of the command which executes and undoes several commands as one
+ * @type {Object}
+ * @private
+ */
+const batchActions = {
+    name: commandNames.BATCH,
+    label: 'Batch',
+
+    /**
+     * Execute the commands in order with their execute callbacks
+     * @param {Array.<Command>} commands - Commands of the batch
+     * @returns {Promise}
+     */
+    execute(commands) {
+        return runInSequence(commands.map(command => () => (
+            command.execute(...(command.args || [])).then(value => runCallback(command.executeCallback, value))
+        )));
+    },
+
+    /**
+     * Undo the commands in reverse order with their undo callbacks
+     * @param {Array.<Command>} commands - Commands of the batch
+     * @returns {Promise}
+     */
+    undo(commands) {
+        return runInSequence(commands.slice().reverse().map(command => () => (
+            command.undo(...(command.args || [])).then(value => runCallback(command.undoCallback, value))
+        )));
+    },
+
+    /**
+     * Collect the affected object ids of the commands
+     * @param {Array.<Command>} commands - Commands of the batch
+     * @returns {Array.<number>} object ids
+     */
+    getObjectIds(commands) {
+        const ids = [];
+
+        forEachArray(commands, command => {
+            forEachArray(getObjectIds(command), id => {
+                if (ids.indexOf(id) < 0) {
+                    ids.push(id);
+                }
+            });
+        });
+
+        return ids;
+    }
+};
 
 /**
  * Invoker
  * @class
+ * @param {Object} [options] - Options
+ *  @param {number} [options.maxUndoSteps] - Max number of undo entries, unlimited if not set
+ *  @param {number} [options.maxUndoMemory] - Max estimated memory size of undo entries in bytes, unlimited if not set
  * @ignore
  */
 class Invoker {
-    constructor() {
+    constructor({maxUndoSteps = 0, maxUndoMemory = 0} = {}) {
         /**
          * Undo stack
          * @type {Array.<Command>}
@@ -37,15 +235,95 @@ class Invoker {
          * @private
          */
         this._isLocked = false;
+
+        /**
+         * Commands executed in the batch in progress
+         * @type {?Array.<Command>}
+         * @private
+         */
+        this._batchCommands = null;
+
+        /**
+         * Indexes of "_batchCommands" where the nested batches in progress start, from the outermost one
+         * @type {Array.<number>}
+         * @private
+         */
+        this._batchStarts = [];
+
+        /**
+         * Whether an interaction merging its commands is in progress
+         * @type {boolean}
+         * @private
+         */
+        this._isInInteraction = false;
+
+        /**
+         * Max number of undo entries (0 is unlimited)
+         * @type {number}
+         * @private
+         */
+        this._maxUndoSteps = maxUndoSteps;
+
+        /**
+         * Max estimated memory size of undo entries in bytes (0 is unlimited)
+         * @type {number}
+         * @private
+         */
+        this._maxUndoMemory = maxUndoMemory;
+
+        /**
+         * Estimated memory size of the undo entries except the images, updated on push and pop
+         * @type {number}
+         * @private
+         */
+        this._undoStackSize = 0;
+
+        /**
+         * Estimated memory size of the images referred by the undo entries, each image is counted once
+         * @type {number}
+         * @private
+         */
+        this._undoImageSize = 0;
+
+        /**
+         * Sizes of the images referred by the undo entries and the numbers of the entries by image element id
+         * @type {Object.<number, {size: number, count: number}>}
+         * @private
+         */
+        this._undoImages = {};
+
+        /**
+         * Measured sizes of the undo entries and the numbers of them in the undoStack by entry id
+         * @type {Object.<number, {measure: Object, count: number}>}
+         * @private
+         */
+        this._undoMeasures = {};
+
+        /**
+         * Whether the stack changed events are muted
+         * @type {boolean}
+         * @private
+         */
+        this._isMuted = false;
+
+        /**
+         * Commands applied by the other editors by the client id, with their ids from the oldest.
+         * Only the latest ones up to "maxUndoSteps" are kept for each editor.
+         * @type {Object.<string, {commands: Object.<number, Command>, ids: Array.<number>}>}
+         * @private
+         */
+        this._remoteCommands = {};
     }
 
     /**
      * Invoke command execution
      * @param {Command} command - Command
+     * @param {boolean} [isMergeable] - Whether the command can be merged into the last undo entry in an interaction
+     * @param {boolean} [isMergeableInTime] - Whether it can be merged also in the merge window out of an interaction
      * @returns {Promise}
      * @private
      */
-    _invokeExecution(command) {
+    _invokeExecution(command, isMergeable, isMergeableInTime) {
         this.lock();
 
         let {args} = command;
@@ -55,8 +333,10 @@ class Invoker {
 
         return command.execute(...args)
             .then(value => {
-                this.pushUndoStack(command);
+                command.timestamp = Date.now();
+                const entry = this._storeExecutedCommand(command, isMergeable, isMergeableInTime);
                 this.unlock();
+                this._fireCommandEvent(eventNames.COMMAND_EXECUTED, command, entry);
                 if (isFunction(command.executeCallback)) {
                     command.executeCallback(value);
                 }
@@ -87,6 +367,7 @@ class Invoker {
             .then(value => {
                 this.pushRedoStack(command);
                 this.unlock();
+                this._fireCommandEvent(eventNames.COMMAND_UNDONE, command, command);
                 if (isFunction(command.undoCallback)) {
                     command.undoCallback(value);
                 }
@@ -99,11 +380,198 @@ class Invoker {
             });
     }
 
+    /**
+     * Store the executed command to the batch in progress or the undoStack
+     * @param {Command} command - Executed command
+     * @param {boolean} [isMergeable] - Whether the command can be merged into the last undo entry in an interaction
+     * @param {boolean} [isMergeableInTime] - Whether it can be merged also in the merge window out of an interaction
+     * @returns {Command} the undo entry which the command is stored as
+     * @private
+     */
+    _storeExecutedCommand(command, isMergeable, isMergeableInTime) {
+        const lastCommand = this._undoStack[this._undoStack.length - 1];
+
+        if (this.isInBatch()) {
+            this._batchCommands.push(command);
+
+            return command;
+        }
+        if (isMergeable && this._mergeIntoLastCommand(command, isMergeableInTime)) {
+            return lastCommand;
+        }
+        this.pushUndoStack(command);
+
+        return command;
+    }
+
+    /**
+     * Fire COMMAND_EXECUTED or COMMAND_UNDONE event with the record of the command.
+     * A batch fires the events of its commands.
+     * @param {string} eventName - Event name
+     * @param {Command} command - Executed or undone command
+     * @param {Command} entry - Undo entry which the command is stored as
+     * @private
+     */
+    _fireCommandEvent(eventName, command, entry) {
+        if (command.name !== commandNames.BATCH) {
+            this.fire(eventName, createCommandRecord(command, stamp(entry)));
+
+            return;
+        }
+
+        const [commands] = command.args;
+        forEachArray(eventName === eventNames.COMMAND_UNDONE ? commands.slice().reverse() : commands, item => {
+            this.fire(eventName, createCommandRecord(item, stamp(item)));
+        });
+    }
+
+    /**
+     * Merge the command into the last one in the undoStack.
+     * The last command keeps its undoData and takes the arguments of the new one for redo.
+     * @param {Command} command - Executed command
+     * @param {boolean} [isMergeableInTime] - Whether it can be merged in the merge window out of an interaction
+     * @returns {boolean} true if merged
+     * @private
+     */
+    _mergeIntoLastCommand(command, isMergeableInTime) {
+        const lastCommand = this._undoStack[this._undoStack.length - 1];
+
+        if (!lastCommand || !this.isEmptyRedoStack() || !this._canMerge(lastCommand, command) ||
+            !this._isInMergeTime(lastCommand, command, isMergeableInTime)) {
+            return false;
+        }
+
+        lastCommand.args = command.args;
+        lastCommand.timestamp = command.timestamp;
+
+        return true;
+    }
+
+    /**
+     * Whether the command is executed in the interaction or in the merge window after the previous one
+     * @param {Command} prevCommand - Previous command
+     * @param {Command} command - Next command
+     * @param {boolean} [isMergeableInTime] - Whether it can be merged in the merge window out of an interaction
+     * @returns {boolean}
+     * @private
+     */
+    _isInMergeTime(prevCommand, command, isMergeableInTime) {
+        const isInTime = !!isMergeableInTime && command.timestamp - prevCommand.timestamp <= MERGE_WINDOW;
+
+        return this._isInInteraction || isInTime;
+    }
+
+    /**
+     * Whether the command changes the same target as the previous one
+     * @param {Command} prevCommand - Previous command
+     * @param {Command} command - Next command
+     * @returns {boolean}
+     * @private
+     */
+    _canMerge(prevCommand, command) {
+        const key = getMergeKey(command);
+
+        return prevCommand.name === command.name && isExisty(key) && key === getMergeKey(prevCommand);
+    }
+
+    /**
+     * Evict the oldest undo entries exceeding the limits. The newest entry is always kept.
+     * @private
+     */
+    _trimUndoStack() {
+        const stack = this._undoStack;
+        let count = 0;
+
+        while (stack.length - count > 1 && this._isOverUndoLimit(stack.length - count, this.getUndoStackSize())) {
+            this._removeUndoSize(stack[count]);
+            count += 1;
+        }
+
+        if (count) {
+            this._undoStack = stack.slice(count);
+            this.fire(eventNames.UNDO_STACK_TRIMMED, count);
+        }
+    }
+
+    /**
+     * Add the size of an entry pushed to the undoStack
+     * @param {Command} command - Undo entry
+     * @private
+     */
+    _addUndoSize(command) {
+        const id = stamp(command);
+        const entry = this._undoMeasures[id] || {
+            measure: measureCommand(command),
+            count: 0
+        };
+        const {measure} = entry;
+
+        entry.count += 1;
+        this._undoMeasures[id] = entry;
+        this._undoStackSize += measure.size;
+        forEachOwnProperties(measure.images, (size, imageId) => {
+            const image = this._undoImages[imageId];
+
+            if (image) {
+                image.count += 1;
+            } else {
+                this._undoImages[imageId] = {
+                    size,
+                    count: 1
+                };
+                this._undoImageSize += size;
+            }
+        });
+    }
+
+    /**
+     * Remove the size of an entry removed from the undoStack
+     * @param {Command} command - Undo entry
+     * @private
+     */
+    _removeUndoSize(command) {
+        const id = stamp(command);
+        const entry = this._undoMeasures[id];
+        const {measure} = entry;
+
+        entry.count -= 1;
+        if (!entry.count) {
+            delete this._undoMeasures[id];
+        }
+        this._undoStackSize -= measure.size;
+        forEachOwnProperties(measure.images, (size, imageId) => {
+            const image = this._undoImages[imageId];
+
+            image.count -= 1;
+            if (!image.count) {
+                delete this._undoImages[imageId];
+                this._undoImageSize -= image.size;
+            }
+        });
+    }
+
+    /**
+     * Whether the undo entries exceed the limits
+     * @param {number} steps - Number of undo entries
+     * @param {number} memory - Estimated memory size of undo entries
+     * @returns {boolean}
+     * @private
+     */
+    _isOverUndoLimit(steps, memory) {
+        const isOverSteps = this._maxUndoSteps > 0 && steps > this._maxUndoSteps;
+        const isOverMemory = this._maxUndoMemory > 0 && memory > this._maxUndoMemory;
+
+        return isOverSteps || isOverMemory;
+    }
+
     /**
      * fire REDO_STACK_CHANGED event
      * @private
      */
     _fireRedoStackChanged() {
+        if (this._isMuted) {
+            return;
+        }
         this.fire(eventNames.REDO_STACK_CHANGED, this._redoStack.length);
     }
 
@@ -112,6 +580,9 @@ class Invoker {
      * @private
      */
     _fireUndoStackChanged() {
+        if (this._isMuted) {
+            return;
+        }
         this.fire(eventNames.UNDO_STACK_CHANGED, this._undoStack.length);
     }
 
@@ -138,6 +609,17 @@ class Invoker {
      * @returns {Promise}
      */
     execute(...args) {
+        return this._execute(args, false);
+    }
+
+    /**
+     * Invoke command and clear the redoStack
+     * @param {Array} args - Command or arguments for creating command
+     * @param {boolean} isMergeableInTime - Whether it can be merged in the merge window out of an interaction
+     * @returns {Promise}
+     * @private
+     */
+    _execute(args, isMergeableInTime) {
         if (this._isLocked) {
             return Promise.reject(rejectMessages.isLock);
         }
@@ -147,20 +629,315 @@ class Invoker {
             command = commandFactory.create(...args);
         }
 
-        return this._invokeExecution(command)
+        return this._invokeExecution(command, true, isMergeableInTime)
             .then(value => {
-                this.clearRedoStack();
+                if (!this.isInBatch()) {
+                    this.clearRedoStack();
+                }
 
                 return value;
             });
     }
 
+    /**
+     * Invoke command like "execute".
+     * Out of an interaction, it is merged into the last undo entry of the same target executed in a short time,
+     * e.g. for the repeated keys.
+     * @param {String} commandName - Command name
+     * @param {...*} args - Arguments for creating command
+     * @returns {Promise}
+     */
+    executeMergeable(...args) {
+        return this._execute(args, true);
+    }
+
+    /**
+     * Store a command executed outside the invoker like a drawn path to the undoStack
+     * @param {Command} command - Executed command
+     */
+    pushExecutedCommand(command) {
+        command.timestamp = Date.now();
+        this.pushUndoStack(command);
+        this._fireCommandEvent(eventNames.COMMAND_EXECUTED, command, command);
+    }
+
+    /**
+     * Execute a command applied by another editor.
+     * It is not stored to the undoStack and fires no events, so it is not sent back.
+     * The command of an id already applied is merged into it like "_mergeIntoLastCommand".
+     * @param {string} clientId - Client id of the other editor
+     * @param {number} id - Id of the undo entry in the other editor
+     * @param {Command} command - Command
+     * @returns {Promise} resolved with the ids of the objects affected by the command
+     */
+    executeRemote(clientId, id, command) {
+        return this._invokeRemote(() => command.execute(...command.args).then(() => {
+            const appliedCommand = this._findRemoteCommand(clientId, id);
+            if (appliedCommand) {
+                appliedCommand.args = command.args;
+            } else {
+                this._storeRemoteCommand(clientId, id, command);
+            }
+
+            return getObjectIds(command);
+        }));
+    }
+
+    /**
+     * Undo a command applied by "executeRemote"
+     * @param {string} clientId - Client id of the other editor
+     * @param {number} id - Id of the undo entry in the other editor
+     * @returns {Promise}
+     */
+    undoRemote(clientId, id) {
+        const command = this._findRemoteCommand(clientId, id);
+        if (!command) {
+            return Promise.reject(rejectMessages.noRemoteCommand);
+        }
+
+        return this._invokeRemote(() => command.undo(...command.args).then(() => {
+            const remote = this._remoteCommands[clientId];
+
+            delete remote.commands[id];
+            remote.ids.splice(remote.ids.lastIndexOf(id), 1);
+        }));
+    }
+
+    /**
+     * Find a command applied by "executeRemote"
+     * @param {string} clientId - Client id of the other editor
+     * @param {number} id - Id of the undo entry in the other editor
+     * @returns {?Command}
+     * @private
+     */
+    _findRemoteCommand(clientId, id) {
+        const remote = this._remoteCommands[clientId];
+
+        return remote && remote.commands.hasOwnProperty(id) ? remote.commands[id] : null;
+    }
+
+    /**
+     * Store a command applied by "executeRemote", the oldest one of the editor is dropped over the max number
+     * @param {string} clientId - Client id of the other editor
+     * @param {number} id - Id of the undo entry in the other editor
+     * @param {Command} command - Command
+     * @private
+     */
+    _storeRemoteCommand(clientId, id, command) {
+        const remote = this._remoteCommands[clientId] || (this._remoteCommands[clientId] = {
+            commands: {},
+            ids: []
+        });
+
+        remote.commands[id] = command;
+        remote.ids.push(id);
+        if (remote.ids.length > (this._maxUndoSteps || MAX_REMOTE_COMMANDS)) {
+            delete remote.commands[remote.ids.shift()];
+        }
+    }
+
+    /**
+     * Run a task of a remote command while locking this invoker
+     * @param {function} task - Function returning a promise
+     * @returns {Promise}
+     * @private
+     */
+    _invokeRemote(task) {
+        if (this._isLocked) {
+            return Promise.reject(rejectMessages.isLock);
+        }
+        this.lock();
+
+        return task().then(value => {
+            this.unlock();
+
+            return value;
+        }, message => {
+            this.unlock();
+
+            return Promise.reject(message);
+        });
+    }
+
+    /**
+     * Start a batch. The commands executed until "endBatch" are stored as one undo entry.
+     * Batches can be nested, only the outermost one makes the undo entry.
+     */
+    beginBatch() {
+        if (!this.isInBatch()) {
+            this._batchCommands = [];
+        }
+        this._batchStarts.push(this._batchCommands.length);
+    }
+
+    /**
+     * End the batch and store its commands to the undoStack
+     */
+    endBatch() {
+        if (!this.isInBatch()) {
+            return;
+        }
+
+        this._batchStarts.pop();
+        if (this._batchStarts.length) {
+            return;
+        }
+
+        const commands = this._batchCommands;
+        this._batchCommands = null;
+
+        if (!commands.length) {
+            return;
+        }
+
+        this.pushUndoStack(commands.length === 1 ? commands[0] : new Command(batchActions, [commands]));
+        this.clearRedoStack();
+    }
+
+    /**
+     * Undo the commands executed in the innermost batch and end it without storing them.
+     * The outer batches go on with the commands executed before it.
+     * @returns {Promise}
+     */
+    cancelBatch() {
+        if (!this.isInBatch()) {
+            return Promise.reject(rejectMessages.noBatch);
+        }
+
+        const commands = this._batchCommands.splice(this._batchStarts.pop());
+        if (!this._batchStarts.length) {
+            this._batchCommands = null;
+        }
+
+        return batchActions.undo(commands).then(() => {
+            this._fireCommandEvent(eventNames.COMMAND_UNDONE, new Command(batchActions, [commands]));
+        });
+    }
+
+    /**
+     * Run a function as a batch.
+     * If the returned promise is rejected, the commands executed in the batch are rolled back.
+     * @param {function} fn - Function executing commands, it can return a promise
+     * @returns {Promise}
+     */
+    batch(fn) {
+        this.beginBatch();
+        const depth = this._batchStarts.length;
+        // the batch may have already been cancelled in the function
+        const isInProgress = () => this._batchStarts.length === depth;
+
+        return Promise.resolve()
+            .then(() => fn())
+            .then(value => {
+                if (isInProgress()) {
+                    this.endBatch();
+                }
+
+                return value;
+            }, message => {
+                const rollback = isInProgress() ? this.cancelBatch() : Promise.resolve();
+
+                return rollback.then(() => Promise.reject(message));
+            });
+    }
+
+    /**
+     * Get the history entries from the oldest.
+     * The executed entries in the undoStack come first, then the undone entries in the redoStack.
+     * @returns {Array.<{name: string, label: string, timestamp: number, objectIds: Array.<number>, undone: boolean}>}
+     */
+    getHistory() {
+        const executed = this._undoStack.map(command => createHistoryEntry(command, false));
+        const undone = this._redoStack.slice().reverse().map(command => createHistoryEntry(command, true));
+
+        return executed.concat(undone);
+    }
+
+    /**
+     * Undo or redo until the history entry of the index is the last executed one.
+     * The stack changed events are fired once at the end.
+     * @param {number} index - Index of the history entry, -1 means the state before all entries
+     * @returns {Promise}
+     */
+    goToHistory(index) {
+        const currentIndex = this._undoStack.length - 1;
+        const lastIndex = currentIndex + this._redoStack.length;
+        const tasks = [];
+        let i;
+
+        if (this._isLocked || this.isInBatch()) {
+            return Promise.reject(rejectMessages.isLock);
+        }
+        if (!this._isValidHistoryIndex(index, lastIndex)) {
+            return Promise.reject(rejectMessages.invalidParameters);
+        }
+
+        for (i = currentIndex; i > index; i -= 1) {
+            tasks.push(() => this.undo());
+        }
+        for (i = currentIndex; i < index; i += 1) {
+            tasks.push(() => this.redo());
+        }
+
+        this._isMuted = true;
+        const finish = () => {
+            this._isMuted = false;
+            this._fireUndoStackChanged();
+            this._fireRedoStackChanged();
+            this.fire(eventNames.HISTORY_CHANGED, this._undoStack.length - 1);
+        };
+
+        return runInSequence(tasks).then(() => {
+            finish();
+
+            return this._undoStack.length - 1;
+        }, message => {
+            finish();
+
+            return Promise.reject(message);
+        });
+    }
+
+    /**
+     * Whether the index is in the range of the history
+     * @param {number} index - Index of the history entry
+     * @param {number} lastIndex - Index of the last history entry
+     * @returns {boolean}
+     * @private
+     */
+    _isValidHistoryIndex(index, lastIndex) {
+        return isNumber(index) && index >= -1 && index <= lastIndex;
+    }
+
+    /**
+     * Start an interaction like dragging a range.
+     * The consecutive commands of the same target are merged until "endInteraction".
+     */
+    beginInteraction() {
+        this._isInInteraction = true;
+    }
+
+    /**
+     * End the interaction
+     */
+    endInteraction() {
+        this._isInInteraction = false;
+    }
+
+    /**
+     * Return whether a batch is in progress
+     * @returns {boolean}
+     */
+    isInBatch() {
+        return !!this._batchCommands;
+    }
+
     /**
      * Undo command
      * @returns {Promise}
      */
     undo() {
-        let command = this._undoStack.pop();
+        let command = this._popUndoStack();
         let promise;
         let message = '';
 
@@ -220,11 +997,28 @@ class Invoker {
      */
     pushUndoStack(command, isSilent) {
         this._undoStack.push(command);
+        this._addUndoSize(command);
+        this._trimUndoStack();
         if (!isSilent) {
             this._fireUndoStackChanged();
         }
     }
 
+    /**
+     * Pop the last entry of the undoStack
+     * @returns {?Command} the last entry
+     * @private
+     */
+    _popUndoStack() {
+        const command = this._undoStack.pop();
+
+        if (command) {
+            this._removeUndoSize(command);
+        }
+
+        return command;
+    }
+
     /**
      * Push redo stack
      * @param {Command} command - command
@@ -237,6 +1031,23 @@ class Invoker {
         }
     }
 
+    /**
+     * Get the estimated memory size of the undo entries
+     * @returns {number} size in bytes
+     */
+    getUndoStackSize() {
+        return this._undoStackSize + this._undoImageSize;
+    }
+
+    /**
+     * Get the ids of the objects affected by a command
+     * @param {Command} command - Command
+     * @returns {Array.<number>} object ids
+     */
+    getObjectIds(command) {
+        return getObjectIds(command);
+    }
+
     /**
      * Return whether the redoStack is empty
      * @returns {boolean}
@@ -259,6 +1070,10 @@ class Invoker {
     clearUndoStack() {
         if (!this.isEmptyUndoStack()) {
             this._undoStack = [];
+            this._undoStackSize = 0;
+            this._undoImageSize = 0;
+            this._undoImages = {};
+            this._undoMeasures = {};
             this._fireUndoStackChanged();
         }
     }
@@ -0,0 +1,107 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview ObjectIdMap - map of the object ids between the editors applying the commands of each other
+ */
+import snippet from 'tui-code-snippet';
+
+const {forEachArray} = snippet;
+
+/**
+ * ObjectIdMap
+ * An object made by a command of another editor is known by the client id and the object id in that editor,
+ * so the editors can give it different ids when its id is already used by another object.
+ * @class
+ * @param {string} clientId - Client id of this editor
+ * @ignore
+ */
+class ObjectIdMap {
+    constructor(clientId) {
+        /**
+         * Client id of this editor
+         * @type {string}
+         * @private
+         */
+        this._clientId = clientId;
+
+        /**
+         * Local ids of the objects made by the other editors by their client id and object id
+         * @type {Object.<string, Object.<number, number>>}
+         * @private
+         */
+        this._localIds = {};
+
+        /**
+         * Client ids and object ids of the editors which made the objects by the local id
+         * @type {Object.<number, {clientId: string, id: number}>}
+         * @private
+         */
+        this._sources = {};
+    }
+
+    /**
+     * Get the client id and the object id of the editor which made an object in a command of another editor
+     * @param {number} id - Object id in the command
+     * @param {string} clientId - Client id of the editor sending the command
+     * @param {Object.<number, {clientId: string, id: number}>} sources - Sources of the object ids in the command
+     * @returns {{clientId: string, id: number}} source of the object id
+     */
+    getSource(id, clientId, sources) {
+        return sources[id] || {
+            clientId,
+            id
+        };
+    }
+
+    /**
+     * Get the local id of an object id in a command of another editor.
+     * The id of an unknown object is used as it is.
+     * @param {number} id - Object id in the command
+     * @param {string} clientId - Client id of the editor sending the command
+     * @param {Object.<number, {clientId: string, id: number}>} sources - Sources of the object ids in the command
+     * @returns {number} local id
+     */
+    toLocalId(id, clientId, sources) {
+        const source = this.getSource(id, clientId, sources);
+        const localIds = this._localIds[source.clientId];
+
+        return localIds && localIds.hasOwnProperty(source.id) ? localIds[source.id] : source.id;
+    }
+
+    /**
+     * Set the local id of an object made by another editor
+     * @param {number} localId - Local id
+     * @param {{clientId: string, id: number}} source - Client id and object id of the editor which made the object
+     */
+    set(localId, source) {
+        if (source.clientId === this._clientId) {
+            return;
+        }
+
+        const localIds = this._localIds[source.clientId] || (this._localIds[source.clientId] = {});
+
+        if (localIds.hasOwnProperty(source.id)) {
+            delete this._sources[localIds[source.id]];
+        }
+        localIds[source.id] = localId;
+        this._sources[localId] = source;
+    }
+
+    /**
+     * Get the sources of the object ids made by the other editors to send a command
+     * @param {Array.<number>} ids - Local ids
+     * @returns {Object.<number, {clientId: string, id: number}>} sources by the local id
+     */
+    getSources(ids) {
+        const sources = {};
+
+        forEachArray(ids, id => {
+            if (this._sources.hasOwnProperty(id)) {
+                sources[id] = this._sources[id];
+            }
+        });
+
+        return sources;
+    }
+}
+
+module.exports = ObjectIdMap;
@@ -0,0 +1,187 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Shortcut - registry of the keyboard shortcuts of an editor
+ */
+import snippet from 'tui-code-snippet';
+import consts from './consts';
+
+const {keyCodes} = consts;
+const {extend, isString, isExisty, forEachArray, forEachOwnProperties} = snippet;
+
+/**
+ * Default key bindings by action.
+ * A key is the name of "keyCodes" or a letter or a digit, joined with the modifiers by '+'.
+ * Ctrl matches the Command key on Mac too.
+ * @type {Object.<string, Array.<string>>}
+ */
+const DEFAULT_BINDINGS = {
+    undo: ['Ctrl+Z'],
+    redo: ['Ctrl+Y', 'Ctrl+Shift+Z'],
+    removeObject: ['Backspace', 'Del'],
+    copyObject: ['Ctrl+C'],
+    cutObject: ['Ctrl+X'],
+    duplicateObject: ['Ctrl+D'],
+    nudgeLeft: ['Left'],
+    nudgeUp: ['Up'],
+    nudgeRight: ['Right'],
+    nudgeDown: ['Down'],
+    nudgeLeftBy10: ['Shift+Left'],
+    nudgeUpBy10: ['Shift+Up'],
+    nudgeRightBy10: ['Shift+Right'],
+    nudgeDownBy10: ['Shift+Down'],
+    exitDrawingMode: ['Esc'],
+    crop: ['C'],
+    text: ['T'],
+    draw: ['D'],
+    shape: ['S'],
+    keepRatio: ['Shift']
+};
+
+/**
+ * Modifiers of a key binding
+ * @type {Array.<string>}
+ */
+const MODIFIERS = ['ctrl', 'alt', 'shift'];
+
+/**
+ * Parse a key binding
+ * @param {string} binding - key binding like 'Ctrl+Shift+Z'
+ * @returns {?{keyCode: number, ctrl: boolean, alt: boolean, shift: boolean}} parsed binding, null if it is invalid
+ * @private
+ */
+function parseBinding(binding) {
+    const parts = binding.split('+');
+    const key = parts.pop().toUpperCase();
+    const keyCode = keyCodes[key] || (/^[A-Z0-9]$/.test(key) ? key.charCodeAt(0) : 0);
+    const parsed = {keyCode};
+    let isValid = !!keyCode;
+
+    forEachArray(MODIFIERS, modifier => {
+        parsed[modifier] = false;
+    });
+    forEachArray(parts, part => {
+        const modifier = part.toLowerCase();
+
+        isValid = isValid && MODIFIERS.indexOf(modifier) > -1;
+        parsed[modifier] = true;
+    });
+
+    return isValid ? parsed : null;
+}
+
+/**
+ * Whether a keyboard event matches a parsed binding
+ * @param {KeyboardEvent} e - Event object
+ * @param {{keyCode: number, ctrl: boolean, alt: boolean, shift: boolean}} parsed - parsed binding
+ * @returns {boolean}
+ * @private
+ */
+function isMatched(e, parsed) {
+    return e.keyCode === parsed.keyCode &&
+        !!(e.ctrlKey || e.metaKey) === parsed.ctrl &&
+        !!e.altKey === parsed.alt &&
+        !!e.shiftKey === parsed.shift;
+}
+
+/**
+ * Shortcut
+ * @class
+ * @param {Object.<string, (string|Array.<string>)>} [bindings] - Key bindings replacing the default ones by action
+ * @ignore
+ */
+class Shortcut {
+    constructor(bindings) {
+        /**
+         * Key bindings and the parsed ones by action
+         * @type {Object.<string, {keys: Array.<string>, parsed: Array.<Object>}>}
+         * @private
+         */
+        this._bindings = {};
+
+        forEachOwnProperties(extend({}, DEFAULT_BINDINGS, bindings), (keys, action) => {
+            this.setBinding(action, keys);
+        });
+    }
+
+    /**
+     * Get the key bindings by action, a disabled action has no key
+     * @returns {Object.<string, Array.<string>>}
+     */
+    getBindings() {
+        const bindings = {};
+
+        forEachOwnProperties(this._bindings, ({keys}, action) => {
+            bindings[action] = keys.slice();
+        });
+
+        return bindings;
+    }
+
+    /**
+     * Whether the action is registered
+     * @param {string} action - action name
+     * @returns {boolean}
+     */
+    has(action) {
+        return this._bindings.hasOwnProperty(action);
+    }
+
+    /**
+     * Set the key bindings of an action. It is added if it is not registered.
+     * @param {string} action - action name
+     * @param {?(string|Array.<string>)} keys - key bindings, null or an empty array disables the action
+     * @returns {boolean} false if a key binding is invalid
+     */
+    setBinding(action, keys) {
+        const keyList = isExisty(keys) ? [].concat(keys) : [];
+        const parsed = keyList.map(key => (isString(key) ? parseBinding(key) : null));
+
+        if (parsed.indexOf(null) > -1) {
+            return false;
+        }
+
+        this._bindings[action] = {
+            keys: keyList,
+            parsed
+        };
+
+        return true;
+    }
+
+    /**
+     * Get the action of a keyboard event
+     * @param {KeyboardEvent} e - Event object
+     * @returns {?string} action name, null if there is no matched binding
+     */
+    getAction(e) {
+        let matchedAction = null;
+
+        forEachOwnProperties(this._bindings, ({parsed}, action) => {
+            forEachArray(parsed, binding => {
+                if (isMatched(e, binding)) {
+                    matchedAction = action;
+                }
+
+                return !matchedAction;
+            });
+
+            return !matchedAction;
+        });
+
+        return matchedAction;
+    }
+
+    /**
+     * Whether the key of a keyboard event is bound to an action held while dragging, the modifiers are ignored
+     * @param {string} action - action name
+     * @param {KeyboardEvent} e - Event object
+     * @returns {boolean}
+     */
+    isHeldKey(action, e) {
+        const binding = this._bindings[action];
+
+        return !!binding && binding.parsed.some(({keyCode}) => keyCode === e.keyCode);
+    }
+}
+
+module.exports = Shortcut;
@@ -13,7 +13,9 @@ import Mask from './ui/mask';
 import Icon from './ui/icon';
 import Draw from './ui/draw';
 import Filter from './ui/filter';
+import Layers from './ui/layers';
 import Locale from './ui/locale/locale';
+import pluginFactory from './factory/plugin';
 
 const SUB_UI_COMPONENT = {
     Shape,
@@ -24,7 +26,8 @@ const SUB_UI_COMPONENT = {
     Mask,
     Icon,
     Draw,
-    Filter
+    Filter,
+    Layers
 };
 
 const BI_EXPRESSION_MINSIZE_WHEN_TOP_POSITION = '1300';
@@ -70,7 +73,10 @@ class Ui {
             'reset': this._menuElement.querySelector('#tie-btn-reset'),
             'delete': this._menuElement.querySelector('#tie-btn-delete'),
             'deleteAll': this._menuElement.querySelector('#tie-btn-delete-all'),
+            'align': this._menuElement.querySelectorAll('.tui-image-editor-align-item'),
             'download': this._selectedElement.querySelectorAll('.tui-image-editor-download-btn'),
+            'grid': this._selectedElement.querySelectorAll('.tui-image-editor-grid-btn'),
+            'rulers': this._selectedElement.querySelectorAll('.tui-image-editor-rulers-btn'),
             'load': this._selectedElement.querySelectorAll('.tui-image-editor-load-btn')
         };
 
@@ -216,6 +222,35 @@ class Ui {
         }
     }
 
+    /**
+     * Show or hide the buttons aligning and distributing the objects of the active group
+     * @param {Boolean} visible - visible status
+     * @ignore
+     */
+    changeAlignButtonsVisible(visible) {
+        if (visible) {
+            this._menuElement.classList.add('tui-image-editor-align-enabled');
+        } else {
+            this._menuElement.classList.remove('tui-image-editor-align-enabled');
+        }
+    }
+
+    /**
+     * Change the active status of the buttons toggling the grid or the rulers
+     * @param {string} name - 'grid' or 'rulers'
+     * @param {Boolean} active - active status
+     * @ignore
+     */
+    changeToggleButtonActive(name, active) {
+        snippet.forEach(this._els[name], element => {
+            if (active) {
+                element.classList.add('active');
+            } else {
+                element.classList.remove('active');
+            }
+        });
+    }
+
     /**
      * Change delete button status
      * @param {Object} [options] - Ui setting options
@@ -234,7 +269,8 @@ class Ui {
             },
             locale: {},
             menuIconPath: '',
-            menu: ['crop', 'flip', 'rotate', 'draw', 'shape', 'icon', 'text', 'mask', 'filter'],
+            menu: ['crop', 'flip', 'rotate', 'draw', 'shape', 'icon', 'text', 'mask', 'filter', 'layers']
+                .concat(pluginFactory.getMenuNames()),
             initMenu: '',
             uiSize: {
                 width: '100%',
@@ -263,7 +299,8 @@ class Ui {
      */
     _makeSubMenu() {
         snippet.forEach(this.options.menu, menuName => {
-            const SubComponentClass = SUB_UI_COMPONENT[menuName.replace(/^[a-z]/, $0 => $0.toUpperCase())];
+            const SubComponentClass = SUB_UI_COMPONENT[menuName.replace(/^[a-z]/, $0 => $0.toUpperCase())] ||
+                pluginFactory.getSubmenu(menuName).Submenu;
 
             // make menu element
             this._makeMenuElement(menuName);
@@ -360,6 +397,38 @@ class Ui {
         });
     }
 
+    /**
+     * Add event for the buttons aligning and distributing the objects of the active group
+     * @private
+     */
+    _addAlignEvent() {
+        snippet.forEach(this._els.align, element => {
+            element.addEventListener('click', () => {
+                const mode = element.getAttribute('data-align');
+
+                if (mode) {
+                    this._actions.main.align(mode);
+                } else {
+                    this._actions.main.distribute(element.getAttribute('data-distribute'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Add event for the buttons toggling the grid and the rulers
+     * @private
+     */
+    _addToggleEvent() {
+        snippet.forEach(['grid', 'rulers'], name => {
+            snippet.forEach(this._els[name], element => {
+                element.addEventListener('click', () => {
+                    this._actions.main[name]();
+                });
+            });
+        });
+    }
+
     /**
      * Add download event
      * @private
@@ -413,6 +482,15 @@ class Ui {
         return this._editorElement;
     }
 
+    /**
+     * get root element of the ui
+     * @returns {HTMLElement} root html element of the ui
+     * @ignore
+     */
+    getRootElement() {
+        return this._selectedElement;
+    }
+
     /**
      * Add event for menu items
      * @ignore
@@ -427,6 +505,8 @@ class Ui {
         this._addHelpActionEvent('reset');
         this._addHelpActionEvent('delete');
         this._addHelpActionEvent('deleteAll');
+        this._addAlignEvent();
+        this._addToggleEvent();
 
         this._addDownloadEvent();
 
@@ -473,6 +553,16 @@ class Ui {
         return this.options.loadImage;
     }
 
+    /**
+     * Whether the menu is included and enabled, the menus are enabled after loading the first image
+     * @param {string} menuName - menu name
+     * @returns {boolean}
+     * @ignore
+     */
+    isMenuEnabled(menuName) {
+        return !!this._initMenuEvent && this.options.menu.indexOf(menuName) > -1;
+    }
+
     /**
      * change menu
      * @param {string} menuName - menu name
@@ -1,6 +1,7 @@
 import util from '../util';
 import Colorpicker from './tools/colorpicker';
 import Range from './tools/range';
+import Appearance from './tools/appearance';
 import Submenu from './submenuBase';
 import templateHtml from './template/submenu/draw';
 import {defaultDrawRangeValus} from '../consts';
@@ -25,7 +26,8 @@ class Draw extends Submenu {
             lineSelectButton: this.selector('#tie-draw-line-select-button'),
             drawColorpicker: new Colorpicker(this.selector('#tie-draw-color'), '#00a9ff', this.toggleDirection),
             drawRange: new Range(this.selector('#tie-draw-range'), defaultDrawRangeValus),
-            drawRangeValue: this.selector('#tie-draw-range-value')
+            drawRangeValue: this.selector('#tie-draw-range-value'),
+            appearance: new Appearance(this.selector, 'draw')
         };
 
         this.type = null;
@@ -46,6 +48,11 @@ class Draw extends Submenu {
         this._els.drawRange.on('change', this._changeDrawRange.bind(this));
         this._els.drawRangeValue.value = this._els.drawRange.value;
         this._els.drawRangeValue.setAttribute('readonly', true);
+        this._els.appearance.on({
+            change: actions.changeAppearance,
+            dragstart: actions.beginInteraction,
+            dragend: actions.endInteraction
+        });
     }
 
     /**
@@ -58,6 +65,14 @@ class Draw extends Submenu {
         });
     }
 
+    /**
+     * Set the opacity and the blend mode of the active object to the controls
+     * @param {Object} props - properties of the active object
+     */
+    setAppearance(props) {
+        this._els.appearance.setValue(props);
+    }
+
     /**
      * Returns the menu to its default state.
      */
@@ -52,9 +52,16 @@ class Filter extends Submenu {
      * Add event for filter
      * @param {Object} actions - actions for crop
      *   @param {Function} actions.applyFilter - apply filter option
+     *   @param {Function} actions.beginInteraction - merge the filter changes while dragging a range
+     *   @param {Function} actions.endInteraction - stop merging the filter changes
      */
-    addEvent({applyFilter}) {
+    addEvent({applyFilter, beginInteraction, endInteraction}) {
         const changeRangeValue = this._changeRangeValue.bind(this, applyFilter);
+        const onRange = (range, filterName) => range.on({
+            change: () => changeRangeValue(filterName),
+            dragstart: beginInteraction,
+            dragend: endInteraction
+        });
 
         snippet.forEach(FILTER_OPTIONS, filterName => {
             const filterCheckElement = this.selector(`#tie-${filterName}`);
@@ -64,17 +71,17 @@ class Filter extends Submenu {
             filterCheckElement.addEventListener('change', () => changeRangeValue(filterNameCamelCase));
         });
 
-        this._els.removewhiteThresholdRange.on('change', () => changeRangeValue('removeWhite'));
-        this._els.removewhiteDistanceRange.on('change', () => changeRangeValue('removeWhite'));
-        this._els.gradientTransparencyRange.on('change', () => changeRangeValue('gradientTransparency'));
-        this._els.colorfilterThresholeRange.on('change', () => changeRangeValue('colorFilter'));
-        this._els.pixelateRange.on('change', () => changeRangeValue('pixelate'));
-        this._els.noiseRange.on('change', () => changeRangeValue('noise'));
-        this._els.brightnessRange.on('change', () => changeRangeValue('brightness'));
+        onRange(this._els.removewhiteThresholdRange, 'removeWhite');
+        onRange(this._els.removewhiteDistanceRange, 'removeWhite');
+        onRange(this._els.gradientTransparencyRange, 'gradientTransparency');
+        onRange(this._els.colorfilterThresholeRange, 'colorFilter');
+        onRange(this._els.pixelateRange, 'pixelate');
+        onRange(this._els.noiseRange, 'noise');
+        onRange(this._els.brightnessRange, 'brightness');
         this._els.blendType.addEventListener('change', () => changeRangeValue('blend'));
         this._els.filterBlendColor.on('change', () => changeRangeValue('blend'));
         this._els.filterMultiplyColor.on('change', () => changeRangeValue('multiply'));
-        this._els.tintOpacity.on('change', () => changeRangeValue('tint'));
+        onRange(this._els.tintOpacity, 'tint');
         this._els.filterTintColor.on('change', () => changeRangeValue('tint'));
         this._els.blendType.addEventListener('click', event => event.stopPropagation());
         this._els.filterMultiplyColor.on('changeShow', this.colorPickerChangeShow.bind(this));
@@ -1,5 +1,6 @@
 import snippet from 'tui-code-snippet';
 import Colorpicker from './tools/colorpicker';
+import Appearance from './tools/appearance';
 import Submenu from './submenuBase';
 import templateHtml from './template/submenu/icon';
 import {isSupportFileApi} from '../util';
@@ -26,7 +27,8 @@ class Icon extends Submenu {
         this._els = {
             registIconButton: this.selector('#tie-icon-image-file'),
             addIconButton: this.selector('#tie-icon-add-button'),
-            iconColorpicker: new Colorpicker(this.selector('#tie-icon-color'), '#ffbb3b', this.toggleDirection)
+            iconColorpicker: new Colorpicker(this.selector('#tie-icon-color'), '#ffbb3b', this.toggleDirection),
+            appearance: new Appearance(this.selector, 'icon')
         };
     }
 
@@ -43,6 +45,11 @@ class Icon extends Submenu {
         this._els.iconColorpicker.on('change', this._changeColorHandler.bind(this));
         this._els.registIconButton.addEventListener('change', this._registeIconHandler.bind(this));
         this._els.addIconButton.addEventListener('click', this._addIconHandler.bind(this));
+        this._els.appearance.on({
+            change: actions.changeAppearance,
+            dragstart: actions.beginInteraction,
+            dragend: actions.endInteraction
+        });
     }
 
     /**
@@ -70,6 +77,14 @@ class Icon extends Submenu {
         this._els.iconColorpicker.color = iconColor;
     }
 
+    /**
+     * Set the opacity and the blend mode of the active object to the controls
+     * @param {Object} props - properties of the active object
+     */
+    setAppearance(props) {
+        this._els.appearance.setValue(props);
+    }
+
     /**
      * Returns the menu to its default state.
      */
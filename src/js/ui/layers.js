@@ -0,0 +1,255 @@
+import snippet from 'tui-code-snippet';
+import Submenu from './submenuBase';
+import templateHtml from './template/submenu/layers';
+
+const LAYER_ICON_MAP = {
+    rect: 'shape',
+    circle: 'shape',
+    triangle: 'shape',
+    text: 'text',
+    'i-text': 'text',
+    icon: 'icon',
+    path: 'draw',
+    line: 'draw',
+    image: 'mask'
+};
+
+const LAYER_NAME_MAP = {
+    rect: 'Rectangle',
+    circle: 'Circle',
+    triangle: 'Triangle',
+    icon: 'Icon',
+    path: 'Free',
+    line: 'Straight',
+    image: 'Image'
+};
+
+/**
+ * Layers ui class
+ * @class
+ * @ignore
+ */
+class Layers extends Submenu {
+    constructor(subMenuElement, {locale, iconStyle, menuBarPosition}) {
+        super(subMenuElement, {
+            locale,
+            name: 'layers',
+            iconStyle,
+            menuBarPosition,
+            templateHtml
+        });
+
+        this._locale = locale;
+        this._iconStyle = iconStyle;
+        this._activeId = null;
+        this._dragId = null;
+
+        this._els = {
+            layerList: this.selector('#tie-layers-list'),
+            emptyMessage: this.selector('#tie-layers-empty')
+        };
+    }
+
+    /**
+     * Add event for layers
+     * @param {Object} actions - actions for layers
+     *   @param {Function} actions.getLayers - get the layers ordered from front to back
+     *   @param {Function} actions.select - select the object of a layer
+     *   @param {Function} actions.toggleVisible - show or hide the object of a layer
+     *   @param {Function} actions.toggleLock - lock or unlock the object of a layer
+     *   @param {Function} actions.reorder - move the object of a layer to a stacking index
+     */
+    addEvent(actions) {
+        const {layerList} = this._els;
+
+        this.actions = actions;
+
+        layerList.addEventListener('click', this._clickLayerHandler.bind(this));
+        layerList.addEventListener('dragstart', this._dragStartHandler.bind(this));
+        layerList.addEventListener('dragover', this._dragOverHandler.bind(this));
+        layerList.addEventListener('drop', this._dropHandler.bind(this));
+        layerList.addEventListener('dragend', this._dragEndHandler.bind(this));
+    }
+
+    /**
+     * Executed when the menu starts.
+     */
+    changeStartMode() {
+        this.render(this.actions.getLayers());
+    }
+
+    /**
+     * Render the layer list
+     * @param {Array.<Object>} layers - layers ordered from front to back
+     *   @param {number} layers.id - object id
+     *   @param {string} layers.type - object type
+     *   @param {string} [layers.text] - text of a text object
+     *   @param {boolean} layers.visible - whether the object is visible
+     *   @param {boolean} layers.locked - whether the object is locked
+     */
+    render(layers) {
+        const {layerList, emptyMessage} = this._els;
+
+        layerList.innerHTML = '';
+        snippet.forEach(layers, layer => {
+            layerList.appendChild(this._makeLayerItem(layer));
+        });
+        emptyMessage.style.display = layers.length ? 'none' : 'block';
+
+        this.setActiveLayer(this._activeId);
+    }
+
+    /**
+     * Highlight the layer of the active object
+     * @param {?number} id - object id
+     */
+    setActiveLayer(id) {
+        this._activeId = id;
+        snippet.forEach(this._els.layerList.children, item => {
+            if (Number(item.getAttribute('data-id')) === id) {
+                item.classList.add('active');
+            } else {
+                item.classList.remove('active');
+            }
+        });
+    }
+
+    /**
+     * Make the list item of a layer
+     * @param {Object} layer - layer info
+     * @returns {HTMLElement}
+     * @private
+     */
+    _makeLayerItem(layer) {
+        const {normal, active} = this._iconStyle;
+        const item = document.createElement('li');
+        const iconName = LAYER_ICON_MAP[layer.type] || 'shape';
+
+        item.className = 'tui-image-editor-layer';
+        item.setAttribute('data-id', layer.id);
+        item.setAttribute('draggable', 'true');
+        if (!layer.visible) {
+            item.classList.add('hidden');
+        }
+        if (layer.locked) {
+            item.classList.add('locked');
+        }
+        item.innerHTML = `
+            <svg class="svg_ic-submenu tui-image-editor-layer-type">
+                <use xlink:href="${normal.path}#${normal.name}-ic-${iconName}" class="normal"/>
+                <use xlink:href="${active.path}#${active.name}-ic-${iconName}" class="active"/>
+            </svg>
+            <span class="tui-image-editor-layer-name"></span>
+            <div class="tui-image-editor-button visible">
+                <svg class="svg_ic-submenu">
+                    <use xlink:href="${normal.path}#${normal.name}-ic-layers-visible" class="normal"/>
+                    <use xlink:href="${active.path}#${active.name}-ic-layers-visible" class="active"/>
+                </svg>
+            </div>
+            <div class="tui-image-editor-button lock">
+                <svg class="svg_ic-submenu">
+                    <use xlink:href="${normal.path}#${normal.name}-ic-layers-lock" class="normal"/>
+                    <use xlink:href="${active.path}#${active.name}-ic-layers-lock" class="active"/>
+                </svg>
+            </div>
+        `;
+        item.querySelector('.tui-image-editor-layer-name').textContent = this._getLayerName(layer);
+
+        return item;
+    }
+
+    /**
+     * Get the name of a layer. Text objects are named after their text.
+     * @param {Object} layer - layer info
+     * @returns {string}
+     * @private
+     */
+    _getLayerName(layer) {
+        if (layer.text) {
+            return layer.text;
+        }
+
+        return this._locale.localize(LAYER_NAME_MAP[layer.type] || 'Object');
+    }
+
+    /**
+     * Select, hide or lock the object of the clicked layer
+     * @param {MouseEvent} event - click event
+     * @private
+     */
+    _clickLayerHandler(event) {
+        const item = event.target.closest('.tui-image-editor-layer');
+        if (!item) {
+            return;
+        }
+
+        const id = Number(item.getAttribute('data-id'));
+        const button = event.target.closest('.tui-image-editor-button');
+
+        if (!button) {
+            this.actions.select(id);
+        } else if (button.classList.contains('visible')) {
+            this.actions.toggleVisible(id, item.classList.contains('hidden'));
+        } else {
+            this.actions.toggleLock(id, !item.classList.contains('locked'));
+        }
+    }
+
+    /**
+     * Start dragging a layer
+     * @param {DragEvent} event - dragstart event
+     * @private
+     */
+    _dragStartHandler(event) {
+        const item = event.target.closest('.tui-image-editor-layer');
+
+        this._dragId = Number(item.getAttribute('data-id'));
+        item.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', String(this._dragId));
+    }
+
+    /**
+     * Allow dropping on the list
+     * @param {DragEvent} event - dragover event
+     * @private
+     */
+    _dragOverHandler(event) {
+        if (this._dragId !== null) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+        }
+    }
+
+    /**
+     * Move the dragged layer to the position of the dropped layer
+     * @param {DragEvent} event - drop event
+     * @private
+     */
+    _dropHandler(event) {
+        const item = event.target.closest('.tui-image-editor-layer');
+        const items = Array.prototype.slice.call(this._els.layerList.children);
+
+        event.preventDefault();
+        if (item && this._dragId !== null) {
+            // the list is ordered from front to back, the stacking index from back to front
+            this.actions.reorder(this._dragId, items.length - 1 - items.indexOf(item));
+        }
+        this._dragEndHandler();
+    }
+
+    /**
+     * Finish dragging a layer
+     * @private
+     */
+    _dragEndHandler() {
+        const dragging = this._els.layerList.querySelector('.dragging');
+
+        if (dragging) {
+            dragging.classList.remove('dragging');
+        }
+        this._dragId = null;
+    }
+}
+
+export default Layers;
@@ -34,12 +34,18 @@ class Rotate extends Submenu {
      * @param {Object} actions - actions for crop
      *   @param {Function} actions.rotate - rotate action
      *   @param {Function} actions.setAngle - set angle action
+     *   @param {Function} actions.beginInteraction - merge the angle changes while dragging
+     *   @param {Function} actions.endInteraction - stop merging the angle changes
      */
     addEvent(actions) {
         // {rotate, setAngle}
         this.actions = actions;
         this._els.rotateButton.addEventListener('click', this._changeRotateForButton.bind(this));
-        this._els.rotateRange.on('change', this._changeRotateForRange.bind(this));
+        this._els.rotateRange.on({
+            change: this._changeRotateForRange.bind(this),
+            dragstart: actions.beginInteraction,
+            dragend: actions.endInteraction
+        });
         this._els.rotateRangeValue.setAttribute('readonly', true);
     }
 
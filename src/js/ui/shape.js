@@ -1,5 +1,7 @@
 import Colorpicker from './tools/colorpicker';
 import Range from './tools/range';
+import Appearance from './tools/appearance';
+import Effects from './tools/effects';
 import Submenu from './submenuBase';
 import templateHtml from './template/submenu/shape';
 import {toInteger} from '../util';
@@ -34,11 +36,14 @@ class Shape extends Submenu {
             strokeRange: new Range(this.selector('#tie-stroke-range'), defaultShapeStrokeValus),
             strokeRangeValue: this.selector('#tie-stroke-range-value'),
             fillColorpicker: new Colorpicker(this.selector('#tie-color-fill'), '', this.toggleDirection),
-            strokeColorpicker: new Colorpicker(this.selector('#tie-color-stroke'), '#ffbb3b', this.toggleDirection)
+            strokeColorpicker: new Colorpicker(this.selector('#tie-color-stroke'), '#ffbb3b', this.toggleDirection),
+            appearance: new Appearance(this.selector, 'shape'),
+            effects: new Effects(this.selector, 'shape', this.toggleDirection)
         };
 
         this.colorPickerControls.push(this._els.fillColorpicker);
         this.colorPickerControls.push(this._els.strokeColorpicker);
+        this.colorPickerControls.push(...this._els.effects.colorpickers);
     }
 
     /**
@@ -51,13 +56,30 @@ class Shape extends Submenu {
         this.actions = actions;
 
         this._els.shapeSelectButton.addEventListener('click', this._changeShapeHandler.bind(this));
-        this._els.strokeRange.on('change', this._changeStrokeRangeHandler.bind(this));
+        this._els.strokeRange.on({
+            change: this._changeStrokeRangeHandler.bind(this),
+            dragstart: actions.beginInteraction,
+            dragend: actions.endInteraction
+        });
         this._els.fillColorpicker.on('change', this._changeFillColorHandler.bind(this));
         this._els.strokeColorpicker.on('change', this._changeStrokeColorHandler.bind(this));
         this._els.fillColorpicker.on('changeShow', this.colorPickerChangeShow.bind(this));
         this._els.strokeColorpicker.on('changeShow', this.colorPickerChangeShow.bind(this));
+        this._els.effects.colorpickers.forEach(colorpicker => {
+            colorpicker.on('changeShow', this.colorPickerChangeShow.bind(this));
+        });
         this._els.strokeRangeValue.value = this._els.strokeRange.value;
         this._els.strokeRangeValue.setAttribute('readonly', true);
+        this._els.appearance.on({
+            change: actions.changeAppearance,
+            dragstart: actions.beginInteraction,
+            dragend: actions.endInteraction
+        });
+        this._els.effects.on({
+            change: actions.changeEffects,
+            dragstart: actions.beginInteraction,
+            dragend: actions.endInteraction
+        });
     }
 
     /**
@@ -85,6 +107,22 @@ class Shape extends Submenu {
         this.actions.stopDrawingMode();
     }
 
+    /**
+     * Set the opacity and the blend mode of the active object to the controls
+     * @param {Object} props - properties of the active object
+     */
+    setAppearance(props) {
+        this._els.appearance.setValue(props);
+    }
+
+    /**
+     * Set the shadow and the outline of the active object to the controls
+     * @param {Object} props - properties of the active object
+     */
+    setEffects(props) {
+        this._els.effects.setValue(props);
+    }
+
     /**
      * Returns the menu to its default state.
      */
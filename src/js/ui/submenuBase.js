@@ -66,6 +66,18 @@ class Submenu {
      */
     changeStartMode() {}
 
+    /**
+     * Interface method whose implementation is optional.
+     * Set the opacity and the blend mode of the active object to the controls.
+     */
+    setAppearance() {}
+
+    /**
+     * Interface method whose implementation is optional.
+     * Set the shadow and the outline of the active object to the controls.
+     */
+    setEffects() {}
+
     /**
      * Make submenu dom element
      * @param {HTMLElement} subMenuElement - submenu dom element
@@ -42,6 +42,70 @@ export default ({locale, biImage, iconStyle: {normal, hover, disabled}, loadButt
                     <use xlink:href="${hover.path}#${hover.name}-ic-delete-all" class="hover"/>
                 </svg>
             </li>
+            <li id="tie-btn-align-left" class="tui-image-editor-item tui-image-editor-align-item enabled"
+                data-align="left" title="${locale.localize('Align-left')}">
+                <svg class="svg_ic-menu">
+                    <use xlink:href="${normal.path}#${normal.name}-ic-align-left" class="enabled"/>
+                    <use xlink:href="${disabled.path}#${disabled.name}-ic-align-left" class="normal"/>
+                    <use xlink:href="${hover.path}#${hover.name}-ic-align-left" class="hover"/>
+                </svg>
+            </li>
+            <li id="tie-btn-align-center" class="tui-image-editor-item tui-image-editor-align-item enabled"
+                data-align="center" title="${locale.localize('Align-center')}">
+                <svg class="svg_ic-menu">
+                    <use xlink:href="${normal.path}#${normal.name}-ic-align-center" class="enabled"/>
+                    <use xlink:href="${disabled.path}#${disabled.name}-ic-align-center" class="normal"/>
+                    <use xlink:href="${hover.path}#${hover.name}-ic-align-center" class="hover"/>
+                </svg>
+            </li>
+            <li id="tie-btn-align-right" class="tui-image-editor-item tui-image-editor-align-item enabled"
+                data-align="right" title="${locale.localize('Align-right')}">
+                <svg class="svg_ic-menu">
+                    <use xlink:href="${normal.path}#${normal.name}-ic-align-right" class="enabled"/>
+                    <use xlink:href="${disabled.path}#${disabled.name}-ic-align-right" class="normal"/>
+                    <use xlink:href="${hover.path}#${hover.name}-ic-align-right" class="hover"/>
+                </svg>
+            </li>
+            <li id="tie-btn-align-top" class="tui-image-editor-item tui-image-editor-align-item enabled"
+                data-align="top" title="${locale.localize('Align-top')}">
+                <svg class="svg_ic-menu">
+                    <use xlink:href="${normal.path}#${normal.name}-ic-align-top" class="enabled"/>
+                    <use xlink:href="${disabled.path}#${disabled.name}-ic-align-top" class="normal"/>
+                    <use xlink:href="${hover.path}#${hover.name}-ic-align-top" class="hover"/>
+                </svg>
+            </li>
+            <li id="tie-btn-align-middle" class="tui-image-editor-item tui-image-editor-align-item enabled"
+                data-align="middle" title="${locale.localize('Align-middle')}">
+                <svg class="svg_ic-menu">
+                    <use xlink:href="${normal.path}#${normal.name}-ic-align-middle" class="enabled"/>
+                    <use xlink:href="${disabled.path}#${disabled.name}-ic-align-middle" class="normal"/>
+                    <use xlink:href="${hover.path}#${hover.name}-ic-align-middle" class="hover"/>
+                </svg>
+            </li>
+            <li id="tie-btn-align-bottom" class="tui-image-editor-item tui-image-editor-align-item enabled"
+                data-align="bottom" title="${locale.localize('Align-bottom')}">
+                <svg class="svg_ic-menu">
+                    <use xlink:href="${normal.path}#${normal.name}-ic-align-bottom" class="enabled"/>
+                    <use xlink:href="${disabled.path}#${disabled.name}-ic-align-bottom" class="normal"/>
+                    <use xlink:href="${hover.path}#${hover.name}-ic-align-bottom" class="hover"/>
+                </svg>
+            </li>
+            <li id="tie-btn-distribute-horizontal" class="tui-image-editor-item tui-image-editor-align-item enabled"
+                data-distribute="horizontal" title="${locale.localize('Distribute-horizontally')}">
+                <svg class="svg_ic-menu">
+                    <use xlink:href="${normal.path}#${normal.name}-ic-distribute-horizontal" class="enabled"/>
+                    <use xlink:href="${disabled.path}#${disabled.name}-ic-distribute-horizontal" class="normal"/>
+                    <use xlink:href="${hover.path}#${hover.name}-ic-distribute-horizontal" class="hover"/>
+                </svg>
+            </li>
+            <li id="tie-btn-distribute-vertical" class="tui-image-editor-item tui-image-editor-align-item enabled"
+                data-distribute="vertical" title="${locale.localize('Distribute-vertically')}">
+                <svg class="svg_ic-menu">
+                    <use xlink:href="${normal.path}#${normal.name}-ic-distribute-vertical" class="enabled"/>
+                    <use xlink:href="${disabled.path}#${disabled.name}-ic-distribute-vertical" class="normal"/>
+                    <use xlink:href="${hover.path}#${hover.name}-ic-distribute-vertical" class="hover"/>
+                </svg>
+            </li>
             <li class="tui-image-editor-item">
                 <div class="tui-image-editor-icpartition"></div>
             </li>
@@ -52,6 +116,12 @@ export default ({locale, biImage, iconStyle: {normal, hover, disabled}, loadButt
                 ${locale.localize('Load')}
                 <input type="file" class="tui-image-editor-load-btn" />
             </div>
+            <button class="tui-image-editor-toggle-btn tui-image-editor-grid-btn" style="${loadButtonStyle}">
+                ${locale.localize('Grid')}
+            </button>
+            <button class="tui-image-editor-toggle-btn tui-image-editor-rulers-btn" style="${loadButtonStyle}">
+                ${locale.localize('Rulers')}
+            </button>
             <button class="tui-image-editor-download-btn" style="${downloadButtonStyle}">
                 ${locale.localize('Download')}
             </button>
@@ -9,6 +9,12 @@ export default ({locale, biImage, commonStyle, headerStyle, loadButtonStyle, dow
                     ${locale.localize('Load')}
                     <input type="file" class="tui-image-editor-load-btn" />
                 </div>
+                <button class="tui-image-editor-toggle-btn tui-image-editor-grid-btn" style="${loadButtonStyle}">
+                    ${locale.localize('Grid')}
+                </button>
+                <button class="tui-image-editor-toggle-btn tui-image-editor-rulers-btn" style="${loadButtonStyle}">
+                    ${locale.localize('Rulers')}
+                </button>
                 <button class="tui-image-editor-download-btn" style="${downloadButtonStyle}">
                     ${locale.localize('Download')}
                 </button>
@@ -0,0 +1,37 @@
+import {blendModes} from '../../../consts';
+
+/**
+ * Get the label of a blend mode
+ * @param {string} blendMode - value of "globalCompositeOperation"
+ * @returns {string}
+ */
+const getBlendModeLabel = blendMode => {
+    const label = blendMode === 'source-over' ? 'normal' : blendMode.replace(/-/g, ' ');
+
+    return label.replace(/^[a-z]/, $0 => $0.toUpperCase());
+};
+
+/**
+ * The controls of the opacity and the blend mode of the active object, they are included in the submenus
+ * @param {Locale} locale - Translate text
+ * @param {string} name - name of the submenu
+ * @returns {string}
+ */
+export default (locale, name) => (`
+        <li class="tui-image-editor-partition only-left-right">
+            <div></div>
+        </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Opacity')}</label>
+            <div id="tie-${name}-opacity-range"></div>
+            <input id="tie-${name}-opacity-range-value" class="tui-image-editor-range-value" value="0" />
+        </li>
+        <li class="tui-image-editor-newline tui-image-editor-blend-wrap">
+            <label>${locale.localize('Blend')}</label>
+            <select id="tie-${name}-blend-mode" class="tui-image-editor-blend-mode">
+                ${blendModes.map(blendMode => (`
+                    <option value="${blendMode}">${locale.localize(getBlendModeLabel(blendMode))}</option>
+                `)).join('')}
+            </select>
+        </li>
+`);
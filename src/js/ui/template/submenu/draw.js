@@ -1,3 +1,5 @@
+import appearance from './appearance';
+
 /**
  * @param {Locale} locale - Translate text
  * @param {Object} normal - iconStyle
@@ -44,5 +46,6 @@ export default ({locale, iconStyle: {normal, active}}) => (`
             <div id="tie-draw-range"></div>
             <input id="tie-draw-range-value" class="tui-image-editor-range-value" value="0" />
         </li>
+        ${appearance(locale, 'draw')}
     </ul>
 `);
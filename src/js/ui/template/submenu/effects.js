@@ -0,0 +1,26 @@
+/**
+ * The controls of the shadow and the outline of the active object, they are included in the submenus
+ * @param {Locale} locale - Translate text
+ * @param {string} name - name of the submenu
+ * @returns {string}
+ */
+export default (locale, name) => (`
+        <li class="tui-image-editor-partition only-left-right">
+            <div></div>
+        </li>
+        <li class="tui-image-editor-newline tui-image-editor-effect-wrap">
+            <label>${locale.localize('Shadow')}</label>
+            <select id="tie-${name}-shadow" class="tui-image-editor-effect-select">
+                <option value="none">${locale.localize('None')}</option>
+                <option value="drop">${locale.localize('Drop shadow')}</option>
+                <option value="glow">${locale.localize('Glow')}</option>
+            </select>
+            <div id="tie-${name}-shadow-color" class="tui-image-editor-effect-color" title="${locale.localize('Shadow')}"></div>
+        </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Outline')}</label>
+            <div id="tie-${name}-outline-range"></div>
+            <input id="tie-${name}-outline-range-value" class="tui-image-editor-range-value" value="0" />
+            <div id="tie-${name}-outline-color" class="tui-image-editor-effect-color" title="${locale.localize('Outline')}"></div>
+        </li>
+`);
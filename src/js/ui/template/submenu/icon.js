@@ -1,3 +1,5 @@
+import appearance from './appearance';
+
 /**
  * @param {Locale} locale - Translate text
  * @param {Object} normal - iconStyle
@@ -150,5 +152,6 @@ export default ({locale, iconStyle: {normal, active}}) => (`
         <li>
             <div id="tie-icon-color" title="${locale.localize('Color')}"></div>
         </li>
+        ${appearance(locale, 'icon')}
     </ul>
 `);
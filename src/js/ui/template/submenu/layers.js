@@ -0,0 +1,14 @@
+/**
+ * @param {Locale} locale - Translate text
+ * @returns {string}
+ */
+export default ({locale}) => (`
+    <ul class="tui-image-editor-submenu-item">
+        <li>
+            <ul id="tie-layers-list" class="tui-image-editor-layers"></ul>
+            <div id="tie-layers-empty" class="tui-image-editor-layers-empty">
+                ${locale.localize('No objects')}
+            </div>
+        </li>
+    </ul>
+`);
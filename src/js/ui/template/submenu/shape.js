@@ -1,3 +1,6 @@
+import appearance from './appearance';
+import effects from './effects';
+
 /**
  * @param {Locale} locale - Translate text
  * @param {Object} normal - iconStyle
@@ -56,5 +59,7 @@ export default ({locale, iconStyle: {normal, active}}) => (`
             <div id="tie-stroke-range"></div>
             <input id="tie-stroke-range-value" class="tui-image-editor-range-value" value="0" />
         </li>
+        ${appearance(locale, 'shape')}
+        ${effects(locale, 'shape')}
     </ul>
 `);
@@ -1,3 +1,6 @@
+import appearance from './appearance';
+import effects from './effects';
+
 /**
  * @param {Locale} locale - Translate text
  * @param {Object} normal - iconStyle
@@ -89,5 +92,7 @@ export default ({locale, iconStyle: {normal, active}}) => (`
             <div id="tie-text-range"></div>
             <input id="tie-text-range-value" class="tui-image-editor-range-value" value="0" />
         </li>
+        ${appearance(locale, 'text')}
+        ${effects(locale, 'text')}
     </ul>
 `);
@@ -1,5 +1,7 @@
 import Range from './tools/range';
 import Colorpicker from './tools/colorpicker';
+import Appearance from './tools/appearance';
+import Effects from './tools/effects';
 import Submenu from './submenuBase';
 import templateHtml from './template/submenu/text';
 import {toInteger} from '../util';
@@ -30,8 +32,12 @@ class Text extends Submenu {
             textAlignButton: this.selector('#tie-text-align-button'),
             textColorpicker: new Colorpicker(this.selector('#tie-text-color'), '#ffbb3b', this.toggleDirection),
             textRange: new Range(this.selector('#tie-text-range'), defaultTextRangeValus),
-            textRangeValue: this.selector('#tie-text-range-value')
+            textRangeValue: this.selector('#tie-text-range-value'),
+            appearance: new Appearance(this.selector, 'text'),
+            effects: new Effects(this.selector, 'text', this.toggleDirection)
         };
+
+        this.colorPickerControls.push(this._els.textColorpicker, ...this._els.effects.colorpickers);
     }
 
     /**
@@ -43,10 +49,43 @@ class Text extends Submenu {
         this.actions = actions;
         this._els.textEffectButton.addEventListener('click', this._setTextEffectHandler.bind(this));
         this._els.textAlignButton.addEventListener('click', this._setTextAlignHandler.bind(this));
-        this._els.textRange.on('change', this._changeTextRnageHandler.bind(this));
+        this._els.textRange.on({
+            change: this._changeTextRnageHandler.bind(this),
+            dragstart: actions.beginInteraction,
+            dragend: actions.endInteraction
+        });
         this._els.textRangeValue.value = this._els.textRange.value;
         this._els.textRangeValue.setAttribute('readonly', true);
         this._els.textColorpicker.on('change', this._changeColorHandler.bind(this));
+        this.colorPickerControls.forEach(colorpicker => {
+            colorpicker.on('changeShow', this.colorPickerChangeShow.bind(this));
+        });
+        this._els.appearance.on({
+            change: actions.changeAppearance,
+            dragstart: actions.beginInteraction,
+            dragend: actions.endInteraction
+        });
+        this._els.effects.on({
+            change: actions.changeEffects,
+            dragstart: actions.beginInteraction,
+            dragend: actions.endInteraction
+        });
+    }
+
+    /**
+     * Set the opacity and the blend mode of the active object to the controls
+     * @param {Object} props - properties of the active object
+     */
+    setAppearance(props) {
+        this._els.appearance.setValue(props);
+    }
+
+    /**
+     * Set the shadow and the outline of the active object to the controls
+     * @param {Object} props - properties of the active object
+     */
+    setEffects(props) {
+        this._els.effects.setValue(props);
     }
 
     /**
@@ -0,0 +1,58 @@
+import snippet from 'tui-code-snippet';
+import Range from './range';
+import {toInteger} from '../../util';
+import {defaultOpacityRangeValus} from '../../consts';
+
+/**
+ * Control class of the opacity and the blend mode of the active object
+ * @class
+ * @ignore
+ */
+class Appearance {
+    /**
+     * @param {function} selector - selector of the submenu element
+     * @param {string} name - name of the submenu
+     */
+    constructor(selector, name) {
+        this._opacityRange = new Range(selector(`#tie-${name}-opacity-range`), defaultOpacityRangeValus);
+        this._opacityRangeValue = selector(`#tie-${name}-opacity-range-value`);
+        this._blendModeSelect = selector(`#tie-${name}-blend-mode`);
+
+        this._opacityRangeValue.value = this._opacityRange.value;
+        this._opacityRangeValue.setAttribute('readonly', true);
+        this._addEvent();
+    }
+
+    /**
+     * Set the opacity and the blend mode of an object without the change event
+     * @param {Object} props - object properties
+     *   @param {number} [props.opacity=1] - opacity from 0 to 1
+     *   @param {string} [props.globalCompositeOperation='source-over'] - blend mode
+     */
+    setValue({opacity = 1, globalCompositeOperation = 'source-over'}) {
+        this._opacityRange.value = opacity * 100;
+        this._opacityRangeValue.value = toInteger(opacity * 100);
+        this._blendModeSelect.value = globalCompositeOperation;
+    }
+
+    /**
+     * Add events of the controls, "change" is fired with the changed properties
+     * @private
+     */
+    _addEvent() {
+        this._opacityRange.on({
+            change: value => {
+                this._opacityRangeValue.value = toInteger(value);
+                this.fire('change', {opacity: toInteger(value) / 100});
+            },
+            dragstart: () => this.fire('dragstart'),
+            dragend: () => this.fire('dragend')
+        });
+        this._blendModeSelect.addEventListener('change', () => {
+            this.fire('change', {globalCompositeOperation: this._blendModeSelect.value});
+        });
+    }
+}
+
+snippet.CustomEvents.mixin(Appearance);
+export default Appearance;
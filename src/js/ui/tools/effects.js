@@ -0,0 +1,142 @@
+import snippet from 'tui-code-snippet';
+import Range from './range';
+import Colorpicker from './colorpicker';
+import {toInteger} from '../../util';
+import {defaultOutlineRangeValus} from '../../consts';
+
+/**
+ * Shadows selectable in the controls, a glow is the shadow without the offsets
+ * @type {Object.<string, Object>}
+ * @ignore
+ */
+const SHADOW_PRESETS = {
+    drop: {
+        blur: 10,
+        offsetX: 5,
+        offsetY: 5
+    },
+    glow: {
+        blur: 20,
+        offsetX: 0,
+        offsetY: 0
+    }
+};
+
+/**
+ * Control class of the shadow and the outline of the active object
+ * @class
+ * @ignore
+ */
+class Effects {
+    /**
+     * @param {function} selector - selector of the submenu element
+     * @param {string} name - name of the submenu
+     * @param {string} toggleDirection - direction of the colorpickers
+     */
+    constructor(selector, name, toggleDirection) {
+        this._shadowSelect = selector(`#tie-${name}-shadow`);
+        this._shadowColorpicker = new Colorpicker(selector(`#tie-${name}-shadow-color`), '#000000', toggleDirection);
+        this._outlineRange = new Range(selector(`#tie-${name}-outline-range`), defaultOutlineRangeValus);
+        this._outlineRangeValue = selector(`#tie-${name}-outline-range-value`);
+        this._outlineColorpicker = new Colorpicker(selector(`#tie-${name}-outline-color`), '#000000', toggleDirection);
+
+        /**
+         * Colorpickers of the controls, only one of the colorpickers of a submenu is shown
+         * @type {Array.<Colorpicker>}
+         */
+        this.colorpickers = [this._shadowColorpicker, this._outlineColorpicker];
+
+        this._outlineRangeValue.value = this._outlineRange.value;
+        this._outlineRangeValue.setAttribute('readonly', true);
+        this._addEvent();
+    }
+
+    /**
+     * Set the shadow and the outline of an object without the change event
+     * @param {Object} props - object properties
+     *   @param {?fabric.Shadow} [props.shadow] - shadow
+     *   @param {?{color: string, width: number}} [props.outline] - outline
+     */
+    setValue({shadow, outline}) {
+        this._shadowSelect.value = this._getShadowType(shadow);
+        if (shadow) {
+            this._shadowColorpicker.color = shadow.color;
+        }
+
+        this._outlineRange.value = outline ? outline.width : 0;
+        this._outlineRangeValue.value = toInteger(this._outlineRange.value);
+        if (outline) {
+            this._outlineColorpicker.color = outline.color;
+        }
+    }
+
+    /**
+     * Get the type of the shadow selected in the controls
+     * @param {?fabric.Shadow} shadow - shadow
+     * @returns {string} 'none', 'drop' or 'glow'
+     * @private
+     */
+    _getShadowType(shadow) {
+        if (!shadow) {
+            return 'none';
+        }
+
+        return shadow.offsetX || shadow.offsetY ? 'drop' : 'glow';
+    }
+
+    /**
+     * Get the shadow of the controls
+     * @returns {?Object} shadow, null if it is not selected
+     * @private
+     */
+    _getShadow() {
+        const preset = SHADOW_PRESETS[this._shadowSelect.value];
+
+        return preset ? snippet.extend({color: this._shadowColorpicker.color}, preset) : null;
+    }
+
+    /**
+     * Get the outline of the controls
+     * @returns {?Object} outline, null if the width is 0
+     * @private
+     */
+    _getOutline() {
+        const width = toInteger(this._outlineRange.value);
+
+        return width ? {
+            color: this._outlineColorpicker.color,
+            width
+        } : null;
+    }
+
+    /**
+     * Add events of the controls, "change" is fired with the changed effects
+     * @private
+     */
+    _addEvent() {
+        this._shadowSelect.addEventListener('change', () => {
+            this.fire('change', {shadow: this._getShadow()});
+        });
+        this._shadowColorpicker.on('change', () => {
+            if (this._getShadow()) {
+                this.fire('change', {shadow: {color: this._shadowColorpicker.color}});
+            }
+        });
+        this._outlineRange.on({
+            change: value => {
+                this._outlineRangeValue.value = toInteger(value);
+                this.fire('change', {outline: this._getOutline()});
+            },
+            dragstart: () => this.fire('dragstart'),
+            dragend: () => this.fire('dragend')
+        });
+        this._outlineColorpicker.on('change', () => {
+            if (this._getOutline()) {
+                this.fire('change', {outline: {color: this._outlineColorpicker.color}});
+            }
+        });
+    }
+}
+
+snippet.CustomEvents.mixin(Effects);
+export default Effects;
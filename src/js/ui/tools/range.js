@@ -120,6 +120,7 @@ class Range {
      */
     _addDragEvent() {
         this.pointer.addEventListener('mousedown', event => {
+            this.fire('dragstart');
             this.firstPosition = event.screenX;
             this.firstLeft = toInteger(this.pointer.style.left) || 0;
             this.dragEventHandler = {
@@ -162,6 +163,7 @@ class Range {
      */
     _stopChangingAngle() {
         this.fire('change', this._value);
+        this.fire('dragend');
         document.removeEventListener('mousemove', this.dragEventHandler.changeAngle);
         document.removeEventListener('mouseup', this.dragEventHandler.stopChangingAngle);
     }
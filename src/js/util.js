@@ -2,10 +2,101 @@
  * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
  * @fileoverview Util
  */
-import {forEach, sendHostname} from 'tui-code-snippet';
+import {forEach, sendHostname, isArray, isString, isFunction, isExisty, hasStamp, stamp} from 'tui-code-snippet';
 const {min, max} = Math;
 let hostnameSent = false;
 
+/**
+ * The greatest id of the objects, the new objects take the next ids
+ * @type {number}
+ */
+let lastObjectId = 0;
+
+/**
+ * Approximate size in bytes of a fabric object except the pixels of an image
+ * @type {number}
+ */
+const FABRIC_OBJECT_SIZE = 1024;
+
+/**
+ * Approximate size in bytes of a primitive value
+ * @type {number}
+ */
+const PRIMITIVE_SIZE = 8;
+
+/**
+ * Get the number of pixels of an image or canvas element
+ * @param {HTMLImageElement|HTMLCanvasElement} element - Element
+ * @returns {number} number of pixels
+ */
+function getPixelCount(element) {
+    const width = element.naturalWidth || element.width;
+    const height = element.naturalHeight || element.height;
+
+    return width * height;
+}
+
+/**
+ * Get the approximate size of a fabric object except the pixels of the images
+ * @param {fabric.Object} obj - Fabric object
+ * @param {Object.<number, number>} images - Sizes of the pixels by image element id, the images are added to it
+ * @returns {number} size in bytes
+ */
+function getFabricObjectSize(obj, images) {
+    let size = FABRIC_OBJECT_SIZE;
+
+    if (obj.isType('image')) {
+        const element = obj._originalElement || obj.getElement();
+        images[stamp(element)] = getPixelCount(element) * 4;
+    } else if (obj.isType('group')) {
+        forEach(obj.getObjects(), child => {
+            size += getFabricObjectSize(child, images);
+        });
+    }
+
+    return size;
+}
+
+/**
+ * Get the approximate size of a value except the pixels of the images walking into arrays and plain objects
+ * @param {*} value - Value
+ * @param {Object.<number, number>} images - Sizes of the pixels by image element id, the images are added to it
+ * @returns {number} size in bytes
+ */
+function getSize(value, images) {
+    let size = PRIMITIVE_SIZE;
+
+    if (!isExisty(value)) {
+        size = 0;
+    } else if (isString(value)) {
+        size = value.length * 2;
+    } else if (isFunction(value.isType)) {
+        size = getFabricObjectSize(value, images);
+    } else if (isArray(value) || value.constructor === Object) {
+        size = 0;
+        forEach(value, item => {
+            size += getSize(item, images);
+        });
+    }
+
+    return size;
+}
+
+/**
+ * Get the approximate size of a value with the images apart
+ * @param {*} value - Value
+ * @returns {{size: number, images: Object.<number, number>}} size except the images and the sizes of the images
+ */
+function measureSize(value) {
+    const images = {};
+    const size = getSize(value, images);
+
+    return {
+        size,
+        images
+    };
+}
+
 module.exports = {
 
     /**
@@ -94,6 +185,15 @@ module.exports = {
         return targetString.replace(/-([a-z])/g, ($0, $1) => $1.toUpperCase());
     },
 
+    /**
+     * Whether an element takes the keyboard input, a form field or an editable element
+     * @param {?HTMLElement} element - Element
+     * @returns {boolean}
+     */
+    isFormField(element) {
+        return !!element && (/^(INPUT|TEXTAREA|SELECT)$/.test(element.nodeName) || !!element.isContentEditable);
+    },
+
     /**
      * Check browser file api support
      * @returns {boolean}
@@ -186,5 +286,53 @@ module.exports = {
         }
 
         return new Blob([uInt8Array], {type: mimeString});
+    },
+
+    /**
+     * Estimate the memory size of a value like undo data.
+     * The pixels of images are counted as 4 bytes each and the other fabric objects as a fixed size.
+     * An image element shared by several fabric objects is counted once.
+     * @param {*} value - Value to estimate
+     * @returns {number} approximate size in bytes
+     */
+    estimateSize(value) {
+        const {size, images} = measureSize(value);
+
+        return Object.keys(images).reduce((sum, id) => sum + images[id], size);
+    },
+
+    /**
+     * Estimate the memory size of a value with the images apart, to count the images shared by several values once
+     * @param {*} value - Value to estimate
+     * @returns {{size: number, images: Object.<number, number>}} approximate size in bytes except the images
+     *     and the sizes of the image pixels by image element id
+     */
+    measureSize(value) {
+        return measureSize(value);
+    },
+
+    /**
+     * Get the id of an object, a new id is given to the object without it.
+     * It is "snippet.stamp" following the ids set by "setObjectId", so the restored ids are not given again.
+     * @param {Object} obj - Object like a fabric object
+     * @returns {number} object id
+     */
+    stampObject(obj) {
+        if (!hasStamp(obj)) {
+            lastObjectId += 1;
+            obj.__fe_id = lastObjectId; // eslint-disable-line
+        }
+
+        return stamp(obj);
+    },
+
+    /**
+     * Set the id of an object, the new objects take the ids greater than it
+     * @param {Object} obj - Object like a fabric object
+     * @param {number} id - Object id
+     */
+    setObjectId(obj, id) {
+        obj.__fe_id = id; // eslint-disable-line
+        lastObjectId = max(lastObjectId, id);
     }
 };
@@ -91,6 +91,38 @@ describe('Ui', () => {
             expect(imageEditorMock.ui.changeDeleteAllButtonEnabled).toHaveBeenCalled();
         });
 
+        it('alignObjects() and distributeObjects() API should be executed with the objects of the active group', () => {
+            const objects = [{}, {}, {}];
+            spyOn(imageEditorMock._graphics, 'getActiveGroupObject').and.returnValue({
+                getObjects: () => objects
+            });
+            spyOn(imageEditorMock, 'alignObjects').and.returnValue(Promise.resolve());
+            spyOn(imageEditorMock, 'distributeObjects').and.returnValue(Promise.resolve());
+
+            mainAction.align('left');
+            mainAction.distribute('vertical');
+
+            const ids = objects.map(obj => snippet.stamp(obj));
+            expect(imageEditorMock.alignObjects).toHaveBeenCalledWith(ids, 'left');
+            expect(imageEditorMock.distributeObjects).toHaveBeenCalledWith(ids, 'vertical');
+        });
+
+        it('showGrid() and hideGrid() API should be executed by turns When the grid action occurs', () => {
+            spyOn(imageEditorMock, 'showGrid').and.callThrough();
+            spyOn(imageEditorMock, 'hideGrid').and.callThrough();
+            spyOn(imageEditorMock.ui, 'changeToggleButtonActive');
+
+            mainAction.grid();
+            mainAction.grid();
+
+            expect(imageEditorMock.showGrid).toHaveBeenCalled();
+            expect(imageEditorMock.hideGrid).toHaveBeenCalled();
+            expect(imageEditorMock.ui.changeToggleButtonActive.calls.allArgs()).toEqual([
+                ['grid', true],
+                ['grid', false]
+            ]);
+        });
+
         it('loadImageFromFile() API should be executed When the load action occurs', done => {
             const promise = new Promise(resolve => {
                 resolve();
@@ -138,6 +170,22 @@ describe('Ui', () => {
             shapeAction.setDrawingShape();
             expect(imageEditorMock.setDrawingShape).toHaveBeenCalled();
         });
+
+        it('setObjectProperties() API should be executed When the changeAppearance action occurs', () => {
+            imageEditorMock.activeObjectId = 10;
+            spyOn(imageEditorMock, 'setObjectProperties').and.returnValue(Promise.resolve());
+
+            shapeAction.changeAppearance({globalCompositeOperation: 'screen'});
+            expect(imageEditorMock.setObjectProperties).toHaveBeenCalledWith(10, {globalCompositeOperation: 'screen'});
+        });
+
+        it('setObjectEffects() API should be executed When the changeEffects action occurs', () => {
+            imageEditorMock.activeObjectId = 10;
+            spyOn(imageEditorMock, 'setObjectEffects').and.returnValue(Promise.resolve());
+
+            shapeAction.changeEffects({outline: null});
+            expect(imageEditorMock.setObjectEffects).toHaveBeenCalledWith(10, {outline: null});
+        });
     });
 
     describe('cropAction', () => {
@@ -321,6 +369,66 @@ describe('Ui', () => {
         });
     });
 
+    describe('layersAction', () => {
+        let layersAction;
+        beforeEach(() => {
+            layersAction = actions.layers;
+        });
+
+        it('getLayers() should return the objects ordered from front to back', () => {
+            spyOn(imageEditorMock, 'getObjectOrder').and.returnValue([1, 2]);
+            spyOn(imageEditorMock, 'getObjectProperties').and.callFake(id => ({
+                type: 'rect',
+                visible: id === 1,
+                locked: id !== 1
+            }));
+
+            expect(layersAction.getLayers()).toEqual([jasmine.objectContaining({
+                id: 2,
+                type: 'rect',
+                visible: false,
+                locked: true
+            }), jasmine.objectContaining({
+                id: 1,
+                type: 'rect',
+                visible: true,
+                locked: false
+            })]);
+        });
+
+        it('setObjectVisibility() API should be executed When the toggleVisible action occurs', () => {
+            spyOn(imageEditorMock, 'setObjectVisibility');
+            layersAction.toggleVisible(1, false);
+
+            expect(imageEditorMock.setObjectVisibility).toHaveBeenCalledWith(1, false);
+        });
+
+        it('setObjectLocked() API should be executed When the toggleLock action occurs', () => {
+            spyOn(imageEditorMock, 'setObjectLocked');
+            layersAction.toggleLock(1, true);
+
+            expect(imageEditorMock.setObjectLocked).toHaveBeenCalledWith(1, true);
+        });
+
+        it('setObjectIndex() API should be executed When the reorder action occurs', () => {
+            spyOn(imageEditorMock, 'setObjectIndex').and.returnValue(Promise.resolve());
+            layersAction.reorder(1, 0);
+
+            expect(imageEditorMock.setObjectIndex).toHaveBeenCalledWith(1, 0);
+        });
+
+        it('The layer list should be rendered again When an object is removed in the layers menu', () => {
+            imageEditorMock.ui.submenu = 'layers';
+            spyOn(imageEditorMock.ui.layers, 'render');
+            imageEditorMock.fire('objectRemoved', {
+                id: 1,
+                type: 'rect'
+            });
+
+            expect(imageEditorMock.ui.layers.render).toHaveBeenCalled();
+        });
+    });
+
     describe('commonAction', () => {
         it('Each action returned to the getActions method must contain commonAction.', () => {
             const submenus = ['shape', 'crop', 'flip', 'rotate', 'text', 'mask', 'draw', 'icon', 'filter'];
@@ -421,6 +529,19 @@ describe('Ui', () => {
                 expect(imageEditorMock.ui.crop.changeApplyButtonStatus.calls.mostRecent().args[0]).toBe(true);
             });
 
+            it('If the existing menu is layers, the menu should not be changed and the layer should be highlighted.', () => {
+                imageEditorMock.ui.submenu = 'layers';
+                spyOn(imageEditorMock.ui, 'changeMenu');
+                spyOn(imageEditorMock.ui.layers, 'setActiveLayer');
+                imageEditorMock.fire('objectActivated', {
+                    id: 1,
+                    type: 'circle'
+                });
+
+                expect(imageEditorMock.ui.changeMenu).not.toHaveBeenCalled();
+                expect(imageEditorMock.ui.layers.setActiveLayer).toHaveBeenCalledWith(1);
+            });
+
             it('If the target of objectActivated is shape and the existing menu is not shpe, the menu should be changed to shape.', () => {
                 imageEditorMock.ui.submenu = 'crop';
                 spyOn(imageEditorMock.ui, 'changeMenu');
@@ -507,5 +628,50 @@ describe('Ui', () => {
                 expect(imageEditorMock.changeCursor.calls.mostRecent().args[0]).toBe('text');
             });
         });
+
+        describe('selectionCreated', () => {
+            it('should show the align buttons while a group is selected.', () => {
+                spyOn(imageEditorMock.ui, 'changeAlignButtonsVisible');
+
+                imageEditorMock.fire('selectionCreated', {
+                    type: 'group',
+                    set() {}
+                });
+                expect(imageEditorMock.ui.changeAlignButtonsVisible).toHaveBeenCalledWith(true);
+
+                imageEditorMock.fire('selectionCleared');
+                expect(imageEditorMock.ui.changeAlignButtonsVisible).toHaveBeenCalledWith(false);
+            });
+        });
+
+        describe('imagePasted', () => {
+            it('should resize the editor to the pasted background image.', () => {
+                const sizeChange = {
+                    oldWidth: 0,
+                    oldHeight: 0,
+                    newWidth: 300,
+                    newHeight: 200
+                };
+                spyOn(imageEditorMock.ui, 'activeMenuEvent');
+                spyOn(imageEditorMock.ui, 'resizeEditor');
+
+                imageEditorMock.fire('imagePasted', {
+                    type: 'background',
+                    sizeChange
+                });
+                expect(imageEditorMock.ui.activeMenuEvent).toHaveBeenCalled();
+                expect(imageEditorMock.ui.resizeEditor).toHaveBeenCalledWith({imageSize: sizeChange});
+            });
+
+            it('should not resize the editor to the pasted image object.', () => {
+                spyOn(imageEditorMock.ui, 'resizeEditor');
+
+                imageEditorMock.fire('imagePasted', {
+                    type: 'object',
+                    objectProps: {id: 1}
+                });
+                expect(imageEditorMock.ui.resizeEditor).not.toHaveBeenCalled();
+            });
+        });
     });
 });
@@ -0,0 +1,144 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Test cases of "src/js/autosave.js"
+ */
+import Promise from 'core-js/library/es6/promise';
+import Autosave from '../src/js/autosave';
+import consts from '../src/js/consts';
+
+describe('Autosave', () => {
+    const image = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+    let autosave, state;
+
+    beforeEach(() => {
+        state = {
+            version: 1,
+            imageName: 'image',
+            image,
+            objects: []
+        };
+        autosave = new Autosave({projectId: 'autosaveForTest'}, () => state);
+    });
+
+    afterEach(done => {
+        autosave.remove().then(() => {
+            autosave.destroy();
+            done();
+        });
+    });
+
+    it('should save the state and find the session', done => {
+        const spyAutosaved = jasmine.createSpy('autosaved');
+
+        autosave.on('autosaved', spyAutosaved);
+        autosave.save().then(savedAt => {
+            expect(spyAutosaved).toHaveBeenCalledWith(savedAt);
+
+            return autosave.find();
+        }).then(session => {
+            expect(session).toEqual({
+                projectId: 'autosaveForTest',
+                savedAt: jasmine.any(Number)
+            });
+            done();
+        });
+    });
+
+    it('should load the saved state with the image as a data url', done => {
+        autosave.save().then(() => autosave.loadState()).then(loadedState => {
+            expect(loadedState.imageName).toBe('image');
+            expect(loadedState.image).toBe(image);
+            done();
+        });
+    });
+
+    it('should not find the removed session', done => {
+        autosave.save().then(() => autosave.remove()).then(() => autosave.find()).then(session => {
+            expect(session).toBe(null);
+            done();
+        });
+    });
+
+    it('should save only the changed state periodically', () => {
+        jasmine.clock().install();
+        spyOn(autosave, 'save').and.returnValue(Promise.resolve(0));
+
+        autosave._interval = 100;
+        autosave.start();
+        jasmine.clock().tick(100);
+
+        expect(autosave.save).not.toHaveBeenCalled();
+
+        autosave.markDirty();
+        jasmine.clock().tick(100);
+
+        expect(autosave.save).toHaveBeenCalled();
+
+        autosave.stop();
+        jasmine.clock().uninstall();
+    });
+
+    it('should reject saving the state which cannot be made', done => {
+        const error = new Error('SecurityError');
+
+        autosave._getState = () => {
+            throw error;
+        };
+        autosave.save()['catch'](reason => {
+            expect(reason).toBe(error);
+            done();
+        });
+    });
+
+    it('should fire "autosaveError" and save less often after failing to save', done => {
+        const error = new Error('QuotaExceededError');
+        const spyError = jasmine.createSpy('autosaveError');
+
+        spyOn(autosave, 'save').and.returnValue(Promise.reject(error));
+        autosave.on('autosaveError', spyError);
+        autosave._interval = 100;
+        autosave.start();
+        autosave.markDirty();
+
+        autosave._saveChanged().then(() => {
+            expect(spyError).toHaveBeenCalledWith(error);
+            expect(autosave._delay).toBe(200);
+
+            autosave.save.and.returnValue(Promise.resolve(0));
+
+            return autosave._saveChanged();
+        }).then(() => {
+            expect(autosave._delay).toBe(100);
+            done();
+        });
+    });
+
+    it('should open the database again after failing to open it', done => {
+        const error = new Error('InvalidStateError');
+        const {open} = window.indexedDB;
+
+        spyOn(window.indexedDB, 'open').and.callFake(() => {
+            const request = {error};
+
+            setTimeout(() => request.onerror());
+
+            return request;
+        });
+
+        autosave.save()['catch'](reason => {
+            expect(reason).toBe(error);
+
+            window.indexedDB.open.and.callFake(open.bind(window.indexedDB));
+
+            return autosave.save();
+        }).then(savedAt => {
+            expect(savedAt).toEqual(jasmine.any(Number));
+            expect(window.indexedDB.open.calls.count()).toBe(2);
+            done();
+        })['catch'](done.fail);
+    });
+
+    it('should throw an error without the project id', () => {
+        expect(() => new Autosave({projectId: ''}, () => state)).toThrowError(consts.rejectMessages.invalidParameters);
+    });
+});
@@ -211,6 +211,44 @@ describe('commandFactory', () => {
         });
     });
 
+    describe('cropCommand', () => {
+        const imageURL = 'base/test/fixtures/sampleImage.jpg';
+
+        beforeEach(done => {
+            graphics.setCanvasImage('', null);
+            invoker.execute(commands.LOAD_IMAGE, graphics, 'image', imageURL).then(() => done());
+        });
+
+        it('should load the cropped image', done => {
+            invoker.execute(commands.CROP, graphics, {
+                left: 0,
+                top: 0,
+                width: 10,
+                height: 20
+            }).then(sizeChange => {
+                expect(sizeChange.newWidth).toBe(10);
+                expect(sizeChange.newHeight).toBe(20);
+                expect(graphics.getImageName()).toBe('image');
+                done();
+            });
+        });
+
+        it('"undo()" should restore the image before cropping', done => {
+            const {width, height} = graphics.getCanvasImage();
+
+            invoker.execute(commands.CROP, graphics, {
+                left: 0,
+                top: 0,
+                width: 10,
+                height: 20
+            }).then(() => invoker.undo()).then(() => {
+                expect(graphics.getCanvasImage().width).toBe(width);
+                expect(graphics.getCanvasImage().height).toBe(height);
+                done();
+            });
+        });
+    });
+
     describe('flipImageCommand', () => {
         it('flipX', () => {
             const originFlipX = mockImage.flipX;
@@ -379,4 +417,440 @@ describe('commandFactory', () => {
             });
         });
     });
+
+    describe('setObjectIndexCommand', () => {
+        let objects, ids;
+
+        beforeEach(() => {
+            objects = [new fabric.Object(), new fabric.Object(), new fabric.Object()];
+            objects.forEach(object => graphics.add(object));
+            ids = objects.map(object => snippet.stamp(object));
+        });
+
+        it('should move the object to the index in the stacking order', done => {
+            invoker.execute(commands.SET_OBJECT_INDEX, graphics, ids[0], 2).then(() => {
+                expect(graphics.getObjectOrder()).toEqual([ids[1], ids[2], ids[0]]);
+                done();
+            });
+        });
+
+        it('should clamp the index to the range of the objects', done => {
+            invoker.execute(commands.SET_OBJECT_INDEX, graphics, ids[2], -5).then(() => {
+                expect(graphics.getObjectOrder()).toEqual([ids[2], ids[0], ids[1]]);
+                done();
+            });
+        });
+
+        it('should reject if the order is not changed', done => {
+            invoker.execute(commands.SET_OBJECT_INDEX, graphics, ids[2], 10)['catch'](message => {
+                expect(message).toBe(consts.rejectMessages.objectOrder);
+                expect(invoker.isEmptyUndoStack()).toBe(true);
+                done();
+            });
+        });
+
+        it('"undo()" should restore the stacking order', done => {
+            invoker.execute(commands.SET_OBJECT_INDEX, graphics, ids[2], 0).then(() => (
+                invoker.undo()
+            )).then(() => {
+                expect(graphics.getObjectOrder()).toEqual(ids);
+                done();
+            });
+        });
+    });
+
+    describe('setObjectPropertiesCommand', () => {
+        let object, id;
+
+        beforeEach(() => {
+            object = new fabric.Rect({
+                width: 10,
+                height: 10,
+                fill: '#00ff00',
+                strokeWidth: 0
+            });
+            graphics.add(object);
+            id = snippet.stamp(object);
+        });
+
+        it('should set the opacity and the blend mode and "undo()" should restore them', done => {
+            invoker.execute(commands.SET_OBJECT_PROPERTIES, graphics, id, {
+                opacity: 0.5,
+                globalCompositeOperation: 'multiply'
+            }).then(() => {
+                expect(graphics.createObjectProperties(object)).toEqual(jasmine.objectContaining({
+                    opacity: 0.5,
+                    globalCompositeOperation: 'multiply'
+                }));
+
+                return invoker.undo();
+            }).then(() => {
+                expect(object.opacity).toBe(1);
+                expect(object.globalCompositeOperation).toBe('source-over');
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('should reject the invalid opacity or blend mode', done => {
+            invoker.execute(commands.SET_OBJECT_PROPERTIES, graphics, id, {opacity: 2})['catch'](message => {
+                expect(message).toBe(consts.rejectMessages.invalidParameters);
+
+                return invoker.execute(commands.SET_OBJECT_PROPERTIES, graphics, id, {globalCompositeOperation: 'copy'});
+            })['catch'](message => {
+                expect(message).toBe(consts.rejectMessages.invalidParameters);
+                expect(invoker.isEmptyUndoStack()).toBe(true);
+                done();
+            });
+        });
+
+        it('should export the blended objects as rendered', done => {
+            graphics.add(new fabric.Rect({
+                width: 10,
+                height: 10,
+                fill: '#ff0000',
+                strokeWidth: 0
+            }));
+            invoker.execute(commands.SET_OBJECT_INDEX, graphics, id, 1).then(() => (
+                invoker.execute(commands.SET_OBJECT_PROPERTIES, graphics, id, {globalCompositeOperation: 'multiply'})
+            )).then(() => {
+                graphics.toDataURL();
+
+                // red multiplied by green is black
+                const {data} = canvas.contextContainer.getImageData(5, 5, 1, 1);
+                expect(Array.prototype.slice.call(data)).toEqual([0, 0, 0, 255]);
+                done();
+            })['catch'](done.fail);
+        });
+    });
+
+    describe('setObjectEffectsCommand', () => {
+        let object, id;
+
+        beforeEach(() => {
+            object = new fabric.Rect({
+                width: 10,
+                height: 10
+            });
+            graphics.add(object);
+            id = snippet.stamp(object);
+        });
+
+        it('should set the shadow and the outline and "undo()" should remove them', done => {
+            invoker.execute(commands.SET_OBJECT_EFFECTS, graphics, id, {
+                shadow: {
+                    color: '#ff0000',
+                    offsetX: 0,
+                    offsetY: 0
+                },
+                outline: {width: 2}
+            }).then(effects => {
+                expect(effects).toEqual({
+                    shadow: {
+                        color: '#ff0000',
+                        blur: 10,
+                        offsetX: 0,
+                        offsetY: 0
+                    },
+                    outline: {
+                        color: '#000000',
+                        width: 2
+                    }
+                });
+                expect(object.shadow instanceof fabric.Shadow).toBe(true);
+                expect(object.objectCaching).toBe(false);
+
+                return invoker.undo();
+            }).then(() => {
+                expect(graphics.getObjectEffects(id)).toEqual({
+                    shadow: null,
+                    outline: null
+                });
+                expect(object.objectCaching).toBe(fabric.Object.prototype.objectCaching);
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('should keep the effect not set and merge the effect with the current one', done => {
+            invoker.execute(commands.SET_OBJECT_EFFECTS, graphics, id, {
+                shadow: {blur: 4},
+                outline: {color: '#ffffff'}
+            }).then(() => (
+                invoker.execute(commands.SET_OBJECT_EFFECTS, graphics, id, {shadow: {color: '#0000ff'}})
+            )).then(() => {
+                const {shadow, outline} = graphics.getObjectEffects(id);
+
+                expect(shadow.color).toBe('#0000ff');
+                expect(shadow.blur).toBe(4);
+                expect(outline.color).toBe('#ffffff');
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('should reject the invalid effects', done => {
+            invoker.execute(commands.SET_OBJECT_EFFECTS, graphics, id, {outline: {width: -1}})['catch'](message => {
+                expect(message).toBe(consts.rejectMessages.invalidParameters);
+
+                return invoker.execute(commands.SET_OBJECT_EFFECTS, graphics, id, {shadow: 'black'});
+            })['catch'](message => {
+                expect(message).toBe(consts.rejectMessages.invalidParameters);
+                expect(invoker.isEmptyUndoStack()).toBe(true);
+                done();
+            });
+        });
+    });
+
+    describe('groupObjectsCommand', () => {
+        let objects, ids;
+
+        beforeEach(() => {
+            objects = [
+                new fabric.Rect({
+                    left: 10,
+                    top: 10,
+                    width: 10,
+                    height: 10
+                }),
+                new fabric.Rect({
+                    left: 50,
+                    top: 30,
+                    width: 20,
+                    height: 10,
+                    angle: 30
+                }),
+                new fabric.Rect({
+                    left: 100,
+                    top: 100,
+                    width: 10,
+                    height: 10
+                })
+            ];
+            objects.forEach(object => graphics.add(object));
+            ids = objects.map(object => snippet.stamp(object));
+        });
+
+        it('should group the objects into a group at the position of the front one', done => {
+            invoker.execute(commands.GROUP_OBJECTS, graphics, [ids[0], ids[2]]).then(objectProps => {
+                const group = graphics.getObject(objectProps.id);
+
+                expect(group.isType('group')).toBe(true);
+                expect(group.getObjects()).toEqual([objects[0], objects[2]]);
+                expect(graphics.getObjectOrder()).toEqual([ids[1], objectProps.id]);
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('should reject if there are less than two objects', done => {
+            invoker.execute(commands.GROUP_OBJECTS, graphics, [ids[0]])['catch'](message => {
+                expect(message).toBe(consts.rejectMessages.invalidParameters);
+                done();
+            });
+        });
+
+        it('should reject if an object is not in canvas', done => {
+            invoker.execute(commands.GROUP_OBJECTS, graphics, [ids[0], -1])['catch'](message => {
+                expect(message).toBe(consts.rejectMessages.noObject);
+                done();
+            });
+        });
+
+        it('"undo()" should restore the objects and the stacking order', done => {
+            invoker.execute(commands.GROUP_OBJECTS, graphics, [ids[0], ids[2]]).then(() => (
+                invoker.undo()
+            )).then(() => {
+                expect(graphics.getObjectOrder()).toEqual(ids);
+                expect(objects[0].group).toBeUndefined();
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('"redo()" should make the group with the same id', done => {
+            let groupId;
+
+            invoker.execute(commands.GROUP_OBJECTS, graphics, [ids[0], ids[1]]).then(objectProps => {
+                groupId = objectProps.id;
+
+                return invoker.undo();
+            }).then(() => invoker.redo()).then(() => {
+                expect(graphics.getObject(groupId).getObjects()).toEqual([objects[0], objects[1]]);
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('"ungroupObjects" should keep the ids and the transforms of the objects on the canvas', done => {
+            let groupId, expectedCenter;
+
+            invoker.execute(commands.GROUP_OBJECTS, graphics, [ids[0], ids[1]]).then(objectProps => {
+                const group = graphics.getObject(objectProps.id);
+
+                groupId = objectProps.id;
+                expectedCenter = fabric.util.rotatePoint(
+                    objects[1].getCenterPoint(), group.getCenterPoint(), fabric.util.degreesToRadians(90)
+                );
+                graphics.setObjectProperties(groupId, {angle: 90});
+
+                return invoker.execute(commands.UNGROUP_OBJECTS, graphics, groupId);
+            }).then(objectIds => {
+                expect(objectIds).toEqual([ids[0], ids[1]]);
+                expect(graphics.getObject(groupId)).toBeUndefined();
+                expect(graphics.getObject(ids[1]).angle).toBeCloseTo(120, 5);
+                expect(objects[1].getCenterPoint().x).toBeCloseTo(expectedCenter.x, 5);
+                expect(objects[1].getCenterPoint().y).toBeCloseTo(expectedCenter.y, 5);
+
+                return invoker.undo();
+            }).then(() => {
+                expect(graphics.getObject(groupId).getObjects()).toEqual([objects[0], objects[1]]);
+                expect(graphics.getObject(ids[0])).toBeUndefined();
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('"ungroupObjects" should reject if the object is not a group', done => {
+            invoker.execute(commands.UNGROUP_OBJECTS, graphics, ids[0])['catch'](message => {
+                expect(message).toBe(consts.rejectMessages.notGroup);
+                done();
+            });
+        });
+    });
+
+    describe('alignObjectsCommand, distributeObjectsCommand and moveObjectsCommand', () => {
+        let objects, ids;
+
+        /**
+         * Make a rectangle at the center
+         * @param {number} x - x of the center
+         * @param {number} y - y of the center
+         * @param {number} width - width
+         * @param {number} height - height
+         * @returns {fabric.Rect}
+         */
+        function makeRect(x, y, width, height) {
+            return new fabric.Rect({
+                left: x,
+                top: y,
+                width,
+                height,
+                strokeWidth: 0,
+                originX: 'center',
+                originY: 'center'
+            });
+        }
+
+        beforeEach(() => {
+            objects = [
+                makeRect(20, 20, 10, 10),
+                makeRect(45, 40, 20, 10),
+                makeRect(100, 100, 10, 20)
+            ];
+            objects.forEach(object => graphics.add(object));
+            ids = objects.map(object => snippet.stamp(object));
+        });
+
+        it('should align the objects to the left of the selection', done => {
+            invoker.execute(commands.ALIGN_OBJECTS, graphics, [ids[0], ids[1]], 'left', 'selection').then(() => {
+                expect(objects[0].left).toBe(20);
+                expect(objects[1].left).toBe(25);
+                expect(objects[1].top).toBe(40);
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('should align the objects to the bottom of the canvas', done => {
+            graphics.setCanvasBackstoreDimension({
+                width: 200,
+                height: 160
+            });
+
+            invoker.execute(commands.ALIGN_OBJECTS, graphics, [ids[0], ids[2]], 'bottom', 'canvas').then(() => {
+                expect(objects[0].top).toBe(155);
+                expect(objects[2].top).toBe(150);
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('should align the rotated object by its bounding box', done => {
+            objects[1].set('angle', 90);
+
+            invoker.execute(commands.ALIGN_OBJECTS, graphics, [ids[0], ids[1]], 'top').then(() => {
+                expect(objects[1].top).toBeCloseTo(25, 5);
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('should reject the unknown mode of the alignment', done => {
+            invoker.execute(commands.ALIGN_OBJECTS, graphics, ids, 'side')['catch'](message => {
+                expect(message).toBe(consts.rejectMessages.invalidParameters);
+                done();
+            });
+        });
+
+        it('should distribute the objects with the even gaps', done => {
+            invoker.execute(commands.DISTRIBUTE_OBJECTS, graphics, [ids[2], ids[0], ids[1]], 'horizontal').then(() => {
+                // the gap is ((105 - 15) - (10 + 20 + 10)) / 2 = 25
+                expect(objects[0].left).toBe(20);
+                expect(objects[1].left).toBe(60);
+                expect(objects[2].left).toBe(100);
+
+                return invoker.execute(commands.DISTRIBUTE_OBJECTS, graphics, ids, 'vertical');
+            }).then(() => {
+                // the gap is ((110 - 15) - (10 + 10 + 20)) / 2 = 27.5
+                expect(objects[1].top).toBe(57.5);
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('should reject the distribution of less than three objects', done => {
+            invoker.execute(commands.DISTRIBUTE_OBJECTS, graphics, [ids[0], ids[1]], 'vertical')['catch'](message => {
+                expect(message).toBe(consts.rejectMessages.invalidParameters);
+                done();
+            });
+        });
+
+        it('should move the objects of the active group and merge the consecutive moves', done => {
+            graphics.selectObjects([ids[0], ids[1]]);
+
+            invoker.executeMergeable(commands.MOVE_OBJECTS, graphics, [ids[0], ids[1]], [
+                {
+                    left: 21,
+                    top: 20
+                },
+                {
+                    left: 46,
+                    top: 40
+                }
+            ]).then(() => {
+                expect(graphics.getActiveGroupObject()).toBeFalsy();
+
+                return invoker.executeMergeable(commands.MOVE_OBJECTS, graphics, [ids[0], ids[1]], [
+                    {
+                        left: 22,
+                        top: 20
+                    },
+                    {
+                        left: 47,
+                        top: 40
+                    }
+                ]);
+            }).then(() => {
+                expect(objects[0].left).toBe(22);
+                expect(objects[1].left).toBe(47);
+
+                return invoker.undo();
+            }).then(() => {
+                expect(objects.map(object => object.left)).toEqual([20, 45, 100]);
+                expect(invoker.isEmptyUndoStack()).toBe(true);
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('"undo()" should restore the positions of the objects', done => {
+            invoker.execute(commands.ALIGN_OBJECTS, graphics, ids, 'center').then(() => {
+                expect(objects[0].left).toBe(60);
+
+                return invoker.undo();
+            }).then(() => {
+                expect(objects.map(object => object.left)).toEqual([20, 45, 100]);
+                done();
+            })['catch'](done.fail);
+        });
+    });
 });
@@ -186,7 +186,7 @@ describe('Cropper', () => {
                 height: 180
             };
 
-            cropper._withShiftKey = true;
+            cropper._keepRatio = true;
 
             const actual = cropper._calcRectDimensionFromPoint(x, y);
 
@@ -203,7 +203,7 @@ describe('Cropper', () => {
                 height: 20
             };
 
-            cropper._withShiftKey = true;
+            cropper._keepRatio = true;
 
             const actual = cropper._calcRectDimensionFromPoint(x, y);
 
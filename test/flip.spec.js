@@ -93,6 +93,23 @@ describe('Flip', () => {
         });
     });
 
+    it('"flipX()" should flip the shadow offsets of the objects', () => {
+        const rect = new fabric.Rect({
+            shadow: {
+                offsetX: 5,
+                offsetY: 3
+            }
+        });
+        graphics.add(rect);
+
+        flipModule.flipX();
+
+        expect(rect.shadow.offsetX).toBe(-5);
+        expect(rect.shadow.offsetY).toBe(3);
+
+        graphics.remove(rect);
+    });
+
     describe('Promise is returned with settings and angle,', () => {
         beforeEach(() => {
             mockImage.setAngle(10);
@@ -176,4 +176,213 @@ describe('Graphics', () => {
     it('has the filter', () => {
         expect(graphics.hasFilter('Grayscale')).toBe(false);
     });
+
+    it('fires "objectRemoved" when an object is removed from the canvas', () => {
+        const onObjectRemoved = jasmine.createSpy('onObjectRemoved');
+        const obj = new fabric.Rect({});
+
+        graphics.add(obj);
+        graphics.on('objectRemoved', onObjectRemoved);
+        graphics.remove(obj);
+
+        expect(onObjectRemoved).toHaveBeenCalledWith({
+            id: snippet.stamp(obj),
+            type: 'rect'
+        });
+    });
+
+    it('gets the rectangle bounding the corners of the rotated object', () => {
+        const obj = new fabric.Rect({
+            left: 50,
+            top: 50,
+            width: 40,
+            height: 20,
+            strokeWidth: 0,
+            angle: 90,
+            originX: 'center',
+            originY: 'center'
+        });
+        graphics.add(obj);
+
+        const rect = graphics.getObjectBoundingRect(snippet.stamp(obj));
+
+        expect(rect.left).toBeCloseTo(40, 5);
+        expect(rect.top).toBeCloseTo(30, 5);
+        expect(rect.width).toBeCloseTo(20, 5);
+        expect(rect.height).toBeCloseTo(40, 5);
+    });
+
+    it('selects two or more objects as the active group', () => {
+        const onSelectionCreated = jasmine.createSpy('onSelectionCreated');
+        const objects = [new fabric.Rect({}), new fabric.Rect({}), new fabric.Rect({})];
+        objects.forEach(obj => graphics.add(obj));
+        graphics.on('selectionCreated', onSelectionCreated);
+
+        graphics.selectObjects([snippet.stamp(objects[2]), snippet.stamp(objects[0])]);
+
+        expect(graphics.getActiveGroupObject().getObjects()).toEqual([objects[0], objects[2]]);
+        expect(onSelectionCreated).toHaveBeenCalledWith(graphics.getActiveGroupObject());
+
+        graphics.selectObjects([snippet.stamp(objects[1])]);
+
+        expect(graphics.getActiveGroupObject()).toBeFalsy();
+        expect(graphics.getActiveObject()).toBe(objects[1]);
+    });
+
+    describe('toJSON() and loadFromJSON()', () => {
+        beforeEach(done => {
+            graphics.getComponent(components.IMAGE_LOADER)
+                .load('sampleImage', 'base/test/fixtures/sampleImage.jpg')
+                .then(() => done());
+        });
+
+        it('round-trips the image transform, filters and objects', done => {
+            const rect = new fabric.Rect({
+                left: 10,
+                top: 20,
+                width: 30,
+                height: 40
+            });
+            graphics.add(rect);
+            graphics.getComponent(components.FLIP).flipX()
+                .then(() => graphics.getComponent(components.ROTATION).setAngle(90))
+                .then(() => graphics.getComponent(components.FILTER).add('Grayscale'))
+                .then(() => {
+                    const state = graphics.toJSON();
+
+                    expect(state.version).toBe(consts.stateVersion);
+                    expect(state.transform).toEqual({
+                        angle: 90,
+                        flipX: true,
+                        flipY: false
+                    });
+                    expect(state.filters[0].type).toBe('Grayscale');
+                    expect(state.objects[0].id).toBe(snippet.stamp(rect));
+
+                    return graphics.loadFromJSON(JSON.parse(JSON.stringify(state))).then(() => {
+                        expect(graphics.toJSON()).toEqual(state);
+                        expect(graphics.getObject(state.objects[0].id)).not.toBe(rect);
+                        expect(graphics.getObject(state.objects[0].id).type).toBe('rect');
+                        done();
+                    });
+                })['catch'](done.fail);
+        });
+
+        it('does not reuse the restored ids for new objects', done => {
+            const rect = new fabric.Rect();
+            graphics.add(rect);
+            const state = graphics.toJSON();
+
+            graphics.loadFromJSON(state).then(() => {
+                const newRect = new fabric.Rect();
+                graphics.add(newRect);
+
+                expect(snippet.stamp(newRect)).toBeGreaterThan(state.objects[0].id);
+                done();
+            });
+        });
+
+        it('restores a group with the ids and the types of its objects', done => {
+            const rect = new fabric.Rect({width: 10});
+            const icon = new fabric.Path('M 0 0 L 20 20 L 10 10 Z');
+            icon.type = 'icon';
+            graphics.add([rect, icon]);
+
+            const group = graphics.groupObjects([snippet.stamp(rect), snippet.stamp(icon)]);
+            const state = graphics.toJSON();
+
+            graphics.loadFromJSON(JSON.parse(JSON.stringify(state))).then(() => {
+                const restoredGroup = graphics.getObject(snippet.stamp(group));
+                const [restoredRect, restoredIcon] = restoredGroup.getObjects();
+
+                expect(restoredGroup.type).toBe('group');
+                expect(snippet.stamp(restoredRect)).toBe(snippet.stamp(rect));
+                expect(snippet.stamp(restoredIcon)).toBe(snippet.stamp(icon));
+                expect(restoredIcon.type).toBe('icon');
+                expect(restoredGroup.objectIds).toBeUndefined();
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('restores the shadow and the outline of an object', done => {
+            const rect = new fabric.Rect({width: 10});
+            graphics.add(rect);
+            graphics.setObjectEffects(snippet.stamp(rect), {
+                shadow: {blur: 3},
+                outline: {width: 2}
+            });
+            const effects = graphics.getObjectEffects(snippet.stamp(rect));
+            const state = graphics.toJSON();
+
+            graphics.loadFromJSON(JSON.parse(JSON.stringify(state))).then(() => {
+                const restoredRect = graphics.getObject(snippet.stamp(rect));
+
+                expect(graphics.getObjectEffects(snippet.stamp(rect))).toEqual(effects);
+                expect(restoredRect.hasOwnProperty('_render')).toBe(true);
+                expect(restoredRect.objectCaching).toBe(false);
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('rejects the state of an unsupported version', done => {
+            graphics.loadFromJSON({version: consts.stateVersion + 1})['catch'](message => {
+                expect(message).toBe(consts.rejectMessages.unsupportedVersion);
+                done();
+            });
+        });
+    });
+
+    describe('serializeArgs() and deserializeArgs()', () => {
+        it('serializes the fabric objects in the arguments', () => {
+            const rect = new fabric.Rect({width: 10});
+            const [id, options] = graphics.serializeArgs([1, {
+                object: rect,
+                color: 'red'
+            }]);
+
+            expect(id).toBe(1);
+            expect(options.color).toBe('red');
+            expect(options.object.fabricObject.type).toBe('rect');
+            expect(JSON.parse(JSON.stringify(options))).toEqual(options);
+        });
+
+        it('creates the serialized fabric objects again', done => {
+            const args = graphics.serializeArgs([new fabric.Rect({width: 10}), 'text']);
+
+            graphics.deserializeArgs(args).then(([rect, text]) => {
+                expect(rect).toEqual(jasmine.any(fabric.Rect));
+                expect(rect.width).toBe(10);
+                expect(text).toBe('text');
+                done();
+            });
+        });
+
+        it('changes the ids of the objects', () => {
+            const rect = new fabric.Rect();
+            graphics.add(rect);
+            const id = snippet.stamp(rect);
+            const newId = id + 100;
+
+            graphics.changeObjectIds([id], [newId]);
+
+            expect(graphics.getObject(newId)).toBe(rect);
+            expect(graphics.getObject(id)).toBeUndefined();
+
+            const newRect = new fabric.Rect();
+            graphics.add(newRect);
+
+            expect(snippet.stamp(newRect)).toBeGreaterThan(newId);
+        });
+
+        it('gives the next id of a large restored id to a new object', () => {
+            const rect = new fabric.Rect();
+            graphics.add(rect);
+            graphics.changeObjectIds([snippet.stamp(rect)], [1e9]);
+
+            const newRect = new fabric.Rect();
+            graphics.add(newRect);
+
+            expect(snippet.stamp(newRect)).toBe(1e9 + 1);
+        });
+    });
 });
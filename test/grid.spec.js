@@ -0,0 +1,81 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Test cases of "src/js/component/grid.js"
+ */
+import Graphics from '../src/js/graphics';
+import consts from '../src/js/consts';
+
+describe('Grid', () => {
+    let graphics, canvas, grid;
+
+    beforeEach(() => {
+        const element = document.createElement('canvas');
+
+        document.body.appendChild(element);
+        graphics = new Graphics(element);
+        canvas = graphics.getCanvas();
+        grid = graphics.getComponent(consts.componentNames.GRID);
+        graphics.setCanvasBackstoreDimension({
+            width: 200,
+            height: 100
+        });
+    });
+
+    afterEach(() => {
+        graphics.destroy();
+    });
+
+    it('"show()" should add the grid element between the lower and the upper canvases', () => {
+        graphics.showGrid({spacing: 20});
+
+        expect(graphics.isGridVisible()).toBe(true);
+        expect(canvas.lowerCanvasEl.nextSibling).toBe(grid._element);
+        expect(grid._element.width).toBe(200);
+        expect(grid._element.height).toBe(100);
+        expect(grid._element.style.pointerEvents).toBe('none');
+    });
+
+    it('"show()" should keep the last options', () => {
+        graphics.showGrid({
+            spacing: 20,
+            subdivisions: 4
+        });
+        graphics.hideGrid();
+        graphics.showGrid({color: '#00a9ff'});
+
+        expect(grid.getOptions()).toEqual({
+            spacing: 20,
+            color: '#00a9ff',
+            subdivisions: 4
+        });
+    });
+
+    it('should redraw the grid after the size of the canvas is changed', () => {
+        graphics.showGrid();
+        graphics.setCanvasBackstoreDimension({
+            width: 300,
+            height: 150
+        });
+
+        expect(grid._element.width).toBe(300);
+        expect(grid._element.height).toBe(150);
+    });
+
+    it('"hide()" should remove the grid element', () => {
+        graphics.showGrid();
+        const {_element: element} = grid;
+
+        graphics.hideGrid();
+
+        expect(graphics.isGridVisible()).toBe(false);
+        expect(element.parentNode).toBeNull();
+    });
+
+    it('should not include the grid in the exported image', () => {
+        const dataURL = canvas.toDataURL();
+
+        graphics.showGrid();
+
+        expect(canvas.toDataURL()).toBe(dataURL);
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Smoke test of the headless entry on Node.js, run by "npm run test:headless".
+ * It is not run by "npm test" and it needs "canvas" and "jsdom" installed by hand.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const HeadlessImageEditor = require('../headless');
+
+const PNG_SIGNATURE = '89504e47';
+const imagePath = path.join(__dirname, 'fixtures/sampleImage.jpg');
+const imageEditor = new HeadlessImageEditor();
+
+imageEditor.loadImageFromURL(imagePath, 'sampleImage').then(result => {
+    assert.ok(result.newWidth > 0 && result.newHeight > 0);
+
+    return imageEditor.applyFilter('Grayscale');
+}).then(() => {
+    const buffer = imageEditor.toBuffer();
+
+    assert.strictEqual(buffer.slice(0, 4).toString('hex'), PNG_SIGNATURE);
+
+    return new Promise((resolve, reject) => {
+        fs.readFile(imagePath, (error, data) => (error ? reject(error) : resolve(data)));
+    });
+}).then(data => imageEditor.loadImageFromURL(data, 'sampleImage')).then(() => {
+    const buffer = imageEditor.toBuffer({format: 'jpeg'});
+
+    assert.ok(buffer.length > 0);
+    imageEditor.destroy();
+    process.stdout.write('The headless editor loaded and exported the image.\n');
+})['catch'](error => {
+    process.stderr.write(`${error.stack || error}\n`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,62 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Test cases of "src/js/headlessImageEditor.js"
+ */
+import HeadlessImageEditor from '../src/js/headlessImageEditor';
+
+describe('HeadlessImageEditor', () => {
+    const pngData = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+    const imageURL = `data:image/png;base64,${pngData}`;
+    let imageEditor;
+
+    beforeEach(() => {
+        imageEditor = new HeadlessImageEditor({maxUndoSteps: 10});
+    });
+
+    afterEach(() => {
+        imageEditor.destroy();
+    });
+
+    it('should make the canvas out of the document without the wrapper element', () => {
+        const {wrapperEl} = imageEditor._graphics.getCanvas();
+
+        expect(document.body.contains(wrapperEl)).toBe(false);
+    });
+
+    it('should load the image of a buffer as a data url', done => {
+        spyOn(imageEditor, 'execute').and.callThrough();
+
+        imageEditor.loadImageFromURL(Buffer.from(pngData, 'base64'), 'pixel').then(() => {
+            expect(imageEditor.execute).toHaveBeenCalledWith('loadImage', 'pixel', imageURL);
+            expect(imageEditor.getCanvasSize()).toEqual({
+                width: 1,
+                height: 1
+            });
+            done();
+        })['catch'](done.fail);
+    });
+
+    it('should undo the executed commands', done => {
+        imageEditor.loadImageFromURL(imageURL, 'pixel')
+            .then(() => imageEditor.applyFilter('Grayscale'))
+            .then(() => {
+                expect(imageEditor._graphics.hasFilter('Grayscale')).toBe(true);
+
+                return imageEditor.undo();
+            })
+            .then(() => {
+                expect(imageEditor._graphics.hasFilter('Grayscale')).toBe(false);
+                done();
+            })['catch'](done.fail);
+    });
+
+    it('should export the image as a buffer', done => {
+        imageEditor.loadImageFromURL(imageURL, 'pixel').then(() => {
+            const [, data] = imageEditor.toDataURL().split(',');
+            const buffer = imageEditor.toBuffer();
+
+            expect(buffer.toString('base64')).toBe(data);
+            done();
+        })['catch'](done.fail);
+    });
+});
@@ -5,7 +5,9 @@
 
 import snippet from 'tui-code-snippet';
 import Promise from 'core-js/library/es6/promise';
+import fabric from 'fabric/dist/fabric.require';
 import ImageEditor from '../src/js/imageEditor';
+import Autosave from '../src/js/autosave';
 import util from '../src/js/util';
 import consts from '../src/js/consts';
 
@@ -99,5 +101,1083 @@ describe('ImageEditor', () => {
                 expect(imageEditor.removeObject).toHaveBeenCalled();
             });
         });
+
+        describe('registerCommand()', () => {
+            it('should run a custom command through the undo stack', done => {
+                const execute = jasmine.createSpy('execute');
+                const undo = jasmine.createSpy('undo').and.returnValue(Promise.resolve());
+
+                ImageEditor.registerCommand({
+                    name: 'customCommandForTest',
+                    execute,
+                    undo
+                });
+
+                imageEditor.execute('customCommandForTest', 'value').then(() => {
+                    expect(execute).toHaveBeenCalledWith(imageEditor._graphics, 'value');
+                    expect(imageEditor.isEmptyUndoStack()).toBe(false);
+
+                    return imageEditor.undo();
+                }).then(() => {
+                    expect(undo).toHaveBeenCalledWith(imageEditor._graphics, 'value');
+                    done();
+                });
+            });
+
+            it('should throw an error with the name of a built-in command', () => {
+                expect(() => ImageEditor.registerCommand({
+                    name: consts.commandNames.ROTATE_IMAGE,
+                    execute() {},
+                    undo() {}
+                })).toThrowError(`${consts.rejectMessages.builtInCommand} ${consts.commandNames.ROTATE_IMAGE}`);
+            });
+
+            it('should throw an error without the execute or undo function', () => {
+                expect(() => ImageEditor.registerCommand({
+                    name: 'invalidCommandForTest',
+                    execute() {}
+                })).toThrowError(consts.rejectMessages.invalidParameters);
+            });
+        });
+
+        describe('applyRemoteCommand()', () => {
+            let remoteEditor, execute, undo;
+
+            beforeEach(() => {
+                execute = jasmine.createSpy('execute');
+                undo = jasmine.createSpy('undo');
+                ImageEditor.registerCommand({
+                    name: 'remoteCommandForTest',
+                    execute,
+                    undo
+                });
+                remoteEditor = new ImageEditor(document.createElement('div'), {
+                    usageStatistics: false
+                });
+            });
+
+            afterEach(() => {
+                remoteEditor.destroy();
+            });
+
+            it('should replay the descriptor of "commandExecuted" without storing it', done => {
+                const spyExecuted = jasmine.createSpy();
+
+                remoteEditor.on('commandExecuted', spyExecuted);
+                imageEditor.on('commandExecuted', descriptor => {
+                    expect(descriptor).toEqual({
+                        action: 'execute',
+                        clientId: jasmine.any(String),
+                        id: jasmine.any(Number),
+                        name: 'remoteCommandForTest',
+                        args: [{value: 1}],
+                        objectIds: [],
+                        objectSources: {}
+                    });
+
+                    remoteEditor.applyRemoteCommand(JSON.parse(JSON.stringify(descriptor))).then(() => {
+                        expect(execute).toHaveBeenCalledWith(remoteEditor._graphics, {value: 1});
+                        expect(remoteEditor.isEmptyUndoStack()).toBe(true);
+                        expect(spyExecuted).not.toHaveBeenCalled();
+                        done();
+                    });
+                });
+
+                imageEditor.execute('remoteCommandForTest', {value: 1});
+            });
+
+            it('should undo the replayed command with the descriptor of "commandUndone"', done => {
+                let applied = Promise.resolve();
+
+                imageEditor.on({
+                    commandExecuted: descriptor => {
+                        applied = applied.then(() => remoteEditor.applyRemoteCommand(descriptor));
+                    },
+                    commandUndone: descriptor => {
+                        applied.then(() => remoteEditor.applyRemoteCommand(descriptor)).then(() => {
+                            expect(undo).toHaveBeenCalledWith(remoteEditor._graphics, 'value');
+                            done();
+                        });
+                    }
+                });
+
+                imageEditor.execute('remoteCommandForTest', 'value').then(() => imageEditor.undo());
+            });
+
+            it('should keep the objects of the ids used by the objects of the other editor', done => {
+                const ownObject = new fabric.Rect({
+                    width: 10,
+                    height: 10
+                });
+                const sent = [];
+                let objectId;
+
+                imageEditor.on('commandExecuted', descriptor => sent.push(JSON.parse(JSON.stringify(descriptor))));
+                remoteEditor.on('commandExecuted', descriptor => sent.push(JSON.parse(JSON.stringify(descriptor))));
+                remoteEditor._graphics.add(ownObject);
+
+                imageEditor.execute('addObject', new fabric.Rect({
+                    width: 20,
+                    height: 20
+                })).then(() => {
+                    [objectId] = sent[0].objectIds;
+                    remoteEditor._graphics.changeObjectIds([util.stampObject(ownObject)], [objectId]);
+
+                    return remoteEditor.applyRemoteCommand(sent[0]);
+                }).then(() => {
+                    const [copy] = remoteEditor._graphics.getObjects().filter(obj => obj !== ownObject);
+
+                    expect(remoteEditor._graphics.getObject(objectId)).toBe(ownObject);
+
+                    return remoteEditor.removeObject(util.stampObject(copy));
+                }).then(() => {
+                    expect(sent[1].objectSources).toEqual({
+                        [sent[1].args[0]]: {
+                            clientId: sent[0].clientId,
+                            id: objectId
+                        }
+                    });
+
+                    return imageEditor.applyRemoteCommand(sent[1]);
+                }).then(() => {
+                    expect(imageEditor._graphics.getObject(objectId)).toBeUndefined();
+                    expect(remoteEditor._graphics.getObject(objectId)).toBe(ownObject);
+                    done();
+                });
+            });
+
+            it('should reject an invalid descriptor', done => {
+                remoteEditor.applyRemoteCommand({name: 'remoteCommandForTest'})['catch'](message => {
+                    expect(message).toBe(consts.rejectMessages.invalidParameters);
+                    done();
+                });
+            });
+        });
+
+        describe('macro', () => {
+            let execute;
+
+            beforeEach(() => {
+                execute = jasmine.createSpy('execute');
+                ImageEditor.registerCommand({
+                    name: 'macroCommandForTest',
+                    execute,
+                    undo() {}
+                });
+                spyOn(imageEditor._graphics, 'getCanvasSize').and.returnValue({
+                    width: 100,
+                    height: 50
+                });
+            });
+
+            it('should record the executed commands with the geometry relative to the image size', done => {
+                imageEditor.startRecording();
+                imageEditor.execute('macroCommandForTest', {
+                    left: 50,
+                    top: 10,
+                    fill: 'red'
+                }).then(() => {
+                    expect(imageEditor.stopRecording()).toEqual({
+                        version: consts.macroVersion,
+                        steps: [{
+                            name: 'macroCommandForTest',
+                            args: [{
+                                left: 0.5,
+                                top: 0.2,
+                                fill: 'red'
+                            }],
+                            objectIds: []
+                        }]
+                    });
+                    expect(imageEditor.isRecording()).toBe(false);
+                    done();
+                });
+            });
+
+            it('should remove the undone commands from the macro', done => {
+                imageEditor.startRecording();
+                imageEditor.execute('macroCommandForTest', 'value')
+                    .then(() => imageEditor.undo())
+                    .then(() => {
+                        expect(imageEditor.stopRecording().steps.length).toBe(0);
+                        done();
+                    });
+            });
+
+            it('should play the macro adapted to the image size as one undo step', done => {
+                const step = {
+                    name: 'macroCommandForTest',
+                    args: [{left: 0.5}],
+                    objectIds: []
+                };
+
+                imageEditor._graphics.getCanvasSize.and.returnValue({
+                    width: 400,
+                    height: 200
+                });
+                imageEditor.playMacro({
+                    version: consts.macroVersion,
+                    steps: [step, step]
+                }).then(() => {
+                    expect(execute.calls.count()).toBe(2);
+                    expect(execute).toHaveBeenCalledWith(imageEditor._graphics, {left: 200});
+                    expect(imageEditor.getHistory().length).toBe(1);
+                    done();
+                });
+            });
+
+            it('should play the mask filter with the mask image made while playing', done => {
+                const filter = imageEditor._graphics.getComponent(consts.componentNames.FILTER);
+                spyOn(filter, 'add').and.returnValue(Promise.resolve({}));
+
+                imageEditor.startRecording();
+                imageEditor.addImageObject('base/test/fixtures/sampleImage.jpg')
+                    .then(({id}) => imageEditor.applyFilter('mask', {maskObjId: id}))
+                    .then(() => imageEditor.playMacro(imageEditor.stopRecording()))
+                    .then(() => {
+                        const masks = filter.add.calls.allArgs().map(([, options]) => options.mask);
+                        const [recordedMask, playedMask] = masks;
+
+                        expect(playedMask.isType('image')).toBe(true);
+                        expect(playedMask).not.toBe(recordedMask);
+                        done();
+                    })['catch'](done.fail);
+            });
+
+            it('should reject the macro of an unsupported version', done => {
+                imageEditor.playMacro({
+                    version: consts.macroVersion + 1,
+                    steps: []
+                })['catch'](message => {
+                    expect(message).toBe(consts.rejectMessages.unsupportedMacroVersion);
+                    done();
+                });
+            });
+        });
+
+        describe('processBatch()', () => {
+            const imageURL = 'base/test/fixtures/sampleImage.jpg';
+            let batchEditor;
+
+            beforeEach(() => {
+                batchEditor = new ImageEditor(document.createElement('div'), {
+                    usageStatistics: false
+                });
+                spyOn(imageEditor, '_createBatchEditor').and.returnValue(batchEditor);
+            });
+
+            it('should run the pipeline on each image of the offscreen editor and report the progress', done => {
+                const step = jasmine.createSpy('step');
+                const onProgress = jasmine.createSpy('onProgress');
+
+                spyOn(batchEditor, 'applyFilter').and.returnValue(Promise.resolve());
+                imageEditor.processBatch([imageURL, {
+                    url: imageURL,
+                    name: 'second'
+                }], [step, {
+                    method: 'applyFilter',
+                    args: ['Grayscale']
+                }], {onProgress}).then(results => {
+                    expect(step.calls.allArgs()).toEqual([[batchEditor, 0], [batchEditor, 1]]);
+                    expect(batchEditor.applyFilter.calls.count()).toBe(2);
+                    expect(batchEditor.applyFilter).toHaveBeenCalledWith('Grayscale');
+                    expect(onProgress.calls.count()).toBe(2);
+                    expect(results.map(result => result.name)).toEqual(['image-1', 'second']);
+                    expect(results[1]).toEqual({
+                        index: 1,
+                        total: 2,
+                        name: 'second',
+                        dataURL: jasmine.stringMatching(/^data:image\/png/),
+                        error: null
+                    });
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should keep the image and the history of the editor', done => {
+                imageEditor.loadImageFromURL(imageURL, 'own')
+                    .then(() => imageEditor.processBatch([imageURL], []))
+                    .then(() => {
+                        expect(imageEditor.getImageName()).toBe('own');
+                        expect(imageEditor.isEmptyUndoStack()).toBe(false);
+                        done();
+                    })['catch'](done.fail);
+            });
+
+            it('should resolve the results even if the progress callback throws an error', done => {
+                imageEditor.processBatch([imageURL, imageURL], [], {
+                    onProgress() {
+                        throw new Error('failed');
+                    }
+                }).then(results => {
+                    expect(results.length).toBe(2);
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should scale down the exported images to fit the max size', done => {
+                spyOn(batchEditor, 'toDataURL').and.returnValue('data:image/jpeg;base64,');
+                spyOn(batchEditor._graphics, 'getCanvasSize').and.returnValue({
+                    width: 400,
+                    height: 200
+                });
+
+                imageEditor.processBatch([imageURL], [], {
+                    format: 'jpeg',
+                    quality: 0.5,
+                    maxWidth: 100,
+                    maxHeight: 100
+                }).then(() => {
+                    expect(batchEditor.toDataURL).toHaveBeenCalledWith({
+                        format: 'jpeg',
+                        quality: 0.5,
+                        multiplier: 0.25
+                    });
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should keep processing the other images after an image fails', done => {
+                imageEditor.processBatch([imageURL, imageURL], [
+                    (editor, index) => (index ? null : Promise.reject('failed'))
+                ]).then(results => {
+                    expect(results[0].error).toBe('failed');
+                    expect(results[0].dataURL).toBeNull();
+                    expect(results[1].error).toBeNull();
+                    done();
+                })['catch'](done.fail);
+            });
+        });
+
+        describe('stacking order', () => {
+            let ids;
+
+            beforeEach(() => {
+                const objects = [new fabric.Object(), new fabric.Object(), new fabric.Object()];
+
+                objects.forEach(object => imageEditor._graphics.add(object));
+                ids = objects.map(object => snippet.stamp(object));
+            });
+
+            it('should bring the object forward and to the front', done => {
+                imageEditor.bringForward(ids[0]).then(() => {
+                    expect(imageEditor.getObjectOrder()).toEqual([ids[1], ids[0], ids[2]]);
+
+                    return imageEditor.bringToFront(ids[1]);
+                }).then(() => {
+                    expect(imageEditor.getObjectOrder()).toEqual([ids[0], ids[2], ids[1]]);
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should send the object backwards and to the back', done => {
+                imageEditor.sendBackwards(ids[2]).then(() => {
+                    expect(imageEditor.getObjectOrder()).toEqual([ids[0], ids[2], ids[1]]);
+
+                    return imageEditor.sendToBack(ids[1]);
+                }).then(() => {
+                    expect(imageEditor.getObjectOrder()).toEqual([ids[1], ids[0], ids[2]]);
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should keep the back object without an undo step on sending it backwards or to the back', done => {
+                imageEditor.sendBackwards(ids[0]).then(() => imageEditor.sendToBack(ids[0])).then(() => {
+                    expect(imageEditor.getObjectOrder()).toEqual(ids);
+                    expect(imageEditor.isEmptyUndoStack()).toBe(true);
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should keep the front object without an undo step on bringing it forward or to the front', done => {
+                imageEditor.bringForward(ids[2]).then(() => imageEditor.bringToFront(ids[2])).then(() => {
+                    expect(imageEditor.getObjectOrder()).toEqual(ids);
+                    expect(imageEditor.isEmptyUndoStack()).toBe(true);
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should keep the redo stack on bringing the front object forward', done => {
+                imageEditor.sendToBack(ids[2]).then(() => imageEditor.undo()).then(() => {
+                    expect(imageEditor.isEmptyRedoStack()).toBe(false);
+
+                    return imageEditor.bringForward(ids[2]);
+                }).then(() => {
+                    expect(imageEditor.isEmptyRedoStack()).toBe(false);
+                    done();
+                })['catch'](done.fail);
+            });
+        });
+
+        describe('visibility and lock', () => {
+            let object, id;
+
+            beforeEach(() => {
+                object = new fabric.Rect({
+                    width: 10,
+                    height: 10
+                });
+                imageEditor._graphics.add(object);
+                id = snippet.stamp(object);
+            });
+
+            it('should hide the object and show it again by undo', done => {
+                imageEditor.setObjectVisibility(id, false).then(() => {
+                    expect(object.visible).toBe(false);
+
+                    return imageEditor.undo();
+                }).then(() => {
+                    expect(object.visible).toBe(true);
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should draw the hidden objects only when "includeHidden" is set', () => {
+                spyOn(imageEditor._graphics.getCanvas(), 'toDataURL').and.callFake(() => String(object.visible));
+                object.visible = false;
+
+                expect(imageEditor.toDataURL()).toBe('false');
+                expect(imageEditor.toDataURL({includeHidden: true})).toBe('true');
+                expect(object.visible).toBe(false);
+            });
+
+            it('should hide the hidden objects again when drawing them fails', () => {
+                spyOn(imageEditor._graphics.getCanvas(), 'toDataURL').and.throwError('SecurityError');
+                object.visible = false;
+
+                expect(() => imageEditor.toDataURL({includeHidden: true})).toThrowError('SecurityError');
+                expect(object.visible).toBe(false);
+            });
+
+            it('should keep the locked object unselectable after "changeSelectableAll(true)"', done => {
+                imageEditor.setObjectLocked(id, true).then(() => {
+                    imageEditor.changeSelectableAll(true);
+
+                    expect(object.selectable).toBe(false);
+                    expect(object.evented).toBe(false);
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should not remove the locked active object', done => {
+                imageEditor.setObjectLocked(id, true).then(() => {
+                    spyOn(imageEditor._graphics, 'getActiveObject').and.returnValue(object);
+                    spyOn(imageEditor, 'removeObject');
+
+                    imageEditor.removeActiveObject();
+
+                    expect(imageEditor.removeObject).not.toHaveBeenCalled();
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should reject the state which is not boolean', done => {
+                imageEditor.setObjectLocked(id, 'true')['catch'](message => {
+                    expect(message).toBe(consts.rejectMessages.invalidParameters);
+                    done();
+                });
+            });
+        });
+
+        describe('clipboard', () => {
+            let object, id;
+
+            beforeEach(() => {
+                object = new fabric.Rect({
+                    left: 30,
+                    top: 40,
+                    width: 10,
+                    height: 10
+                });
+                imageEditor._graphics.add(object);
+                imageEditor._graphics.setActiveObject(object);
+                id = snippet.stamp(object);
+            });
+
+            it('should reject copying without the active object', done => {
+                imageEditor.discardSelection();
+                imageEditor.copyObject()['catch'](message => {
+                    expect(message).toBe(consts.rejectMessages.noActiveObject);
+                    done();
+                });
+            });
+
+            it('should paste the copies with new ids moving them a little more each time', done => {
+                imageEditor.copyObject().then(() => imageEditor.pasteObject()).then(([objectProps]) => {
+                    expect(objectProps.id).not.toBe(id);
+                    expect(objectProps.left).toBe(40);
+                    expect(objectProps.top).toBe(50);
+
+                    return imageEditor.pasteObject();
+                }).then(([objectProps]) => {
+                    expect(objectProps.left).toBe(50);
+                    expect(imageEditor.getObjectOrder().length).toBe(3);
+
+                    return imageEditor.undo();
+                }).then(() => {
+                    expect(imageEditor.getObjectOrder().length).toBe(2);
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should paste the cut object at its position', done => {
+                imageEditor.cutObject().then(() => {
+                    expect(imageEditor.getObjectOrder()).toEqual([]);
+
+                    return imageEditor.pasteObject();
+                }).then(([objectProps]) => {
+                    expect(objectProps.left).toBe(30);
+                    expect(objectProps.top).toBe(40);
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should not cut the locked object by Ctrl+X', done => {
+                const other = new fabric.Rect({
+                    left: 70,
+                    top: 80,
+                    width: 10,
+                    height: 10
+                });
+                imageEditor._graphics.add(other);
+                object.locked = true;
+                spyOn(imageEditor._graphics, 'getActiveGroupObject').and.returnValue(new fabric.Group([object, other]));
+                spyOn(imageEditor, 'cutObject').and.callThrough();
+
+                imageEditor._onKeyDown({
+                    ctrlKey: true,
+                    keyCode: consts.keyCodes.X,
+                    preventDefault() {}
+                });
+                imageEditor.cutObject.calls.mostRecent().returnValue.then(() => {
+                    expect(imageEditor.getObjectOrder()).toEqual([id]);
+
+                    imageEditor._graphics.getActiveGroupObject.and.returnValue(null);
+                    imageEditor._graphics.setActiveObject(object);
+
+                    return imageEditor.cutObject().then(done.fail, message => {
+                        expect(message).toBe(consts.rejectMessages.noActiveObject);
+                        expect(imageEditor.getObjectOrder()).toEqual([id]);
+                        done();
+                    });
+                })['catch'](done.fail);
+            });
+
+            it('should duplicate the object without changing the clipboard', done => {
+                imageEditor.duplicateObject().then(([objectProps]) => {
+                    expect(objectProps.left).toBe(40);
+
+                    return imageEditor.pasteObject();
+                })['catch'](message => {
+                    expect(message).toBe(consts.rejectMessages.emptyClipboard);
+                    done();
+                });
+            });
+
+            it('should copy the objects of the active group with their positions on the canvas', done => {
+                const other = new fabric.Rect({
+                    left: 70,
+                    top: 80,
+                    width: 10,
+                    height: 10
+                });
+                const center = other.getCenterPoint();
+                imageEditor._graphics.add(other);
+                spyOn(imageEditor._graphics, 'getActiveGroupObject').and.returnValue(new fabric.Group([object, other]));
+
+                imageEditor.duplicateObject().then(objectProps => {
+                    expect(objectProps.length).toBe(2);
+                    expect(objectProps[1].left).toBeCloseTo(center.x + 10, 5);
+                    expect(objectProps[1].top).toBeCloseTo(center.y + 10, 5);
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should duplicate the active object by Ctrl+D', () => {
+                const preventDefault = jasmine.createSpy('preventDefault');
+                spyOn(imageEditor, 'duplicateObject').and.returnValue(Promise.resolve([]));
+
+                imageEditor._onKeyDown({
+                    ctrlKey: true,
+                    keyCode: consts.keyCodes.D,
+                    preventDefault
+                });
+
+                expect(preventDefault).toHaveBeenCalled();
+                expect(imageEditor.duplicateObject).toHaveBeenCalled();
+            });
+
+            it('should keep the browser paste without the copied objects', () => {
+                const preventDefault = jasmine.createSpy('preventDefault');
+
+                imageEditor._onKeyDown({
+                    ctrlKey: true,
+                    keyCode: consts.keyCodes.V,
+                    preventDefault
+                });
+
+                expect(preventDefault).not.toHaveBeenCalled();
+            });
+
+            it('should mark the system clipboard on copying by Ctrl+C', () => {
+                const clipboardData = jasmine.createSpyObj('clipboardData', ['setData']);
+                const preventDefault = jasmine.createSpy('preventDefault');
+
+                imageEditor._onKeyDown({
+                    ctrlKey: true,
+                    keyCode: consts.keyCodes.C,
+                    preventDefault
+                });
+                imageEditor._onCopy({
+                    clipboardData,
+                    preventDefault
+                });
+
+                expect(preventDefault.calls.count()).toBe(1);
+                expect(clipboardData.setData).toHaveBeenCalledWith('application/x-tui-image-editor', '1');
+            });
+        });
+
+        describe('paste and drop', () => {
+            const imageURL = 'base/test/fixtures/sampleImage.jpg';
+
+            /**
+             * Make a DataTransfer mock with a html image
+             * @param {Object} [data] - Data by type
+             * @returns {Object} DataTransfer mock
+             */
+            function makeDataTransfer(data = {'text/html': `<img src="${imageURL}">`}) {
+                return {
+                    types: Object.keys(data),
+                    files: [],
+                    items: [],
+                    getData: type => data[type] || ''
+                };
+            }
+
+            it('should load the image as the background on the empty editor and add it as an object after', done => {
+                const pasted = jasmine.createSpy('imagePasted');
+                imageEditor.on('imagePasted', pasted);
+
+                imageEditor.pasteImage(makeDataTransfer()).then(pastedImage => {
+                    expect(pastedImage.type).toBe('background');
+                    expect(pastedImage.sizeChange.newWidth).toBeGreaterThan(0);
+
+                    return imageEditor.pasteImage(makeDataTransfer());
+                }).then(pastedImage => {
+                    expect(pastedImage.type).toBe('object');
+                    expect(pastedImage.objectProps.type).toBe('image');
+                    expect(pasted.calls.count()).toBe(2);
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should reject the data without an image', done => {
+                imageEditor.pasteImage(makeDataTransfer({'text/plain': 'text'}))['catch'](message => {
+                    expect(message).toBe(consts.rejectMessages.noImage);
+                    done();
+                });
+            });
+
+            it('should paste the image of the system clipboard instead of the copied objects', () => {
+                const preventDefault = jasmine.createSpy('preventDefault');
+                imageEditor._clipboard = {
+                    objects: [],
+                    pasteCount: 1
+                };
+                spyOn(imageEditor, '_addImageSource').and.returnValue(Promise.resolve());
+                spyOn(imageEditor, 'pasteObject').and.returnValue(Promise.resolve([]));
+                spyOn(imageEditor, '_hasFocus').and.returnValue(true);
+
+                imageEditor._onPaste({
+                    target: document.body,
+                    clipboardData: makeDataTransfer(),
+                    preventDefault
+                });
+
+                expect(preventDefault).toHaveBeenCalled();
+                expect(imageEditor._addImageSource).toHaveBeenCalled();
+                expect(imageEditor.pasteObject).not.toHaveBeenCalled();
+            });
+
+            it('should paste the copied objects if the system clipboard has their mark', () => {
+                imageEditor._clipboard = {
+                    objects: [],
+                    pasteCount: 1
+                };
+                spyOn(imageEditor, '_addImageSource');
+                spyOn(imageEditor, 'pasteObject').and.returnValue(Promise.resolve([]));
+                spyOn(imageEditor, '_hasFocus').and.returnValue(true);
+
+                imageEditor._onPaste({
+                    target: document.body,
+                    clipboardData: makeDataTransfer({
+                        'application/x-tui-image-editor': '1',
+                        'text/html': `<img src="${imageURL}">`
+                    }),
+                    preventDefault() {}
+                });
+
+                expect(imageEditor._addImageSource).not.toHaveBeenCalled();
+                expect(imageEditor.pasteObject).toHaveBeenCalled();
+            });
+
+            it('should not paste into the editor without the focus', () => {
+                const preventDefault = jasmine.createSpy('preventDefault');
+                spyOn(imageEditor, '_addImageSource');
+
+                imageEditor._onPaste({
+                    target: document.body,
+                    clipboardData: makeDataTransfer(),
+                    preventDefault
+                });
+
+                expect(preventDefault).not.toHaveBeenCalled();
+                expect(imageEditor._addImageSource).not.toHaveBeenCalled();
+            });
+
+            it('should keep the paste of a form field', () => {
+                const preventDefault = jasmine.createSpy('preventDefault');
+
+                imageEditor._onPaste({
+                    target: document.createElement('textarea'),
+                    clipboardData: makeDataTransfer(),
+                    preventDefault
+                });
+
+                expect(preventDefault).not.toHaveBeenCalled();
+            });
+
+            it('should ignore the dropped image by the policy "none"', () => {
+                const preventDefault = jasmine.createSpy('preventDefault');
+                const editor = new ImageEditor(document.createElement('div'), {
+                    usageStatistics: false,
+                    imagePastePolicy: 'none'
+                });
+
+                editor._onDragOver({
+                    dataTransfer: makeDataTransfer(),
+                    preventDefault
+                });
+                editor._onDrop({
+                    dataTransfer: makeDataTransfer(),
+                    preventDefault
+                });
+
+                expect(preventDefault).not.toHaveBeenCalled();
+                editor.destroy();
+            });
+        });
+
+        describe('shortcuts', () => {
+            let object, preventDefault;
+
+            beforeEach(() => {
+                object = new fabric.Rect({
+                    left: 30,
+                    top: 40,
+                    width: 10,
+                    height: 10
+                });
+                imageEditor._graphics.add(object);
+                imageEditor._graphics.setActiveObject(object);
+                preventDefault = jasmine.createSpy('preventDefault');
+            });
+
+            it('should nudge the active object by the arrow keys and by 10 pixels with Shift as one undo step', done => {
+                spyOn(imageEditor, '_keepActiveGroup').and.callThrough();
+
+                imageEditor._onKeyDown({
+                    keyCode: consts.keyCodes.LEFT,
+                    preventDefault
+                });
+                imageEditor._keepActiveGroup.calls.mostRecent().returnValue.then(() => {
+                    imageEditor._onKeyDown({
+                        keyCode: consts.keyCodes.DOWN,
+                        shiftKey: true,
+                        preventDefault
+                    });
+
+                    return imageEditor._keepActiveGroup.calls.mostRecent().returnValue;
+                }).then(() => {
+                    expect(object.left).toBe(29);
+                    expect(object.top).toBe(50);
+                    expect(preventDefault.calls.count()).toBe(2);
+
+                    return imageEditor.undo();
+                }).then(() => {
+                    expect(object.left).toBe(30);
+                    expect(object.top).toBe(40);
+                    expect(imageEditor.isEmptyUndoStack()).toBe(true);
+                    done();
+                })['catch'](done.fail);
+            });
+
+            it('should not nudge the locked object', () => {
+                object.locked = true;
+
+                imageEditor._onKeyDown({
+                    keyCode: consts.keyCodes.LEFT,
+                    preventDefault
+                });
+
+                expect(object.left).toBe(30);
+                expect(preventDefault).not.toHaveBeenCalled();
+            });
+
+            it('should redo by Ctrl+Shift+Z', () => {
+                spyOn(imageEditor, 'redo').and.returnValue(Promise.resolve());
+
+                imageEditor._onKeyDown({
+                    ctrlKey: true,
+                    shiftKey: true,
+                    keyCode: consts.keyCodes.Z
+                });
+
+                expect(imageEditor.redo).toHaveBeenCalled();
+            });
+
+            it('should start the tool by its key and leave the drawing mode by Esc', () => {
+                imageEditor._onKeyDown({keyCode: consts.keyCodes.S});
+
+                expect(imageEditor.getDrawingMode()).toBe('SHAPE');
+
+                imageEditor._onKeyDown({keyCode: consts.keyCodes.ESC});
+
+                expect(imageEditor.getDrawingMode()).toBe('NORMAL');
+            });
+
+            it('should ignore the keys typed in the form fields', () => {
+                imageEditor._onKeyDown({
+                    target: document.createElement('input'),
+                    keyCode: consts.keyCodes.BACKSPACE,
+                    preventDefault
+                });
+
+                expect(preventDefault).not.toHaveBeenCalled();
+                expect(imageEditor._graphics.getActiveObject()).toBe(object);
+            });
+
+            it('should remap, disable and add the shortcuts', () => {
+                const handler = jasmine.createSpy('handler');
+                spyOn(imageEditor, 'removeActiveObject');
+
+                expect(imageEditor.setShortcut('removeObject', 'Del')).toBe(true);
+                expect(imageEditor.setShortcut('crop', null)).toBe(true);
+                expect(imageEditor.setShortcut('unknown', 'X')).toBe(false);
+                expect(imageEditor.addShortcut('rotate', 'Alt+R', handler)).toBe(true);
+                expect(imageEditor.addShortcut('undo', 'U', handler)).toBe(false);
+
+                imageEditor._onKeyDown({
+                    keyCode: consts.keyCodes.BACKSPACE,
+                    preventDefault
+                });
+                imageEditor._onKeyDown({keyCode: consts.keyCodes.C});
+                imageEditor._onKeyDown({
+                    altKey: true,
+                    keyCode: 82
+                });
+
+                expect(imageEditor.removeActiveObject).not.toHaveBeenCalled();
+                expect(imageEditor.getDrawingMode()).toBe('NORMAL');
+                expect(handler).toHaveBeenCalled();
+                expect(imageEditor.getShortcuts()).toEqual(jasmine.objectContaining({
+                    removeObject: ['Del'],
+                    crop: [],
+                    rotate: ['Alt+R']
+                }));
+            });
+
+            it('should keep the ratio of the drawing shape while Shift is pressed', () => {
+                const shape = imageEditor._graphics.getComponent(consts.componentNames.SHAPE);
+
+                imageEditor._onKeyDown({keyCode: consts.keyCodes.SHIFT});
+
+                expect(shape._keepRatio).toBe(true);
+
+                imageEditor._onKeyUp({keyCode: consts.keyCodes.SHIFT});
+
+                expect(shape._keepRatio).toBe(false);
+            });
+        });
+
+        describe('focus', () => {
+            let container, otherEditor;
+
+            /**
+             * Fire the event of the Ctrl+Z key
+             * @param {HTMLElement} target - Event target
+             * @param {string} type - Event type
+             */
+            function fireEvent(target, type) {
+                const event = document.createEvent('Event');
+
+                event.initEvent(type, true, true);
+                event.keyCode = consts.keyCodes.Z;
+                event.ctrlKey = true;
+                target.dispatchEvent(event);
+            }
+
+            beforeEach(() => {
+                container = document.createElement('div');
+                document.body.appendChild(container);
+                otherEditor = new ImageEditor(container, {
+                    usageStatistics: false
+                });
+                spyOn(otherEditor, 'undo').and.returnValue(Promise.resolve());
+                spyOn(imageEditor, 'undo').and.returnValue(Promise.resolve());
+            });
+
+            afterEach(() => {
+                if (otherEditor._graphics) {
+                    otherEditor.destroy();
+                }
+                document.body.removeChild(container);
+            });
+
+            it('should make the canvas container focusable and restore it on destroy', () => {
+                const {wrapperEl} = otherEditor._graphics.getCanvas();
+
+                expect(wrapperEl.getAttribute('tabindex')).toBe('0');
+
+                otherEditor.destroy();
+
+                expect(wrapperEl.hasAttribute('tabindex')).toBe(false);
+            });
+
+            it('should run the shortcuts only of the editor having the focus', () => {
+                const {wrapperEl} = otherEditor._graphics.getCanvas();
+
+                fireEvent(document.body, 'keydown');
+
+                expect(otherEditor.undo).not.toHaveBeenCalled();
+
+                fireEvent(wrapperEl, 'mousedown');
+                fireEvent(document.activeElement, 'keydown');
+
+                expect(otherEditor._hasFocus()).toBe(true);
+                expect(imageEditor._hasFocus()).toBe(false);
+                expect(otherEditor.undo).toHaveBeenCalled();
+                expect(imageEditor.undo).not.toHaveBeenCalled();
+            });
+
+            it('should focus the root element without scrolling only if the editor has no focus', () => {
+                const {wrapperEl} = otherEditor._graphics.getCanvas();
+                const rootElement = otherEditor._getRootElement();
+                spyOn(rootElement, 'focus').and.callThrough();
+
+                fireEvent(wrapperEl, 'mousedown');
+                fireEvent(wrapperEl, 'mousedown');
+
+                expect(rootElement.focus).toHaveBeenCalledWith({preventScroll: true});
+                expect(rootElement.focus.calls.count()).toBe(1);
+            });
+
+            it('should ignore the keys from the form fields outside the editor', () => {
+                const input = document.createElement('input');
+                document.body.appendChild(input);
+                input.focus();
+
+                fireEvent(input, 'keydown');
+                document.body.removeChild(input);
+
+                expect(otherEditor.undo).not.toHaveBeenCalled();
+            });
+        });
+
+        describe('autosave', () => {
+            let savedEditor;
+
+            afterEach(done => {
+                savedEditor.discardAutosave().then(() => {
+                    savedEditor.destroy();
+                    done();
+                });
+            });
+
+            it('should fire "autosaveFound" if there is a recoverable session', done => {
+                const autosave = new Autosave({projectId: 'imageEditorForTest'}, () => imageEditor.toJSON());
+
+                autosave.save().then(() => {
+                    autosave.destroy();
+                    savedEditor = new ImageEditor(document.createElement('div'), {
+                        usageStatistics: false,
+                        autosave: {projectId: 'imageEditorForTest'}
+                    });
+                    savedEditor.on('autosaveFound', session => {
+                        expect(session.projectId).toBe('imageEditorForTest');
+                        expect(savedEditor._autosave.isStarted()).toBe(false);
+                        done();
+                    });
+                });
+            });
+        });
+
+        describe('use()', () => {
+            class PluginComponent extends ImageEditor.Component {
+                constructor(graphics) {
+                    super('PLUGIN_COMPONENT_FOR_TEST', graphics);
+                }
+            }
+
+            class PluginDrawingMode extends ImageEditor.DrawingMode {
+                constructor() {
+                    super('PLUGIN_DRAWING_MODE_FOR_TEST');
+                    this.start = jasmine.createSpy('start');
+                    this.end = jasmine.createSpy('end');
+                }
+            }
+
+            let pluginEditor;
+
+            beforeAll(() => {
+                ImageEditor.use({
+                    name: 'pluginForTest',
+                    components: [PluginComponent],
+                    drawingModes: [PluginDrawingMode],
+                    commands: [{
+                        name: 'pluginCommandForTest',
+                        execute() {},
+                        undo() {}
+                    }]
+                });
+            });
+
+            beforeEach(() => {
+                pluginEditor = new ImageEditor(document.createElement('div'), {
+                    usageStatistics: false
+                });
+            });
+
+            afterEach(() => {
+                pluginEditor.destroy();
+            });
+
+            it('should create the components of the plugin', () => {
+                const component = pluginEditor._graphics.getComponent('PLUGIN_COMPONENT_FOR_TEST');
+
+                expect(component instanceof PluginComponent).toBe(true);
+                expect(component.graphics).toBe(pluginEditor._graphics);
+            });
+
+            it('should start the drawing modes of the plugin', () => {
+                expect(pluginEditor.startDrawingMode('PLUGIN_DRAWING_MODE_FOR_TEST')).toBe(true);
+                expect(pluginEditor.getDrawingMode()).toBe('PLUGIN_DRAWING_MODE_FOR_TEST');
+            });
+
+            it('should register the commands of the plugin', done => {
+                pluginEditor.execute('pluginCommandForTest').then(() => {
+                    expect(pluginEditor.isEmptyUndoStack()).toBe(false);
+                    done();
+                });
+            });
+
+            it('should throw an error with a submenu without the Submenu class', () => {
+                expect(() => ImageEditor.use({
+                    name: 'invalidPluginForTest',
+                    ui: {name: 'invalid'}
+                })).toThrowError(consts.rejectMessages.invalidParameters);
+            });
+        });
     });
 });
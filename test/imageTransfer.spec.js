@@ -0,0 +1,93 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Test cases of "src/js/helper/imageTransfer.js"
+ */
+import imageTransfer from '../src/js/helper/imageTransfer';
+
+describe('imageTransfer', () => {
+    /**
+     * Make a DataTransfer mock
+     * @param {Object} data - Data by type
+     * @param {Array.<Object>} [files] - Files
+     * @returns {Object} DataTransfer mock
+     */
+    function makeDataTransfer(data, files = []) {
+        return {
+            types: Object.keys(data).concat(files.length ? ['Files'] : []),
+            files,
+            items: [],
+            getData: type => data[type] || ''
+        };
+    }
+
+    it('"hasType()" should check the types of the data', () => {
+        const dataTransfer = makeDataTransfer({'text/html': '<p></p>'});
+
+        expect(imageTransfer.hasType(dataTransfer, 'text/html')).toBe(true);
+        expect(imageTransfer.hasType(dataTransfer, 'Files')).toBe(false);
+    });
+
+    it('"getImageSource()" should prefer an image file to the html', () => {
+        const file = {
+            name: 'screenshot.png',
+            type: 'image/png'
+        };
+        const dataTransfer = makeDataTransfer({'text/html': '<img src="a.png">'}, [{type: 'text/plain'}, file]);
+
+        expect(imageTransfer.getImageSource(dataTransfer)).toEqual({
+            file,
+            url: null,
+            name: 'screenshot.png'
+        });
+    });
+
+    it('"getImageSource()" should get the file of the items', () => {
+        const file = {
+            name: 'image.png',
+            type: 'image/png'
+        };
+        const dataTransfer = makeDataTransfer({});
+        dataTransfer.items = [{
+            kind: 'file',
+            getAsFile: () => file
+        }];
+
+        expect(imageTransfer.getImageSource(dataTransfer).file).toBe(file);
+    });
+
+    it('"getImageSource()" should get the source of the first image of the html', () => {
+        const dataTransfer = makeDataTransfer({
+            'text/html': '<div><img alt="a" src=\'http://image.com/a.png?w=1&amp;h=2\'><img src="b.png"></div>'
+        });
+
+        expect(imageTransfer.getImageSource(dataTransfer).url).toBe('http://image.com/a.png?w=1&h=2');
+    });
+
+    it('"getImageSource()" should make the data url of a svg markup', () => {
+        const svg = '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>';
+        const dataTransfer = makeDataTransfer({'text/plain': svg});
+
+        expect(imageTransfer.getImageSource(dataTransfer).url).toBe(
+            `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`
+        );
+    });
+
+    it('"getImageSource()" should return null without an image', () => {
+        const dataTransfer = makeDataTransfer({
+            'text/html': '<p>svg</p>',
+            'text/plain': 'svg'
+        });
+
+        expect(imageTransfer.getImageSource(dataTransfer)).toBeNull();
+    });
+
+    it('"readImageSource()" should resolve the url of the source without a file', done => {
+        imageTransfer.readImageSource({
+            file: null,
+            url: 'a.png'
+        }).then(url => {
+            expect(url).toBe('a.png');
+            done();
+        })['catch'](done.fail);
+    });
+});
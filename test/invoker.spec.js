@@ -136,4 +136,500 @@ describe('Invoker', () => {
             });
         });
     });
+
+    describe('batch', () => {
+        let cmd2;
+
+        beforeEach(() => {
+            cmd2 = new Command({
+                execute: jasmine.createSpy().and.returnValue(Promise.resolve()),
+                undo: jasmine.createSpy().and.returnValue(Promise.resolve())
+            });
+        });
+
+        it('should store the commands of a batch as one undo entry', done => {
+            const undoneOrder = [];
+            cmd.undo.and.callFake(() => {
+                undoneOrder.push(cmd);
+
+                return Promise.resolve();
+            });
+            cmd2.undo.and.callFake(() => {
+                undoneOrder.push(cmd2);
+
+                return Promise.resolve();
+            });
+
+            invoker.batch(() => invoker.execute(cmd).then(() => invoker.execute(cmd2))).then(() => {
+                expect(invoker._undoStack.length).toBe(1);
+
+                return invoker.undo();
+            }).then(() => {
+                expect(undoneOrder).toEqual([cmd2, cmd]);
+                cmd.execute.calls.reset();
+                cmd2.execute.calls.reset();
+
+                return invoker.redo();
+            }).then(() => {
+                expect(cmd.execute).toHaveBeenCalled();
+                expect(cmd2.execute).toHaveBeenCalled();
+                expect(invoker._undoStack.length).toBe(1);
+                done();
+            });
+        });
+
+        it('should fire the stack changed events once per batch', done => {
+            const spyEvents = {
+                undoStackChanged: jasmine.createSpy(),
+                redoStackChanged: jasmine.createSpy()
+            };
+            invoker.pushRedoStack({});
+            invoker.on(spyEvents);
+
+            invoker.beginBatch();
+            invoker.execute(cmd).then(() => invoker.execute(cmd2)).then(() => {
+                expect(spyEvents.undoStackChanged).not.toHaveBeenCalled();
+                expect(spyEvents.redoStackChanged).not.toHaveBeenCalled();
+
+                invoker.endBatch();
+
+                expect(spyEvents.undoStackChanged.calls.count()).toBe(1);
+                expect(spyEvents.redoStackChanged.calls.count()).toBe(1);
+                done();
+            });
+        });
+
+        it('should roll back the executed commands when the batch fails', done => {
+            const failedCmd = new Command({
+                execute: jasmine.createSpy().and.returnValue(Promise.reject('failed')),
+                undo: jasmine.createSpy().and.returnValue(Promise.resolve())
+            });
+
+            invoker.batch(() => invoker.execute(cmd)
+                .then(() => invoker.execute(cmd2))
+                .then(() => invoker.execute(failedCmd))
+            )['catch'](message => {
+                expect(message).toBe('failed');
+                expect(cmd.undo).toHaveBeenCalled();
+                expect(cmd2.undo).toHaveBeenCalled();
+                expect(failedCmd.undo).not.toHaveBeenCalled();
+                expect(invoker.isEmptyUndoStack()).toBe(true);
+                expect(invoker.isInBatch()).toBe(false);
+                done();
+            });
+        });
+        it('should cancel only the innermost batch', done => {
+            invoker.beginBatch();
+            invoker.execute(cmd).then(() => {
+                invoker.beginBatch();
+
+                return invoker.execute(cmd2);
+            }).then(() => invoker.cancelBatch()).then(() => {
+                expect(cmd2.undo).toHaveBeenCalled();
+                expect(cmd.undo).not.toHaveBeenCalled();
+                expect(invoker.isInBatch()).toBe(true);
+
+                invoker.endBatch();
+
+                expect(invoker.isInBatch()).toBe(false);
+                expect(invoker._undoStack).toEqual([cmd]);
+                done();
+            })['catch'](done.fail);
+        });
+
+        it('should run the callbacks of the commands on undo and redo of a batch', done => {
+            const undoCallback = jasmine.createSpy('undoCallback');
+            const executeCallback = jasmine.createSpy('executeCallback');
+            cmd.setUndoCallback(undoCallback);
+
+            invoker.batch(() => invoker.execute(cmd).then(() => invoker.execute(cmd2))).then(() => {
+                cmd.setExecuteCallback(executeCallback);
+
+                return invoker.undo();
+            }).then(() => {
+                expect(undoCallback).toHaveBeenCalled();
+
+                return invoker.redo();
+            }).then(() => {
+                expect(executeCallback).toHaveBeenCalled();
+                done();
+            })['catch'](done.fail);
+        });
+    });
+
+    describe('merging', () => {
+        const createMergeableCommand = (undoData, ...args) => {
+            const command = new Command({
+                name: 'mergeable',
+                execute: jasmine.createSpy().and.returnValue(Promise.resolve()),
+                undo: jasmine.createSpy().and.returnValue(Promise.resolve()),
+                getMergeKey: id => id
+            }, args);
+            command.undoData = undoData;
+
+            return command;
+        };
+
+        it('should merge the consecutive commands of the same target in a short time', done => {
+            const first = createMergeableCommand({value: 'original'}, 1, 10);
+            const second = createMergeableCommand({value: 10}, 1, 20);
+
+            invoker.executeMergeable(first).then(() => invoker.executeMergeable(second)).then(() => {
+                expect(invoker._undoStack.length).toBe(1);
+                expect(invoker._undoStack[0].undoData).toEqual({value: 'original'});
+                expect(invoker._undoStack[0].args).toEqual([1, 20]);
+                done();
+            });
+        });
+
+        it('should not merge the commands of different targets', done => {
+            const first = createMergeableCommand({}, 1, 10);
+            const second = createMergeableCommand({}, 2, 20);
+
+            invoker.executeMergeable(first).then(() => invoker.executeMergeable(second)).then(() => {
+                expect(invoker._undoStack.length).toBe(2);
+                done();
+            });
+        });
+
+        it('should not merge the commands after the time window', done => {
+            const first = createMergeableCommand({}, 1, 10);
+            const second = createMergeableCommand({}, 1, 20);
+
+            invoker.executeMergeable(first).then(() => {
+                first.timestamp -= 1000;
+
+                return invoker.executeMergeable(second);
+            }).then(() => {
+                expect(invoker._undoStack.length).toBe(2);
+                done();
+            });
+        });
+
+        it('should not merge the commands executed by the api out of an interaction', done => {
+            const first = createMergeableCommand({}, 1, 10);
+            const second = createMergeableCommand({}, 1, 20);
+
+            invoker.execute(first).then(() => invoker.execute(second)).then(() => {
+                expect(invoker._undoStack.length).toBe(2);
+                done();
+            });
+        });
+
+        it('should merge the commands in an interaction regardless of the time', done => {
+            const first = createMergeableCommand({}, 1, 10);
+            const second = createMergeableCommand({}, 1, 20);
+
+            invoker.beginInteraction();
+            invoker.execute(first).then(() => {
+                first.timestamp -= 1000;
+
+                return invoker.execute(second);
+            }).then(() => {
+                invoker.endInteraction();
+                expect(invoker._undoStack.length).toBe(1);
+                done();
+            });
+        });
+
+        it('should not merge the commands without the merge key', done => {
+            invoker.execute(cmd).then(() => invoker.execute(cmd)).then(() => {
+                expect(invoker._undoStack.length).toBe(2);
+                done();
+            });
+        });
+    });
+
+    describe('bounded undo stack', () => {
+        const createCommand = size => new Command({
+            execute: () => Promise.resolve(),
+            undo: () => Promise.resolve(),
+            getSize: () => size
+        });
+
+        it('should evict the oldest entries over "maxUndoSteps"', done => {
+            const commands = [createCommand(1), createCommand(1), createCommand(1)];
+            const spyTrimmed = jasmine.createSpy();
+
+            invoker = new Invoker({maxUndoSteps: 2});
+            invoker.on('undoStackTrimmed', spyTrimmed);
+
+            invoker.execute(commands[0])
+                .then(() => invoker.execute(commands[1]))
+                .then(() => invoker.execute(commands[2]))
+                .then(() => {
+                    expect(invoker._undoStack).toEqual([commands[1], commands[2]]);
+                    expect(spyTrimmed).toHaveBeenCalledWith(1);
+                    done();
+                });
+        });
+
+        it('should evict the oldest entries over "maxUndoMemory" but keep the newest one', done => {
+            const commands = [createCommand(40), createCommand(40), createCommand(200)];
+
+            invoker = new Invoker({maxUndoMemory: 100});
+
+            invoker.execute(commands[0])
+                .then(() => invoker.execute(commands[1]))
+                .then(() => {
+                    expect(invoker.getUndoStackSize()).toBe(80);
+
+                    return invoker.execute(commands[2]);
+                })
+                .then(() => {
+                    expect(invoker._undoStack).toEqual([commands[2]]);
+                    done();
+                });
+        });
+
+        it('should estimate the size of the undo data without "getSize"', done => {
+            cmd.execute.and.callFake(() => {
+                cmd.undoData = {
+                    text: 'abcd'
+                };
+
+                return Promise.resolve();
+            });
+
+            invoker.execute(cmd).then(() => {
+                expect(invoker.getUndoStackSize()).toBe(8);
+                done();
+            });
+        });
+
+        it('should count an image shared by the undo entries once and update the size on undo', done => {
+            const element = {
+                width: 10,
+                height: 10
+            };
+            const createImageCommand = () => {
+                const command = new Command({
+                    execute: () => Promise.resolve(),
+                    undo: () => Promise.resolve()
+                });
+                command.undoData = {
+                    image: {
+                        isType: type => type === 'image',
+                        getElement: () => element
+                    }
+                };
+
+                return command;
+            };
+
+            invoker.execute(createImageCommand())
+                .then(() => invoker.execute(createImageCommand()))
+                .then(() => {
+                    expect(invoker.getUndoStackSize()).toBe((1024 * 2) + 400);
+
+                    return invoker.undo();
+                })
+                .then(() => {
+                    expect(invoker.getUndoStackSize()).toBe(1024 + 400);
+
+                    return invoker.undo();
+                })
+                .then(() => {
+                    expect(invoker.getUndoStackSize()).toBe(0);
+                    done();
+                })['catch'](done.fail);
+        });
+    });
+
+    describe('history', () => {
+        const createCommand = (name, objectId) => {
+            const command = new Command({
+                name,
+                label: `${name} label`,
+                execute: jasmine.createSpy().and.returnValue(Promise.resolve()),
+                undo: jasmine.createSpy().and.returnValue(Promise.resolve())
+            });
+            command.undoData.objectId = objectId;
+
+            return command;
+        };
+        let commands;
+
+        beforeEach(done => {
+            commands = [createCommand('first', 1), createCommand('second', 2), createCommand('third', 3)];
+
+            invoker.execute(commands[0])
+                .then(() => invoker.execute(commands[1]))
+                .then(() => invoker.execute(commands[2]))
+                .then(() => invoker.undo())
+                .then(() => done());
+        });
+
+        it('should list the undo and redo entries from the oldest', () => {
+            const history = invoker.getHistory();
+
+            expect(history.map(entry => entry.name)).toEqual(['first', 'second', 'third']);
+            expect(history.map(entry => entry.undone)).toEqual([false, false, true]);
+            expect(history[0]).toEqual({
+                name: 'first',
+                label: 'first label',
+                timestamp: jasmine.any(Number),
+                objectIds: [1],
+                undone: false
+            });
+        });
+
+        it('should undo and redo to the entry and fire the events once', done => {
+            const spyEvents = {
+                undoStackChanged: jasmine.createSpy(),
+                redoStackChanged: jasmine.createSpy(),
+                historyChanged: jasmine.createSpy()
+            };
+            invoker.on(spyEvents);
+
+            invoker.goToHistory(-1).then(() => {
+                expect(commands[1].undo).toHaveBeenCalled();
+                expect(commands[0].undo).toHaveBeenCalled();
+                expect(invoker.isEmptyUndoStack()).toBe(true);
+                expect(spyEvents.undoStackChanged.calls.count()).toBe(1);
+                expect(spyEvents.redoStackChanged.calls.count()).toBe(1);
+                expect(spyEvents.historyChanged).toHaveBeenCalledWith(-1);
+
+                return invoker.goToHistory(2);
+            }).then(index => {
+                expect(index).toBe(2);
+                expect(invoker.isEmptyRedoStack()).toBe(true);
+                expect(spyEvents.historyChanged.calls.count()).toBe(2);
+                done();
+            });
+        });
+
+        it('should reject the index out of the history', done => {
+            invoker.goToHistory(3)['catch'](message => {
+                expect(message).toBe('Invalid parameters.');
+                done();
+            });
+        });
+    });
+
+    describe('command records', () => {
+        const createCommand = (name, ...args) => new Command({
+            name,
+            execute: jasmine.createSpy().and.returnValue(Promise.resolve()),
+            undo: jasmine.createSpy().and.returnValue(Promise.resolve()),
+            getMergeKey: id => id,
+            getObjectIds: id => [id]
+        }, args);
+
+        it('should fire "commandExecuted" and "commandUndone" with the record of the command', done => {
+            const command = createCommand('first', 1, 'value');
+            const spyExecuted = jasmine.createSpy();
+            const spyUndone = jasmine.createSpy();
+
+            invoker.on({
+                commandExecuted: spyExecuted,
+                commandUndone: spyUndone
+            });
+            invoker.execute(command).then(() => {
+                expect(spyExecuted).toHaveBeenCalledWith({
+                    id: jasmine.any(Number),
+                    name: 'first',
+                    args: [1, 'value'],
+                    objectIds: [1]
+                });
+
+                return invoker.undo();
+            }).then(() => {
+                expect(spyUndone.calls.argsFor(0)[0].id).toBe(spyExecuted.calls.argsFor(0)[0].id);
+                done();
+            });
+        });
+
+        it('should fire the id of the undo entry for the merged command', done => {
+            const ids = [];
+
+            invoker.on('commandExecuted', record => ids.push(record.id));
+            invoker.executeMergeable(createCommand('mergeable', 1, 10))
+                .then(() => invoker.executeMergeable(createCommand('mergeable', 1, 20)))
+                .then(() => {
+                    expect(ids.length).toBe(2);
+                    expect(ids[1]).toBe(ids[0]);
+                    done();
+                });
+        });
+
+        it('should fire the records of the commands in a batch in the undone order', done => {
+            const names = [];
+
+            invoker.on('commandUndone', record => names.push(record.name));
+            invoker.batch(() => invoker.execute(createCommand('first', 1))
+                .then(() => invoker.execute(createCommand('second', 2)))
+            ).then(() => invoker.undo()).then(() => {
+                expect(names).toEqual(['second', 'first']);
+                done();
+            });
+        });
+
+        it('"executeRemote()" should not store the command nor fire events', done => {
+            const command = createCommand('remote', 3);
+            const spyExecuted = jasmine.createSpy();
+
+            invoker.on('commandExecuted', spyExecuted);
+            invoker.executeRemote('peer', 10, command).then(objectIds => {
+                expect(objectIds).toEqual([3]);
+                expect(command.execute).toHaveBeenCalled();
+                expect(invoker.isEmptyUndoStack()).toBe(true);
+                expect(spyExecuted).not.toHaveBeenCalled();
+
+                return invoker.undoRemote('peer', 10);
+            }).then(() => {
+                expect(command.undo).toHaveBeenCalled();
+                done();
+            });
+        });
+
+        it('"executeRemote()" should merge the commands of the same id', done => {
+            const first = createCommand('remote', 1, 10);
+            const second = createCommand('remote', 1, 20);
+
+            invoker.executeRemote('peer', 10, first)
+                .then(() => invoker.executeRemote('peer', 10, second))
+                .then(() => invoker.undoRemote('peer', 10))
+                .then(() => {
+                    expect(first.undo).toHaveBeenCalledWith(1, 20);
+                    expect(second.undo).not.toHaveBeenCalled();
+                    done();
+                });
+        });
+
+        it('"undoRemote()" should undo the command of the same id of the same editor', done => {
+            const first = createCommand('remote', 1);
+            const second = createCommand('remote', 2);
+
+            invoker.executeRemote('peer', 10, first)
+                .then(() => invoker.executeRemote('otherPeer', 10, second))
+                .then(() => invoker.undoRemote('otherPeer', 10))
+                .then(() => {
+                    expect(first.undo).not.toHaveBeenCalled();
+                    expect(second.undo).toHaveBeenCalled();
+                    done();
+                });
+        });
+
+        it('"executeRemote()" should drop the oldest command of an editor over the max undo steps', done => {
+            invoker = new Invoker({maxUndoSteps: 2});
+
+            invoker.executeRemote('peer', 1, createCommand('remote', 1))
+                .then(() => invoker.executeRemote('peer', 2, createCommand('remote', 2)))
+                .then(() => invoker.executeRemote('peer', 3, createCommand('remote', 3)))
+                .then(() => invoker.undoRemote('peer', 3))
+                .then(() => invoker.undoRemote('peer', 2))
+                .then(() => invoker.undoRemote('peer', 1))['catch'](message => {
+                    expect(message).toBe('The remote command is not applied.');
+                    done();
+                });
+        });
+
+        it('"undoRemote()" should reject the id not applied', done => {
+            invoker.undoRemote('peer', 10)['catch'](message => {
+                expect(message).toBe('The remote command is not applied.');
+                done();
+            });
+        });
+    });
 });
@@ -0,0 +1,104 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Test cases of "src/js/helper/macroHelper.js"
+ */
+import macroHelper from '../src/js/helper/macroHelper';
+import consts from '../src/js/consts';
+
+const {commandNames} = consts;
+
+describe('macroHelper', () => {
+    const size = {
+        width: 200,
+        height: 100
+    };
+
+    it('"toRelativeArgs()" should make the geometry relative to the image size', () => {
+        const args = macroHelper.toRelativeArgs(['rect', {
+            left: 50,
+            top: 50,
+            width: 100,
+            strokeWidth: 10,
+            fill: 'red'
+        }], size);
+
+        expect(args).toEqual(['rect', {
+            left: 0.25,
+            top: 0.5,
+            width: 0.5,
+            strokeWidth: 0.1,
+            fill: 'red'
+        }]);
+    });
+
+    it('"toRelativeArgs()" should change the scale of a serialized fabric object, not its size', () => {
+        const [{fabricObject}] = macroHelper.toRelativeArgs([{
+            fabricObject: {
+                type: 'path',
+                left: 100,
+                top: 50,
+                width: 30,
+                scaleX: 1,
+                scaleY: 1
+            }
+        }], size);
+
+        expect(fabricObject).toEqual({
+            type: 'path',
+            left: 0.5,
+            top: 0.5,
+            width: 30,
+            scaleX: 0.01,
+            scaleY: 0.01
+        });
+    });
+
+    it('"toAbsoluteArgs()" should adapt the relative geometry to another image size', () => {
+        const relativeArgs = macroHelper.toRelativeArgs(['text', {
+            position: {
+                x: 20,
+                y: 10
+            },
+            styles: {fontSize: 10}
+        }], size);
+
+        expect(macroHelper.toAbsoluteArgs(relativeArgs, {
+            width: 400,
+            height: 200
+        })).toEqual(['text', {
+            position: {
+                x: 40,
+                y: 20
+            },
+            styles: {fontSize: 20}
+        }]);
+    });
+
+    it('"replaceObjectId()" should replace the object id of the commands taking an id', () => {
+        const objectIdMap = {3: 7};
+
+        expect(macroHelper.replaceObjectId(commandNames.CHANGE_TEXT, [3, 'text'], objectIdMap)).toEqual([7, 'text']);
+        expect(macroHelper.replaceObjectId(commandNames.ROTATE_IMAGE, ['rotate', 3], objectIdMap))
+            .toEqual(['rotate', 3]);
+        expect(macroHelper.replaceObjectId(commandNames.CHANGE_TEXT, [4, 'text'], objectIdMap)).toEqual([4, 'text']);
+    });
+
+    it('"replaceObjectId()" should replace the object ids of the commands taking ids', () => {
+        const objectIdMap = {3: 7};
+
+        expect(macroHelper.replaceObjectId(commandNames.GROUP_OBJECTS, [[3, 4]], objectIdMap)).toEqual([[7, 4]]);
+        expect(macroHelper.replaceObjectId(commandNames.UNGROUP_OBJECTS, [3], objectIdMap)).toEqual([7]);
+        expect(macroHelper.replaceObjectId(commandNames.ALIGN_OBJECTS, [[3, 4], 'left', 'image'], objectIdMap))
+            .toEqual([[7, 4], 'left', 'image']);
+    });
+
+    it('"replaceObjectId()" should replace the object id in the options of the mask filter', () => {
+        const args = ['mask', {maskObjId: 3}];
+
+        expect(macroHelper.replaceObjectId(commandNames.APPLY_FILTER, args, {3: 7})).toEqual(['mask', {maskObjId: 7}]);
+        expect(macroHelper.replaceObjectId(commandNames.APPLY_FILTER, ['Grayscale', null], {3: 7}))
+            .toEqual(['Grayscale', null]);
+        expect(macroHelper.getArgObjectIds(commandNames.APPLY_FILTER, args)).toEqual([3]);
+        expect(args[1].maskObjId).toBe(3);
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Test cases of "src/js/objectIdMap.js"
+ */
+import ObjectIdMap from '../src/js/objectIdMap';
+
+describe('ObjectIdMap', () => {
+    let objectIdMap;
+
+    beforeEach(() => {
+        objectIdMap = new ObjectIdMap('local');
+    });
+
+    it('should use the id of an unknown object as it is', () => {
+        expect(objectIdMap.toLocalId(3, 'peer', {})).toBe(3);
+    });
+
+    it('should get the local id of an object made by another editor', () => {
+        objectIdMap.set(7, {
+            clientId: 'peer',
+            id: 3
+        });
+
+        expect(objectIdMap.toLocalId(3, 'peer', {})).toBe(7);
+        expect(objectIdMap.toLocalId(3, 'otherPeer', {})).toBe(3);
+    });
+
+    it('should get the local id by the source of the id in the command', () => {
+        objectIdMap.set(7, {
+            clientId: 'peer',
+            id: 3
+        });
+
+        expect(objectIdMap.toLocalId(5, 'otherPeer', {
+            5: {
+                clientId: 'peer',
+                id: 3
+            }
+        })).toBe(7);
+        expect(objectIdMap.toLocalId(5, 'otherPeer', {
+            5: {
+                clientId: 'local',
+                id: 3
+            }
+        })).toBe(3);
+    });
+
+    it('should get the sources of the objects made by the other editors', () => {
+        objectIdMap.set(7, {
+            clientId: 'peer',
+            id: 3
+        });
+        objectIdMap.set(8, {
+            clientId: 'peer',
+            id: 3
+        });
+
+        expect(objectIdMap.getSources([7, 8, 9])).toEqual({
+            8: {
+                clientId: 'peer',
+                id: 3
+            }
+        });
+    });
+});
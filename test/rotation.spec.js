@@ -51,6 +51,24 @@ describe('Rotation', () => {
         });
     });
 
+    it('"setAngle()" should rotate the shadow offsets of the objects', done => {
+        const rect = new fabric.Rect({
+            shadow: {
+                offsetX: 5,
+                offsetY: 0
+            }
+        });
+        graphics.add(rect);
+
+        rotationModule.setAngle(90).then(() => {
+            expect(rect.shadow.offsetX).toBeCloseTo(0, 5);
+            expect(rect.shadow.offsetY).toBeCloseTo(5, 5);
+
+            graphics.remove(rect);
+            done();
+        });
+    });
+
     // @todo Move this tc to main.spec.js
     it('"adjustCanvasDimension()" should set canvas dimension from image-rect', () => {
         spyOn(mockImage, 'getBoundingRect').and.returnValue({
@@ -0,0 +1,67 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Test cases of "src/js/component/ruler.js"
+ */
+import Graphics from '../src/js/graphics';
+import consts from '../src/js/consts';
+
+describe('Ruler', () => {
+    let graphics, canvas, ruler;
+
+    beforeEach(() => {
+        const element = document.createElement('canvas');
+
+        document.body.appendChild(element);
+        graphics = new Graphics(element);
+        canvas = graphics.getCanvas();
+        ruler = graphics.getComponent(consts.componentNames.RULER);
+        graphics.setCanvasBackstoreDimension({
+            width: 400,
+            height: 200
+        });
+        graphics.setCanvasCssDimension({
+            width: '200px',
+            height: '100px'
+        });
+    });
+
+    afterEach(() => {
+        graphics.destroy();
+    });
+
+    it('"show()" should add the rulers with the css size of the canvas', () => {
+        graphics.showRulers();
+
+        const {top, left} = ruler._elements;
+
+        expect(graphics.isRulersVisible()).toBe(true);
+        expect(top.parentNode).toBe(canvas.wrapperEl);
+        expect(left.parentNode).toBe(canvas.wrapperEl);
+        expect(top.width).toBe(200);
+        expect(left.height).toBe(100);
+        expect(canvas.wrapperEl.style.marginTop).toBe('20px');
+    });
+
+    it('should redraw the rulers after the css size of the canvas is changed', () => {
+        graphics.showRulers();
+        graphics.setCanvasCssDimension({
+            width: '300px',
+            height: '150px'
+        });
+        canvas.renderAll();
+
+        expect(ruler._elements.top.width).toBe(300);
+        expect(ruler._elements.left.height).toBe(150);
+    });
+
+    it('"hide()" should remove the rulers and their space', () => {
+        graphics.showRulers();
+        const {top} = ruler._elements;
+
+        graphics.hideRulers();
+
+        expect(graphics.isRulersVisible()).toBe(false);
+        expect(top.parentNode).toBeNull();
+        expect(canvas.wrapperEl.style.marginTop).toBe('');
+    });
+});
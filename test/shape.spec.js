@@ -348,7 +348,7 @@ describe('Shape', () => {
             top: 0
         });
 
-        shape._withShiftKey = true;
+        shape._keepRatio = true;
         [shapeObj] = canvas.getObjects();
         shape._shapeObj = shapeObj;
 
@@ -371,7 +371,7 @@ describe('Shape', () => {
             top: 0
         });
 
-        shape._withShiftKey = true;
+        shape._keepRatio = true;
         [shapeObj] = canvas.getObjects();
         shape._shapeObj = shapeObj;
 
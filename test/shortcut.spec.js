@@ -0,0 +1,78 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Test cases of "src/js/shortcut.js"
+ */
+import Shortcut from '../src/js/shortcut';
+import consts from '../src/js/consts';
+
+const {keyCodes} = consts;
+
+describe('Shortcut', () => {
+    let shortcut;
+
+    beforeEach(() => {
+        shortcut = new Shortcut();
+    });
+
+    it('should get the action of the default bindings', () => {
+        expect(shortcut.getAction({
+            ctrlKey: true,
+            keyCode: keyCodes.Z
+        })).toBe('undo');
+        expect(shortcut.getAction({
+            metaKey: true,
+            shiftKey: true,
+            keyCode: keyCodes.Z
+        })).toBe('redo');
+        expect(shortcut.getAction({
+            shiftKey: true,
+            keyCode: keyCodes.LEFT
+        })).toBe('nudgeLeftBy10');
+        expect(shortcut.getAction({keyCode: keyCodes.T})).toBe('text');
+    });
+
+    it('should match the modifiers exactly', () => {
+        expect(shortcut.getAction({
+            altKey: true,
+            keyCode: keyCodes.T
+        })).toBeNull();
+        expect(shortcut.getAction({keyCode: keyCodes.Z})).toBeNull();
+    });
+
+    it('should replace the default bindings by the bindings of the constructor', () => {
+        shortcut = new Shortcut({
+            crop: 'Alt+C',
+            draw: null
+        });
+
+        expect(shortcut.getAction({
+            altKey: true,
+            keyCode: keyCodes.C
+        })).toBe('crop');
+        expect(shortcut.getAction({keyCode: keyCodes.C})).toBeNull();
+        expect(shortcut.getAction({keyCode: keyCodes.D})).toBeNull();
+        expect(shortcut.getBindings().draw).toEqual([]);
+    });
+
+    it('should not set the invalid bindings', () => {
+        expect(shortcut.setBinding('crop', 'Hyper+C')).toBe(false);
+        expect(shortcut.setBinding('crop', ['C', 'Unknown'])).toBe(false);
+        expect(shortcut.setBinding('crop', 'Shift+1')).toBe(true);
+        expect(shortcut.getBindings().crop).toEqual(['Shift+1']);
+    });
+
+    it('should not expose the bindings to be changed', () => {
+        shortcut.getBindings().undo.push('U');
+
+        expect(shortcut.getBindings().undo).toEqual(['Ctrl+Z']);
+    });
+
+    it('should check the held key without the modifiers', () => {
+        expect(shortcut.isHeldKey('keepRatio', {
+            shiftKey: true,
+            keyCode: keyCodes.SHIFT
+        })).toBe(true);
+        expect(shortcut.isHeldKey('keepRatio', {keyCode: keyCodes.Z})).toBe(false);
+        expect(shortcut.isHeldKey('unknown', {keyCode: keyCodes.SHIFT})).toBe(false);
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * @author NHN Ent. FE Development Team <dl_javascript@nhnent.com>
+ * @fileoverview Test cases of "src/js/component/snapping.js"
+ */
+import fabric from 'fabric/dist/fabric.require';
+import $ from 'jquery';
+import Graphics from '../src/js/graphics';
+import consts from '../src/js/consts';
+
+describe('Snapping', () => {
+    let graphics, canvas, snapping, target;
+
+    /**
+     * Make a rect at the position of the left-top corner
+     * @param {number} left - left
+     * @param {number} top - top
+     * @returns {fabric.Rect} rect
+     */
+    function makeRect(left, top) {
+        return new fabric.Rect({
+            left,
+            top,
+            width: 20,
+            height: 20,
+            strokeWidth: 0
+        });
+    }
+
+    beforeEach(() => {
+        graphics = new Graphics($('<canvas>')[0], {
+            snapping: {}
+        });
+        canvas = graphics.getCanvas();
+        snapping = graphics.getComponent(consts.componentNames.SNAPPING);
+        graphics.setCanvasImage('mockImage', new fabric.Image(null, {
+            width: 200,
+            height: 100
+        }));
+
+        target = makeRect(103, 50);
+        canvas.add(target);
+    });
+
+    it('should be enabled with the default options by the "snapping" option', () => {
+        expect(snapping.isEnabled()).toBe(true);
+        expect(snapping._options).toEqual({
+            threshold: 5,
+            grid: 0,
+            toObjects: true
+        });
+
+        snapping.setOptions(null);
+
+        expect(snapping.isEnabled()).toBe(false);
+    });
+
+    it('"snapMoving()" should snap the edge of the object to the center of the image with a guide line', () => {
+        snapping.snapMoving(target, {});
+
+        expect(target.left).toBe(100);
+        expect(snapping._guides.x).toEqual([100]);
+    });
+
+    it('"snapMoving()" should snap the object to the edges of the other objects', () => {
+        canvas.add(makeRect(30, 20));
+        target.set({
+            left: 150,
+            top: 23
+        });
+
+        snapping.snapMoving(target, {});
+
+        expect(target.top).toBe(20);
+        expect(snapping._guides.y).toEqual([20]);
+    });
+
+    it('"snapMoving()" should snap the object to the grid without the guide lines', () => {
+        snapping.setOptions({
+            threshold: 0,
+            grid: 15
+        });
+        target.set('top', 52);
+
+        snapping.snapMoving(target, {});
+
+        expect(target.left).toBe(105);
+        expect(target.top).toBe(45);
+        expect(snapping._guides).toEqual({
+            x: [],
+            y: []
+        });
+    });
+
+    it('"snapMoving()" should not snap the object while holding the ctrl key', () => {
+        snapping.snapMoving(target, {ctrlKey: true});
+
+        expect(target.left).toBe(103);
+    });
+
+    it('"snapScaling()" should snap the scaled edge and keep the opposite one', () => {
+        target.set('left', 175);
+        canvas._currentTransform = {
+            corner: 'mr',
+            originX: 'left',
+            originY: 'center'
+        };
+
+        snapping.snapScaling(target, {});
+
+        expect(target.left).toBeCloseTo(175, 5);
+        expect(target.getWidth()).toBeCloseTo(25, 5);
+        expect(snapping._guides.x).toEqual([200]);
+    });
+});
@@ -1,4 +1,5 @@
 import ImageEditor = require('tui-image-editor');
+import HeadlessImageEditor = require('tui-image-editor/headless');
 
 const blackTheme = {
     'common.bi.image': 'https://uicdn.toast.com/toastui/img/tui-image-editor-bi.png',
@@ -94,9 +95,62 @@ const imageEditor = new ImageEditor('#container', {
     selectionStyle: {
         cornerSize: 20,
         rotatingPointOffset: 70
+    },
+    maxUndoSteps: 50,
+    maxUndoMemory: 200 * 1024 * 1024,
+    clientId: 'editor-1',
+    autosave: {
+        projectId: 'project',
+        interval: 3000
+    },
+    imagePastePolicy: 'auto',
+    snapping: {
+        threshold: 8,
+        grid: 10,
+        toObjects: true
+    },
+    shortcuts: {
+        redo: ['Ctrl+Y'],
+        shape: null
+    }
+});
+
+imageEditor.on('autosaveFound', (session: tuiImageEditor.IAutosaveSession) => {
+    if (session.savedAt) {
+        imageEditor.restoreAutosave().then(result => {
+            console.log(result.newWidth, result.newHeight);
+        });
+    } else {
+        imageEditor.discardAutosave();
     }
 });
 
+ImageEditor.registerCommand({
+    name: 'addWatermark',
+    label: 'Add watermark',
+    execute(graphics, text: string) {
+        console.log(graphics, text);
+    },
+    undo(graphics) {
+        console.log(graphics);
+    }
+});
+ImageEditor.isBuiltInCommand('rotate');
+ImageEditor.use({
+    name: 'watermark',
+    components: [],
+    drawingModes: [],
+    commands: [],
+    ui: {
+        name: 'watermark',
+        Submenu: ImageEditor.Submenu,
+        actions: editor => ({
+            add: (text: string) => editor.execute('addWatermark', text)
+        })
+    }
+});
+imageEditor.execute('addWatermark', 'Sample');
+
 imageEditor.addIcon('arrow');
 imageEditor.addIcon('cancel', {
     left: 100,
@@ -153,7 +207,24 @@ imageEditor.applyFilter('mask', {
     console.log(`actType: ${obj.action}`);
 });
 
+imageEditor.on('commandExecuted', (descriptor: tuiImageEditor.ICommandDescriptor) => {
+    imageEditor.applyRemoteCommand(descriptor).then(() => {
+        console.log(descriptor.action, descriptor.clientId, descriptor.id, descriptor.name, descriptor.args);
+        console.log(descriptor.objectIds, descriptor.objectSources);
+    });
+});
+
 imageEditor.changeCursor('crosshair');
+imageEditor.showGrid({
+    spacing: 100,
+    color: '#00a9ff',
+    subdivisions: 4
+});
+imageEditor.showRulers();
+if (imageEditor.isGridVisible() && imageEditor.isRulersVisible()) {
+    imageEditor.hideGrid();
+    imageEditor.hideRulers();
+}
 imageEditor.changeIconColor(0, '#000000');
 imageEditor.changeSelectableAll(false);
 imageEditor.changeShape(0, {
@@ -199,9 +270,85 @@ imageEditor.getObjectProperties(0, {
     opacity: null
 });
 
+imageEditor.getHistory().forEach((entry: tuiImageEditor.IHistoryEntry, index: number) => {
+    console.log(index, entry.name, entry.label, entry.timestamp, entry.objectIds, entry.undone);
+});
+imageEditor.goToHistory(-1).then(index => {
+    console.log(index);
+});
+imageEditor.startRecording();
+if (imageEditor.isRecording()) {
+    const macro: tuiImageEditor.IMacro | null = imageEditor.stopRecording();
+    if (macro) {
+        imageEditor.playMacro(macro).then(() => {
+            console.log(macro.version, macro.steps[0].name, macro.steps[0].args, macro.steps[0].objectIds);
+        });
+    }
+}
+imageEditor.processBatch(['image1.jpg', {url: 'image2.jpg', name: 'second'}], [
+    {method: 'applyFilter', args: ['Grayscale']},
+    (editor, index) => editor.addText(`${index}`)
+], {
+    format: 'jpeg',
+    quality: 0.8,
+    maxWidth: 200,
+    onProgress: (result: tuiImageEditor.IBatchResult) => {
+        console.log(result.index, result.total, result.name, result.dataURL, result.error);
+    }
+}).then(results => {
+    console.log(results.length);
+});
+const order: number[] = imageEditor.getObjectOrder();
+imageEditor.bringForward(order[0]).then(() => imageEditor.bringToFront(order[0]));
+imageEditor.sendBackwards(order[1]).then(() => imageEditor.sendToBack(order[1]));
+imageEditor.setObjectIndex(order[0], 1);
+imageEditor.setObjectVisibility(order[0], false).then(() => imageEditor.setObjectLocked(order[0], true));
+imageEditor.setObjectEffects(order[0], {
+    shadow: {color: '#000000', blur: 8, offsetX: 4, offsetY: 4},
+    outline: {color: '#ffffff', width: 2}
+}).then(effects => {
+    console.log(effects.shadow, effects.outline);
+});
+imageEditor.setObjectEffects(order[0], {shadow: null});
+const effects: tuiImageEditor.IObjectEffects | null = imageEditor.getObjectEffects(order[0]);
+const shortcuts: tuiImageEditor.IShortcutBindings = imageEditor.getShortcuts();
+imageEditor.setShortcut('crop', ['Alt+C']);
+imageEditor.setShortcut('draw', null);
+imageEditor.addShortcut('rotateClockwise', 'R', (event: KeyboardEvent) => {
+    event.preventDefault();
+    imageEditor.rotate(90);
+});
+imageEditor.copyObject().then(() => imageEditor.pasteObject()).then(objectProps => {
+    console.log(objectProps[0].id);
+});
+imageEditor.cutObject();
+document.addEventListener('paste', (event: ClipboardEvent) => {
+    imageEditor.pasteImage(event.clipboardData).then(pastedImage => {
+        console.log(pastedImage.type);
+    });
+});
+imageEditor.on('imagePasted', (pastedImage: tuiImageEditor.IPastedImage) => {
+    if (pastedImage.objectProps) {
+        console.log(pastedImage.objectProps.id);
+    }
+});
+imageEditor.duplicateObject();
+imageEditor.alignObjects([order[0], order[1]], 'left').then(() => {
+    return imageEditor.alignObjects([order[0], order[1]], 'middle', 'image');
+});
+imageEditor.distributeObjects(order, 'horizontal');
+imageEditor.groupObjects([order[0], order[1]]).then(objectProps => {
+    return imageEditor.ungroupObjects(objectProps.id);
+}).then(ids => {
+    console.log(ids.length);
+});
 imageEditor.hasFilter('filterType');
 imageEditor.isEmptyRedoStack();
 imageEditor.isEmptyUndoStack();
+imageEditor.loadFromJSON(imageEditor.toJSON()).then(result => {
+    console.log(`old: ${result.oldWidth}, ${result.oldHeight}`);
+    console.log(`new: ${result.newWidth}, ${result.newHeight}`);
+});
 let fileObj: any;
 imageEditor.loadImageFromFile(fileObj, 'SampleImage').then(result => {
     console.log(`old: ${result.oldWidth}, ${result.oldHeight}`);
@@ -212,6 +359,13 @@ imageEditor.loadImageFromURL('http://url/testImage.png', 'lena').then(result =>
     console.log(`new: ${result.newWidth}, ${result.newHeight}`);
 });
 imageEditor.redo();
+imageEditor.batch(() => imageEditor.changeText(10, 'Hello').then(() => imageEditor.changeTextStyle(10, {fill: 'red'})));
+imageEditor.beginBatch();
+imageEditor.endBatch();
+imageEditor.cancelBatch();
+imageEditor.beginInteraction();
+imageEditor.setAngle(10);
+imageEditor.endInteraction();
 imageEditor.registerIcons({
     customIcon: 'M 0 0 L 20 20 L 10 10 Z',
     customArrow: 'M 60 0 L 120 60 H 90 L 75 45 V 180 H 45 V 45 L 30 60 H 0 Z'
@@ -270,6 +424,10 @@ imageEditor.setObjectProperties(0, {
 }).then(arg => {
     console.log(arg);
 });
+imageEditor.setObjectProperties(0, {
+    opacity: 0.8,
+    globalCompositeOperation: 'multiply'
+});
 imageEditor.setObjectPropertiesQuietly(0, {
     left: 100,
     top: 100,
@@ -285,6 +443,9 @@ imageEditor.startDrawingMode('FREE_DRWARING', {
 });
 imageEditor.stopDrawingMode();
 imageEditor.toDataURL();
+imageEditor.toDataURL({format: 'png', includeHidden: true});
+const state: tuiImageEditor.IEditorState = imageEditor.toJSON();
+imageEditor.loadFromJSON(JSON.stringify(state));
 imageEditor.undo();
 
 imageEditor.on('addText', pos => {
@@ -295,3 +456,11 @@ imageEditor.on('addText', pos => {
     console.log(`text position on canvas : ${pos.originPosition}`);
     console.log(`text position on browser : ${pos.clientPosition}`);
 });
+
+const headlessEditor = new HeadlessImageEditor({maxUndoSteps: 10});
+headlessEditor.loadImageFromURL('./sample.png', 'sample').then(() => {
+    return headlessEditor.execute('rotate', 'rotate', 90);
+}).then(() => {
+    const buffer: Uint8Array = headlessEditor.toBuffer({format: 'jpeg', quality: 0.8});
+    headlessEditor.loadFromJSON(headlessEditor.toJSON());
+});
@@ -9,8 +9,10 @@ const SafeUmdPlugin = require('safe-umd-webpack-plugin');
 const ExtractTextPlugin = require('extract-text-webpack-plugin');
 
 const isProduction = process.argv.indexOf('-p') > -1;
+const isHeadless = process.argv.indexOf('--headless') > -1;
 
-const FILENAME = pkg.name + (isProduction ? '.min' : '');
+const SUFFIX = isProduction ? '.min' : '';
+const FILENAME = pkg.name + SUFFIX;
 const BANNER = [
     `${FILENAME}.js`,
     `@version ${pkg.version}`,
@@ -18,17 +20,33 @@ const BANNER = [
     `@license ${pkg.license}`
 ].join('\n');
 
-module.exports = {
-    eslint: {
-        failOnError: isProduction
+const eslint = {
+    failOnError: isProduction
+};
+const preLoaders = [
+    {
+        test: /\.js$/,
+        exclude: /(node_modules|bower_components)/,
+        loader: 'eslint-loader'
+    }
+];
+const babelLoader = {
+    test: /\.js$/,
+    exclude: /(node_modules|bower_components)/,
+    loader: 'babel'
+};
+
+const config = {
+    eslint,
+    entry: {
+        [pkg.name]: './src/index.js'
     },
-    entry: './src/index.js',
     output: {
         library: ['tui', 'ImageEditor'],
         libraryTarget: 'umd',
         path: 'dist',
         publicPath: 'dist',
-        filename: `${FILENAME}.js`
+        filename: `[name]${SUFFIX}.js`
     },
     externals: {
         'tui-code-snippet': {
@@ -51,19 +69,9 @@ module.exports = {
         }
     },
     module: {
-        preLoaders: [
-            {
-                test: /\.js$/,
-                exclude: /(node_modules|bower_components)/,
-                loader: 'eslint-loader'
-            }
-        ],
+        preLoaders,
         loaders: [
-            {
-                test: /\.js$/,
-                exclude: /(node_modules|bower_components)/,
-                loader: 'babel'
-            },
+            babelLoader,
             {
                 test: /\.styl$/,
                 loader: ExtractTextPlugin.extract('css-loader?sourceMap!stylus-loader?paths=src/css/')
@@ -84,3 +92,34 @@ module.exports = {
         disableHostCheck: true
     }
 };
+
+// The headless bundle runs on Node.js and it is made only by "npm run bundle:headless".
+// fabric and "tui-code-snippet" are bundled to be loaded after the global window of jsdom
+// is defined by "headlessEnvironment". fabric exports its namespace only by "define" handled by webpack,
+// and the modules for its own Node.js support are not loaded with the window.
+const headlessConfig = {
+    eslint,
+    entry: {
+        [`${pkg.name}.headless`]: './src/headless.js'
+    },
+    target: 'node',
+    output: {
+        libraryTarget: 'commonjs2',
+        path: 'dist',
+        filename: `[name]${SUFFIX}.js`
+    },
+    externals: {
+        'canvas': 'canvas',
+        'jsdom': 'jsdom',
+        'xmldom': 'xmldom'
+    },
+    module: {
+        preLoaders,
+        loaders: [babelLoader]
+    },
+    plugins: [
+        new webpack.BannerPlugin(BANNER)
+    ]
+};
+
+module.exports = isHeadless ? headlessConfig : config;